@@ -335,9 +335,14 @@ const App: React.FC = () => {
       });
 
       // Listen for queue updates
-      newSocket.on('queue_updated', (newQueue) => {
-        console.log('📋 Queue updated:', newQueue);
-        setQueue(newQueue || []);
+      // Servers send either the bare queue or { queue, version, currentTrackIndex }
+      newSocket.on('queue_updated', (data) => {
+        const newQueue = Array.isArray(data) ? data : (data && data.queue) || [];
+        console.log('📋 Queue updated:', newQueue.length, 'tracks');
+        setQueue(newQueue);
+        if (data && !Array.isArray(data) && data.currentTrackIndex !== undefined) {
+          setCurrentTrackIndex(data.currentTrackIndex);
+        }
       });
 
       // Listen for library updates (after uploads)
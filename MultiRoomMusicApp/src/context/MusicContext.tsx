@@ -1,4 +1,6 @@
 import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import { Socket } from 'socket.io-client';
+import DeviceInfo from 'react-native-device-info';
 import { MusicFile, StreamingTrack, PlaybackState } from '../types';
 import { useSocket } from './SocketContext';
 import { audioService } from '../services/AudioService';
@@ -46,6 +48,47 @@ interface MusicContextValue {
 
 const MusicContext = createContext<MusicContextValue | undefined>(undefined);
 
+const CLOCK_SYNC_SAMPLES = 8;
+const CLOCK_SYNC_TIMEOUT_MS = 2000;
+
+interface PreparePlaybackData {
+  sessionId: number;
+  url: string;
+  position?: number;
+  metadata?: { title?: string; artist?: string };
+}
+
+interface StartPlaybackData {
+  sessionId: number;
+  position: number;
+  startIn: number;
+  startAt: number;
+}
+
+type Ack = (reply: object) => void;
+
+// Server clock minus ours in ms, from the exchange with the lowest round
+// trip; null if the server doesn't answer
+const measureClockOffset = async (socket: Socket): Promise<number | null> => {
+  let best: { rtt: number; offset: number } | null = null;
+  for (let i = 0; i < CLOCK_SYNC_SAMPLES; i++) {
+    const clientSendTime = Date.now();
+    let reply;
+    try {
+      reply = await socket.timeout(CLOCK_SYNC_TIMEOUT_MS).emitWithAck('clock_sync_request', { clientSendTime });
+    } catch (error) {
+      break;
+    }
+    const clientReceiveTime = Date.now();
+    const rtt = (clientReceiveTime - clientSendTime) - (reply.serverSendTime - reply.serverReceiveTime);
+    const offset = ((reply.serverReceiveTime - clientSendTime) + (reply.serverSendTime - clientReceiveTime)) / 2;
+    if (!best || rtt < best.rtt) {
+      best = { rtt, offset };
+    }
+  }
+  return best ? best.offset : null;
+};
+
 export const MusicProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const { socket, emit, connectionState } = useSocket();
   
@@ -181,13 +224,20 @@ export const MusicProvider: React.FC<{ children: React.ReactNode }> = ({ childre
     socket.on('playback_state', (data) => {
       console.log('📡 Received playback state:', data);
       
-      setMusicFiles(data.musicLibrary || []);
+      // The library is only sent on registration; shuffle/repeat changes are
+      // broadcast as playback_state without it
+      const isFullSnapshot = Array.isArray(data.musicLibrary);
+      if (isFullSnapshot) {
+        setMusicFiles(data.musicLibrary);
+      }
       const initialPlaybackState = {
         queue: data.queue || [],
-        currentTrackIndex: -1, // Will be set by server
+        currentTrackIndex: data.currentTrackIndex ?? -1,
         isPlaying: data.isPlaying || false,
         currentTrack: data.currentTrack || null,
         position: data.position || 0,
+        shuffle: !!data.shuffle,
+        repeat: (data.repeat === 'one' || data.repeat === 'all' ? data.repeat : 'none') as 'none' | 'one' | 'all',
       };
       
       setPlaybackState(prev => ({
@@ -196,12 +246,20 @@ export const MusicProvider: React.FC<{ children: React.ReactNode }> = ({ childre
       }));
       
       // If server is already playing something, start playback on iOS
-      if (initialPlaybackState.currentTrack && initialPlaybackState.isPlaying) {
+      if (isFullSnapshot && initialPlaybackState.currentTrack && initialPlaybackState.isPlaying) {
         console.log('🎵 Server already playing, starting iOS playback');
         handleAudioPlayback(initialPlaybackState.currentTrack, true, null, false);
       }
     });
 
+    // Answer the server's clock pings so it can estimate our clock offset
+    socket.on('clock_ping', (data, ack) => {
+      const clientReceiveTime = Date.now();
+      if (typeof ack === 'function') {
+        ack({ clientReceiveTime, clientSendTime: Date.now() });
+      }
+    });
+
     // Handle synchronized play command
     socket.on('sync_play', (data) => {
       console.log('▶️ Sync play command:', data);
@@ -216,8 +274,9 @@ export const MusicProvider: React.FC<{ children: React.ReactNode }> = ({ childre
         position: data.position,
       }));
       
-      // Calculate when to start playback (compensated for this device)
-      const startTime = data.startTime || Date.now();
+      // Calculate when to start playback (compensated for this device);
+      // clientStartTime is the start time already converted to our clock
+      const startTime = data.clientStartTime || data.startTime || Date.now();
       const delay = Math.max(0, startTime - Date.now());
       
       setTimeout(() => {
@@ -280,9 +339,15 @@ export const MusicProvider: React.FC<{ children: React.ReactNode }> = ({ childre
     });
 
     // Handle queue updates
-    socket.on('queue_updated', (queue) => {
+    // Servers send either the bare queue or { queue, version, currentTrackIndex }
+    socket.on('queue_updated', (data) => {
+      const queue = Array.isArray(data) ? data : data.queue || [];
       console.log('📝 Queue updated:', queue.length, 'tracks');
-      setPlaybackState(prev => ({ ...prev, queue }));
+      setPlaybackState(prev => ({
+        ...prev,
+        queue,
+        ...(Array.isArray(data) ? {} : { currentTrackIndex: data.currentTrackIndex ?? prev.currentTrackIndex }),
+      }));
     });
 
     // Handle library updates
@@ -291,6 +356,19 @@ export const MusicProvider: React.FC<{ children: React.ReactNode }> = ({ childre
       setMusicFiles(files);
     });
 
+    // Incremental library changes from the server's file watcher
+    socket.on('library_track_added', (track: MusicFile) => {
+      setMusicFiles(prev => [...prev.filter(file => file.id !== track.id), track]);
+    });
+
+    socket.on('library_track_updated', (track: MusicFile) => {
+      setMusicFiles(prev => prev.map(file => (file.id === track.id ? track : file)));
+    });
+
+    socket.on('library_track_removed', ({ id }: { id: string }) => {
+      setMusicFiles(prev => prev.filter(file => file.id !== id));
+    });
+
     // Handle device list updates
     socket.on('devices_update', (devices) => {
       console.log('📱 Connected devices:', devices.length);
@@ -298,6 +376,7 @@ export const MusicProvider: React.FC<{ children: React.ReactNode }> = ({ childre
 
     return () => {
       socket.off('playback_state');
+      socket.off('clock_ping');
       socket.off('sync_play');
       socket.off('sync_pause');
       socket.off('sync_seek');
@@ -305,10 +384,133 @@ export const MusicProvider: React.FC<{ children: React.ReactNode }> = ({ childre
       socket.off('track_changed');
       socket.off('queue_updated');
       socket.off('library_updated');
+      socket.off('library_track_added');
+      socket.off('library_track_updated');
+      socket.off('library_track_removed');
       socket.off('devices_update');
     };
   }, [socket, playbackState.isPlaying, playbackState.currentTrack, handleAudioPlayback]);
 
+  // This device as a speaker for the precision sync server: every output
+  // preloads the track (prepare_playback), then all of them start at the same
+  // moment (start_playback)
+  useEffect(() => {
+    if (!socket) return;
+
+    let sessionId: number | null = null;
+    let startTimer: ReturnType<typeof setTimeout> | null = null;
+    let rateTimer: ReturnType<typeof setTimeout> | null = null;
+    let clockOffset: number | null = null;
+
+    const resetRate = () => {
+      if (rateTimer) {
+        clearTimeout(rateTimer);
+        rateTimer = null;
+        audioService.setStreamRate(1);
+      }
+    };
+
+    const cancelStart = () => {
+      if (startTimer) {
+        clearTimeout(startTimer);
+        startTimer = null;
+      }
+      resetRate();
+    };
+
+    const register = async () => {
+      clockOffset = await measureClockOffset(socket);
+      console.log(`🔈 Registering as an output (clock offset ${clockOffset === null ? 'unknown' : `${clockOffset.toFixed(1)}ms`})`);
+      socket.emit('register_output', {
+        type: 'mobile',
+        id: await DeviceInfo.getUniqueId(),
+        name: await DeviceInfo.getDeviceName(),
+        codecs: ['mp3', 'aac'],
+      });
+    };
+
+    const onPreparePlayback = async (data: PreparePlaybackData, ack?: Ack) => {
+      cancelStart();
+      sessionId = data.sessionId;
+      try {
+        const bufferedPosition = await audioService.prepareStream(
+          data.url,
+          data.metadata?.title || 'Unknown Track',
+          data.metadata?.artist || 'Unknown Artist',
+          data.position || 0
+        );
+        ack?.({ bufferedPosition });
+      } catch (error) {
+        console.error('❌ Failed to preload stream:', error);
+        ack?.({ error: error instanceof Error ? error.message : String(error) });
+      }
+    };
+
+    const onStartPlayback = (data: StartPlaybackData) => {
+      if (data.sessionId !== sessionId) return;
+      const startAt = clockOffset !== null ? data.startAt - clockOffset : Date.now() + data.startIn;
+      cancelStart();
+
+      const start = () => {
+        startTimer = null;
+        // Late (or already playing): go to where the other rooms are by now
+        const target = data.position + Math.max(0, Date.now() - startAt) / 1000;
+        audioService.playStreamFrom(target).catch(error => {
+          console.error('❌ Failed to start playback:', error);
+        });
+      };
+
+      const delay = startAt - Date.now();
+      if (delay > 0) {
+        startTimer = setTimeout(start, delay);
+      } else {
+        start();
+      }
+    };
+
+    const onPausePlayback = () => {
+      cancelStart();
+      audioService.pauseStream();
+    };
+
+    // Drift correction: slightly faster or slower for a while, then back to normal
+    const onRateAdjust = (data: { rate: number; durationMs: number }) => {
+      if (!Number.isFinite(data.rate) || data.rate <= 0) return;
+      if (rateTimer) {
+        clearTimeout(rateTimer);
+      }
+      audioService.setStreamRate(data.rate);
+      rateTimer = setTimeout(resetRate, data.durationMs);
+    };
+
+    // For drift checks; no position while paused or waiting to start
+    const onPositionRequest = (_data: unknown, ack?: Ack) => {
+      audioService.getStreamPosition()
+        .then(position => ack?.({ sessionId, position }))
+        .catch(() => ack?.({ sessionId, position: null }));
+    };
+
+    socket.on('connect', register);
+    socket.on('prepare_playback', onPreparePlayback);
+    socket.on('start_playback', onStartPlayback);
+    socket.on('pause_playback', onPausePlayback);
+    socket.on('rate_adjust', onRateAdjust);
+    socket.on('position_request', onPositionRequest);
+    if (socket.connected) {
+      register();
+    }
+
+    return () => {
+      cancelStart();
+      socket.off('connect', register);
+      socket.off('prepare_playback', onPreparePlayback);
+      socket.off('start_playback', onStartPlayback);
+      socket.off('pause_playback', onPausePlayback);
+      socket.off('rate_adjust', onRateAdjust);
+      socket.off('position_request', onPositionRequest);
+    };
+  }, [socket]);
+
   // Playback controls
   const play = useCallback(() => {
     emit('play');
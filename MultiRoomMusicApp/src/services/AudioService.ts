@@ -13,6 +13,10 @@ import TrackPlayer, {
 } from 'react-native-track-player';
 import { Alert, Platform } from 'react-native';
 
+const PREPARE_POLL_MS = 100;
+const PREPARE_TIMEOUT_MS = 25000; // The server gives up on an output after 30s
+const SEEK_TOLERANCE_S = 0.02; // Closer than this isn't worth a seek
+
 export interface AudioDevice {
   id: string;
   name: string;
@@ -318,6 +322,68 @@ class AudioService {
     }
   }
 
+  // Load a stream paused at `position` (seconds) and wait until it can play
+  // without stalling; resolves with the position it is ready at
+  async prepareStream(url: string, title: string, artist: string, position: number): Promise<number> {
+    await TrackPlayer.reset();
+    await TrackPlayer.add({
+      id: 'current-stream',
+      url,
+      title,
+      artist,
+      artwork: undefined,
+    });
+    if (position > 0) {
+      await TrackPlayer.seekTo(position);
+    }
+
+    const deadline = Date.now() + PREPARE_TIMEOUT_MS;
+    for (;;) {
+      const state = await this.getPlaybackState();
+      if (state === State.Error) {
+        throw new Error('Stream failed to load');
+      }
+      if (state === State.Ready || state === State.Paused) {
+        break;
+      }
+      if (Date.now() > deadline) {
+        throw new Error('Timed out buffering the stream');
+      }
+      await new Promise<void>(resolve => setTimeout(resolve, PREPARE_POLL_MS));
+    }
+
+    const progress = await TrackPlayer.getProgress();
+    console.log(`📦 Stream ready at ${progress.position.toFixed(2)}s: ${title}`);
+    return progress.position;
+  }
+
+  // Play the prepared stream from `position` (seconds)
+  async playStreamFrom(position: number): Promise<void> {
+    const progress = await TrackPlayer.getProgress();
+    if (Math.abs(progress.position - position) > SEEK_TOLERANCE_S) {
+      await TrackPlayer.seekTo(position);
+    }
+    await TrackPlayer.play();
+  }
+
+  async setStreamRate(rate: number): Promise<void> {
+    try {
+      await TrackPlayer.setRate(rate);
+    } catch (error) {
+      console.error('Failed to set playback rate:', error);
+    }
+  }
+
+  // Where the stream is, in seconds; null unless it is playing
+  async getStreamPosition(): Promise<number | null> {
+    const state = await this.getPlaybackState();
+    if (state !== State.Playing) {
+      return null;
+    }
+    const progress = await TrackPlayer.getProgress();
+    return progress.position;
+  }
+
   async stopStream(): Promise<void> {
     try {
       await TrackPlayer.stop();
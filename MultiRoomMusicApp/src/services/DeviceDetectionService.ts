@@ -264,13 +264,18 @@ class DeviceDetectionService {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 2000); // 2 second timeout
 
-      const response = await fetch(`http://${ip}:3000/health`, {
+      // The discovery descriptor identifies our server, unlike any page on port 3000
+      const response = await fetch(`http://${ip}:3000/api/discovery`, {
         method: 'GET',
         signal: controller.signal,
       });
 
       clearTimeout(timeoutId);
-      return response.ok;
+      if (!response.ok) {
+        return false;
+      }
+      const descriptor = await response.json();
+      return descriptor.service === 'multiroom';
     } catch (error) {
       return false;
     }
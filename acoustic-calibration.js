@@ -0,0 +1,299 @@
+// Acoustic latency calibration. A device plays a known test signal at a known
+// (server clock) time while a microphone records the room; finding the signal
+// in the recording by cross-correlation tells when sound actually came out of
+// the speaker, which is what latency compensation needs to cancel.
+
+const SIGNAL_SAMPLE_RATE = 48000;
+const SIGNAL_TYPES = ['chirp', 'mls'];
+
+// Log sweep within what phone speakers and mics reproduce well
+const CHIRP = { duration: 1, startHz: 200, endHz: 8000, fadeSeconds: 0.01 };
+// Maximum length sequence from a 15-bit LFSR (x^15 + x^14 + 1): 32767 chips
+const MLS_ORDER = 15;
+const SIGNAL_AMPLITUDE = 0.5;
+
+const MIN_CONFIDENCE = 8; // Correlation peak vs. its RMS; below this the signal wasn't found
+
+let mlsChips = null;
+
+function getMlsChips() {
+  if (!mlsChips) {
+    const length = (1 << MLS_ORDER) - 1;
+    mlsChips = new Int8Array(length);
+    let register = 1;
+    for (let i = 0; i < length; i++) {
+      const bit = register & 1;
+      mlsChips[i] = bit ? 1 : -1;
+      const feedback = ((register >> 0) ^ (register >> 1)) & 1; // taps 15 and 14
+      register = (register >> 1) | (feedback << (MLS_ORDER - 1));
+    }
+  }
+  return mlsChips;
+}
+
+// The test signal rendered at `sampleRate`, so a recording can be compared
+// against it without resampling the recording
+function renderSignal(type, sampleRate = SIGNAL_SAMPLE_RATE) {
+  if (type === 'mls') {
+    const chips = getMlsChips();
+    const length = Math.round(chips.length * sampleRate / SIGNAL_SAMPLE_RATE);
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      samples[i] = SIGNAL_AMPLITUDE * chips[Math.min(chips.length - 1, Math.floor(i * SIGNAL_SAMPLE_RATE / sampleRate))];
+    }
+    return samples;
+  }
+
+  const length = Math.round(CHIRP.duration * sampleRate);
+  const samples = new Float32Array(length);
+  const ratio = Math.log(CHIRP.endHz / CHIRP.startHz);
+  const fadeLength = CHIRP.fadeSeconds * sampleRate;
+
+  for (let i = 0; i < length; i++) {
+    const t = i / sampleRate;
+    const phase = 2 * Math.PI * CHIRP.startHz * CHIRP.duration / ratio * (Math.exp(t / CHIRP.duration * ratio) - 1);
+    const fade = Math.min(1, i / fadeLength, (length - 1 - i) / fadeLength);
+    samples[i] = SIGNAL_AMPLITUDE * fade * Math.sin(phase);
+  }
+  return samples;
+}
+
+function signalSeconds(type) {
+  return type === 'mls' ? getMlsChips().length / SIGNAL_SAMPLE_RATE : CHIRP.duration;
+}
+
+// =============================================================================
+// WAV
+// =============================================================================
+
+// 16-bit mono PCM
+function encodeWav(samples, sampleRate = SIGNAL_SAMPLE_RATE) {
+  const buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);            // PCM
+  buffer.writeUInt16LE(1, 22);            // Mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(samples.length * 2, 40);
+
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2);
+  }
+  return buffer;
+}
+
+function isWav(buffer) {
+  return buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+// PCM (8/16/24/32-bit) or 32-bit float WAV -> { sampleRate, samples } mixed down to mono.
+// Audio longer than `maxSeconds` is refused before any of it is decoded.
+function decodeWav(buffer, { maxSeconds = Infinity } = {}) {
+  if (!isWav(buffer)) {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      let audioFormat = buffer.readUInt16LE(body);
+      if (audioFormat === 0xFFFE && chunkSize >= 26) {
+        audioFormat = buffer.readUInt16LE(body + 24); // WAVE_FORMAT_EXTENSIBLE sub-format
+      }
+      format = {
+        audioFormat: audioFormat,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) throw new Error('WAV data before format');
+      // Recorders that stream sometimes leave the size at 0 or 0xFFFFFFFF
+      const end = chunkSize && body + chunkSize <= buffer.length ? body + chunkSize : buffer.length;
+      const seconds = (end - body) / (format.bitsPerSample / 8 * format.channels) / format.sampleRate;
+      if (seconds > maxSeconds) {
+        throw new Error(`Recording is ${seconds.toFixed(1)}s long; at most ${maxSeconds.toFixed(1)}s can be analyzed`);
+      }
+      return { sampleRate: format.sampleRate, samples: readSamples(buffer, body, end, format) };
+    }
+
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('WAV has no data');
+}
+
+function readSamples(buffer, start, end, { audioFormat, channels, bitsPerSample }) {
+  const bytes = bitsPerSample / 8;
+  let read;
+  if (audioFormat === 3 && bitsPerSample === 32) {
+    read = (position) => buffer.readFloatLE(position);
+  } else if (audioFormat !== 1) {
+    throw new Error(`Unsupported WAV encoding ${audioFormat}`);
+  } else if (bitsPerSample === 8) {
+    read = (position) => (buffer.readUInt8(position) - 128) / 128;
+  } else if (bitsPerSample === 16) {
+    read = (position) => buffer.readInt16LE(position) / 32768;
+  } else if (bitsPerSample === 24) {
+    read = (position) => buffer.readIntLE(position, 3) / 8388608;
+  } else if (bitsPerSample === 32) {
+    read = (position) => buffer.readInt32LE(position) / 2147483648;
+  } else {
+    throw new Error(`Unsupported WAV bit depth ${bitsPerSample}`);
+  }
+
+  const frameSize = bytes * channels;
+  const frames = Math.floor((end - start) / frameSize);
+  const samples = new Float32Array(frames);
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += read(start + frame * frameSize + channel * bytes);
+    }
+    samples[frame] = sum / channels;
+  }
+  return samples;
+}
+
+// =============================================================================
+// CROSS-CORRELATION
+// =============================================================================
+
+// In-place iterative radix-2 FFT; `inverse` leaves the result unscaled
+function fft(real, imag, inverse = false) {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (inverse ? 2 : -2) * Math.PI / size;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+    const half = size >> 1;
+
+    for (let start = 0; start < n; start += size) {
+      let wReal = 1;
+      let wImag = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tReal = real[b] * wReal - imag[b] * wImag;
+        const tImag = real[b] * wImag + imag[b] * wReal;
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+        const nextReal = wReal * stepReal - wImag * stepImag;
+        wImag = wReal * stepImag + wImag * stepReal;
+        wReal = nextReal;
+      }
+    }
+  }
+}
+
+// Where `reference` starts in `recording`: { lagSamples (fractional), confidence }
+function crossCorrelate(recording, reference) {
+  let size = 1;
+  while (size < recording.length + reference.length) size <<= 1;
+
+  const recReal = new Float64Array(size);
+  const recImag = new Float64Array(size);
+  const refReal = new Float64Array(size);
+  const refImag = new Float64Array(size);
+  recReal.set(recording);
+  refReal.set(reference);
+
+  fft(recReal, recImag);
+  fft(refReal, refImag);
+
+  // Recording spectrum times the conjugate of the reference spectrum
+  for (let i = 0; i < size; i++) {
+    const real = recReal[i] * refReal[i] + recImag[i] * refImag[i];
+    const imag = recImag[i] * refReal[i] - recReal[i] * refImag[i];
+    recReal[i] = real;
+    recImag[i] = imag;
+  }
+  fft(recReal, recImag, true);
+
+  // Only lags where the whole signal could fit are meaningful
+  const maxLag = Math.max(1, recording.length - reference.length + 1);
+  let peakIndex = 0;
+  let peak = 0;
+  let sumSquares = 0;
+  for (let lag = 0; lag < maxLag; lag++) {
+    const value = Math.abs(recReal[lag]);
+    sumSquares += value * value;
+    if (value > peak) {
+      peak = value;
+      peakIndex = lag;
+    }
+  }
+
+  const rms = Math.sqrt(sumSquares / maxLag);
+  const confidence = rms > 0 ? peak / rms : 0;
+
+  // Parabolic interpolation around the peak for sub-sample accuracy
+  let lagSamples = peakIndex;
+  if (peakIndex > 0 && peakIndex < maxLag - 1) {
+    const left = Math.abs(recReal[peakIndex - 1]);
+    const right = Math.abs(recReal[peakIndex + 1]);
+    const denominator = left - 2 * peak + right;
+    if (denominator !== 0) {
+      lagSamples += 0.5 * (left - right) / denominator;
+    }
+  }
+
+  return { lagSamples, confidence };
+}
+
+// Find the test signal in a WAV recording of at most `maxSeconds`.
+// Returns { offsetSeconds (from the start of the recording), confidence, found }.
+function findSignal(wavBuffer, type, { maxSeconds } = {}) {
+  const { sampleRate, samples } = decodeWav(wavBuffer, { maxSeconds });
+  const reference = renderSignal(type, sampleRate);
+
+  if (samples.length < reference.length) {
+    throw new Error('Recording is shorter than the test signal');
+  }
+
+  const { lagSamples, confidence } = crossCorrelate(samples, reference);
+  return {
+    offsetSeconds: lagSamples / sampleRate,
+    confidence: Math.round(confidence * 10) / 10,
+    found: confidence >= MIN_CONFIDENCE,
+    sampleRate: sampleRate
+  };
+}
+
+module.exports = {
+  SIGNAL_SAMPLE_RATE,
+  SIGNAL_TYPES,
+  renderSignal,
+  signalSeconds,
+  encodeWav,
+  decodeWav,
+  isWav,
+  crossCorrelate,
+  findSignal
+};
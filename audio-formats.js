@@ -0,0 +1,178 @@
+// Audio formats an output can be streamed in. A format is
+// { codec, bitrate (kbps, null for lossless), sampleRate }.
+//
+// Outputs declare which codecs they can play (and may name a preferred
+// format); the server picks one with negotiateFormat() and saves explicit
+// choices in the device profile, so a device keeps its format across restarts.
+
+const CODECS = {
+  mp3: {
+    encoder: 'mp3',
+    container: 'mp3',
+    contentType: 'audio/mpeg',
+    defaultBitrate: 192,
+    bitrates: [64, 320],
+    sampleRates: [32000, 44100, 48000]
+  },
+  aac: {
+    encoder: 'aac',
+    container: 'adts',
+    contentType: 'audio/aac',
+    defaultBitrate: 192,
+    bitrates: [64, 320],
+    sampleRates: [44100, 48000]
+  },
+  opus: {
+    encoder: 'libopus',
+    container: 'ogg',
+    contentType: 'audio/ogg; codecs=opus',
+    defaultBitrate: 128,
+    bitrates: [32, 256],
+    sampleRates: [48000] // Opus always runs at 48 kHz
+  },
+  flac: {
+    encoder: 'flac',
+    container: 'flac',
+    contentType: 'audio/flac',
+    defaultBitrate: null, // Lossless
+    bitrates: null,
+    sampleRates: [44100, 48000, 88200, 96000]
+  }
+};
+
+const CODEC_NAMES = Object.keys(CODECS);
+
+// What each kind of output gets unless it (or its profile) says otherwise:
+// lossless on the LAN, Opus for phones on Wi-Fi, MP3 for Cast receivers
+const OUTPUT_DEFAULTS = {
+  web: 'flac',
+  mobile: 'opus',
+  snapcast: 'flac',
+  chromecast: 'mp3',
+  cast: 'mp3',
+  bluetooth: 'aac'
+};
+
+// Best first, for outputs that only say what they support
+const PREFERENCE_ORDER = ['flac', 'opus', 'aac', 'mp3'];
+
+function defaultFormat(codec) {
+  const spec = CODECS[codec];
+  return {
+    codec: codec,
+    bitrate: spec.defaultBitrate,
+    sampleRate: spec.sampleRates.includes(44100) ? 44100 : spec.sampleRates[0]
+  };
+}
+
+// Accepts 'opus', 'opus:96k', or { codec, bitrate, sampleRate } (bitrate as
+// kbps or '96k'). Returns { format } or { error }.
+function parseFormat(input) {
+  if (typeof input === 'string') {
+    const [codec, bitrate] = input.split(':');
+    return parseFormat({ codec, bitrate });
+  }
+  if (!input || typeof input !== 'object') {
+    return { error: 'format must be a codec name or { codec, bitrate, sampleRate }' };
+  }
+
+  const codec = String(input.codec || '').toLowerCase();
+  const spec = CODECS[codec];
+  if (!spec) {
+    return { error: `codec must be one of ${CODEC_NAMES.join(', ')}` };
+  }
+
+  const format = defaultFormat(codec);
+
+  if (input.bitrate !== undefined && input.bitrate !== null && input.bitrate !== '') {
+    const bitrate = parseInt(String(input.bitrate).replace(/k$/i, ''), 10);
+    if (!spec.bitrates) {
+      return { error: `${codec} is lossless and takes no bitrate` };
+    }
+    if (!Number.isFinite(bitrate) || bitrate < spec.bitrates[0] || bitrate > spec.bitrates[1]) {
+      return { error: `${codec} bitrate must be between ${spec.bitrates[0]}k and ${spec.bitrates[1]}k` };
+    }
+    format.bitrate = bitrate;
+  }
+
+  if (input.sampleRate !== undefined && input.sampleRate !== null && input.sampleRate !== '') {
+    const sampleRate = Number(input.sampleRate);
+    if (!spec.sampleRates.includes(sampleRate)) {
+      return { error: `${codec} sample rate must be one of ${spec.sampleRates.join(', ')}` };
+    }
+    format.sampleRate = sampleRate;
+  }
+
+  return { format };
+}
+
+// ?codec=opus&bitrate=96&sampleRate=48000 -> { format } / { error }, or null
+// when the request doesn't ask for a format
+function formatFromQuery(query = {}) {
+  if (!query.codec) return null;
+  return parseFormat({ codec: query.codec, bitrate: query.bitrate, sampleRate: query.sampleRate });
+}
+
+function formatQuery(format) {
+  const params = [`codec=${format.codec}`];
+  if (format.bitrate) params.push(`bitrate=${format.bitrate}`);
+  params.push(`sampleRate=${format.sampleRate}`);
+  return params.join('&');
+}
+
+// Pick a format for an output. In order: what this request asked for, the
+// format saved in its profile, its type's default, the best codec it says it
+// supports, MP3. `supported` (codec names) rules out anything it can't play.
+function negotiateFormat({ requested = null, saved = null, supported = null, type = null } = {}) {
+  const playable = (codec) => !supported || supported.length === 0 || supported.includes(codec);
+
+  if (requested && playable(requested.codec)) return requested;
+  if (saved && CODECS[saved.codec] && playable(saved.codec)) return saved;
+
+  const typeDefault = OUTPUT_DEFAULTS[type];
+  if (typeDefault && playable(typeDefault)) return defaultFormat(typeDefault);
+
+  const best = PREFERENCE_ORDER.find(codec => supported && supported.includes(codec));
+  return defaultFormat(best || 'mp3');
+}
+
+// Codecs from a client's list that the server knows, e.g. from canPlayType checks
+function normalizeSupported(list) {
+  if (!Array.isArray(list)) return null;
+  const codecs = list.map(codec => String(codec).toLowerCase()).filter(codec => CODECS[codec]);
+  return codecs.length > 0 ? codecs : null;
+}
+
+// ffmpeg output options (stereo) for a format; add the output target after
+function encoderArgs(format) {
+  const spec = CODECS[format.codec];
+  return [
+    '-acodec', spec.encoder,
+    ...(format.bitrate ? ['-ab', `${format.bitrate}k`] : []),
+    '-ar', String(format.sampleRate),
+    '-ac', '2',
+    '-f', spec.container
+  ];
+}
+
+function contentTypeFor(format) {
+  return CODECS[format.codec].contentType;
+}
+
+function describeFormat(format) {
+  return `${format.codec}${format.bitrate ? ` ${format.bitrate}k` : ''} ${format.sampleRate / 1000}kHz`;
+}
+
+module.exports = {
+  CODEC_NAMES,
+  OUTPUT_DEFAULTS,
+  defaultFormat,
+  parseFormat,
+  formatFromQuery,
+  formatQuery,
+  negotiateFormat,
+  normalizeSupported,
+  encoderArgs,
+  contentTypeFor,
+  describeFormat
+};
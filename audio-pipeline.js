@@ -0,0 +1,453 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+
+// Everything inside the pipeline is raw PCM in the Snapcast FIFO format
+const SAMPLE_RATE = 48000;
+const CHANNELS = 2;
+const BYTES_PER_FRAME = CHANNELS * 2; // s16le
+const BYTES_PER_SECOND = SAMPLE_RATE * BYTES_PER_FRAME;
+
+const TICK_MS = 20;
+const MAX_CATCH_UP_MS = 500;        // Don't burst more than this after an event loop stall
+const DECODER_BUFFER_SECONDS = 30;  // Decoders run ahead of playback by at most this much
+const FIFO_MAX_PENDING_SECONDS = 2; // Drop audio rather than grow without a reader
+const MAX_CROSSFADE_SECONDS = 12;
+
+function frameAlign(bytes) {
+  return Math.max(0, bytes - (bytes % BYTES_PER_FRAME));
+}
+
+// One ffmpeg process decoding a file or URL to PCM, read ahead into memory so
+// the pipeline can switch to it (or mix it in) without waiting
+class TrackDecoder {
+  constructor({ ffmpegPath, source, track, filterChain, crossfadeBytes }) {
+    this.source = source;
+    this.track = track;
+    this.chunks = [];
+    this.bufferedBytes = 0;
+    this.playedBytes = 0;
+    this.ended = false;
+    // Leave room for the crossfade tail on top of the normal read-ahead
+    this.maxBufferBytes = DECODER_BUFFER_SECONDS * BYTES_PER_SECOND + crossfadeBytes;
+
+    const isUrl = /^https?:\/\//.test(source);
+    const args = [
+      ...(isUrl ? ['-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '2'] : []),
+      '-i', source,
+      '-vn',
+      ...(filterChain ? ['-af', filterChain] : []),
+      '-f', 's16le',
+      '-ar', String(SAMPLE_RATE),
+      '-ac', String(CHANNELS),
+      'pipe:1'
+    ];
+
+    this.process = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'ignore'] });
+
+    this.process.stdout.on('data', (chunk) => {
+      this.chunks.push(chunk);
+      this.bufferedBytes += chunk.length;
+      if (this.bufferedBytes >= this.maxBufferBytes) {
+        this.process.stdout.pause();
+      }
+    });
+
+    this.process.stdout.on('end', () => {
+      this.ended = true;
+    });
+
+    this.process.on('error', (error) => {
+      console.error(`❌ Decoder failed for ${source}:`, error.message);
+      this.ended = true;
+    });
+  }
+
+  // Take up to `length` bytes off the front of the buffer
+  read(length) {
+    const output = Buffer.alloc(Math.min(length, this.bufferedBytes));
+    let offset = 0;
+
+    while (offset < output.length) {
+      const chunk = this.chunks[0];
+      const count = Math.min(chunk.length, output.length - offset);
+      chunk.copy(output, offset, 0, count);
+      offset += count;
+
+      if (count === chunk.length) {
+        this.chunks.shift();
+      } else {
+        this.chunks[0] = chunk.subarray(count);
+      }
+    }
+
+    this.bufferedBytes -= output.length;
+    this.playedBytes += output.length;
+
+    if (!this.ended && this.process.stdout.isPaused() && this.bufferedBytes < this.maxBufferBytes / 2) {
+      this.process.stdout.resume();
+    }
+
+    return output;
+  }
+
+  get isRunning() {
+    return !!this.process.pid && this.process.exitCode === null && this.process.signalCode === null;
+  }
+
+  close() {
+    if (this.process.exitCode === null && !this.process.killed) {
+      this.process.kill('SIGTERM');
+    }
+    this.chunks = [];
+    this.bufferedBytes = 0;
+  }
+}
+
+// Non-blocking writer for the Snapcast FIFO. Opening a FIFO for writing blocks
+// until snapserver is reading, so open with O_NONBLOCK and retry until it is.
+class FifoOutput {
+  constructor(fifoPath) {
+    this.fifoPath = fifoPath;
+    this.fd = null;
+    this.pending = Buffer.alloc(0);
+    this.retryTimer = null;
+    this.warned = false;
+  }
+
+  open() {
+    this.retryTimer = null;
+
+    try {
+      // Never create a regular file where the FIFO should be
+      if (!fs.statSync(this.fifoPath).isFIFO()) {
+        throw Object.assign(new Error(`${this.fifoPath} is not a FIFO`), { code: 'ENOTFIFO' });
+      }
+      this.fd = fs.openSync(this.fifoPath, fs.constants.O_WRONLY | fs.constants.O_NONBLOCK);
+      this.warned = false;
+      console.log(`✅ Writing audio to Snapcast FIFO ${this.fifoPath}`);
+    } catch (error) {
+      // ENXIO: no reader yet (snapserver not running)
+      if (!this.warned) {
+        console.warn(`⚠️  Snapcast FIFO not available (${error.code || error.message}), retrying`);
+        this.warned = true;
+      }
+      this.retryTimer = setTimeout(() => this.open(), 2000);
+    }
+  }
+
+  write(buffer) {
+    if (this.fd === null) return;
+
+    this.pending = this.pending.length ? Buffer.concat([this.pending, buffer]) : buffer;
+
+    try {
+      const written = fs.writeSync(this.fd, this.pending);
+      this.pending = this.pending.subarray(written);
+    } catch (error) {
+      if (error.code === 'EPIPE') {
+        // snapserver went away
+        this.close();
+        this.retryTimer = setTimeout(() => this.open(), 2000);
+        return;
+      }
+      if (error.code !== 'EAGAIN') throw error;
+    }
+
+    // Reader is too slow: drop the oldest audio, keeping frames aligned
+    const maxPending = FIFO_MAX_PENDING_SECONDS * BYTES_PER_SECOND;
+    if (this.pending.length > maxPending) {
+      this.pending = this.pending.subarray(frameAlign(this.pending.length - maxPending));
+    }
+  }
+
+  close() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    if (this.fd !== null) {
+      try {
+        fs.closeSync(this.fd);
+      } catch (error) {
+        // Already closed
+      }
+      this.fd = null;
+    }
+    this.pending = Buffer.alloc(0);
+  }
+}
+
+// Continuous output pipeline. A real-time clock pulls PCM from the current
+// track's decoder and writes it to the Snapcast FIFO and to a single long-lived
+// MP3 encoder, so track changes never restart the outputs. The next track is
+// decoded ahead of time; when the current one ends playback switches to it on
+// the next sample (gapless), or mixes the two over `crossfadeSeconds`.
+// Between tracks and while stopped the pipeline outputs silence, which also
+// keeps snapserver's FIFO stream alive.
+//
+// Events: 'mp3' (chunk), 'track_ended' (finishedTrack, nextTrack | null),
+// 'track_changed' (track | null) whenever the audio being encoded switches
+// track, 'encoder_restart' (exitCode)
+class AudioPipeline extends EventEmitter {
+  constructor(options) {
+    super();
+    this.ffmpegPath = options.ffmpegPath;
+    this.fifoPath = options.fifoPath || null;
+    this.mp3Bitrate = options.mp3Bitrate || '192k';
+    this.getFilterChain = options.getFilterChain || (() => null); // (track) -> ffmpeg -af value
+    this.crossfadeSeconds = 0;
+    this.setCrossfade(options.crossfadeSeconds || 0);
+
+    this.current = null;
+    this.next = null;
+    this.fadeTotal = 0; // Bytes in the crossfade currently in progress
+    this.fifo = null;
+    this.encoder = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  get crossfadeBytes() {
+    return frameAlign(Math.round(this.crossfadeSeconds * BYTES_PER_SECOND));
+  }
+
+  setCrossfade(seconds) {
+    const value = Number(seconds);
+    this.crossfadeSeconds = Number.isFinite(value) ? Math.min(Math.max(value, 0), MAX_CROSSFADE_SECONDS) : 0;
+    return this.crossfadeSeconds;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    if (this.fifoPath) {
+      this.fifo = new FifoOutput(this.fifoPath);
+      this.fifo.open();
+    }
+    this.startEncoder();
+
+    this.clockStart = process.hrtime.bigint();
+    this.bytesSent = 0;
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+
+    console.log(`🎚️  Audio pipeline started (crossfade: ${this.crossfadeSeconds}s)`);
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stopTrack();
+
+    if (this.fifo) {
+      this.fifo.close();
+      this.fifo = null;
+    }
+    if (this.encoder) {
+      const encoder = this.encoder;
+      this.encoder = null;
+      encoder.kill('SIGTERM');
+    }
+  }
+
+  startEncoder() {
+    const encoder = spawn(this.ffmpegPath, [
+      '-f', 's16le',
+      '-ar', String(SAMPLE_RATE),
+      '-ac', String(CHANNELS),
+      '-i', 'pipe:0',
+      '-f', 'mp3',
+      '-acodec', 'mp3',
+      '-ab', this.mp3Bitrate,
+      '-ar', '44100',
+      '-ac', '2',
+      'pipe:1'
+    ], { stdio: ['pipe', 'pipe', 'ignore'] });
+
+    encoder.stdout.on('data', chunk => this.emit('mp3', chunk));
+    encoder.stdin.on('error', () => {}); // Reported via 'exit'
+    encoder.on('error', error => console.error('❌ MP3 encoder error:', error.message));
+    encoder.on('exit', (code) => {
+      if (this.encoder !== encoder) return;
+      console.warn(`⚠️  MP3 encoder exited (code: ${code}), restarting`);
+      this.encoder = null;
+      this.emit('encoder_restart', code);
+      setTimeout(() => {
+        if (this.running && !this.encoder) this.startEncoder();
+      }, 1000);
+    });
+
+    this.encoder = encoder;
+  }
+
+  createDecoder(source, track) {
+    return new TrackDecoder({
+      ffmpegPath: this.ffmpegPath,
+      source: source,
+      track: track,
+      filterChain: this.getFilterChain(track),
+      crossfadeBytes: this.crossfadeBytes
+    });
+  }
+
+  // Switch to a track right away (manual play/skip)
+  play(source, track) {
+    this.closeTracks();
+    this.current = this.createDecoder(source, track);
+    this.emit('track_changed', track);
+  }
+
+  // Pre-open the track that follows the current one
+  setNext(source, track) {
+    if (this.next && this.next.source === source && this.next.track === track) return;
+
+    this.clearNext();
+    this.next = this.createDecoder(source, track);
+  }
+
+  clearNext() {
+    if (this.next) {
+      this.next.close();
+      this.next = null;
+    }
+  }
+
+  stopTrack() {
+    const wasPlaying = Boolean(this.current);
+    this.closeTracks();
+    if (wasPlaying) {
+      this.emit('track_changed', null);
+    }
+  }
+
+  closeTracks() {
+    this.clearNext();
+    if (this.current) {
+      this.current.close();
+      this.current = null;
+    }
+    this.fadeTotal = 0;
+  }
+
+  getPosition() {
+    return this.current ? Math.round(this.current.playedBytes / BYTES_PER_SECOND * 1000) : 0;
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      crossfadeSeconds: this.crossfadeSeconds,
+      currentTrack: this.current ? this.current.track : null,
+      nextTrack: this.next ? this.next.track : null,
+      position: this.getPosition(),
+      fifoConnected: !!(this.fifo && this.fifo.fd !== null),
+      encoderRunning: !!this.encoder,
+      ffmpegProcesses: [this.current, this.next].filter(decoder => decoder && decoder.isRunning).length +
+        (this.encoder && this.encoder.pid ? 1 : 0)
+    };
+  }
+
+  // Send exactly as much audio as real time says is due
+  tick() {
+    const elapsedMs = Number(process.hrtime.bigint() - this.clockStart) / 1e6;
+    let due = frameAlign(Math.round(elapsedMs / 1000 * BYTES_PER_SECOND) - this.bytesSent);
+
+    const maxBurst = frameAlign(MAX_CATCH_UP_MS / 1000 * BYTES_PER_SECOND);
+    if (due > maxBurst) {
+      // Stalled for a while; skip ahead instead of flooding the outputs
+      this.bytesSent += due - maxBurst;
+      due = maxBurst;
+    }
+    if (due === 0) return;
+
+    const pcm = this.render(due);
+    this.bytesSent += due;
+
+    if (this.fifo) {
+      this.fifo.write(pcm);
+    }
+    if (this.encoder && this.encoder.stdin.writable) {
+      this.encoder.stdin.write(pcm);
+    }
+  }
+
+  render(length) {
+    const output = Buffer.alloc(length); // Silence unless a track fills it
+    let offset = 0;
+
+    while (offset < length && this.current) {
+      const current = this.current;
+      const wanted = length - offset;
+      // With a next track lined up, hold back the last N seconds for the crossfade
+      const reserve = this.next ? this.crossfadeBytes : 0;
+
+      if (!this.fadeTotal) {
+        const available = frameAlign(current.bufferedBytes - reserve);
+
+        if (available > 0) {
+          offset += copyInto(output, offset, current.read(Math.min(available, wanted)));
+          continue;
+        }
+        if (!current.ended) break; // Decoder hasn't caught up yet; pad with silence
+
+        if (reserve > 0 && current.bufferedBytes > 0) {
+          this.fadeTotal = current.bufferedBytes;
+        }
+      }
+
+      if (this.fadeTotal && current.bufferedBytes > 0) {
+        const count = Math.min(current.bufferedBytes, wanted);
+        const faded = this.fadeTotal - current.bufferedBytes;
+        const tail = current.read(count);
+        const head = this.next ? this.next.read(count) : Buffer.alloc(0);
+        mixCrossfade(output, offset, tail, head, faded, this.fadeTotal);
+        offset += count;
+        continue;
+      }
+
+      this.advance();
+    }
+
+    return output;
+  }
+
+  // Current track is fully played; the pre-opened one (if any) takes over
+  advance() {
+    const finished = this.current;
+    finished.close();
+
+    this.current = this.next;
+    this.next = null;
+    this.fadeTotal = 0;
+
+    this.emit('track_ended', finished.track, this.current ? this.current.track : null);
+    this.emit('track_changed', this.current ? this.current.track : null);
+  }
+}
+
+function copyInto(target, offset, source) {
+  source.copy(target, offset);
+  return source.length;
+}
+
+// Equal-power crossfade of the outgoing tail and the incoming head.
+// `faded` is how many bytes of the `total`-byte fade have already played.
+function mixCrossfade(output, offset, tail, head, faded, total) {
+  for (let i = 0; i < tail.length; i += 2) {
+    const progress = (faded + i) / total;
+    const fadeOut = Math.cos(progress * Math.PI / 2);
+    const fadeIn = Math.sin(progress * Math.PI / 2);
+    const incoming = i + 1 < head.length ? head.readInt16LE(i) : 0;
+    const sample = tail.readInt16LE(i) * fadeOut + incoming * fadeIn;
+    output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample))), offset + i);
+  }
+}
+
+module.exports = {
+  AudioPipeline,
+  SAMPLE_RATE,
+  CHANNELS,
+  BYTES_PER_SECOND
+};
@@ -0,0 +1,252 @@
+const { EventEmitter } = require('events');
+const { MdnsSocket, localIPv4Addresses } = require('./mdns');
+
+// Cast receivers on the LAN, found by browsing `_googlecast._tcp` over mDNS
+// and kept current as they announce, change and leave. Emits 'devices' with
+// the full list whenever it changes.
+//
+// Where multicast doesn't get through (some Wi-Fi setups, containers), an
+// HTTP probe of port 8008 across the server's own /24 subnets is the
+// fallback; it only runs when mDNS has found nothing.
+
+const SERVICE = '_googlecast._tcp.local';
+const GROUP_MODEL = 'Google Cast Group';
+const QUERY_DELAYS_MS = [0, 1000, 3000]; // Initial burst, then every QUERY_INTERVAL_MS
+const QUERY_INTERVAL_MS = 60000;
+const EXPIRY_CHECK_MS = 15000;
+const PROBE_TIMEOUT_MS = 3000;
+
+// TXT `id` is the receiver UUID without dashes; eureka_info's ssdp_udn has them
+function formatUuid(id) {
+  const hex = String(id || '').toLowerCase();
+  if (!/^[0-9a-f]{32}$/.test(hex)) return hex || null;
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Probe one address the pre-mDNS way; resolves to a device or null
+async function probeCastDevice(ip) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`http://${ip}:8008/setup/eureka_info?params=name,device_info`, {
+      signal: controller.signal
+    });
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    const uuid = data.ssdp_udn || null;
+    return {
+      id: uuid ? `cast-${uuid}` : `cast-${ip}`,
+      uuid: uuid,
+      name: data.name || data.device_name || `Chromecast (${ip})`,
+      ip: ip,
+      port: 8009,
+      model: (data.device_info && data.device_info.model_name) || null,
+      isGroup: false,
+      type: 'chromecast',
+      source: 'probe',
+      isAvailable: true,
+      isConnected: false
+    };
+  } catch (error) {
+    return null; // Not reachable, or not a Cast device
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// "a.b.c" for each IPv4 LAN interface
+function localSubnets() {
+  return Array.from(new Set(localIPv4Addresses().map(address => address.split('.').slice(0, 3).join('.'))));
+}
+
+class CastDiscovery extends EventEmitter {
+  constructor() {
+    super();
+    this.mdns = new MdnsSocket();
+    this.instances = new Map(); // service instance -> { host, port, txt, sourceAddress, expiresAt }
+    this.hosts = new Map();     // hostname -> { address, expiresAt }
+    this.probedDevices = [];    // From the last fallback probe
+    this.followUps = new Set(); // Instances already asked for their SRV/TXT
+    this.timers = [];
+    this.lastList = '[]';
+  }
+
+  async start() {
+    this.mdns.on('response', (packet, rinfo) => this.handleResponse(packet, rinfo));
+    this.mdns.on('error', (error) => {
+      console.warn(`⚠️  Cast mDNS error: ${error.message}`);
+    });
+
+    try {
+      await this.mdns.start();
+    } catch (error) {
+      console.warn(`⚠️  Cast mDNS browsing unavailable: ${error.message}`);
+      return;
+    }
+
+    QUERY_DELAYS_MS.forEach(delay => this.timers.push(setTimeout(() => this.sendQuery(), delay)));
+    this.timers.push(setInterval(() => this.sendQuery(), QUERY_INTERVAL_MS));
+    this.timers.push(setInterval(() => this.update(), EXPIRY_CHECK_MS));
+    console.log(`📡 Browsing for Cast devices (${SERVICE})`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    this.mdns.stop();
+  }
+
+  sendQuery() {
+    this.mdns.query([{ name: SERVICE, type: 'PTR' }]);
+  }
+
+  handleResponse(packet, rinfo) {
+    const now = Date.now();
+    const records = [...packet.answers, ...packet.additionals];
+    let relevant = false;
+
+    records.forEach((record) => {
+      const expiresAt = now + record.ttl * 1000;
+
+      if (record.type === 'PTR' && record.name === SERVICE) {
+        relevant = true;
+        if (record.ttl === 0) {
+          this.instances.delete(record.data); // Goodbye
+          return;
+        }
+        this.instanceFor(record.data, rinfo).expiresAt = expiresAt;
+      } else if ((record.type === 'SRV' || record.type === 'TXT') && record.name.endsWith(`.${SERVICE}`)) {
+        relevant = true;
+        if (record.ttl === 0) {
+          this.instances.delete(record.name);
+          return;
+        }
+        const instance = this.instanceFor(record.name, rinfo);
+        if (record.type === 'SRV') {
+          instance.host = record.data.target;
+          instance.port = record.data.port;
+        } else {
+          instance.txt = record.data;
+        }
+      } else if (record.type === 'A') {
+        this.hosts.set(record.name, { address: record.data, expiresAt: expiresAt });
+      }
+    });
+
+    if (!relevant) return;
+
+    // Responders may leave SRV/TXT out of the PTR answer; ask for them once
+    this.instances.forEach((instance, name) => {
+      if ((!instance.txt || !instance.port) && !this.followUps.has(name)) {
+        this.followUps.add(name);
+        this.mdns.query([{ name: name, type: 'SRV' }, { name: name, type: 'TXT' }]);
+      }
+    });
+
+    this.update();
+  }
+
+  instanceFor(name, rinfo) {
+    if (!this.instances.has(name)) {
+      this.instances.set(name, { host: null, port: null, txt: null, sourceAddress: null, expiresAt: Date.now() + 120000 });
+    }
+    const instance = this.instances.get(name);
+    instance.sourceAddress = rinfo.address;
+    return instance;
+  }
+
+  // Drop expired entries and tell listeners if the device list changed
+  update() {
+    const now = Date.now();
+    this.instances.forEach((instance, name) => {
+      if (instance.expiresAt <= now) {
+        this.instances.delete(name);
+        this.followUps.delete(name);
+      }
+    });
+    this.hosts.forEach((host, name) => {
+      if (host.expiresAt <= now) this.hosts.delete(name);
+    });
+
+    const devices = this.getDevices();
+    const list = JSON.stringify(devices);
+    if (list === this.lastList) return;
+
+    const before = new Set(JSON.parse(this.lastList).map(device => device.id));
+    devices.filter(device => !before.has(device.id)).forEach((device) => {
+      console.log(`📺 Found ${device.isGroup ? 'cast group' : 'cast device'}: ${device.name} at ${device.ip}:${device.port}`);
+    });
+
+    this.lastList = list;
+    this.emit('devices', devices);
+  }
+
+  getDevices() {
+    const found = [];
+    this.instances.forEach((instance) => {
+      if (!instance.txt || !instance.txt.id || !instance.port) return;
+
+      const host = instance.host && this.hosts.get(instance.host);
+      const uuid = formatUuid(instance.txt.id);
+      const model = instance.txt.md || null;
+      found.push({
+        id: `cast-${uuid}`,
+        uuid: uuid,
+        name: instance.txt.fn || model || 'Chromecast',
+        ip: host ? host.address : instance.sourceAddress,
+        port: instance.port,
+        model: model,
+        isGroup: model === GROUP_MODEL,
+        type: 'chromecast',
+        source: 'mdns',
+        isAvailable: true,
+        isConnected: false
+      });
+    });
+
+    const ips = new Set(found.map(device => device.ip));
+    this.probedDevices.forEach((device) => {
+      if (!ips.has(device.ip)) found.push(device);
+    });
+
+    return found.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Current list; asks again first when `refresh` is set or nothing is known,
+  // and falls back to the HTTP probe if mDNS still turns up nothing
+  async discover({ refresh = false, waitMs = 2000 } = {}) {
+    if (refresh || this.getDevices().length === 0) {
+      this.sendQuery();
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+
+    if (this.getDevices().length === 0 || (refresh && this.instances.size === 0)) {
+      await this.probeSubnets();
+    }
+    return this.getDevices();
+  }
+
+  async probeSubnets() {
+    const ownAddresses = new Set(localIPv4Addresses());
+    const ips = [];
+    localSubnets().forEach((subnet) => {
+      for (let i = 1; i <= 254; i++) {
+        const ip = `${subnet}.${i}`;
+        if (!ownAddresses.has(ip)) ips.push(ip);
+      }
+    });
+
+    console.log(`🔍 No Cast devices over mDNS, probing ${ips.length} addresses`);
+    const results = await Promise.all(ips.map(probeCastDevice));
+    this.probedDevices = results.filter(Boolean);
+    this.update();
+  }
+}
+
+module.exports = {
+  CastDiscovery,
+  probeCastDevice,
+  formatUuid
+};
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Play, Pause, SkipForward, Upload, Trash2, WifiOff, Wifi, AlertCircle, RefreshCw, Cast, Volume2, VolumeX, Users, Edit3, Move, Settings, Search, Music } from 'lucide-react';
 
 const SERVER_IP = '192.168.12.125';
@@ -105,6 +105,180 @@ const ConnectionStatus = ({ status, error, onRetry }) => {
   );
 };
 
+// This page as a speaker: the precision sync server preloads every output
+// (prepare_playback), then starts them all at the same moment (start_playback)
+const OUTPUT_ID_KEY = 'multiroom-output-id';
+const CLOCK_SYNC_SAMPLES = 8;
+const CLOCK_SYNC_TIMEOUT_MS = 2000;
+const SEEK_TOLERANCE_S = 0.02; // Closer than this isn't worth a seek
+const OUTPUT_CODECS = {
+  mp3: 'audio/mpeg',
+  aac: 'audio/aac',
+  opus: 'audio/ogg; codecs=opus',
+  flac: 'audio/flac'
+};
+
+// Stable id, so the server keeps this browser's format across visits
+const getOutputId = () => {
+  let id = window.localStorage.getItem(OUTPUT_ID_KEY);
+  if (!id) {
+    id = Math.random().toString(36).slice(2, 10);
+    window.localStorage.setItem(OUTPUT_ID_KEY, id);
+  }
+  return id;
+};
+
+// Server clock minus ours in ms, from the exchange with the lowest round
+// trip; null if the server doesn't answer
+const measureClockOffset = async (socket) => {
+  let best = null;
+  for (let i = 0; i < CLOCK_SYNC_SAMPLES; i++) {
+    const clientSendTime = Date.now();
+    let reply;
+    try {
+      reply = await socket.timeout(CLOCK_SYNC_TIMEOUT_MS).emitWithAck('clock_sync_request', { clientSendTime });
+    } catch (error) {
+      break;
+    }
+    const clientReceiveTime = Date.now();
+    const rtt = (clientReceiveTime - clientSendTime) - (reply.serverSendTime - reply.serverReceiveTime);
+    const offset = ((reply.serverReceiveTime - clientSendTime) + (reply.serverSendTime - clientReceiveTime)) / 2;
+    if (!best || rtt < best.rtt) best = { rtt, offset };
+  }
+  return best ? best.offset : null;
+};
+
+// Registers `socket` as an output playing through an <audio> element.
+// Returns a function that stops it and removes its handlers.
+const attachSyncedOutput = (socket) => {
+  const audio = new Audio();
+  audio.preload = 'auto';
+  let sessionId = null;
+  let startTimer = null;
+  let rateTimer = null;
+  let clockOffset = null;
+
+  const resetRate = () => {
+    clearTimeout(rateTimer);
+    rateTimer = null;
+    audio.playbackRate = 1;
+  };
+
+  const cancelStart = () => {
+    clearTimeout(startTimer);
+    startTimer = null;
+    resetRate();
+  };
+
+  const waitFor = (event) => new Promise((resolve, reject) => {
+    const onEvent = () => {
+      audio.removeEventListener('error', onError);
+      resolve();
+    };
+    const onError = () => {
+      audio.removeEventListener(event, onEvent);
+      reject(new Error(audio.error ? audio.error.message || `media error ${audio.error.code}` : 'media error'));
+    };
+    audio.addEventListener(event, onEvent, { once: true });
+    audio.addEventListener('error', onError, { once: true });
+  });
+
+  // Paused at `position` with enough buffered to play through
+  const preload = async (url, position) => {
+    audio.pause();
+    if (audio.src !== url) {
+      const loaded = waitFor('loadedmetadata');
+      audio.src = url;
+      await loaded;
+    }
+    if (audio.readyState >= HTMLMediaElement.HAVE_ENOUGH_DATA && Math.abs(audio.currentTime - position) <= SEEK_TOLERANCE_S) {
+      return;
+    }
+    const buffered = waitFor('canplaythrough');
+    audio.currentTime = position;
+    await buffered;
+  };
+
+  const register = async () => {
+    clockOffset = await measureClockOffset(socket);
+    console.log(`🔈 Registering as an output (clock offset ${clockOffset === null ? 'unknown' : `${clockOffset.toFixed(1)}ms`})`);
+    socket.emit('register_output', {
+      type: 'web',
+      id: getOutputId(),
+      name: 'Web Player',
+      codecs: Object.keys(OUTPUT_CODECS).filter(codec => audio.canPlayType(OUTPUT_CODECS[codec]) !== '')
+    });
+  };
+
+  const handlers = {
+    connect: register,
+
+    prepare_playback: async (data, ack) => {
+      cancelStart();
+      sessionId = data.sessionId;
+      try {
+        await preload(data.url, data.position || 0);
+        if (typeof ack === 'function') ack({ bufferedPosition: audio.currentTime });
+      } catch (error) {
+        console.error('🔈 Preload failed:', error);
+        if (typeof ack === 'function') ack({ error: error.message });
+      }
+    },
+
+    start_playback: (data) => {
+      if (data.sessionId !== sessionId) return;
+      const startAt = clockOffset !== null ? data.startAt - clockOffset : Date.now() + data.startIn;
+      cancelStart();
+
+      const start = () => {
+        startTimer = null;
+        // Late (or already playing): go to where the other rooms are by now
+        const target = data.position + Math.max(0, Date.now() - startAt) / 1000;
+        if (Math.abs(audio.currentTime - target) > SEEK_TOLERANCE_S) {
+          audio.currentTime = target;
+        }
+        audio.play().catch(error => console.warn('🔈 Playback blocked:', error.message));
+      };
+
+      const delay = startAt - Date.now();
+      if (delay > 0) {
+        startTimer = setTimeout(start, delay);
+      } else {
+        start();
+      }
+    },
+
+    pause_playback: () => {
+      cancelStart();
+      audio.pause();
+    },
+
+    // Drift correction: slightly faster or slower for a while, then back to normal
+    rate_adjust: (data) => {
+      if (audio.paused || !Number.isFinite(data.rate) || data.rate <= 0) return;
+      clearTimeout(rateTimer);
+      audio.playbackRate = data.rate;
+      rateTimer = setTimeout(resetRate, data.durationMs);
+    },
+
+    // For drift checks; no position while paused or waiting to start
+    position_request: (data, ack) => {
+      if (typeof ack !== 'function') return;
+      ack({ sessionId, position: audio.paused ? null : audio.currentTime });
+    }
+  };
+
+  Object.entries(handlers).forEach(([event, handler]) => socket.on(event, handler));
+  if (socket.connected) register();
+
+  return () => {
+    Object.entries(handlers).forEach(([event, handler]) => socket.off(event, handler));
+    cancelStart();
+    audio.pause();
+    audio.removeAttribute('src');
+  };
+};
+
 // Main App Component
 const App = () => {
   const [socket, setSocket] = useState(null);
@@ -141,6 +315,7 @@ const App = () => {
   // Sync monitoring state
   const [syncStatus, setSyncStatus] = useState(null);
   const [showSyncMonitoring, setShowSyncMonitoring] = useState(false);
+  const detachOutputRef = useRef(null);
 
   // Stable Socket.IO Connection with better cleanup
   const connectSocket = useCallback(() => {
@@ -151,6 +326,10 @@ const App = () => {
     }
 
     // Clean up any existing socket first
+    if (detachOutputRef.current) {
+      detachOutputRef.current();
+      detachOutputRef.current = null;
+    }
     if (socket) {
       socket.removeAllListeners();
       socket.disconnect();
@@ -282,6 +461,9 @@ const App = () => {
         setSnapcastGroups(data.groups);
       });
 
+      // This page plays along as one of the synced outputs
+      detachOutputRef.current = attachSyncedOutput(newSocket);
+
       // Start the connection
       newSocket.connect();
 
@@ -310,6 +492,9 @@ const App = () => {
     return () => {
       clearTimeout(connectTimer);
       clearTimeout(castTimer);
+      if (detachOutputRef.current) {
+        detachOutputRef.current();
+      }
       if (socket) {
         socket.disconnect();
       }
@@ -0,0 +1,129 @@
+// NTP-style clock offset estimation for one client.
+//
+// Each exchange gives four timestamps: the server sends a ping (serverSend),
+// the client receives it (clientReceive) and answers (clientSend), and the
+// server gets the answer (serverReceive). From those:
+//   rtt    = (serverReceive - serverSend) - (clientSend - clientReceive)
+//   offset = ((clientReceive - serverSend) + (clientSend - serverReceive)) / 2
+// `offset` is client clock minus server clock. A sample is only as accurate as
+// its RTT is symmetric, so like NTP's clock filter we trust the samples with
+// the lowest RTT and ignore the rest. Drift (how fast the offset changes) is
+// the slope of offset over time across the trusted samples.
+
+const MAX_SAMPLES = 32;
+const MIN_DRIFT_SPAN_MS = 60000; // Need at least a minute of samples to estimate drift
+const MAX_DRIFT_PPM = 500;       // Anything beyond this is noise, not a real clock
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+class ClockEstimator {
+  constructor(options = {}) {
+    this.maxSamples = options.maxSamples || MAX_SAMPLES;
+    this.samples = []; // { time (server ms), offset, rtt }
+    this.rejected = 0;
+    this.offset = 0;   // ms, client - server, at referenceTime
+    this.drift = 0;    // ms of offset change per ms of server time
+    this.referenceTime = 0;
+    this.rtt = null;
+    this.jitter = null;
+    this.lastSync = null;
+  }
+
+  get synced() {
+    return this.samples.length > 0;
+  }
+
+  addSample({ serverSend, clientReceive, clientSend, serverReceive }) {
+    const rtt = (serverReceive - serverSend) - (clientSend - clientReceive);
+    if (![serverSend, clientReceive, clientSend, serverReceive].every(Number.isFinite) || rtt < 0) {
+      this.rejected++;
+      return null;
+    }
+
+    const sample = {
+      time: (serverSend + serverReceive) / 2,
+      offset: ((clientReceive - serverSend) + (clientSend - serverReceive)) / 2,
+      rtt: rtt
+    };
+
+    this.samples.push(sample);
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+
+    this.lastSync = serverReceive;
+    this.update();
+    return sample;
+  }
+
+  update() {
+    // Keep the third of the samples with the lowest RTT (at least 3 when we have them)
+    const byRtt = this.samples.slice().sort((a, b) => a.rtt - b.rtt);
+    const keep = Math.min(byRtt.length, Math.max(3, Math.ceil(byRtt.length / 3)));
+    const trusted = byRtt.slice(0, keep);
+
+    const offsets = trusted.map(sample => sample.offset);
+    this.rtt = trusted[0].rtt;
+    this.offset = median(offsets);
+    this.referenceTime = median(trusted.map(sample => sample.time));
+
+    const meanOffset = offsets.reduce((sum, value) => sum + value, 0) / offsets.length;
+    this.jitter = Math.sqrt(offsets.reduce((sum, value) => sum + (value - meanOffset) ** 2, 0) / offsets.length);
+
+    this.drift = this.estimateDrift(trusted);
+  }
+
+  // Least-squares slope of offset over time
+  estimateDrift(samples) {
+    const times = samples.map(sample => sample.time);
+    if (samples.length < 4 || Math.max(...times) - Math.min(...times) < MIN_DRIFT_SPAN_MS) {
+      return 0;
+    }
+
+    const meanTime = times.reduce((sum, value) => sum + value, 0) / samples.length;
+    const meanOffset = samples.reduce((sum, sample) => sum + sample.offset, 0) / samples.length;
+    let covariance = 0;
+    let variance = 0;
+    for (const sample of samples) {
+      covariance += (sample.time - meanTime) * (sample.offset - meanOffset);
+      variance += (sample.time - meanTime) ** 2;
+    }
+
+    const drift = variance ? covariance / variance : 0;
+    const limit = MAX_DRIFT_PPM / 1e6;
+    return Math.max(-limit, Math.min(limit, drift));
+  }
+
+  // Client minus server clock at a given server time
+  getOffset(serverTime = Date.now()) {
+    return this.offset + this.drift * (serverTime - this.referenceTime);
+  }
+
+  // Convert a server timestamp into the client's clock
+  toClientTime(serverTime) {
+    return Math.round(serverTime + this.getOffset(serverTime));
+  }
+
+  toServerTime(clientTime) {
+    return Math.round(clientTime - this.getOffset(clientTime));
+  }
+
+  toJSON() {
+    return {
+      synced: this.synced,
+      offset: Math.round(this.getOffset() * 10) / 10,
+      driftPpm: Math.round(this.drift * 1e6 * 10) / 10,
+      rtt: this.rtt,
+      jitter: this.jitter === null ? null : Math.round(this.jitter * 10) / 10,
+      samples: this.samples.length,
+      rejected: this.rejected,
+      lastSync: this.lastSync
+    };
+  }
+}
+
+module.exports = ClockEstimator;
@@ -0,0 +1,393 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { EventEmitter } = require('events');
+const { localIPv4Addresses } = require('./mdns');
+
+// Server configuration, layered: built-in defaults (each server variant can
+// override some), then a config file, then environment variables. The file is
+// the one named by MULTIROOM_CONFIG, else the first of config.json,
+// config.yaml, config.yml next to this module. Relative paths resolve from
+// here too. Everything is validated at startup, and every problem is reported
+// with the setting's name and where its value came from.
+//
+// Settings marked `runtime` can be changed through /api/config while the
+// server runs, if that server says it applies them (`runtimeKeys`); those
+// changes last until restart. Settings with `detect` are
+// worked out from the machine when unset, and again if a change unsets them.
+
+const ROOT_DIR = __dirname;
+const CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'];
+const FFMPEG_FALLBACK_PATHS = ['/opt/homebrew/bin/ffmpeg', '/usr/local/bin/ffmpeg', '/usr/bin/ffmpeg'];
+
+const SETTINGS = {
+  port: { type: 'port', default: 3000, env: 'PORT', description: 'HTTP and Socket.IO port' },
+  host: { type: 'string', default: '0.0.0.0', env: 'HOST', description: 'Address to listen on' },
+  serverIP: { type: 'ipv4', default: null, env: 'SERVER_IP', runtime: true, detect: () => detectLanAddress(), description: 'LAN address Cast devices fetch media from (detected when unset)' },
+  ffmpegPath: { type: 'executable', default: null, env: 'FFMPEG_PATH', description: 'ffmpeg binary (looked up on PATH when unset)' },
+  musicDir: { type: 'path', default: 'music', env: 'MUSIC_DIR', description: 'Music library folder' },
+  dataDir: { type: 'path', default: 'data', env: 'DATA_DIR', description: 'State, indexes, profiles and caches' },
+  'sync.intervalMs': { type: 'integer', min: 50, max: 60000, default: 1000, env: 'SYNC_INTERVAL_MS', description: 'How often devices are synced or checked' },
+  'sync.toleranceMs': { type: 'integer', min: 0, max: 5000, default: 50, env: 'SYNC_TOLERANCE_MS', runtime: true, description: 'Drift left alone' },
+  'sync.hardSeekThresholdMs': { type: 'integer', min: 100, max: 10000, default: 1000, env: 'SYNC_HARD_SEEK_MS', runtime: true, description: 'Drift corrected by seeking rather than rate' },
+  'sync.minResyncIntervalMs': { type: 'integer', min: 0, max: 60000, default: 5000, env: 'SYNC_MIN_RESYNC_MS', runtime: true, description: 'Minimum time between seeks on one device' },
+  'mdns.advertise': { type: 'boolean', default: true, env: 'MDNS_ADVERTISE', description: 'Publish the server as _multiroom._tcp' },
+  adminToken: { type: 'string', default: null, env: 'ADMIN_TOKEN', secret: true, description: 'Bearer token required to change settings through /api/config' }
+};
+
+const RUNTIME_KEYS = Object.keys(SETTINGS).filter(key => SETTINGS[key].runtime);
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// ============================================================================
+// CONFIG FILES
+// ============================================================================
+
+function parseYamlScalar(text, lineNumber) {
+  const value = text.trim();
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (/^(true|yes|on)$/i.test(value)) return true;
+  if (/^(false|no|off)$/i.test(value)) return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (/^"(.*)"$/.test(value)) return JSON.parse(value);
+  if (/^'(.*)'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (/^[[{|>&*!]/.test(value)) {
+    throw new Error(`line ${lineNumber}: only plain values and nested keys are supported`);
+  }
+  return value;
+}
+
+// The line up to a `#` comment: one that starts the line or follows a space,
+// outside a quoted scalar ("Room #2" keeps its #). Only a quote that starts a
+// word opens one, so the apostrophe in `It's` doesn't.
+function stripYamlComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && (i === 0 || /\s/.test(line[i - 1]))) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i).trimEnd();
+    }
+  }
+  return line;
+}
+
+// The YAML this config needs: nested `key: value` mappings by indentation,
+// plain/quoted scalars and # comments. Anything fancier is rejected.
+function parseYaml(text) {
+  const root = {};
+  const stack = [{ indent: -1, object: root }];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = stripYamlComment(rawLine);
+    if (!line.trim() || line.trim() === '---') return;
+    if (/^\s*\t/.test(line)) throw new Error(`line ${lineNumber}: use spaces, not tabs, to indent`);
+
+    const match = /^( *)([^:]+?)\s*:(?:\s+(.*))?$/.exec(line);
+    if (!match) throw new Error(`line ${lineNumber}: expected "key: value"`);
+
+    const indent = match[1].length;
+    const key = match[2].replace(/^(["'])(.*)\1$/, '$2');
+    while (stack[stack.length - 1].indent >= indent) stack.pop();
+    const parent = stack[stack.length - 1].object;
+
+    if (match[3] === undefined || match[3].trim() === '') {
+      parent[key] = {};
+      stack.push({ indent: indent, object: parent[key] });
+    } else {
+      parent[key] = parseYamlScalar(match[3], lineNumber);
+    }
+  });
+
+  return root;
+}
+
+// { sync: { toleranceMs: 40 } } -> { 'sync.toleranceMs': 40 }
+function flatten(object, prefix = '') {
+  const flat = {};
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) Object.assign(flat, flatten(value, name));
+    else flat[name] = value;
+  });
+  return flat;
+}
+
+function findConfigFile(env) {
+  if (env.MULTIROOM_CONFIG) return path.resolve(ROOT_DIR, env.MULTIROOM_CONFIG);
+  const found = CONFIG_FILES.map(name => path.join(ROOT_DIR, name)).find(file => fs.existsSync(file));
+  return found || null;
+}
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? parseYaml(text) : JSON.parse(text);
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function isExecutable(file) {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+function findFfmpeg(env) {
+  const onPath = (env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, 'ffmpeg'));
+  return [...onPath, ...FFMPEG_FALLBACK_PATHS].find(isExecutable) || null;
+}
+
+// First private LAN address (192.168/16, 10/8, 172.16/12), else any non-internal one
+function detectLanAddress() {
+  const addresses = localIPv4Addresses().filter(address => !address.startsWith('169.254.'));
+  const isPrivate = address => /^(192\.168\.|10\.|172\.(1[6-9]|2\d|3[01])\.)/.test(address);
+  return addresses.find(isPrivate) || addresses[0] || '127.0.0.1';
+}
+
+// Value from a file, env var or API -> { value } or { error }
+function coerce(spec, raw) {
+  if (raw === null || raw === undefined || raw === '') {
+    return spec.default === null ? { value: null } : { error: 'is required' };
+  }
+
+  switch (spec.type) {
+    case 'port':
+    case 'integer': {
+      const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      const [min, max] = spec.type === 'port' ? [1, 65535] : [spec.min, spec.max];
+      if (!Number.isInteger(number) || number < min || number > max) {
+        return { error: `must be a whole number from ${min} to ${max}` };
+      }
+      return { value: number };
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean') return { value: raw };
+      if (/^(true|yes|on|1)$/i.test(String(raw))) return { value: true };
+      if (/^(false|no|off|0)$/i.test(String(raw))) return { value: false };
+      return { error: 'must be true or false' };
+    case 'ipv4': {
+      const parts = String(raw).trim().split('.');
+      if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+        return { error: 'must be an IPv4 address like 192.168.1.20' };
+      }
+      return { value: parts.join('.') };
+    }
+    case 'executable': {
+      const file = path.resolve(ROOT_DIR, String(raw));
+      if (!isExecutable(file)) return { error: `${file} is not an executable file` };
+      return { value: file };
+    }
+    case 'path':
+      return { value: path.resolve(ROOT_DIR, String(raw)) };
+    default:
+      if (typeof raw === 'object') return { error: 'must be a single value' };
+      return { value: String(raw) };
+  }
+}
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+class Config extends EventEmitter {
+  constructor(values, sources, file) {
+    super();
+    this.values = values;   // key -> value
+    this.sources = sources; // key -> 'default' | 'file' | 'env' | 'detected' | 'runtime'
+    this.file = file;
+  }
+
+  get(key) {
+    if (!(key in SETTINGS)) throw new Error(`Unknown setting ${key}`);
+    return this.values[key];
+  }
+
+  // Apply runtime changes ({ key: value }, flat or nested) to the settings in
+  // `runtimeKeys`, the ones the running server picks up; all or nothing.
+  // Returns { changed } or { error }.
+  update(body, runtimeKeys = RUNTIME_KEYS) {
+    const changes = flatten(body);
+    const problems = [];
+    const coerced = {};
+    const sources = {};
+
+    Object.entries(changes).forEach(([key, raw]) => {
+      const spec = SETTINGS[key];
+      if (!spec) {
+        problems.push(`${key}: unknown setting`);
+      } else if (!spec.runtime || !runtimeKeys.includes(key)) {
+        problems.push(`${key}: can't be changed while running; set it in the config file or environment and restart`);
+      } else {
+        const { value, error } = coerce(spec, raw);
+        if (error) {
+          problems.push(`${key} ${error}`);
+        } else if (value === null && spec.detect) {
+          coerced[key] = spec.detect();
+          sources[key] = 'detected';
+        } else {
+          coerced[key] = value;
+          sources[key] = 'runtime';
+        }
+      }
+    });
+
+    if (problems.length > 0) return { error: problems.join('; ') };
+
+    const changed = Object.keys(coerced).filter(key => coerced[key] !== this.values[key]);
+    Object.keys(coerced).forEach((key) => {
+      this.values[key] = coerced[key];
+      this.sources[key] = sources[key];
+    });
+    if (changed.length > 0) this.emit('change', changed);
+    return { changed };
+  }
+
+  // Every setting with its value, source and whether it can change at runtime
+  describe(runtimeKeys = RUNTIME_KEYS) {
+    const settings = {};
+    Object.entries(SETTINGS).forEach(([key, spec]) => {
+      const value = this.values[key];
+      settings[key] = {
+        value: spec.secret && value ? '********' : value,
+        source: this.sources[key],
+        runtime: Boolean(spec.runtime) && runtimeKeys.includes(key),
+        description: spec.description
+      };
+    });
+    return { file: this.file, settings: settings };
+  }
+}
+
+// Builds the config from defaults (`defaults` overrides the built-in ones for
+// one server variant), the config file and `env`; throws ConfigError
+function loadConfig({ defaults = {}, env = process.env } = {}) {
+  const problems = [];
+  const values = {};
+  const sources = {};
+
+  let file = null;
+  let fileValues = {};
+  try {
+    file = findConfigFile(env);
+    if (file) fileValues = flatten(readConfigFile(file));
+  } catch (error) {
+    throw new ConfigError([`${path.basename(file)}: ${error.message}`]);
+  }
+
+  Object.keys(fileValues).forEach((key) => {
+    if (!SETTINGS[key]) problems.push(`${key} (in ${path.basename(file)}): unknown setting`);
+  });
+
+  Object.entries(SETTINGS).forEach(([key, spec]) => {
+    let raw = key in defaults ? defaults[key] : spec.default;
+    let source = 'default';
+    if (key in fileValues) {
+      raw = fileValues[key];
+      source = 'file';
+    }
+    if (env[spec.env] !== undefined && env[spec.env] !== '') {
+      raw = env[spec.env];
+      source = 'env';
+    }
+
+    const { value, error } = coerce(spec, raw);
+    if (error) {
+      const origin = source === 'env' ? `env ${spec.env}` : source === 'file' ? `in ${path.basename(file)}` : 'default';
+      problems.push(`${key} (${origin}) ${error}`);
+      return;
+    }
+    values[key] = value;
+    sources[key] = source;
+  });
+
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  if (values.ffmpegPath === null) {
+    values.ffmpegPath = findFfmpeg(env);
+    sources.ffmpegPath = 'detected';
+    if (!values.ffmpegPath) {
+      // Not fatal: the library, queue and discovery still work without it
+      console.warn('⚠️  ffmpeg not found on PATH; set ffmpegPath or FFMPEG_PATH to play audio');
+      values.ffmpegPath = 'ffmpeg';
+    }
+  }
+  Object.entries(SETTINGS).forEach(([key, spec]) => {
+    if (spec.detect && values[key] === null) {
+      values[key] = spec.detect();
+      sources[key] = 'detected';
+    }
+  });
+
+  return new Config(values, sources, file);
+}
+
+// For server startup: the config, or a readable error and exit
+function loadServerConfig(options) {
+  try {
+    return loadConfig(options);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    console.error('   See config.example.yaml for every setting.');
+    process.exit(1);
+  }
+}
+
+function isLoopback(address) {
+  return address === '::1' || /^(::ffff:)?127\./.test(address || '');
+}
+
+// GET / lists settings; PATCH / changes the `runtimeKeys` ones, which the
+// server must apply on config 'change'. With adminToken set, changes need
+// `Authorization: Bearer <token>`; without it they're only accepted from
+// this machine.
+function createConfigRouter(config, { runtimeKeys = [] } = {}) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json(config.describe(runtimeKeys));
+  });
+
+  router.patch('/', (req, res) => {
+    const token = config.get('adminToken');
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+      return res.status(401).json({ error: 'Admin token required' });
+    }
+    if (!token && !isLoopback(req.socket.remoteAddress)) {
+      return res.status(403).json({ error: 'Set adminToken to change settings from another machine' });
+    }
+
+    const { changed, error } = config.update(req.body || {}, runtimeKeys);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ changed: changed, ...config.describe(runtimeKeys) });
+  });
+
+  return router;
+}
+
+module.exports = {
+  SETTINGS,
+  ConfigError,
+  parseYaml,
+  loadConfig,
+  loadServerConfig,
+  createConfigRouter
+};
@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { parseFormat } = require('./audio-formats');
+
+// Per-device latency profiles, keyed by a stable device identity (the id a
+// client generates and keeps, or a Cast device's UUID) rather than by device
+// type, so two receivers of the same model can be compensated differently.
+//
+// The offset applied to a device is its manual offset plus its measured one.
+// Until a device has been measured, the default for its type stands in for
+// the measurement. Offsets are in milliseconds; positive means the device
+// plays late and has to be fed ahead.
+//
+// A profile can also carry the stream format chosen for the device
+// ({ codec, bitrate, sampleRate }, see audio-formats.js); null means negotiate.
+
+const MAX_MEASUREMENTS = 50;  // History kept per device
+const MEASUREMENT_WINDOW = 10; // Measured offset is the median of the latest ones
+const MAX_OFFSET_MS = 5000;
+
+class DeviceProfileStore {
+  constructor(filePath, { typeDefaults = {} } = {}) {
+    this.filePath = filePath;
+    this.typeDefaults = typeDefaults; // type -> offset (ms) until measured
+    this.profiles = new Map(); // id -> profile
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (data.profiles || []).forEach(profile => this.profiles.set(profile.id, profile));
+        console.log(`✅ Loaded ${this.profiles.size} device profiles`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load device profiles:', error.message);
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ profiles: this.list() }, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('❌ Failed to save device profiles:', error.message);
+    }
+  }
+
+  list() {
+    return Array.from(this.profiles.values());
+  }
+
+  get(id) {
+    return this.profiles.get(id) || null;
+  }
+
+  // Called whenever a device (re)connects: creates its profile the first
+  // time, keeps name/type current and records when it was last seen
+  touch(id, { name, type } = {}) {
+    let profile = this.profiles.get(id);
+    const now = Date.now();
+
+    if (!profile) {
+      profile = {
+        id: id,
+        name: name || id,
+        type: type || null,
+        manualOffsetMs: 0,
+        measuredOffsetMs: null,
+        measurements: [],
+        format: null,
+        createdAt: now,
+        updatedAt: now,
+        lastSeen: now
+      };
+      this.profiles.set(id, profile);
+    } else {
+      if (name) profile.name = name;
+      if (type) profile.type = type;
+      profile.lastSeen = now;
+    }
+
+    this.save();
+    return profile;
+  }
+
+  // Total compensation for a device; `type` picks the default when there's no profile
+  getOffset(id, type) {
+    const profile = this.profiles.get(id);
+    const fallback = this.typeDefaults[type || (profile && profile.type)] || 0;
+    if (!profile) return fallback;
+
+    const measured = profile.measuredOffsetMs !== null ? profile.measuredOffsetMs : fallback;
+    return profile.manualOffsetMs + measured;
+  }
+
+  // Apply already-validated changes (see validateProfileChanges); null if unknown
+  update(id, changes) {
+    const profile = this.profiles.get(id);
+    if (!profile) return null;
+
+    Object.assign(profile, changes);
+    profile.updatedAt = Date.now();
+    this.save();
+    return profile;
+  }
+
+  addMeasurement(id, offsetMs, source = 'manual') {
+    const profile = this.profiles.get(id);
+    if (!profile) return null;
+
+    profile.measurements.push({ at: Date.now(), offsetMs: Math.round(offsetMs * 10) / 10, source });
+    if (profile.measurements.length > MAX_MEASUREMENTS) {
+      profile.measurements.shift();
+    }
+
+    // Median of the latest measurements so one bad reading doesn't move it much
+    const recent = profile.measurements.slice(-MEASUREMENT_WINDOW).map(m => m.offsetMs).sort((a, b) => a - b);
+    const middle = Math.floor(recent.length / 2);
+    profile.measuredOffsetMs = recent.length % 2
+      ? recent[middle]
+      : Math.round((recent[middle - 1] + recent[middle]) * 5) / 10;
+
+    profile.updatedAt = Date.now();
+    this.save();
+    return profile;
+  }
+
+  getFormat(id) {
+    const profile = this.profiles.get(id);
+    return (profile && profile.format) || null;
+  }
+
+  // Remember a format the device asked for; unchanged formats aren't re-saved
+  setFormat(id, format) {
+    const profile = this.profiles.get(id);
+    if (!profile) return null;
+    if (JSON.stringify(profile.format || null) === JSON.stringify(format)) return profile;
+    return this.update(id, { format });
+  }
+
+  clearMeasurements(id) {
+    return this.update(id, { measurements: [], measuredOffsetMs: null });
+  }
+
+  delete(id) {
+    const existed = this.profiles.delete(id);
+    if (existed) this.save();
+    return existed;
+  }
+}
+
+// Offsets (ms) accepted anywhere: REST edits, posted and socket measurements
+function isOffset(value) {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= MAX_OFFSET_MS;
+}
+
+// Check a REST body; returns { changes } or { error }
+function validateProfileChanges(body = {}) {
+  const changes = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name must be a non-empty string' };
+    }
+    changes.name = body.name.trim();
+  }
+  if (body.manualOffsetMs !== undefined) {
+    if (!isOffset(body.manualOffsetMs)) {
+      return { error: `manualOffsetMs must be a number between -${MAX_OFFSET_MS} and ${MAX_OFFSET_MS}` };
+    }
+    changes.manualOffsetMs = body.manualOffsetMs;
+  }
+  if (body.measuredOffsetMs !== undefined) {
+    if (body.measuredOffsetMs !== null && !isOffset(body.measuredOffsetMs)) {
+      return { error: `measuredOffsetMs must be null or a number between -${MAX_OFFSET_MS} and ${MAX_OFFSET_MS}` };
+    }
+    changes.measuredOffsetMs = body.measuredOffsetMs;
+  }
+
+  if (body.format !== undefined) {
+    if (body.format === null) {
+      changes.format = null;
+    } else {
+      const { format, error } = parseFormat(body.format);
+      if (error) return { error };
+      changes.format = format;
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to update (name, manualOffsetMs, measuredOffsetMs, format)' };
+  }
+  return { changes };
+}
+
+// REST routes for a store, mounted by each server under /api/devices/profiles.
+// `onChange(profile)` runs after every edit so the server can re-apply offsets
+// to a connected device straight away.
+function createProfileRouter(store, { onChange = () => {} } = {}) {
+  const router = express.Router();
+
+  const withProfile = (handler) => (req, res) => {
+    const profile = store.get(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Device profile not found' });
+    }
+    handler(req, res, profile);
+  };
+
+  router.get('/', (req, res) => {
+    res.json(store.list().map(profile => ({ ...profile, offsetMs: store.getOffset(profile.id) })));
+  });
+
+  router.get('/:id', withProfile((req, res, profile) => {
+    res.json({ ...profile, offsetMs: store.getOffset(profile.id) });
+  }));
+
+  router.patch('/:id', withProfile((req, res, profile) => {
+    const { changes, error } = validateProfileChanges(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    store.update(profile.id, changes);
+    onChange(profile);
+    res.json({ ...profile, offsetMs: store.getOffset(profile.id) });
+  }));
+
+  router.delete('/:id', withProfile((req, res, profile) => {
+    store.delete(profile.id);
+    onChange(profile);
+    res.json({ success: true });
+  }));
+
+  router.post('/:id/measurements', withProfile((req, res, profile) => {
+    const { offsetMs, source } = req.body || {};
+    if (!isOffset(offsetMs)) {
+      return res.status(400).json({ error: `offsetMs must be a number between -${MAX_OFFSET_MS} and ${MAX_OFFSET_MS}` });
+    }
+
+    store.addMeasurement(profile.id, offsetMs, typeof source === 'string' ? source : 'manual');
+    onChange(profile);
+    res.status(201).json({ ...profile, offsetMs: store.getOffset(profile.id) });
+  }));
+
+  router.delete('/:id/measurements', withProfile((req, res, profile) => {
+    store.clearMeasurements(profile.id);
+    onChange(profile);
+    res.json({ ...profile, offsetMs: store.getOffset(profile.id) });
+  }));
+
+  return router;
+}
+
+// Cast receivers keep their UUID across IP changes; falls back to the IP
+async function fetchCastDeviceId(ip) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 2000);
+
+  try {
+    const response = await fetch(`http://${ip}:8008/setup/eureka_info`, { signal: controller.signal });
+    if (response.ok) {
+      const info = await response.json();
+      if (info.ssdp_udn) return `cast-${info.ssdp_udn}`;
+    }
+  } catch (error) {
+    // Unreachable or not a Cast device
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  return `cast-${ip}`;
+}
+
+module.exports = {
+  DeviceProfileStore,
+  validateProfileChanges,
+  createProfileRouter,
+  fetchCastDeviceId,
+  isOffset
+};
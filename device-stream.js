@@ -0,0 +1,260 @@
+const { spawn } = require('child_process');
+const { encoderArgs } = require('./audio-formats');
+
+// One device's HTTP audio stream. The connection outlives the ffmpeg process
+// feeding it: play, seek and resume start a new encode from wherever the
+// device should be (`getStartPosition()`, which includes its latency offset)
+// and splice it into the same response; pause feeds encoded silence so the
+// player keeps its connection instead of timing out.
+//
+// Encodes are paced at playback speed (-re) so the player's buffer stays
+// short and a seek is heard promptly. Audio produced while no client is
+// attached is discarded, keeping the encode on the master timeline.
+//
+// MP3, ADTS AAC and chained Ogg can be spliced like this; FLAC can't (its
+// header only comes once), so FLAC responses are ended instead and the
+// player reconnects to get the new position.
+//
+// ffmpeg reports (-progress) how much it has encoded, which gives the track
+// position the stream has reached. A player whose clock runs slow holds the
+// encode back through backpressure, so a stream behind the master timeline
+// means a device that is too. trim() absorbs drift like that without a jump:
+// the encode continues from where it got to, reading slightly faster or
+// slower (-readrate, ffmpeg 5 or later) and resampled back to real time
+// (asetrate).
+
+const SPLICEABLE_CODECS = ['mp3', 'aac', 'opus'];
+const SELF_SYNCING_CODECS = ['mp3', 'aac']; // Decodable from any point, no header needed
+const STATS_PERIOD_MS = 100;  // How often ffmpeg reports its progress
+const SETTLE_MS = 1000;       // Drift isn't judged this soon after an encode starts
+
+class DeviceStream {
+  constructor({ name, ffmpegPath, format, getStartPosition }) {
+    this.name = name;
+    this.ffmpegPath = ffmpegPath;
+    this.format = format;
+    this.getStartPosition = getStartPosition; // () -> seconds into the track
+    this.trackPath = null;
+    this.source = null;     // Current ffmpeg process
+    this.sourceKind = null; // 'track' | 'silence'
+    this.sourceBytes = 0;   // Produced by the current source
+    this.sourceStart = 0;   // Track position the current encode started from
+    this.sourceRate = 1;    // Track seconds per second of output
+    this.sourceStartedAt = null;
+    this.encodedSeconds = null; // Output of the current encode, as last reported
+    this.progressAt = null;
+    this.rateTimer = null;  // Ends a trim
+    this.response = null;
+  }
+
+  get isActive() {
+    return Boolean(this.source);
+  }
+
+  get canSplice() {
+    return SPLICEABLE_CODECS.includes(this.format.codec);
+  }
+
+  get isTrimming() {
+    return Boolean(this.rateTimer);
+  }
+
+  // Track position the encode has reached; null if it isn't encoding the
+  // track or hasn't reported yet
+  get encodedPosition() {
+    if (!this.source || this.sourceKind !== 'track' || this.encodedSeconds === null) return null;
+
+    // Output is paced at real time, so it has moved on since the last report
+    // unless the player is holding it back
+    const sinceReport = this.source.waitingForDrain ? 0 : Math.min(Date.now() - this.progressAt, STATS_PERIOD_MS);
+    return this.sourceStart + (this.encodedSeconds + sinceReport / 1000) * this.sourceRate;
+  }
+
+  // Seconds the stream is ahead of (positive) or behind where the device
+  // should be; null while there's nothing to judge
+  getDrift() {
+    const position = this.encodedPosition;
+    if (position === null || !this.response || Date.now() - this.sourceStartedAt < SETTLE_MS) return null;
+    return position - this.getStartPosition();
+  }
+
+  // Start (or restart, after a seek or resume) feeding the track
+  play(trackPath) {
+    this.trackPath = trackPath;
+    if (!this.canSplice) this.endResponse();
+
+    this.clearTrim();
+    this.startTrack(Math.max(0, this.getStartPosition()), 1);
+  }
+
+  // Encode at `rate` (track seconds per second) for `durationMs`, then at
+  // normal speed again, carrying on from where the encode has got to each
+  // time. False if it can't: nothing is encoding, or the format can't be
+  // spliced.
+  trim(rate, durationMs) {
+    const position = this.encodedPosition;
+    if (position === null || !this.canSplice) return false;
+
+    this.clearTrim();
+    this.startTrack(position, rate);
+    this.rateTimer = setTimeout(() => {
+      this.rateTimer = null;
+      const reached = this.encodedPosition;
+      if (reached !== null) this.startTrack(reached, 1);
+    }, durationMs);
+    return true;
+  }
+
+  startTrack(position, rate) {
+    const { sampleRate } = this.format;
+    this.startSource('track', [
+      ...(rate === 1 ? ['-re'] : ['-readrate', rate.toFixed(4)]),
+      '-ss', position.toFixed(3),
+      '-i', this.trackPath,
+      '-map', '0:a',
+      // Played back at `sampleRate`, `rate` seconds of track last one second
+      ...(rate === 1 ? [] : ['-af', `aresample=${sampleRate},asetrate=${Math.round(sampleRate * rate)},aresample=${sampleRate}`])
+    ]);
+    this.sourceStart = position;
+    this.sourceRate = rate;
+  }
+
+  clearTrim() {
+    clearTimeout(this.rateTimer);
+    this.rateTimer = null;
+  }
+
+  // Paused: silence keeps the connection open where the format allows it
+  hold() {
+    this.clearTrim();
+    if (!this.canSplice) {
+      this.stopSource();
+      this.endResponse();
+      return;
+    }
+
+    this.startSource('silence', [
+      '-re',
+      '-f', 'lavfi',
+      '-i', `anullsrc=channel_layout=stereo:sample_rate=${this.format.sampleRate}`
+    ]);
+  }
+
+  // A player (re)connected. Formats that need their header get an encode
+  // started for them if the current one is already under way.
+  attach(res) {
+    this.endResponse();
+    this.response = res;
+
+    res.on('close', () => {
+      if (this.response === res) this.response = null;
+    });
+
+    if (this.source && this.sourceBytes > 0 && !SELF_SYNCING_CODECS.includes(this.format.codec)) {
+      if (this.sourceKind === 'track') this.play(this.trackPath);
+      else this.hold();
+    }
+  }
+
+  stop() {
+    this.clearTrim();
+    this.stopSource();
+    this.endResponse();
+  }
+
+  startSource(kind, inputArgs) {
+    this.stopSource();
+
+    const source = spawn(this.ffmpegPath, [
+      '-progress', 'pipe:2',
+      '-stats_period', String(STATS_PERIOD_MS / 1000),
+      '-nostats',
+      ...inputArgs,
+      ...encoderArgs(this.format),
+      // A fresh serial per encode makes the spliced Ogg a valid chain
+      ...(this.format.codec === 'opus' ? ['-serial_offset', String(Math.floor(Math.random() * 1000000))] : []),
+      '-avoid_negative_ts', 'make_zero',
+      '-'
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    this.source = source;
+    this.sourceKind = kind;
+    this.sourceBytes = 0;
+    this.sourceStartedAt = Date.now();
+    this.encodedSeconds = null;
+
+    // -progress writes key=value lines; out_time_us (out_time_ms in older
+    // versions, also microseconds) is how much output there is so far
+    let progress = '';
+    source.stderr.on('data', (chunk) => {
+      const lines = (progress + chunk.toString()).split('\n');
+      progress = lines.pop();
+      lines.forEach((line) => {
+        const match = /^out_time_(?:us|ms)=(\d+)/.exec(line);
+        if (match && this.source === source) {
+          this.encodedSeconds = Number(match[1]) / 1000000;
+          this.progressAt = Date.now();
+        }
+      });
+    });
+
+    source.stdout.on('data', (chunk) => {
+      this.sourceBytes += chunk.length;
+      this.write(source, chunk);
+    });
+
+    source.on('error', (error) => {
+      console.error(`❌ Stream error for ${this.name}: ${error.message}`);
+    });
+
+    source.on('exit', (code, signal) => {
+      if (this.source !== source) return; // Replaced on purpose
+      this.source = null;
+      if (!signal) {
+        // Track played out (or ffmpeg failed): let the player see the end
+        console.log(`🎵 Stream for ${this.name} ended with code ${code}`);
+        this.endResponse();
+      }
+    });
+  }
+
+  write(source, chunk) {
+    const res = this.response;
+    if (!res || res.destroyed || res.writableEnded) return; // Nobody listening: discard
+
+    if (!res.write(chunk) && !source.waitingForDrain) {
+      // Player is behind: let it catch up before reading more from ffmpeg.
+      // One wait per source at a time, and whichever of drain/close comes
+      // first removes the other so the long-lived response collects nothing.
+      source.waitingForDrain = true;
+      source.stdout.pause();
+      const resume = () => {
+        res.removeListener('drain', resume);
+        res.removeListener('close', resume);
+        source.waitingForDrain = false;
+        source.stdout.resume();
+      };
+      res.on('drain', resume);
+      res.on('close', resume);
+    }
+  }
+
+  stopSource() {
+    if (this.source) {
+      const source = this.source;
+      this.source = null;
+      source.stdout.resume();
+      source.kill('SIGTERM');
+    }
+  }
+
+  endResponse() {
+    if (this.response) {
+      const res = this.response;
+      this.response = null;
+      res.end();
+    }
+  }
+}
+
+module.exports = DeviceStream;
@@ -10,6 +10,10 @@ const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const { spawn } = require('child_process');
+const { MusicLibrary } = require('./music-library');
+const { CastDiscovery } = require('./cast-discovery');
+const { ServiceAdvertiser } = require('./service-advertiser');
+const { loadServerConfig, createConfigRouter } = require('./config');
 const Client = require('castv2-client').Client;
 const DefaultMediaReceiver = require('castv2-client').DefaultMediaReceiver;
 
@@ -36,11 +40,14 @@ app.use((req, res, next) => {
   }
 });
 
-// Configuration
-const PORT = 3000;
-const MUSIC_DIR = path.join(__dirname, 'music');
-const FFMPEG_PATH = '/opt/homebrew/bin/ffmpeg';
-const SERVER_IP = '192.168.12.125'; // Your server IP
+// Configuration: defaults, then config file, then environment (see config.js).
+// The server IP (what Cast devices fetch media from) is read per use, as it
+// can be changed at runtime.
+const config = loadServerConfig();
+const PORT = config.get('port');
+const MUSIC_DIR = config.get('musicDir');
+const FFMPEG_PATH = config.get('ffmpegPath');
+const DATA_DIR = config.get('dataDir');
 
 // Internal State Management
 const CAST_SYSTEM = {
@@ -61,7 +68,7 @@ const CAST_SYSTEM = {
   
   // Real-time sync
   syncInterval: null,
-  SYNC_INTERVAL_MS: 1000, // 1 second sync updates for cast devices
+  SYNC_INTERVAL_MS: config.get('sync.intervalMs'), // Sync updates for cast devices
 };
 
 // Logging with timestamps
@@ -75,18 +82,21 @@ const logger = {
 // Initialize music library
 let musicLibrary = [];
 
+const library = new MusicLibrary({
+  musicDir: MUSIC_DIR,
+  indexFile: path.join(DATA_DIR, 'library-index.json'),
+  coverDir: path.join(DATA_DIR, 'covers')
+});
+
 function initializeMusicLibrary() {
-  if (!fs.existsSync(MUSIC_DIR)) {
-    fs.mkdirSync(MUSIC_DIR, { recursive: true });
-  }
-  
-  const files = fs.readdirSync(MUSIC_DIR)
-    .filter(file => /\.(mp3|wav|flac|m4a)$/i.test(file))
-    .map(file => ({
-      filename: file,
-      name: file.replace(/\.(mp3|wav|flac|m4a)$/i, ''),
-      path: path.join(MUSIC_DIR, file)
-    }));
+  // Scans sub-folders too; `id` and `filename` are the path relative to MUSIC_DIR
+  const files = library.scan().map(({ id, file, title, ...track }) => ({
+    id: file,
+    trackId: id,
+    filename: file,
+    name: title,
+    ...track
+  }));
   
   musicLibrary = files;
   logger.info(`Found ${musicLibrary.length} music files`);
@@ -310,7 +320,7 @@ async function playTrack(trackIndex) {
   CAST_SYSTEM.master.position = 0;
   
   // Create HTTP stream URL for the track
-  const mediaUrl = `http://${SERVER_IP}:${PORT}/stream/track/${encodeURIComponent(track.filename)}`;
+  const mediaUrl = `http://${config.get('serverIP')}:${PORT}/stream/track/${encodeURIComponent(track.filename)}`;
   
   const metadata = {
     title: track.name,
@@ -396,76 +406,25 @@ async function resumeAllDevices() {
   }
 }
 
-// Fast Cast Device Discovery
-async function discoverCastDevices() {
-  logger.info('🔍 Fast device discovery...');
-  
-  const devices = [];
-  const knownIPs = ['192.168.12.107', '192.168.12.139'];
-  const checkPromises = [];
-  
-  for (const ip of knownIPs) {
-    checkPromises.push(checkSingleDevice(ip));
-  }
-  
-  const subnet = '192.168.12';
-  for (let i = 100; i <= 150; i++) {
-    if (!knownIPs.includes(`${subnet}.${i}`)) {
-      checkPromises.push(checkSingleDevice(`${subnet}.${i}`));
-    }
-  }
-  
-  const results = await Promise.allSettled(checkPromises);
-  
-  results.forEach(result => {
-    if (result.status === 'fulfilled' && result.value) {
-      devices.push(result.value);
-    }
-  });
-  
+// Cast receivers on the LAN, tracked over mDNS in the background; every
+// change goes out to clients as `cast_devices`
+const castDiscovery = new CastDiscovery();
+castDiscovery.on('devices', (devices) => {
+  io.emit('cast_devices', devices);
+});
+
+async function discoverCastDevices({ refresh = false } = {}) {
+  logger.info('🔍 Cast device discovery...');
+  const devices = await castDiscovery.discover({ refresh: refresh });
   logger.info(`🎯 Discovery complete. Found ${devices.length} devices`);
   return devices;
 }
 
-async function checkSingleDevice(ip) {
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 3000);
-    
-    const response = await fetch(`http://${ip}:8008/setup/eureka_info`, { 
-      method: 'GET',
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (response.ok) {
-      const data = await response.json();
-      const deviceName = data.name || data.device_name || `Chromecast (${ip})`;
-      
-      logger.success(`✅ Found cast device: ${deviceName} at ${ip}`);
-      
-      return {
-        id: `chromecast-${ip}-8008`,
-        name: deviceName,
-        ip: ip,
-        port: 8008,
-        type: 'chromecast',
-        isAvailable: true,
-        isConnected: false
-      };
-    }
-  } catch (error) {
-    // Device not reachable
-  }
-  
-  return null;
-}
-
 // Socket.IO Connection Handling
 io.on('connection', (socket) => {
   const clientIP = socket.handshake.address;
   logger.info(`🔌 Client connected: ${socket.id} from ${clientIP}`);
+  socket.emit('cast_devices', castDiscovery.getDevices());
   
   // Send current state
   socket.emit('playback_update', {
@@ -542,7 +501,7 @@ app.delete('/api/queue/clear', (req, res) => {
 // Device discovery
 app.get('/api/cast/discover', async (req, res) => {
   try {
-    const devices = await discoverCastDevices();
+    const devices = await discoverCastDevices({ refresh: req.query.refresh === '1' });
     res.json({
       devices: devices,
       devicesFound: devices.length
@@ -593,7 +552,7 @@ app.post('/api/cast/media', async (req, res) => {
     CAST_SYSTEM.master.startTime = Date.now();
     CAST_SYSTEM.master.position = 0;
     
-    const mediaUrl = `http://${SERVER_IP}:${PORT}/stream/track/${encodeURIComponent(track.filename)}`;
+    const mediaUrl = `http://${config.get('serverIP')}:${PORT}/stream/track/${encodeURIComponent(track.filename)}`;
     const castMetadata = {
       title: metadata?.title || track.name,
       artist: metadata?.artist || 'Unknown Artist'
@@ -873,6 +832,22 @@ app.post('/api/upload-music', upload.single('file'), (req, res) => {
   }
 });
 
+// DNS-SD advertisement: apps browsing `_multiroom._tcp` find this server,
+// then confirm it's the right one with /api/discovery
+const advertiser = new ServiceAdvertiser({
+  port: PORT,
+  server: 'google-cast',
+  capabilities: ['library', 'queue', 'cast']
+});
+
+app.get('/api/discovery', (req, res) => {
+  res.json(advertiser.getDescriptor());
+});
+
+// Effective configuration. Only serverIP can change here: it's read for each
+// cast, while the sync settings aren't used by this server.
+app.use('/api/config', createConfigRouter(config, { runtimeKeys: ['serverIP'] }));
+
 // Serve static files
 app.use(express.static(path.join(__dirname, 'client/build')));
 app.get('*', (req, res) => {
@@ -884,13 +859,16 @@ app.get('*', (req, res) => {
 // Initialize and start server
 function startServer() {
   initializeMusicLibrary();
+  castDiscovery.start();
   
-  server.listen(PORT, () => {
+  server.listen(PORT, config.get('host'), () => {
+    if (config.get('mdns.advertise')) advertiser.start();
     logger.success(`🎵 Google Cast Music Server running on port ${PORT}`);
     logger.info(`Configuration: {
   musicDir: '${MUSIC_DIR}',
   fileCount: ${musicLibrary.length},
-  serverIP: '${SERVER_IP}',
+  serverIP: '${config.get('serverIP')}',
+  ffmpeg: '${FFMPEG_PATH}',
   castMode: 'Google Cast Protocol'
 }`);
   });
@@ -899,6 +877,8 @@ function startServer() {
 // Graceful shutdown
 process.on('SIGINT', () => {
   logger.info('🛑 Shutting down server...');
+  advertiser.stop();
+  castDiscovery.stop();
   
   // Disconnect all cast devices
   CAST_SYSTEM.devices.forEach((device, deviceId) => {
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+// Live HLS rendition of the house stream. Every play/seek/track change starts
+// a "run": ffmpeg encodes the track from the current position into MPEG-TS
+// segments (well ahead of real time) and reports each finished one on stdout.
+//
+// Which segments are live is decided when the playlist is requested, from
+// the master timeline the run was started with, not from when ffmpeg wrote
+// them. Segments are published a hold-back ahead of their play time, so a
+// player that holds back the advertised HOLD-BACK from the live edge plays
+// what the other rooms are playing; EXT-X-PROGRAM-DATE-TIME carries the exact
+// server-clock time of each segment for players that sync on it.
+
+const SEGMENT_SECONDS = 4;
+const WINDOW_SEGMENTS = 6;     // Segments listed in the playlist
+const GRACE_SEGMENTS = 2;      // Kept on disk after leaving it, for slow fetches
+const HOLD_BACK_SEGMENTS = 3;
+
+class HlsStream {
+  constructor({ ffmpegPath, dir, bitrate = '160k', segmentSeconds = SEGMENT_SECONDS }) {
+    this.ffmpegPath = ffmpegPath;
+    this.dir = dir;
+    this.bitrate = bitrate;
+    this.segmentSeconds = segmentSeconds;
+    this.holdBackMs = HOLD_BACK_SEGMENTS * segmentSeconds * 1000;
+
+    this.segments = []; // { sequence, name, duration, wallStart, discontinuity }
+    this.nextSequence = 0;
+    this.discontinuitySequence = 0;
+    this.run = null;
+    this.nextRunId = 1;
+
+    fs.rmSync(this.dir, { recursive: true, force: true });
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  // `startTime` is when (server clock, ms) `position` (ms into the track) plays
+  start({ trackPath, position, startTime }) {
+    this.stop();
+
+    const run = {
+      id: this.nextRunId++,
+      startTime: startTime,
+      firstSegment: true
+    };
+
+    const args = [
+      '-ss', (position / 1000).toFixed(3),
+      '-i', trackPath,
+      '-map', '0:a',
+      '-acodec', 'aac',
+      '-ab', this.bitrate,
+      '-ac', '2',
+      '-ar', '44100',
+      '-f', 'segment',
+      '-segment_time', String(this.segmentSeconds),
+      '-segment_format', 'mpegts',
+      '-segment_list', 'pipe:1',
+      '-segment_list_type', 'csv',
+      path.join(this.dir, `run${run.id}-%05d.ts`)
+    ];
+
+    run.process = spawn(this.ffmpegPath, args);
+    run.process.stderr.resume();
+    run.process.on('error', (error) => {
+      console.error('❌ HLS encoder error:', error.message);
+    });
+    run.process.on('exit', (code, signal) => {
+      if (code !== 0 && !signal) {
+        console.error(`❌ HLS encoder exited with code ${code}`);
+      }
+    });
+
+    // One "filename,start,end" line per finished segment, times in seconds
+    // from where this run started
+    readline.createInterface({ input: run.process.stdout }).on('line', (line) => {
+      if (this.run !== run) return;
+      const [name, start, end] = line.split(',');
+      if (!name || Number.isNaN(Number(end))) return;
+      this.addSegment(run, path.basename(name), Math.max(0, Number(start)), Number(end));
+    });
+
+    this.run = run;
+    console.log(`📺 HLS run ${run.id} started at ${Math.round(position / 1000)}s`);
+  }
+
+  addSegment(run, name, start, end) {
+    this.segments.push({
+      sequence: this.nextSequence++,
+      name: name,
+      duration: end - start,
+      wallStart: run.startTime + start * 1000,
+      discontinuity: run.firstSegment
+    });
+    run.firstSegment = false;
+  }
+
+  // The timeline stopped (pause, seek, new track): segments nobody has been
+  // offered yet are thrown away, so the next run continues the sequence.
+  // Ones already offered stay (a live playlist can't take them back); players
+  // that sync on PROGRAM-DATE-TIME skip ahead to the new run.
+  stop(now = Date.now()) {
+    if (!this.run) return;
+
+    this.run.process.kill('SIGTERM');
+    this.run = null;
+
+    const unpublished = this.segments.filter(segment => !this.isPublished(segment, now));
+    if (unpublished.length > 0) {
+      this.segments = this.segments.filter(segment => this.isPublished(segment, now));
+      unpublished.forEach(segment => this.removeFile(segment));
+      this.nextSequence = unpublished[0].sequence;
+    }
+  }
+
+  isPublished(segment, now) {
+    return segment.wallStart + segment.duration * 1000 <= now + this.holdBackMs;
+  }
+
+  // Drop segments that have left the window (plus grace) from disk
+  prune(now) {
+    const published = this.segments.filter(segment => this.isPublished(segment, now));
+    const expired = published.length - WINDOW_SEGMENTS - GRACE_SEGMENTS;
+    if (expired <= 0) return;
+
+    this.segments.splice(0, expired).forEach(segment => {
+      if (segment.discontinuity) this.discontinuitySequence++;
+      this.removeFile(segment);
+    });
+  }
+
+  removeFile(segment) {
+    fs.rm(path.join(this.dir, segment.name), { force: true }, () => {});
+  }
+
+  // Live media playlist as of `now`, or null before the first segment exists.
+  // `uriPrefix` is prepended to segment names.
+  getPlaylist(uriPrefix = '', now = Date.now()) {
+    this.prune(now);
+
+    const published = this.segments.filter(segment => this.isPublished(segment, now));
+    if (published.length === 0) return null;
+
+    const listed = published.slice(-WINDOW_SEGMENTS);
+    const skipped = published.slice(0, published.length - listed.length);
+    const discontinuitySequence = this.discontinuitySequence + skipped.filter(segment => segment.discontinuity).length;
+    const targetDuration = Math.max(...listed.map(segment => Math.round(segment.duration)), this.segmentSeconds);
+
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:6',
+      `#EXT-X-TARGETDURATION:${targetDuration}`,
+      `#EXT-X-SERVER-CONTROL:HOLD-BACK=${(this.holdBackMs / 1000).toFixed(1)}`,
+      `#EXT-X-MEDIA-SEQUENCE:${listed[0].sequence}`,
+      `#EXT-X-DISCONTINUITY-SEQUENCE:${discontinuitySequence}`
+    ];
+
+    listed.forEach(segment => {
+      if (segment.discontinuity) lines.push('#EXT-X-DISCONTINUITY');
+      lines.push(`#EXT-X-PROGRAM-DATE-TIME:${new Date(segment.wallStart).toISOString()}`);
+      lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+      lines.push(uriPrefix + segment.name);
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  // File for a segment that's still being offered, or null
+  getSegmentPath(name) {
+    const segment = this.segments.find(candidate => candidate.name === name);
+    return segment ? path.join(this.dir, segment.name) : null;
+  }
+
+  close() {
+    this.stop();
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = HlsStream;
@@ -0,0 +1,75 @@
+// Shoutcast/Icecast ("ICY") in-band metadata. A client that asks for it with
+// an `Icy-MetaData: 1` request header is told `icy-metaint: N`, and after
+// every N audio bytes gets one metadata block: a length byte (in 16-byte
+// units) followed by `StreamTitle='...';` padded with zeros, or just a zero
+// byte when nothing changed.
+
+const ICY_METAINT = 16000;
+const MAX_BLOCK_BYTES = 255 * 16;
+const EMPTY_BLOCK = Buffer.alloc(1);
+
+function formatStreamTitle(track) {
+  if (!track) return '';
+  const title = track.name || track.title || '';
+  return track.artist && track.artist !== 'Unknown Artist' ? `${track.artist} - ${title}` : title;
+}
+
+function encodeMetadataBlock(title) {
+  // Cut the title, not the closing quote, so parsers still find the end
+  let fitted = title;
+  let text = Buffer.from(`StreamTitle='${fitted}';`, 'utf8');
+  while (text.length > MAX_BLOCK_BYTES) {
+    fitted = fitted.slice(0, -1);
+    text = Buffer.from(`StreamTitle='${fitted}';`, 'utf8');
+  }
+
+  const units = Math.ceil(text.length / 16);
+  const block = Buffer.alloc(1 + units * 16);
+  block[0] = units;
+  text.copy(block, 1);
+  return block;
+}
+
+// Per-client: counts audio bytes and splices metadata blocks in at the
+// interval; `getTitle()` is read at each block so changes go out within N bytes
+class IcyMetadataInjector {
+  constructor(getTitle, metaint = ICY_METAINT) {
+    this.getTitle = getTitle;
+    this.metaint = metaint;
+    this.bytesUntilMetadata = metaint;
+    this.sentTitle = null;
+  }
+
+  transform(chunk) {
+    if (chunk.length < this.bytesUntilMetadata) {
+      this.bytesUntilMetadata -= chunk.length;
+      return chunk;
+    }
+
+    const parts = [];
+    let offset = 0;
+    while (chunk.length - offset >= this.bytesUntilMetadata) {
+      parts.push(chunk.subarray(offset, offset + this.bytesUntilMetadata));
+      offset += this.bytesUntilMetadata;
+      parts.push(this.nextBlock());
+      this.bytesUntilMetadata = this.metaint;
+    }
+    parts.push(chunk.subarray(offset));
+    this.bytesUntilMetadata -= chunk.length - offset;
+    return Buffer.concat(parts);
+  }
+
+  nextBlock() {
+    const title = this.getTitle();
+    if (title === this.sentTitle) return EMPTY_BLOCK;
+    this.sentTitle = title;
+    return encodeMetadataBlock(title);
+  }
+}
+
+module.exports = {
+  ICY_METAINT,
+  formatStreamTitle,
+  encodeMetadataBlock,
+  IcyMetadataInjector
+};
@@ -9,7 +9,13 @@ const socketIo = require('socket.io');
 const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
-const { spawn } = require('child_process');
+const { MusicLibrary } = require('./music-library');
+const { CastDiscovery } = require('./cast-discovery');
+const { DeviceProfileStore, createProfileRouter, fetchCastDeviceId } = require('./device-profiles');
+const { parseFormat, negotiateFormat, normalizeSupported, formatQuery, contentTypeFor, describeFormat } = require('./audio-formats');
+const DeviceStream = require('./device-stream');
+const { ServiceAdvertiser } = require('./service-advertiser');
+const { loadServerConfig, createConfigRouter } = require('./config');
 // Using native fetch (available in Node.js 18+)
 
 const app = express();
@@ -35,10 +41,12 @@ app.use((req, res, next) => {
   }
 });
 
-// Configuration
-const PORT = 3000;
-const MUSIC_DIR = path.join(__dirname, 'music');
-const FFMPEG_PATH = '/opt/homebrew/bin/ffmpeg';
+// Configuration: defaults, then config file, then environment (see config.js)
+const config = loadServerConfig({ defaults: { 'sync.intervalMs': 100 } });
+const PORT = config.get('port');
+const MUSIC_DIR = config.get('musicDir');
+const FFMPEG_PATH = config.get('ffmpegPath');
+const DATA_DIR = config.get('dataDir');
 
 // Internal Sync System - No Snapcast dependency
 const SYNC_SYSTEM = {
@@ -54,16 +62,24 @@ const SYNC_SYSTEM = {
   },
   
   // Connected devices
-  devices: new Map(), // deviceId -> { type, name, ip, socket, stream, syncOffset }
+  devices: new Map(), // deviceId -> { type, name, ip, socket, stream, syncOffset, profileId }
   
   // Audio streams per device
-  streams: new Map(), // deviceId -> FFmpeg process
+  streams: new Map(), // deviceId -> DeviceStream
   
   // Real-time sync
   syncInterval: null,
-  SYNC_INTERVAL_MS: 100, // 10 times per second sync updates
+  SYNC_INTERVAL_MS: config.get('sync.intervalMs'), // Sync updates to devices
   
-  // Latency compensation per device type
+  // Graduated drift correction of the device streams
+  DRIFT_CHECK_MS: 1000,
+  DRIFT_DEADBAND_MS: config.get('sync.toleranceMs'),          // Below this, leave the stream alone
+  HARD_SEEK_THRESHOLD_MS: config.get('sync.hardSeekThresholdMs'),   // Restart only above this; smaller drift is trimmed
+  MIN_RESYNC_INTERVAL_MS: config.get('sync.minResyncIntervalMs'), // Don't restart the same stream more often
+  MAX_RATE_ADJUST: 0.02,          // At most 2% faster or slower
+  MIN_RATE_CORRECTION_MS: 4000,   // Spread trims over at least this long
+  
+  // Latency compensation per device type, until a device's profile is measured
   delays: {
     web: 0,        // Web browsers (reference)
     chromecast: 80,   // Chromecast network + processing delay
@@ -73,6 +89,30 @@ const SYNC_SYSTEM = {
   }
 };
 
+// Per-device offsets keyed by a stable identity (Cast UUID, client-provided id)
+const deviceProfiles = new DeviceProfileStore(path.join(DATA_DIR, 'device-profiles.json'), {
+  typeDefaults: SYNC_SYSTEM.delays
+});
+
+// Stream format for a device: its saved choice, else what suits its type and
+// what it said it can decode. Devices without a profile just negotiate.
+function getDeviceFormat(device) {
+  return negotiateFormat({
+    saved: device.profileId ? deviceProfiles.getFormat(device.profileId) : null,
+    supported: device.supportedCodecs,
+    type: device.type
+  });
+}
+
+// A format the device asked for becomes its saved one; returns an error message if invalid
+function saveRequestedFormat(profileId, requested) {
+  if (!requested) return null;
+  const { format, error } = parseFormat(requested);
+  if (error) return error;
+  if (profileId) deviceProfiles.setFormat(profileId, format);
+  return null;
+}
+
 // Logging with timestamps
 const logger = {
   info: (msg) => console.log(`[${new Date().toISOString()}] ℹ️  ${msg}`),
@@ -84,18 +124,21 @@ const logger = {
 // Initialize music library
 let musicLibrary = [];
 
+const library = new MusicLibrary({
+  musicDir: MUSIC_DIR,
+  indexFile: path.join(DATA_DIR, 'library-index.json'),
+  coverDir: path.join(DATA_DIR, 'covers')
+});
+
 function initializeMusicLibrary() {
-  if (!fs.existsSync(MUSIC_DIR)) {
-    fs.mkdirSync(MUSIC_DIR, { recursive: true });
-  }
-  
-  const files = fs.readdirSync(MUSIC_DIR)
-    .filter(file => /\.(mp3|wav|flac|m4a)$/i.test(file))
-    .map(file => ({
-      filename: file,
-      name: file.replace(/\.(mp3|wav|flac|m4a)$/i, ''),
-      path: path.join(MUSIC_DIR, file)
-    }));
+  // Scans sub-folders too; `id` and `filename` are the path relative to MUSIC_DIR
+  const files = library.scan().map(({ id, file, title, ...track }) => ({
+    id: file,
+    trackId: id,
+    filename: file,
+    name: title,
+    ...track
+  }));
   
   musicLibrary = files;
   logger.info(`Found ${musicLibrary.length} music files`);
@@ -138,51 +181,102 @@ function broadcastSyncUpdate() {
     if (device.socket && device.socket.connected) {
       const compensatedData = {
         ...syncData,
-        position: syncData.position + (SYNC_SYSTEM.delays[device.type] || 0) / 1000
+        position: syncData.position + device.syncOffset / 1000
       };
       device.socket.emit('sync_update', compensatedData);
     }
   });
 }
 
+// Master position right now, not as of the last clock tick
+function currentMasterPosition() {
+  if (SYNC_SYSTEM.master.isPlaying && SYNC_SYSTEM.master.startTime) {
+    return (Date.now() - SYNC_SYSTEM.master.startTime) / 1000;
+  }
+  return SYNC_SYSTEM.master.position;
+}
+
+// Where a device's stream should start from: a device that plays late by its
+// offset is fed that much further into the track
+function deviceStartPosition(deviceId) {
+  const device = SYNC_SYSTEM.devices.get(deviceId);
+  return currentMasterPosition() + (device ? device.syncOffset / 1000 : 0);
+}
+
 function createDeviceStream(deviceId, trackPath) {
   logger.info(`🎵 Creating stream for device: ${deviceId}`);
   
-  // Kill existing stream for this device
-  if (SYNC_SYSTEM.streams.has(deviceId)) {
-    const existingStream = SYNC_SYSTEM.streams.get(deviceId);
-    if (existingStream && !existingStream.killed) {
-      existingStream.kill('SIGTERM');
-    }
+  // Keep the device's connection unless its negotiated format changed
+  const device = SYNC_SYSTEM.devices.get(deviceId);
+  const format = device ? device.streamFormat : negotiateFormat();
+  let stream = SYNC_SYSTEM.streams.get(deviceId);
+  if (stream && formatQuery(stream.format) !== formatQuery(format)) {
+    stream.stop();
+    stream = null;
   }
   
-  // Create new FFmpeg stream
-  const ffmpegArgs = [
-    '-i', trackPath,
-    '-f', 'mp3',
-    '-acodec', 'mp3',
-    '-ab', '320k',
-    '-ar', '44100',
-    '-ac', '2',
-    '-avoid_negative_ts', 'make_zero',
-    '-'
-  ];
-  
-  const stream = spawn(FFMPEG_PATH, ffmpegArgs, {
-    stdio: ['ignore', 'pipe', 'pipe']
-  });
+  if (!stream) {
+    stream = new DeviceStream({
+      name: deviceId,
+      ffmpegPath: FFMPEG_PATH,
+      format: format,
+      getStartPosition: () => deviceStartPosition(deviceId)
+    });
+    SYNC_SYSTEM.streams.set(deviceId, stream);
+    logger.info(`🎚️  ${deviceId} stream format: ${describeFormat(format)}`);
+  }
   
-  stream.on('error', (error) => {
-    logger.error(`Stream error for ${deviceId}: ${error}`);
+  stream.play(trackPath);
+  return stream;
+}
+
+// (Re)start every device from the master position, e.g. after a seek
+function startDeviceStreams() {
+  const trackPath = path.join(MUSIC_DIR, SYNC_SYSTEM.master.currentTrack.filename);
+  SYNC_SYSTEM.devices.forEach((device, deviceId) => {
+    createDeviceStream(deviceId, trackPath);
   });
+}
+
+// Small drift is trimmed by encoding slightly faster or slower for a while
+// (see device-stream.js); only large drift restarts the stream at the master
+// position, which the listener hears as a jump
+function checkStreamDrift() {
+  if (!SYNC_SYSTEM.master.isPlaying) return;
   
-  stream.on('exit', (code) => {
-    logger.info(`Stream for ${deviceId} ended with code: ${code}`);
-    SYNC_SYSTEM.streams.delete(deviceId);
+  const now = Date.now();
+  SYNC_SYSTEM.streams.forEach((stream, deviceId) => {
+    const device = SYNC_SYSTEM.devices.get(deviceId);
+    const drift = stream.getDrift();
+    if (!device || drift === null || stream.isTrimming) return;
+    
+    const driftMs = drift * 1000;
+    const absDriftMs = Math.abs(driftMs);
+    if (absDriftMs < SYNC_SYSTEM.DRIFT_DEADBAND_MS) return;
+    
+    if (absDriftMs < SYNC_SYSTEM.HARD_SEEK_THRESHOLD_MS) {
+      // Spread the correction so the speed change stays inaudible
+      const durationMs = Math.max(SYNC_SYSTEM.MIN_RATE_CORRECTION_MS, absDriftMs / SYNC_SYSTEM.MAX_RATE_ADJUST);
+      const rate = 1 - driftMs / durationMs;
+      if (stream.trim(rate, durationMs)) {
+        logger.info(`🎚️  ${device.name}: ${driftMs.toFixed(0)}ms drift, encoding at ${rate.toFixed(4)}x for ${(durationMs / 1000).toFixed(1)}s`);
+      }
+      return;
+    }
+    
+    if (now - (device.lastResyncTime || 0) < SYNC_SYSTEM.MIN_RESYNC_INTERVAL_MS) return;
+    device.lastResyncTime = now;
+    logger.warn(`🔄 ${device.name}: ${driftMs.toFixed(0)}ms drift, restarting its stream at the master position`);
+    stream.play(stream.trackPath);
   });
-  
-  SYNC_SYSTEM.streams.set(deviceId, stream);
-  return stream;
+}
+
+function stopDeviceStream(deviceId) {
+  const stream = SYNC_SYSTEM.streams.get(deviceId);
+  if (stream) {
+    stream.stop();
+    SYNC_SYSTEM.streams.delete(deviceId);
+  }
 }
 
 async function playTrack(track) {
@@ -194,11 +288,7 @@ async function playTrack(track) {
   SYNC_SYSTEM.master.position = 0;
   
   // Create streams for all connected devices
-  const trackPath = path.join(MUSIC_DIR, track.filename);
-  
-  SYNC_SYSTEM.devices.forEach((device, deviceId) => {
-    createDeviceStream(deviceId, trackPath);
-  });
+  startDeviceStreams();
   
   // Start master clock
   startMasterClock();
@@ -210,13 +300,12 @@ async function playTrack(track) {
 }
 
 function pausePlayback() {
+  SYNC_SYSTEM.master.position = currentMasterPosition();
   SYNC_SYSTEM.master.isPlaying = false;
   
-  // Pause all device streams
-  SYNC_SYSTEM.streams.forEach((stream, deviceId) => {
-    if (stream && !stream.killed) {
-      stream.kill('SIGSTOP'); // Pause process
-    }
+  // Stop the encodes; players are fed silence (or let go) until resume
+  SYNC_SYSTEM.streams.forEach((stream) => {
+    stream.hold();
   });
   
   broadcastSyncUpdate();
@@ -227,17 +316,26 @@ function resumePlayback() {
   SYNC_SYSTEM.master.isPlaying = true;
   SYNC_SYSTEM.master.startTime = Date.now() - (SYNC_SYSTEM.master.position * 1000);
   
-  // Resume all device streams
-  SYNC_SYSTEM.streams.forEach((stream, deviceId) => {
-    if (stream && !stream.killed) {
-      stream.kill('SIGCONT'); // Resume process
-    }
-  });
+  // Restart every device from where the master paused
+  startDeviceStreams();
   
   broadcastSyncUpdate();
   logger.info('▶️  Playback resumed across all devices');
 }
 
+function seekPlayback(position) {
+  SYNC_SYSTEM.master.position = position;
+  SYNC_SYSTEM.master.startTime = Date.now() - (position * 1000);
+  
+  // While paused the new position is picked up on resume
+  if (SYNC_SYSTEM.master.isPlaying) {
+    startDeviceStreams();
+  }
+  
+  broadcastSyncUpdate();
+  logger.info(`⏩ Seeked to ${position}s`);
+}
+
 function stopPlayback() {
   SYNC_SYSTEM.master.isPlaying = false;
   SYNC_SYSTEM.master.currentTrack = null;
@@ -245,10 +343,8 @@ function stopPlayback() {
   SYNC_SYSTEM.master.startTime = null;
   
   // Stop all streams
-  SYNC_SYSTEM.streams.forEach((stream, deviceId) => {
-    if (stream && !stream.killed) {
-      stream.kill('SIGTERM');
-    }
+  SYNC_SYSTEM.streams.forEach((stream) => {
+    stream.stop();
   });
   SYNC_SYSTEM.streams.clear();
   
@@ -261,90 +357,56 @@ function stopPlayback() {
   logger.info('⏹️  Playback stopped across all devices');
 }
 
-// Fast Cast Device Discovery - optimized for known devices
-async function discoverCastDevices() {
-  logger.info('🔍 Fast device discovery...');
-  
-  const devices = [];
-  
-  // Known working IPs first for faster response
-  const knownIPs = ['192.168.12.107', '192.168.12.139'];
-  const checkPromises = [];
-  
-  // Check known devices first
-  for (const ip of knownIPs) {
-    checkPromises.push(checkSingleDevice(ip));
-  }
-  
-  // Check a smaller range in parallel for new devices
-  const subnet = '192.168.12';
-  for (let i = 100; i <= 150; i++) {
-    if (!knownIPs.includes(`${subnet}.${i}`)) {
-      checkPromises.push(checkSingleDevice(`${subnet}.${i}`));
-    }
-  }
-  
-  // Wait for all checks to complete (max 3 seconds each)
-  const results = await Promise.allSettled(checkPromises);
-  
-  results.forEach(result => {
-    if (result.status === 'fulfilled' && result.value) {
-      devices.push(result.value);
-    }
-  });
-  
+// Cast receivers on the LAN, tracked over mDNS in the background; every
+// change goes out to clients as `cast_devices`
+const castDiscovery = new CastDiscovery();
+castDiscovery.on('devices', (devices) => {
+  io.emit('cast_devices', devices);
+});
+
+async function discoverCastDevices({ refresh = false } = {}) {
+  logger.info('🔍 Cast device discovery...');
+  const devices = await castDiscovery.discover({ refresh: refresh });
   logger.info(`🎯 Discovery complete. Found ${devices.length} devices`);
   return devices;
 }
 
-async function checkSingleDevice(ip) {
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 3000);
-    
-    const response = await fetch(`http://${ip}:8008/setup/eureka_info`, { 
-      method: 'GET',
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (response.ok) {
-      const data = await response.json();
-      const deviceName = data.name || data.device_name || `Chromecast (${ip})`;
-      
-      logger.success(`✅ Found cast device: ${deviceName} at ${ip}`);
-      
-      return {
-        id: `chromecast-${ip}-8008`,
-        name: deviceName,
-        ip: ip,
-        port: 8008,
-        type: 'chromecast',
-        isAvailable: true,
-        isConnected: false
-      };
-    }
-  } catch (error) {
-    // Device not reachable
-  }
-  
-  return null;
-}
-
 // Socket.IO Connection Handling
 io.on('connection', (socket) => {
   const clientIP = socket.handshake.address;
   logger.info(`🔌 Client connected: ${socket.id} from ${clientIP}`);
+  socket.emit('cast_devices', castDiscovery.getDevices());
   
-  // Register as web device
+  // Register as web device; clients that send a persistent deviceId get a profile
   const deviceId = `web-${socket.id}`;
-  SYNC_SYSTEM.devices.set(deviceId, {
+  const clientDeviceId = (socket.handshake.auth && socket.handshake.auth.deviceId) || socket.handshake.query.deviceId;
+  const profileId = clientDeviceId ? `web-${clientDeviceId}` : null;
+  const name = (socket.handshake.auth && socket.handshake.auth.name) || `Web Client (${clientIP})`;
+  const handshake = { ...socket.handshake.query, ...socket.handshake.auth };
+  if (profileId) {
+    deviceProfiles.touch(profileId, { name: name, type: 'web' });
+  }
+  const formatError = saveRequestedFormat(profileId, handshake.format);
+  if (formatError) {
+    logger.warn(`Ignoring format from ${name}: ${formatError}`);
+  }
+  
+  const webDevice = {
     type: 'web',
-    name: `Web Client (${clientIP})`,
+    name: name,
     ip: clientIP,
     socket: socket,
-    syncOffset: 0
+    profileId: profileId,
+    supportedCodecs: normalizeSupported(typeof handshake.codecs === 'string' ? handshake.codecs.split(',') : handshake.codecs),
+    syncOffset: profileId ? deviceProfiles.getOffset(profileId, 'web') : SYNC_SYSTEM.delays.web
+  };
+  webDevice.streamFormat = getDeviceFormat(webDevice);
+  SYNC_SYSTEM.devices.set(deviceId, webDevice);
+  
+  socket.emit('stream_format', {
+    url: `/stream/${deviceId}`,
+    format: webDevice.streamFormat,
+    contentType: contentTypeFor(webDevice.streamFormat)
   });
   
   // Send current state
@@ -386,13 +448,14 @@ io.on('connection', (socket) => {
   });
   
   socket.on('seek', (position) => {
-    SYNC_SYSTEM.master.position = position;
-    SYNC_SYSTEM.master.startTime = Date.now() - (position * 1000);
-    broadcastSyncUpdate();
-    logger.info(`⏩ Seeked to ${position}s`);
+    const seconds = Number(position);
+    if (SYNC_SYSTEM.master.currentTrack && Number.isFinite(seconds) && seconds >= 0) {
+      seekPlayback(seconds);
+    }
   });
   
   socket.on('disconnect', () => {
+    stopDeviceStream(deviceId);
     SYNC_SYSTEM.devices.delete(deviceId);
     logger.info(`🔌 Client disconnected: ${socket.id}`);
   });
@@ -401,6 +464,24 @@ io.on('connection', (socket) => {
 // REST API Endpoints
 app.use(express.json());
 
+// Per-device latency profiles; edits apply to connected devices right away
+app.use('/api/devices/profiles', createProfileRouter(deviceProfiles, {
+  onChange: (profile) => {
+    SYNC_SYSTEM.devices.forEach((device, deviceId) => {
+      if (device.profileId === profile.id) {
+        const previousOffset = device.syncOffset;
+        device.syncOffset = deviceProfiles.getOffset(profile.id, device.type);
+        device.streamFormat = getDeviceFormat(device); // Used from the next stream on
+        
+        // A new offset moves where this device should be in the track
+        if (device.syncOffset !== previousOffset && SYNC_SYSTEM.master.isPlaying && SYNC_SYSTEM.streams.has(deviceId)) {
+          createDeviceStream(deviceId, path.join(MUSIC_DIR, SYNC_SYSTEM.master.currentTrack.filename));
+        }
+      }
+    });
+  }
+}));
+
 // Music library
 app.get('/api/library', (req, res) => {
   res.json(musicLibrary);
@@ -435,7 +516,7 @@ app.delete('/api/queue/clear', (req, res) => {
 // Device discovery
 app.get('/api/cast/discover', async (req, res) => {
   try {
-    const devices = await discoverCastDevices();
+    const devices = await discoverCastDevices({ refresh: req.query.refresh === '1' });
     res.json({
       devices: devices,
       devicesFound: devices.length
@@ -447,19 +528,34 @@ app.get('/api/cast/discover', async (req, res) => {
 });
 
 // Cast device connection
-app.post('/api/cast/connect', (req, res) => {
-  const { deviceIP, deviceName, deviceType } = req.body;
+app.post('/api/cast/connect', async (req, res) => {
+  const { deviceIP, deviceName, deviceType, format: requestedFormat } = req.body;
   const deviceId = `cast-${deviceIP}`;
+  const type = deviceType || 'chromecast';
+  
+  const formatError = requestedFormat ? parseFormat(requestedFormat).error : null;
+  if (formatError) {
+    return res.status(400).json({ error: formatError });
+  }
+  
+  // Profile follows the receiver's UUID, so it still applies after an IP change
+  const profileId = await fetchCastDeviceId(deviceIP);
+  deviceProfiles.touch(profileId, { name: deviceName, type: type });
+  saveRequestedFormat(profileId, requestedFormat);
   
-  SYNC_SYSTEM.devices.set(deviceId, {
-    type: deviceType || 'chromecast',
+  const castDevice = {
+    type: type,
     name: deviceName,
     ip: deviceIP,
     socket: null, // Cast devices don't use WebSocket
-    syncOffset: SYNC_SYSTEM.delays[deviceType] || 0
-  });
+    profileId: profileId,
+    supportedCodecs: null,
+    syncOffset: deviceProfiles.getOffset(profileId, type)
+  };
+  castDevice.streamFormat = getDeviceFormat(castDevice);
+  SYNC_SYSTEM.devices.set(deviceId, castDevice);
   
-  logger.success(`📺 Cast device connected: ${deviceName} (${deviceIP})`);
+  logger.success(`📺 Cast device connected: ${deviceName} (${deviceIP}, ${castDevice.syncOffset}ms offset, ${describeFormat(castDevice.streamFormat)})`);
   
   // If currently playing, start stream for this device
   if (SYNC_SYSTEM.master.currentTrack && SYNC_SYSTEM.master.isPlaying) {
@@ -467,7 +563,7 @@ app.post('/api/cast/connect', (req, res) => {
     createDeviceStream(deviceId, trackPath);
   }
   
-  res.json({ success: true });
+  res.json({ success: true, format: castDevice.streamFormat });
 });
 
 // Cast device disconnection
@@ -476,13 +572,7 @@ app.post('/api/cast/disconnect', (req, res) => {
   const deviceId = `cast-${deviceIP}`;
   
   // Stop stream for this device
-  if (SYNC_SYSTEM.streams.has(deviceId)) {
-    const stream = SYNC_SYSTEM.streams.get(deviceId);
-    if (stream && !stream.killed) {
-      stream.kill('SIGTERM');
-    }
-    SYNC_SYSTEM.streams.delete(deviceId);
-  }
+  stopDeviceStream(deviceId);
   
   SYNC_SYSTEM.devices.delete(deviceId);
   logger.info(`📺 Cast device disconnected: ${deviceIP}`);
@@ -495,26 +585,19 @@ app.get('/stream/:deviceId', (req, res) => {
   const deviceId = req.params.deviceId;
   const stream = SYNC_SYSTEM.streams.get(deviceId);
   
-  if (!stream || stream.killed) {
+  if (!stream || !stream.isActive) {
     return res.status(404).json({ error: 'No active stream for device' });
   }
   
   res.set({
-    'Content-Type': 'audio/mpeg',
+    'Content-Type': contentTypeFor(stream.format),
     'Transfer-Encoding': 'chunked',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive'
   });
   
-  stream.stdout.pipe(res);
-  
-  stream.on('error', () => {
-    res.end();
-  });
-  
-  req.on('close', () => {
-    // Client disconnected
-  });
+  // Stays open across pause, seek and resume; a reconnect replaces it
+  stream.attach(res);
 });
 
 // Playback controls
@@ -532,6 +615,19 @@ app.post('/api/pause', (req, res) => {
   res.json({ success: true });
 });
 
+app.post('/api/seek', (req, res) => {
+  const position = Number(req.body.position);
+  if (!Number.isFinite(position) || position < 0) {
+    return res.status(400).json({ error: 'position must be a number of seconds' });
+  }
+  if (!SYNC_SYSTEM.master.currentTrack) {
+    return res.status(409).json({ error: 'Nothing is playing' });
+  }
+  
+  seekPlayback(position);
+  res.json({ success: true, position: position });
+});
+
 app.post('/api/stop', (req, res) => {
   stopPlayback();
   res.json({ success: true });
@@ -570,6 +666,29 @@ app.post('/api/upload', upload.single('musicFile'), (req, res) => {
   });
 });
 
+// DNS-SD advertisement: apps browsing `_multiroom._tcp` find this server,
+// then confirm it's the right one with /api/discovery
+const advertiser = new ServiceAdvertiser({
+  port: PORT,
+  server: 'internal-sync',
+  capabilities: ['library', 'queue', 'cast', 'device-streams', 'device-profiles']
+});
+
+app.get('/api/discovery', (req, res) => {
+  res.json(advertiser.getDescriptor());
+});
+
+// Effective configuration; the drift settings can be changed at runtime
+app.use('/api/config', createConfigRouter(config, {
+  runtimeKeys: ['sync.toleranceMs', 'sync.hardSeekThresholdMs', 'sync.minResyncIntervalMs']
+}));
+
+config.on('change', () => {
+  SYNC_SYSTEM.DRIFT_DEADBAND_MS = config.get('sync.toleranceMs');
+  SYNC_SYSTEM.HARD_SEEK_THRESHOLD_MS = config.get('sync.hardSeekThresholdMs');
+  SYNC_SYSTEM.MIN_RESYNC_INTERVAL_MS = config.get('sync.minResyncIntervalMs');
+});
+
 // Serve static files and React app
 app.use(express.static(path.join(__dirname, 'client/build')));
 app.get('*', (req, res) => {
@@ -579,9 +698,12 @@ app.get('*', (req, res) => {
 // Initialize and start server
 function startServer() {
   initializeMusicLibrary();
+  castDiscovery.start();
   startMasterClock();
+  setInterval(checkStreamDrift, SYNC_SYSTEM.DRIFT_CHECK_MS);
   
-  server.listen(PORT, () => {
+  server.listen(PORT, config.get('host'), () => {
+    if (config.get('mdns.advertise')) advertiser.start();
     logger.success(`🎵 Internal Sync Music Server running on port ${PORT}`);
     logger.info(`Configuration: {
   musicDir: '${MUSIC_DIR}',
@@ -594,12 +716,12 @@ function startServer() {
 // Graceful shutdown
 process.on('SIGINT', () => {
   logger.info('🛑 Shutting down server...');
+  advertiser.stop();
+  castDiscovery.stop();
   
   // Stop all streams
   SYNC_SYSTEM.streams.forEach((stream) => {
-    if (stream && !stream.killed) {
-      stream.kill('SIGTERM');
-    }
+    stream.stop();
   });
   
   if (SYNC_SYSTEM.syncInterval) {
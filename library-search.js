@@ -0,0 +1,197 @@
+// In-memory full-text index over the local library.
+//
+// Query syntax: free words are matched (as prefixes) against title, artist,
+// album and filename, and every word must match somewhere. Field filters narrow
+// the result: artist:, album:, title:, genre: and year: (a year or a range,
+// e.g. year:1990-1999). Filter values can be quoted: artist:"daft punk".
+// Matching ignores case and diacritics, so "beyonce" finds "Beyoncé".
+
+// Relative weight of a match in each field when ranking results
+const FIELD_WEIGHTS = {
+  title: 3,
+  artist: 2,
+  album: 1.5,
+  filename: 1
+};
+
+const FILTER_FIELDS = ['artist', 'album', 'title', 'genre', 'year'];
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+}
+
+function tokenize(text) {
+  return normalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function parseQuery(query) {
+  const terms = [];
+  const filters = {};
+  const pattern = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    const [, field, quotedValue, value, quotedText, text] = match;
+    const key = field && field.toLowerCase();
+
+    if (key && FILTER_FIELDS.includes(key)) {
+      filters[key] = quotedValue !== undefined ? quotedValue : value;
+    } else if (field) {
+      terms.push(...tokenize(match[0])); // Unknown "field:" - search it as text
+    } else {
+      terms.push(...tokenize(quotedText !== undefined ? quotedText : text));
+    }
+  }
+
+  return { terms, filters };
+}
+
+class LibrarySearch {
+  constructor() {
+    this.documents = new Map(); // track id -> { track, fields }
+    this.postings = new Map();  // token -> Map(track id -> weight)
+  }
+
+  build(tracks) {
+    this.documents.clear();
+    this.postings.clear();
+    tracks.forEach(track => this.add(track));
+  }
+
+  add(track) {
+    if (this.documents.has(track.id)) {
+      this.remove(track.id);
+    }
+
+    const fields = {
+      title: normalize(track.title),
+      artist: normalize([track.artist, track.albumArtist].filter(Boolean).join(' ')),
+      album: normalize(track.album),
+      genre: normalize(track.genre),
+      filename: normalize(track.file || track.name),
+      year: track.year || null
+    };
+
+    this.documents.set(track.id, { track, fields });
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const token of tokenize(fields[field])) {
+        if (!this.postings.has(token)) {
+          this.postings.set(token, new Map());
+        }
+        const posting = this.postings.get(token);
+        posting.set(track.id, Math.max(posting.get(track.id) || 0, weight));
+      }
+    }
+  }
+
+  remove(trackId) {
+    const document = this.documents.get(trackId);
+    if (!document) return;
+
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      for (const token of tokenize(document.fields[field])) {
+        const posting = this.postings.get(token);
+        if (!posting) continue;
+        posting.delete(trackId);
+        if (posting.size === 0) this.postings.delete(token);
+      }
+    }
+
+    this.documents.delete(trackId);
+  }
+
+  // Score every document that matches a term (exact token or prefix)
+  matchTerm(term) {
+    const scores = new Map();
+
+    for (const [token, posting] of this.postings) {
+      if (!token.startsWith(term)) continue;
+
+      // Exact token matches rank above prefix matches
+      const factor = token === term ? 1 : 0.5;
+      for (const [trackId, weight] of posting) {
+        scores.set(trackId, Math.max(scores.get(trackId) || 0, weight * factor));
+      }
+    }
+
+    return scores;
+  }
+
+  matchesFilters(fields, filters) {
+    for (const [field, value] of Object.entries(filters)) {
+      if (field === 'year') {
+        const range = String(value).match(/^(\d{4})(?:-(\d{4}))?$/);
+        if (!range || !fields.year) return false;
+        const from = parseInt(range[1], 10);
+        const to = range[2] ? parseInt(range[2], 10) : from;
+        if (fields.year < from || fields.year > to) return false;
+      } else {
+        const haystack = tokenize(fields[field]);
+        const needles = tokenize(value);
+        if (!needles.every(needle => haystack.some(token => token.startsWith(needle)))) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  search(query, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+    const { terms, filters } = parseQuery(query);
+
+    let scores = null;
+
+    // Every term has to match; a document's score is the sum over terms
+    for (const term of terms) {
+      const termScores = this.matchTerm(term);
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        for (const [trackId, score] of scores) {
+          if (termScores.has(trackId)) {
+            scores.set(trackId, score + termScores.get(trackId));
+          } else {
+            scores.delete(trackId);
+          }
+        }
+      }
+    }
+
+    // Filter-only queries match everything the filters allow
+    if (scores === null) {
+      const hasFilters = Object.keys(filters).length > 0;
+      scores = new Map(hasFilters ? Array.from(this.documents.keys(), trackId => [trackId, 0]) : []);
+    }
+
+    const results = [];
+    for (const [trackId, score] of scores) {
+      const document = this.documents.get(trackId);
+      if (document && this.matchesFilters(document.fields, filters)) {
+        results.push({ track: document.track, score });
+      }
+    }
+
+    results.sort((a, b) =>
+      b.score - a.score ||
+      a.track.file.localeCompare(b.track.file, undefined, { numeric: true })
+    );
+
+    return {
+      query: String(query || ''),
+      terms,
+      filters,
+      total: results.length,
+      offset,
+      limit,
+      results: results.slice(offset, offset + limit)
+    };
+  }
+}
+
+module.exports = LibrarySearch;
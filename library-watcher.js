@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Watches the music directory and feeds changed paths to MusicLibrary.update()
+// once things have been quiet for `debounceMs`, so a file being copied in over
+// SMB/rsync is only indexed after the copy finishes. Emits 'changes' with
+// { added, removed, updated } whenever the library actually changed.
+class LibraryWatcher extends EventEmitter {
+  constructor(library, options = {}) {
+    super();
+    this.library = library;
+    this.debounceMs = options.debounceMs || 2000;
+    // Long copies keep resetting the debounce; don't hold changes back forever
+    this.maxWaitMs = options.maxWaitMs || 15000;
+    this.firstPendingAt = 0;
+    this.pendingPaths = new Set();
+    this.debounceTimer = null;
+    this.watchers = new Map(); // relative dir -> fs.FSWatcher
+    this.recursive = true;
+  }
+
+  start() {
+    try {
+      // Native recursive watching (macOS, Windows, Linux on Node 20+)
+      const watcher = fs.watch(this.library.musicDir, { recursive: true }, (eventType, filename) => {
+        this.queueChange(filename);
+      });
+      watcher.on('error', (error) => console.error('❌ Library watcher error:', error.message));
+      this.watchers.set('', watcher);
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+
+      // Older Node on Linux: watch every folder individually
+      this.recursive = false;
+      this.watchFolders();
+    }
+
+    console.log(`👀 Watching ${this.library.musicDir} for library changes`);
+  }
+
+  stop() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = null;
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+  }
+
+  // Per-folder fallback: make sure every folder in the library has a watcher
+  watchFolders() {
+    for (const folder of this.listFolders('')) {
+      if (this.watchers.has(folder)) continue;
+
+      try {
+        const watcher = fs.watch(path.join(this.library.musicDir, folder), (eventType, filename) => {
+          this.queueChange(filename ? (folder ? `${folder}/${filename}` : filename) : folder);
+        });
+        watcher.on('error', () => {
+          watcher.close();
+          this.watchers.delete(folder);
+        });
+        this.watchers.set(folder, watcher);
+      } catch (error) {
+        // Folder disappeared between the scan and now
+      }
+    }
+  }
+
+  listFolders(folder) {
+    const folders = [folder];
+    try {
+      for (const dirent of fs.readdirSync(path.join(this.library.musicDir, folder), { withFileTypes: true })) {
+        if (dirent.isDirectory() && !dirent.name.startsWith('.')) {
+          folders.push(...this.listFolders(folder ? `${folder}/${dirent.name}` : dirent.name));
+        }
+      }
+    } catch (error) {
+      // Folder removed while walking
+    }
+    return folders;
+  }
+
+  queueChange(filename) {
+    // Some platforms don't report a filename; re-check the whole library then
+    const relativePath = filename ? filename.toString().split(path.sep).join('/') : '';
+    this.pendingPaths.add(relativePath);
+
+    if (!this.firstPendingAt) {
+      this.firstPendingAt = Date.now();
+    }
+
+    const wait = Math.min(this.debounceMs, Math.max(0, this.firstPendingAt + this.maxWaitMs - Date.now()));
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.flush(), wait);
+  }
+
+  flush() {
+    this.debounceTimer = null;
+    this.firstPendingAt = 0;
+    const paths = Array.from(this.pendingPaths);
+    this.pendingPaths.clear();
+
+    let changes;
+    try {
+      changes = this.library.update(paths);
+    } catch (error) {
+      console.error('❌ Failed to update library:', error.message);
+      return;
+    }
+
+    if (!this.recursive) {
+      this.watchFolders();
+    }
+
+    const { added, removed, updated } = changes;
+    if (added.length || removed.length || updated.length) {
+      console.log(`📚 Library changed: +${added.length} -${removed.length} ~${updated.length}`);
+      this.emit('changes', changes);
+    }
+  }
+}
+
+module.exports = LibraryWatcher;
@@ -0,0 +1,201 @@
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+
+// Loudness normalization. Gains come from ReplayGain tags when a file has
+// them, otherwise from integrated loudness (EBU R128) measured with ffmpeg's
+// loudnorm filter and cached in the library index.
+
+// ReplayGain 2.0 reference level; tagged gains are relative to this too
+const TARGET_LUFS = -18;
+const NORMALIZATION_MODES = ['off', 'track', 'album'];
+
+function parseGain(value) {
+  const gain = parseFloat(String(value || '').replace(/\s*dB\s*$/i, ''));
+  return Number.isFinite(gain) ? gain : null;
+}
+
+function parsePeak(value) {
+  const peak = parseFloat(value);
+  return Number.isFinite(peak) && peak > 0 ? peak : null;
+}
+
+// REPLAYGAIN_* tags (TXXX, Vorbis comments, iTunes ---- atoms) -> gains in dB, linear peaks
+function readReplayGain(tags = {}) {
+  const replayGain = {
+    trackGain: parseGain(tags.REPLAYGAIN_TRACK_GAIN),
+    trackPeak: parsePeak(tags.REPLAYGAIN_TRACK_PEAK),
+    albumGain: parseGain(tags.REPLAYGAIN_ALBUM_GAIN),
+    albumPeak: parsePeak(tags.REPLAYGAIN_ALBUM_PEAK)
+  };
+
+  return replayGain.trackGain !== null || replayGain.albumGain !== null ? replayGain : null;
+}
+
+// Album loudness from per-track measurements: energy average weighted by duration
+function albumLoudness(tracks) {
+  let energy = 0;
+  let totalDuration = 0;
+  let truePeak = -Infinity;
+
+  for (const track of tracks) {
+    if (!track.loudness) return null; // Not all measured yet
+    const duration = track.duration || 1;
+    energy += duration * Math.pow(10, track.loudness.integrated / 10);
+    totalDuration += duration;
+    truePeak = Math.max(truePeak, track.loudness.truePeak);
+  }
+
+  if (totalDuration === 0) return null;
+  return { integrated: 10 * Math.log10(energy / totalDuration), truePeak };
+}
+
+function albumKey(track) {
+  if (!track.album) return null;
+  return `${track.folder}\u0000${track.album}`;
+}
+
+// Gain (dB) to apply to `track` for `mode`, or null if there's nothing to go on.
+// `libraryTracks` is used to find the rest of the album for measured album gain.
+// Gains are limited so the (true) peak stays below 0 dBFS.
+function computeGain(track, libraryTracks, { mode = 'track', preampDb = 0 } = {}) {
+  if (mode === 'off' || !track) return null;
+
+  const tagged = track.replayGain;
+  let gain = null;
+  let peak = null;
+
+  if (tagged) {
+    if (mode === 'album' && tagged.albumGain !== null) {
+      gain = tagged.albumGain;
+      peak = tagged.albumPeak;
+    } else {
+      gain = tagged.trackGain !== null ? tagged.trackGain : tagged.albumGain;
+      peak = tagged.trackGain !== null ? tagged.trackPeak : tagged.albumPeak;
+    }
+  }
+
+  if (gain === null && track.loudness) {
+    let measured = track.loudness;
+    const key = mode === 'album' && albumKey(track);
+    if (key) {
+      measured = albumLoudness(libraryTracks.filter(other => albumKey(other) === key)) || measured;
+    }
+    gain = TARGET_LUFS - measured.integrated;
+    peak = Math.pow(10, measured.truePeak / 20);
+  }
+
+  if (gain === null) return null;
+
+  gain += preampDb;
+  if (peak) {
+    gain = Math.min(gain, -20 * Math.log10(peak));
+  }
+
+  return Math.round(gain * 100) / 100;
+}
+
+// Runs ffmpeg over files one at a time in the background and reports the
+// integrated loudness and true peak of each. Emits 'measured' (file, loudness)
+// and 'drain' when the queue is empty.
+class LoudnessAnalyzer extends EventEmitter {
+  constructor(ffmpegPath) {
+    super();
+    this.ffmpegPath = ffmpegPath;
+    this.pending = [];    // { file, path }
+    this.queued = new Set();
+    this.active = null;
+    this.stopped = false;
+  }
+
+  enqueue(file, filePath) {
+    if (this.queued.has(file)) return;
+    this.queued.add(file);
+    this.pending.push({ file, path: filePath });
+    this.processNext();
+  }
+
+  stop() {
+    this.stopped = true;
+    this.pending = [];
+    this.queued.clear();
+    if (this.active) {
+      this.active.kill('SIGTERM');
+    }
+  }
+
+  processNext() {
+    if (this.active || this.stopped) return;
+
+    const job = this.pending.shift();
+    if (!job) {
+      this.emit('drain');
+      return;
+    }
+
+    this.measure(job.path, (error, loudness) => {
+      this.queued.delete(job.file);
+      if (error) {
+        console.error(`❌ Loudness analysis failed for ${job.file}:`, error.message);
+      } else {
+        this.emit('measured', job.file, loudness);
+      }
+      this.processNext();
+    });
+  }
+
+  measure(filePath, callback) {
+    let stderr = '';
+    const analysis = spawn(this.ffmpegPath, [
+      '-hide_banner', '-nostats',
+      '-i', filePath,
+      '-vn',
+      '-af', 'loudnorm=print_format=json',
+      '-f', 'null', '-'
+    ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+    this.active = analysis;
+    analysis.stderr.on('data', (chunk) => {
+      // Only the JSON summary at the end matters
+      stderr = (stderr + chunk.toString()).slice(-4096);
+    });
+    analysis.on('error', (error) => {
+      this.active = null;
+      if (error.code === 'ENOENT') {
+        // No point trying the rest of the library
+        console.error(`❌ ffmpeg not found at ${this.ffmpegPath}, loudness analysis disabled`);
+        this.stop();
+        return;
+      }
+      callback(error);
+    });
+    analysis.on('close', (code) => {
+      if (this.active !== analysis) return; // Already failed to spawn
+      this.active = null;
+
+      const summary = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+      if (code !== 0 || !summary) {
+        return callback(new Error(`ffmpeg exited with code ${code}`));
+      }
+
+      const result = JSON.parse(summary[0]);
+      const integrated = parseFloat(result.input_i);
+      const truePeak = parseFloat(result.input_tp);
+      if (!Number.isFinite(integrated)) {
+        return callback(new Error('silent or unreadable audio'));
+      }
+
+      callback(null, {
+        integrated: Math.round(integrated * 100) / 100,
+        truePeak: Number.isFinite(truePeak) ? Math.round(truePeak * 100) / 100 : 0
+      });
+    });
+  }
+}
+
+module.exports = {
+  TARGET_LUFS,
+  NORMALIZATION_MODES,
+  readReplayGain,
+  computeGain,
+  LoudnessAnalyzer
+};
@@ -0,0 +1,366 @@
+const os = require('os');
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+
+// Minimal multicast DNS (RFC 6762) for DNS-SD browsing and advertising: a
+// packet encoder/decoder for the record types service discovery uses, and a
+// socket on the mDNS group. Not a full responder (no probing or conflict
+// resolution); enough to find Cast receivers and announce this server.
+
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+
+const TYPES = { A: 1, PTR: 12, TXT: 16, AAAA: 28, SRV: 33, ANY: 255 };
+const TYPE_NAMES = Object.fromEntries(Object.entries(TYPES).map(([name, code]) => [code, name]));
+
+const CLASS_IN = 1;
+const CACHE_FLUSH = 0x8000; // Top bit of an answer's class
+const UNICAST_RESPONSE = 0x8000; // Top bit of a question's class
+const FLAG_RESPONSE = 0x8000;
+const FLAG_AUTHORITATIVE = 0x0400;
+
+// ============================================================================
+// PACKET ENCODING
+// ============================================================================
+
+function encodeName(name) {
+  const labels = name.replace(/\.$/, '').split('.').filter(Boolean);
+  const parts = labels.map((label) => {
+    const bytes = Buffer.from(label, 'utf8');
+    return Buffer.concat([Buffer.from([Math.min(bytes.length, 63)]), bytes.subarray(0, 63)]);
+  });
+  return Buffer.concat([...parts, Buffer.alloc(1)]);
+}
+
+// TXT data from { key: value } (true for bare keys) or an array of strings
+function encodeTxt(data) {
+  const entries = Array.isArray(data)
+    ? data
+    : Object.entries(data || {}).map(([key, value]) => (value === true ? key : `${key}=${value}`));
+  if (entries.length === 0) return Buffer.alloc(1); // A TXT record can't be empty
+  return Buffer.concat(entries.map((entry) => {
+    const bytes = Buffer.from(String(entry), 'utf8').subarray(0, 255);
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  }));
+}
+
+function encodeRdata(record) {
+  switch (record.type) {
+    case 'A':
+      return Buffer.from(record.data.split('.').map(Number));
+    case 'AAAA': {
+      const [head, tail = ''] = record.data.split('::');
+      const headGroups = head ? head.split(':') : [];
+      const tailGroups = tail ? tail.split(':') : [];
+      const groups = record.data.includes('::')
+        ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+        : headGroups;
+      const buffer = Buffer.alloc(16);
+      groups.forEach((group, index) => buffer.writeUInt16BE(parseInt(group, 16) || 0, index * 2));
+      return buffer;
+    }
+    case 'PTR':
+      return encodeName(record.data);
+    case 'SRV': {
+      const header = Buffer.alloc(6);
+      header.writeUInt16BE(record.data.priority || 0, 0);
+      header.writeUInt16BE(record.data.weight || 0, 2);
+      header.writeUInt16BE(record.data.port, 4);
+      return Buffer.concat([header, encodeName(record.data.target)]);
+    }
+    case 'TXT':
+      return encodeTxt(record.data);
+    default:
+      return Buffer.isBuffer(record.data) ? record.data : Buffer.alloc(0);
+  }
+}
+
+function encodeRecord(record) {
+  const rdata = encodeRdata(record);
+  const fixed = Buffer.alloc(10);
+  fixed.writeUInt16BE(TYPES[record.type], 0);
+  fixed.writeUInt16BE(CLASS_IN | (record.flush ? CACHE_FLUSH : 0), 2);
+  fixed.writeUInt32BE(record.ttl === undefined ? 120 : record.ttl, 4);
+  fixed.writeUInt16BE(rdata.length, 8);
+  return Buffer.concat([encodeName(record.name), fixed, rdata]);
+}
+
+function encodeQuestion(question) {
+  const fixed = Buffer.alloc(4);
+  fixed.writeUInt16BE(TYPES[question.type || 'ANY'], 0);
+  fixed.writeUInt16BE(CLASS_IN | (question.unicast ? UNICAST_RESPONSE : 0), 2);
+  return Buffer.concat([encodeName(question.name), fixed]);
+}
+
+// { id, response, questions, answers, additionals } -> Buffer. Names are
+// written without compression, which every decoder accepts.
+function encodePacket(packet) {
+  const questions = packet.questions || [];
+  const answers = packet.answers || [];
+  const additionals = packet.additionals || [];
+
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(packet.id || 0, 0);
+  header.writeUInt16BE(packet.response ? FLAG_RESPONSE | FLAG_AUTHORITATIVE : 0, 2);
+  header.writeUInt16BE(questions.length, 4);
+  header.writeUInt16BE(answers.length, 6);
+  header.writeUInt16BE(0, 8);
+  header.writeUInt16BE(additionals.length, 10);
+
+  return Buffer.concat([
+    header,
+    ...questions.map(encodeQuestion),
+    ...answers.map(encodeRecord),
+    ...additionals.map(encodeRecord)
+  ]);
+}
+
+// ============================================================================
+// PACKET DECODING
+// ============================================================================
+
+// Returns { name, offset } where offset is just past the name in place
+// (compression pointers are followed but don't move it)
+function decodeName(buffer, offset) {
+  const labels = [];
+  let position = offset;
+  let end = null;
+  let jumps = 0;
+
+  for (;;) {
+    if (position >= buffer.length) throw new Error('Name runs past end of packet');
+    const length = buffer[position];
+
+    if (length === 0) {
+      position += 1;
+      break;
+    }
+    if ((length & 0xc0) === 0xc0) {
+      if (++jumps > 32) throw new Error('Compression loop');
+      if (end === null) end = position + 2;
+      position = buffer.readUInt16BE(position) & 0x3fff;
+      continue;
+    }
+
+    labels.push(buffer.toString('utf8', position + 1, position + 1 + length));
+    position += 1 + length;
+  }
+
+  return { name: labels.join('.'), offset: end === null ? position : end };
+}
+
+function decodeTxt(rdata) {
+  const data = {};
+  let position = 0;
+  while (position < rdata.length) {
+    const length = rdata[position];
+    const entry = rdata.toString('utf8', position + 1, position + 1 + length);
+    position += 1 + length;
+    if (!entry) continue;
+
+    const separator = entry.indexOf('=');
+    if (separator === -1) data[entry] = true;
+    else data[entry.slice(0, separator)] = entry.slice(separator + 1);
+  }
+  return data;
+}
+
+function decodeRdata(buffer, type, offset, length) {
+  const rdata = buffer.subarray(offset, offset + length);
+  switch (type) {
+    case 'A':
+      return Array.from(rdata).join('.');
+    case 'AAAA': {
+      const groups = [];
+      for (let i = 0; i < 16; i += 2) groups.push(rdata.readUInt16BE(i).toString(16));
+      return groups.join(':');
+    }
+    case 'PTR':
+      return decodeName(buffer, offset).name;
+    case 'SRV':
+      return {
+        priority: buffer.readUInt16BE(offset),
+        weight: buffer.readUInt16BE(offset + 2),
+        port: buffer.readUInt16BE(offset + 4),
+        target: decodeName(buffer, offset + 6).name
+      };
+    case 'TXT':
+      return decodeTxt(rdata);
+    default:
+      return rdata;
+  }
+}
+
+function decodeRecord(buffer, offset) {
+  const { name, offset: fixedOffset } = decodeName(buffer, offset);
+  const typeCode = buffer.readUInt16BE(fixedOffset);
+  const classField = buffer.readUInt16BE(fixedOffset + 2);
+  const ttl = buffer.readUInt32BE(fixedOffset + 4);
+  const length = buffer.readUInt16BE(fixedOffset + 8);
+  const rdataOffset = fixedOffset + 10;
+  if (rdataOffset + length > buffer.length) throw new Error('Record runs past end of packet');
+
+  const type = TYPE_NAMES[typeCode] || typeCode;
+  return {
+    record: {
+      name: name,
+      type: type,
+      flush: Boolean(classField & CACHE_FLUSH),
+      ttl: ttl,
+      data: decodeRdata(buffer, type, rdataOffset, length)
+    },
+    offset: rdataOffset + length
+  };
+}
+
+// Buffer -> { id, response, questions, answers, authorities, additionals }; throws on malformed input
+function decodePacket(buffer) {
+  if (buffer.length < 12) throw new Error('Packet shorter than a DNS header');
+
+  const packet = {
+    id: buffer.readUInt16BE(0),
+    response: Boolean(buffer.readUInt16BE(2) & FLAG_RESPONSE),
+    questions: [],
+    answers: [],
+    authorities: [],
+    additionals: []
+  };
+  const counts = [4, 6, 8, 10].map(position => buffer.readUInt16BE(position));
+
+  let offset = 12;
+  for (let i = 0; i < counts[0]; i++) {
+    const { name, offset: fixedOffset } = decodeName(buffer, offset);
+    const classField = buffer.readUInt16BE(fixedOffset + 2);
+    packet.questions.push({
+      name: name,
+      type: TYPE_NAMES[buffer.readUInt16BE(fixedOffset)] || buffer.readUInt16BE(fixedOffset),
+      unicast: Boolean(classField & UNICAST_RESPONSE)
+    });
+    offset = fixedOffset + 4;
+  }
+
+  [['answers', counts[1]], ['authorities', counts[2]], ['additionals', counts[3]]].forEach(([section, count]) => {
+    for (let i = 0; i < count; i++) {
+      const decoded = decodeRecord(buffer, offset);
+      packet[section].push(decoded.record);
+      offset = decoded.offset;
+    }
+  });
+
+  return packet;
+}
+
+// ============================================================================
+// SOCKET
+// ============================================================================
+
+// Emits 'query' and 'response' (packet, rinfo). Binds the mDNS port so it
+// hears announcements from the whole network; if another responder holds the
+// port exclusively it falls back to a random one, where queries still get
+// (unicast) answers but unsolicited announcements are missed.
+class MdnsSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.socket = null;
+    this.port = null;
+    this.pendingSends = 0;
+  }
+
+  start() {
+    if (this.socket) return Promise.resolve();
+    return this.bind(MDNS_PORT).catch((error) => {
+      console.warn(`⚠️  mDNS port ${MDNS_PORT} unavailable (${error.code || error.message}), using one-shot queries`);
+      return this.bind(0);
+    });
+  }
+
+  bind(port) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+      socket.once('error', reject);
+      socket.bind(port, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', error => this.emit('error', error));
+        try {
+          if (port === MDNS_PORT) socket.addMembership(MDNS_ADDRESS);
+          socket.setMulticastTTL(255);
+          socket.setMulticastLoopback(true);
+        } catch (error) {
+          socket.close();
+          reject(error);
+          return;
+        }
+
+        socket.on('message', (message, rinfo) => this.handleMessage(message, rinfo));
+        this.socket = socket;
+        this.port = socket.address().port;
+        resolve();
+      });
+    });
+  }
+
+  handleMessage(message, rinfo) {
+    let packet;
+    try {
+      packet = decodePacket(message);
+    } catch (error) {
+      return; // Not ours to fix
+    }
+    this.emit(packet.response ? 'response' : 'query', packet, rinfo);
+  }
+
+  send(packet, address = MDNS_ADDRESS, port = MDNS_PORT) {
+    if (!this.socket) return;
+    const socket = this.socket;
+    const message = encodePacket(packet);
+    this.pendingSends++;
+    socket.send(message, 0, message.length, port, address, (error) => {
+      this.pendingSends--;
+      if (error) this.emit('error', error);
+      if (socket.closing && this.pendingSends === 0) socket.close();
+    });
+  }
+
+  // Questions: [{ name, type }]. Off the mDNS port, ask for unicast replies.
+  query(questions) {
+    const unicast = this.port !== MDNS_PORT;
+    this.send({ questions: questions.map(question => ({ ...question, unicast: question.unicast || unicast })) });
+  }
+
+  // With a destination, replies unicast; legacy (non-5353) queriers also
+  // need their `id` and questions echoed back
+  respond({ answers, additionals = [], id = 0, questions = [] }, destination = null) {
+    const packet = { id: id, response: true, questions: questions, answers: answers, additionals: additionals };
+    if (destination) this.send(packet, destination.address, destination.port);
+    else this.send(packet);
+  }
+
+  // Packets already handed to send() (e.g. goodbyes) still go out
+  stop() {
+    if (!this.socket) return;
+    if (this.pendingSends > 0) this.socket.closing = true;
+    else this.socket.close();
+    this.socket = null;
+    this.port = null;
+  }
+}
+
+// IPv4 addresses of this machine's LAN interfaces
+function localIPv4Addresses() {
+  const addresses = [];
+  Object.values(os.networkInterfaces()).forEach((entries) => {
+    (entries || []).forEach((entry) => {
+      if (entry.family === 'IPv4' && !entry.internal) addresses.push(entry.address);
+    });
+  });
+  return addresses;
+}
+
+module.exports = {
+  MDNS_PORT,
+  encodePacket,
+  decodePacket,
+  localIPv4Addresses,
+  MdnsSocket
+};
@@ -0,0 +1,676 @@
+const fs = require('fs');
+const path = require('path');
+
+// Reads tags and stream info from MP3 (ID3v1/ID3v2 + Xing/VBRI), FLAC (Vorbis
+// comments), M4A (iTunes ilst atoms) and WAV (LIST/INFO + id3 chunk) files.
+// Only the headers are read, never the whole file.
+
+// ID3v1 genre list (numeric references are also used by ID3v2 "(17)" style TCON frames)
+const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop', 'Jazz', 'Metal',
+  'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock', 'Techno', 'Industrial',
+  'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk',
+  'Fusion', 'Trance', 'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock', 'Ethnic', 'Gothic',
+  'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta',
+  'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave', 'Psychadelic', 'Rave', 'Showtunes',
+  'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock'
+];
+
+const MP3_BITRATES = {
+  // [versionKey][layer] -> kbps by index
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+// Maps ID3v2.2/2.3/2.4 frame ids onto our field names
+const ID3_TEXT_FRAMES = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TPE2: 'albumArtist', TP2: 'albumArtist',
+  TALB: 'album', TAL: 'album',
+  TRCK: 'track', TRK: 'track',
+  TPOS: 'disc', TPA: 'disc',
+  TCON: 'genre', TCO: 'genre',
+  TYER: 'year', TYE: 'year', TDRC: 'year', TDOR: 'year',
+  TLEN: 'length', TLE: 'length'
+};
+
+// Maps Vorbis comment and RIFF INFO keys onto our field names
+const VORBIS_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUMARTIST: 'albumArtist',
+  'ALBUM ARTIST': 'albumArtist',
+  ALBUM: 'album',
+  TRACKNUMBER: 'track',
+  DISCNUMBER: 'disc',
+  GENRE: 'genre',
+  DATE: 'year',
+  YEAR: 'year'
+};
+
+const RIFF_INFO_FIELDS = {
+  INAM: 'title',
+  IART: 'artist',
+  IPRD: 'album',
+  IGNR: 'genre',
+  ICRD: 'year',
+  ITRK: 'track',
+  IPRT: 'track'
+};
+
+const MP4_FIELDS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  aART: 'albumArtist',
+  '©alb': 'album',
+  '©gen': 'genre',
+  '©day': 'year'
+};
+
+// =============================================================================
+// FILE HELPERS
+// =============================================================================
+
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return bytesRead < length ? buffer.subarray(0, bytesRead) : buffer;
+}
+
+function readSyncSafe(buffer, offset) {
+  return ((buffer[offset] & 0x7f) << 21) |
+    ((buffer[offset + 1] & 0x7f) << 14) |
+    ((buffer[offset + 2] & 0x7f) << 7) |
+    (buffer[offset + 3] & 0x7f);
+}
+
+function removeUnsynchronisation(buffer) {
+  const out = Buffer.alloc(buffer.length);
+  let length = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    out[length++] = buffer[i];
+    if (buffer[i] === 0xff && buffer[i + 1] === 0x00) i++;
+  }
+  return out.subarray(0, length);
+}
+
+function decodeText(buffer, encoding) {
+  switch (encoding) {
+    case 1: { // UTF-16 with BOM
+      if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        return swapBytes(buffer.subarray(2)).toString('utf16le');
+      }
+      const start = buffer[0] === 0xff && buffer[1] === 0xfe ? 2 : 0;
+      return buffer.subarray(start).toString('utf16le');
+    }
+    case 2: // UTF-16BE without BOM
+      return swapBytes(buffer).toString('utf16le');
+    case 3:
+      return buffer.toString('utf8');
+    default:
+      return buffer.toString('latin1');
+  }
+}
+
+function swapBytes(buffer) {
+  const copy = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+  return copy.swap16();
+}
+
+// Find the end of a null-terminated string; UTF-16 encodings use a double null
+function findTerminator(buffer, offset, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  for (let i = offset; i < buffer.length; i += wide ? 2 : 1) {
+    if (buffer[i] === 0 && (!wide || buffer[i + 1] === 0)) {
+      return { end: i, next: i + (wide ? 2 : 1) };
+    }
+  }
+  return { end: buffer.length, next: buffer.length };
+}
+
+function cleanString(value) {
+  return value.replace(/\u0000+$/g, '').replace(/\u0000/g, '/').trim();
+}
+
+// "3/12" -> { number: 3, total: 12 }
+function parseNumberPair(value) {
+  if (value === undefined || value === null) return { number: null, total: null };
+  const [number, total] = String(value).split('/');
+  const parsedNumber = parseInt(number, 10);
+  const parsedTotal = parseInt(total, 10);
+  return {
+    number: Number.isFinite(parsedNumber) ? parsedNumber : null,
+    total: Number.isFinite(parsedTotal) ? parsedTotal : null
+  };
+}
+
+function parseYear(value) {
+  const match = value && String(value).match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+// "(17)Rock" / "(17)" / "17" -> "Rock"
+function parseGenre(value) {
+  if (!value) return null;
+  const match = String(value).match(/^\((\d+)\)(.*)$/) || String(value).match(/^(\d+)()$/);
+  if (match) {
+    return match[2] || ID3_GENRES[parseInt(match[1], 10)] || null;
+  }
+  return String(value);
+}
+
+// =============================================================================
+// ID3
+// =============================================================================
+
+function parseId3v2(buffer, raw) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+
+  const version = buffer[3];
+  const flags = buffer[5];
+  const tagSize = readSyncSafe(buffer, 6);
+  let body = buffer.subarray(10, 10 + tagSize);
+
+  if (version < 4 && (flags & 0x80)) {
+    body = removeUnsynchronisation(body);
+  }
+
+  let offset = 0;
+  if (flags & 0x40) {
+    offset = version === 4 ? readSyncSafe(body, 0) : body.readUInt32BE(0) + 4;
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+
+  while (offset + headerLength <= body.length) {
+    const id = body.toString('latin1', offset, offset + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+    let frameSize;
+    if (version === 2) {
+      frameSize = body.readUIntBE(offset + 3, 3);
+    } else if (version === 4) {
+      frameSize = readSyncSafe(body, offset + 4);
+    } else {
+      frameSize = body.readUInt32BE(offset + 4);
+    }
+
+    const formatFlags = version === 2 ? 0 : body[offset + 9];
+    let frame = body.subarray(offset + headerLength, offset + headerLength + frameSize);
+    offset += headerLength + frameSize;
+
+    if (version === 4 && (formatFlags & 0x02)) {
+      frame = removeUnsynchronisation(frame);
+    }
+    if (version === 4 && (formatFlags & 0x01)) {
+      frame = frame.subarray(4); // Data length indicator
+    }
+    if (frame.length === 0) continue;
+
+    if (ID3_TEXT_FRAMES[id]) {
+      const field = ID3_TEXT_FRAMES[id];
+      if (raw[field] === undefined) {
+        raw[field] = cleanString(decodeText(frame.subarray(1), frame[0]));
+      }
+    } else if (id === 'TXXX' || id === 'TXX') {
+      const encoding = frame[0];
+      const { end, next } = findTerminator(frame, 1, encoding);
+      const key = cleanString(decodeText(frame.subarray(1, end), encoding)).toUpperCase();
+      const value = cleanString(decodeText(frame.subarray(next), encoding));
+      if (key) raw.tags[key] = value;
+    } else if ((id === 'APIC' || id === 'PIC') && !raw.picture) {
+      raw.picture = parseId3Picture(frame, id === 'PIC');
+    }
+  }
+
+  return 10 + tagSize + (flags & 0x10 ? 10 : 0);
+}
+
+function parseId3Picture(frame, isV22) {
+  const encoding = frame[0];
+  let offset = 1;
+  let mime;
+
+  if (isV22) {
+    const format = frame.toString('latin1', 1, 4).toLowerCase();
+    mime = format === 'png' ? 'image/png' : 'image/jpeg';
+    offset = 4;
+  } else {
+    const { end, next } = findTerminator(frame, 1, 0);
+    mime = frame.toString('latin1', 1, end) || 'image/jpeg';
+    if (!mime.includes('/')) mime = `image/${mime.toLowerCase()}`;
+    offset = next;
+  }
+
+  offset += 1; // Picture type
+  const { next } = findTerminator(frame, offset, encoding);
+  return { mime: mime, data: Buffer.from(frame.subarray(next)) };
+}
+
+function parseId3v1(fd, fileSize, raw) {
+  if (fileSize < 128) return false;
+
+  const tag = readBytes(fd, fileSize - 128, 128);
+  if (tag.toString('latin1', 0, 3) !== 'TAG') return false;
+
+  const text = (start, length) => cleanString(tag.toString('latin1', start, start + length));
+  const fill = (field, value) => {
+    if (raw[field] === undefined && value) raw[field] = value;
+  };
+
+  fill('title', text(3, 30));
+  fill('artist', text(33, 30));
+  fill('album', text(63, 30));
+  fill('year', text(93, 4));
+  if (tag[125] === 0 && tag[126] !== 0) fill('track', String(tag[126]));
+  if (tag[127] < ID3_GENRES.length) fill('genre', ID3_GENRES[tag[127]]);
+
+  return true;
+}
+
+// =============================================================================
+// MP3 STREAM INFO
+// =============================================================================
+
+function parseMp3FrameHeader(buffer, offset) {
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const bitrate = MP3_BITRATES[version === 1 ? 1 : 2][layer][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const mono = ((buffer[offset + 3] >> 6) & 0x03) === 3;
+
+  let samplesPerFrame = 1152;
+  if (layer === 1) samplesPerFrame = 384;
+  else if (layer === 3 && version !== 1) samplesPerFrame = 576;
+
+  return { version, layer, bitrate, sampleRate, mono, samplesPerFrame };
+}
+
+function parseMp3StreamInfo(fd, audioStart, audioEnd) {
+  const buffer = readBytes(fd, audioStart, 64 * 1024);
+
+  for (let offset = 0; offset < buffer.length - 4; offset++) {
+    const header = parseMp3FrameHeader(buffer, offset);
+    if (!header) continue;
+
+    const info = {
+      sampleRate: header.sampleRate,
+      channels: header.mono ? 1 : 2,
+      bitrate: header.bitrate,
+      duration: 0
+    };
+
+    // Xing/Info (LAME) or VBRI headers carry the exact frame count
+    const sideInfoSize = header.version === 1 ? (header.mono ? 17 : 32) : (header.mono ? 9 : 17);
+    const xingOffset = offset + 4 + sideInfoSize;
+    const xingId = buffer.toString('latin1', xingOffset, xingOffset + 4);
+    const vbriOffset = offset + 36;
+
+    let frames = 0;
+    if ((xingId === 'Xing' || xingId === 'Info') && (buffer.readUInt32BE(xingOffset + 4) & 0x01)) {
+      frames = buffer.readUInt32BE(xingOffset + 8);
+    } else if (buffer.toString('latin1', vbriOffset, vbriOffset + 4) === 'VBRI') {
+      frames = buffer.readUInt32BE(vbriOffset + 14);
+    }
+
+    if (frames > 0) {
+      info.duration = (frames * header.samplesPerFrame) / header.sampleRate;
+      info.bitrate = Math.round(((audioEnd - audioStart - offset) * 8) / info.duration);
+    } else {
+      info.duration = ((audioEnd - audioStart - offset) * 8) / header.bitrate;
+    }
+
+    return info;
+  }
+
+  return null;
+}
+
+function parseMp3(fd, fileSize, raw) {
+  const header = readBytes(fd, 0, 10);
+  let audioStart = 0;
+
+  if (header.toString('latin1', 0, 3) === 'ID3') {
+    const tagSize = readSyncSafe(header, 6) + 10;
+    audioStart = parseId3v2(readBytes(fd, 0, tagSize + 10), raw);
+  }
+
+  const hasId3v1 = parseId3v1(fd, fileSize, raw);
+  const info = parseMp3StreamInfo(fd, audioStart, fileSize - (hasId3v1 ? 128 : 0));
+
+  if (info) {
+    raw.sampleRate = info.sampleRate;
+    raw.channels = info.channels;
+    raw.bitrate = info.bitrate;
+    raw.duration = info.duration;
+  }
+
+  // Fall back on TLEN when the stream header couldn't be read
+  if (!raw.duration && raw.length) {
+    raw.duration = parseInt(raw.length, 10) / 1000 || 0;
+  }
+}
+
+// =============================================================================
+// FLAC
+// =============================================================================
+
+function parseVorbisComments(buffer, raw) {
+  let offset = 0;
+  const vendorLength = buffer.readUInt32LE(offset);
+  offset += 4 + vendorLength;
+
+  const count = buffer.readUInt32LE(offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= buffer.length; i++) {
+    const length = buffer.readUInt32LE(offset);
+    offset += 4;
+    const comment = buffer.toString('utf8', offset, offset + length);
+    offset += length;
+
+    const separator = comment.indexOf('=');
+    if (separator === -1) continue;
+
+    const key = comment.slice(0, separator).toUpperCase();
+    const value = comment.slice(separator + 1).trim();
+    const field = VORBIS_FIELDS[key];
+
+    if (field) {
+      if (raw[field] === undefined) raw[field] = value;
+    } else {
+      raw.tags[key] = value;
+    }
+  }
+
+  // TRACKTOTAL/TOTALTRACKS are separate comments in Vorbis
+  if (raw.track && !String(raw.track).includes('/')) {
+    const total = raw.tags.TRACKTOTAL || raw.tags.TOTALTRACKS;
+    if (total) raw.track = `${raw.track}/${total}`;
+  }
+}
+
+function parseFlacPicture(buffer) {
+  let offset = 4; // Picture type
+  const mimeLength = buffer.readUInt32BE(offset);
+  const mime = buffer.toString('latin1', offset + 4, offset + 4 + mimeLength);
+  offset += 4 + mimeLength;
+
+  const descriptionLength = buffer.readUInt32BE(offset);
+  offset += 4 + descriptionLength + 16; // Width, height, depth, colors
+
+  const dataLength = buffer.readUInt32BE(offset);
+  return { mime: mime || 'image/jpeg', data: Buffer.from(buffer.subarray(offset + 4, offset + 4 + dataLength)) };
+}
+
+function parseFlac(fd, fileSize, raw) {
+  let offset = 0;
+
+  // FLAC files may carry a leading ID3v2 tag
+  const start = readBytes(fd, 0, 10);
+  if (start.toString('latin1', 0, 3) === 'ID3') {
+    offset = readSyncSafe(start, 6) + 10;
+  }
+
+  if (readBytes(fd, offset, 4).toString('latin1') !== 'fLaC') return;
+  offset += 4;
+
+  let isLast = false;
+  while (!isLast && offset + 4 <= fileSize) {
+    const blockHeader = readBytes(fd, offset, 4);
+    isLast = (blockHeader[0] & 0x80) !== 0;
+    const type = blockHeader[0] & 0x7f;
+    const length = blockHeader.readUIntBE(1, 3);
+    offset += 4;
+
+    if (type === 0) {
+      const block = readBytes(fd, offset, length);
+      const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+      const channels = ((block[12] >> 1) & 0x07) + 1;
+      const totalSamples = (block[13] & 0x0f) * 2 ** 32 + block.readUInt32BE(14);
+
+      raw.sampleRate = sampleRate;
+      raw.channels = channels;
+      raw.duration = sampleRate ? totalSamples / sampleRate : 0;
+      raw.bitrate = raw.duration ? Math.round((fileSize * 8) / raw.duration) : 0;
+    } else if (type === 4) {
+      parseVorbisComments(readBytes(fd, offset, length), raw);
+    } else if (type === 6 && !raw.picture) {
+      raw.picture = parseFlacPicture(readBytes(fd, offset, length));
+    }
+
+    offset += length;
+  }
+}
+
+// =============================================================================
+// MP4 / M4A
+// =============================================================================
+
+function readAtoms(fd, start, end) {
+  const atoms = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const header = readBytes(fd, offset, 16);
+    if (header.length < 8) break;
+
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+
+    atoms.push({ type, start: offset + headerSize, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+
+  return atoms;
+}
+
+function findAtom(atoms, type) {
+  return atoms.find(atom => atom.type === type);
+}
+
+function parseIlstItem(item, buffer, raw) {
+  // Item payloads are "data" atoms: 4 bytes type indicator, 4 bytes locale, value
+  const dataAtoms = [];
+  let offset = 0;
+  let freeformName = null;
+
+  while (offset + 8 <= buffer.length) {
+    const size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (size < 8) break;
+
+    const payload = buffer.subarray(offset + 8, offset + size);
+    if (type === 'data') dataAtoms.push(payload);
+    if (type === 'name') freeformName = payload.toString('utf8', 4);
+    offset += size;
+  }
+
+  const data = dataAtoms[0];
+  if (!data || data.length < 8) return;
+
+  const dataType = data.readUInt32BE(0) & 0xffffff;
+  const value = data.subarray(8);
+
+  if (MP4_FIELDS[item]) {
+    const field = MP4_FIELDS[item];
+    if (raw[field] === undefined) raw[field] = value.toString('utf8');
+  } else if (item === 'trkn' || item === 'disk') {
+    if (value.length >= 6) {
+      const number = value.readUInt16BE(2);
+      const total = value.readUInt16BE(4);
+      raw[item === 'trkn' ? 'track' : 'disc'] = total ? `${number}/${total}` : String(number);
+    }
+  } else if (item === 'gnre' && raw.genre === undefined && value.length >= 2) {
+    raw.genre = ID3_GENRES[value.readUInt16BE(0) - 1];
+  } else if (item === 'covr' && !raw.picture) {
+    raw.picture = { mime: dataType === 14 ? 'image/png' : 'image/jpeg', data: Buffer.from(value) };
+  } else if (item === '----' && freeformName) {
+    raw.tags[freeformName.toUpperCase()] = value.toString('utf8').trim();
+  }
+}
+
+function parseMp4(fd, fileSize, raw) {
+  const moov = findAtom(readAtoms(fd, 0, fileSize), 'moov');
+  if (!moov) return;
+
+  const moovChildren = readAtoms(fd, moov.start, moov.end);
+
+  const mvhd = findAtom(moovChildren, 'mvhd');
+  if (mvhd) {
+    const box = readBytes(fd, mvhd.start, 32);
+    const version = box[0];
+    const timescale = version === 1 ? box.readUInt32BE(20) : box.readUInt32BE(12);
+    const duration = version === 1 ? Number(box.readBigUInt64BE(24)) : box.readUInt32BE(16);
+    raw.duration = timescale ? duration / timescale : 0;
+    raw.bitrate = raw.duration ? Math.round((fileSize * 8) / raw.duration) : 0;
+  }
+
+  const udta = findAtom(moovChildren, 'udta');
+  const meta = udta && findAtom(readAtoms(fd, udta.start, udta.end), 'meta');
+  // meta is a full box: skip 4 bytes of version/flags before its children
+  const ilst = meta && findAtom(readAtoms(fd, meta.start + 4, meta.end), 'ilst');
+  if (!ilst) return;
+
+  for (const item of readAtoms(fd, ilst.start, ilst.end)) {
+    parseIlstItem(item.type, readBytes(fd, item.start, item.end - item.start), raw);
+  }
+}
+
+// =============================================================================
+// WAV
+// =============================================================================
+
+function parseWav(fd, fileSize, raw) {
+  const riff = readBytes(fd, 0, 12);
+  if (riff.toString('latin1', 0, 4) !== 'RIFF' || riff.toString('latin1', 8, 12) !== 'WAVE') return;
+
+  let offset = 12;
+  let byteRate = 0;
+
+  while (offset + 8 <= fileSize) {
+    const header = readBytes(fd, offset, 8);
+    const id = header.toString('latin1', 0, 4);
+    const size = header.readUInt32LE(4);
+    const dataStart = offset + 8;
+
+    if (id === 'fmt ') {
+      const fmt = readBytes(fd, dataStart, 16);
+      raw.channels = fmt.readUInt16LE(2);
+      raw.sampleRate = fmt.readUInt32LE(4);
+      byteRate = fmt.readUInt32LE(8);
+      raw.bitrate = byteRate * 8;
+    } else if (id === 'data') {
+      // Streams written on the fly may leave the size at 0 or 0xFFFFFFFF
+      const dataSize = size === 0 || size === 0xffffffff ? fileSize - dataStart : size;
+      raw.duration = byteRate ? dataSize / byteRate : 0;
+    } else if (id === 'LIST') {
+      const list = readBytes(fd, dataStart, size);
+      if (list.toString('latin1', 0, 4) === 'INFO') {
+        let listOffset = 4;
+        while (listOffset + 8 <= list.length) {
+          const key = list.toString('latin1', listOffset, listOffset + 4);
+          const length = list.readUInt32LE(listOffset + 4);
+          const value = cleanString(list.toString('utf8', listOffset + 8, listOffset + 8 + length));
+          const field = RIFF_INFO_FIELDS[key];
+          if (field && value && raw[field] === undefined) raw[field] = value;
+          listOffset += 8 + length + (length % 2);
+        }
+      }
+    } else if (id === 'id3 ' || id === 'ID3 ') {
+      parseId3v2(readBytes(fd, dataStart, size), raw);
+    }
+
+    offset = dataStart + size + (size % 2);
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+const PARSERS = {
+  '.mp3': parseMp3,
+  '.flac': parseFlac,
+  '.m4a': parseMp4,
+  '.mp4': parseMp4,
+  '.aac': parseMp4,
+  '.wav': parseWav
+};
+
+// Parse tags and stream info for a file. Missing values come back as null;
+// `tags` holds any non-standard tags (TXXX, extra Vorbis comments, ---- atoms)
+// keyed in upper case, and `picture` is the first embedded cover image.
+function parseMetadata(filePath) {
+  const raw = { tags: {}, picture: null };
+  const parser = PARSERS[path.extname(filePath).toLowerCase()];
+
+  if (parser) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      parser(fd, fs.fstatSync(fd).size, raw);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  const track = parseNumberPair(raw.track);
+  const disc = parseNumberPair(raw.disc);
+
+  return {
+    title: raw.title || null,
+    artist: raw.artist || null,
+    albumArtist: raw.albumArtist || null,
+    album: raw.album || null,
+    trackNumber: track.number,
+    trackTotal: track.total,
+    discNumber: disc.number,
+    genre: parseGenre(raw.genre),
+    year: parseYear(raw.year),
+    duration: raw.duration ? Math.round(raw.duration * 1000) / 1000 : 0,
+    sampleRate: raw.sampleRate || null,
+    channels: raw.channels || null,
+    bitrate: raw.bitrate || null,
+    tags: raw.tags,
+    picture: raw.picture && raw.picture.data.length > 0 ? raw.picture : null
+  };
+}
+
+module.exports = { parseMetadata };
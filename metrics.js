@@ -0,0 +1,106 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4).
+//
+// Counters are incremented as things happen. Gauges are read at scrape time
+// from a collect function, so they always reflect current server state
+// without having to be kept up to date everywhere.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) return '';
+  return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.values = new Map(); // label key -> { labels, value }
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    const entry = this.values.get(key);
+    if (entry) {
+      entry.value += amount;
+    } else {
+      this.values.set(key, { labels, value: amount });
+    }
+  }
+
+  samples() {
+    return Array.from(this.values.values());
+  }
+}
+
+class Gauge {
+  // `collect` returns a number, or a list of { labels, value }
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  samples() {
+    const result = this.collect();
+    if (typeof result === 'number') {
+      return [{ labels: {}, value: result }];
+    }
+    return (result || []).filter(sample => typeof sample.value === 'number');
+  }
+}
+
+class MetricsRegistry {
+  constructor(prefix = '') {
+    this.prefix = prefix;
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    const counter = new Counter(this.prefix + name, help);
+    this.metrics.push(counter);
+    return counter;
+  }
+
+  gauge(name, help, collect) {
+    const gauge = new Gauge(this.prefix + name, help, collect);
+    this.metrics.push(gauge);
+    return gauge;
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics) {
+      let samples;
+      try {
+        samples = metric.samples();
+      } catch (error) {
+        console.error(`❌ Failed to collect metric ${metric.name}:`, error.message);
+        continue;
+      }
+
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      samples.forEach(({ labels, value }) => {
+        lines.push(`${metric.name}${formatLabels(labels || {})} ${formatValue(value)}`);
+      });
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = { MetricsRegistry, CONTENT_TYPE };
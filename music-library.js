@@ -0,0 +1,391 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseMetadata } = require('./metadata-parser');
+const { readReplayGain } = require('./loudness');
+
+const AUDIO_FILE_PATTERN = /\.(mp3|wav|flac|m4a)$/i;
+const INDEX_VERSION = 1;
+
+// Scans the music directory and keeps an on-disk index of parsed metadata,
+// keyed by file and invalidated by mtime/size so only new or changed files are
+// re-parsed. Embedded cover art is written once per unique image to coverDir.
+class MusicLibrary {
+  constructor(options) {
+    this.musicDir = options.musicDir;
+    this.indexFile = options.indexFile;
+    this.coverDir = options.coverDir;
+    this.index = this.loadIndex();
+    this.tracks = [];
+  }
+
+  loadIndex() {
+    try {
+      if (fs.existsSync(this.indexFile)) {
+        const index = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+        if (index.version === INDEX_VERSION) {
+          return index;
+        }
+        console.log('ℹ️  Library index format changed, re-indexing');
+      }
+    } catch (error) {
+      console.error('❌ Failed to read library index:', error.message);
+    }
+
+    return { version: INDEX_VERSION, files: {} };
+  }
+
+  saveIndex() {
+    try {
+      fs.mkdirSync(path.dirname(this.indexFile), { recursive: true });
+      const tempPath = `${this.indexFile}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.index));
+      fs.renameSync(tempPath, this.indexFile);
+    } catch (error) {
+      console.error('❌ Failed to save library index:', error.message);
+    }
+  }
+
+  // Write embedded art to disk, named by content hash so albums share one file
+  saveCover(picture) {
+    const coverId = crypto.createHash('sha1').update(picture.data).digest('hex');
+    const extension = picture.mime === 'image/png' ? 'png' : 'jpg';
+    const coverFile = `${coverId}.${extension}`;
+    const coverPath = path.join(this.coverDir, coverFile);
+
+    if (!fs.existsSync(coverPath)) {
+      fs.mkdirSync(this.coverDir, { recursive: true });
+      fs.writeFileSync(coverPath, picture.data);
+    }
+
+    return coverFile;
+  }
+
+  getCoverPath(coverFile) {
+    // Cover files are always "<sha1>.<ext>"; reject anything else so the
+    // endpoint can't be used to read outside coverDir
+    if (!/^[a-f0-9]{40}\.(jpg|png)$/.test(coverFile)) return null;
+
+    const coverPath = path.join(this.coverDir, coverFile);
+    return fs.existsSync(coverPath) ? coverPath : null;
+  }
+
+  // Return cached metadata for a file, re-parsing it if it changed on disk,
+  // or null (and forget it) if it was deleted since it was listed
+  getIndexEntry(file, filePath) {
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      delete this.index.files[file];
+      return null;
+    }
+    const cached = this.index.files[file];
+
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return { entry: cached, changed: false };
+    }
+
+    let metadata;
+    let coverFile = null;
+    try {
+      const { picture, ...parsed } = parseMetadata(filePath);
+      metadata = parsed;
+      if (picture) {
+        coverFile = this.saveCover(picture);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to read metadata for ${file}:`, error.message);
+      metadata = emptyMetadata();
+    }
+
+    const entry = { mtimeMs: stats.mtimeMs, size: stats.size, metadata, coverFile };
+    this.index.files[file] = entry;
+    return { entry, changed: true };
+  }
+
+  // Cache a loudness measurement ({ integrated, truePeak }) for a file.
+  // Call saveIndex() afterwards; measurements usually arrive in batches.
+  setLoudness(file, loudness) {
+    const entry = this.index.files[file];
+    if (!entry) return null;
+
+    entry.loudness = loudness;
+    const track = this.tracks.find(t => t.file === file);
+    if (track) {
+      track.loudness = loudness;
+    }
+    return track || null;
+  }
+
+  // Tracks with neither ReplayGain tags nor a cached measurement
+  getUnmeasuredTracks() {
+    return this.tracks.filter(track => !track.replayGain && !track.loudness);
+  }
+
+  // Walk the music directory tree (or one folder of it) and return audio files
+  // as relative paths, always "/"-separated so ids and browse paths are the
+  // same on every OS
+  listAudioFiles(relativeRoot = '') {
+    const files = [];
+    const visited = new Set();
+
+    const walk = (dir, relativeDir) => {
+      let dirents;
+      try {
+        // Guard against symlink loops
+        const realDir = fs.realpathSync(dir);
+        if (visited.has(realDir)) return;
+        visited.add(realDir);
+
+        dirents = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return; // Deleted while we walked
+        throw error;
+      }
+
+      for (const dirent of dirents) {
+        if (dirent.name.startsWith('.')) continue;
+
+        const fullPath = path.join(dir, dirent.name);
+        const relativePath = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+        let isDirectory = dirent.isDirectory();
+        let isFile = dirent.isFile();
+
+        if (dirent.isSymbolicLink()) {
+          try {
+            const stats = fs.statSync(fullPath);
+            isDirectory = stats.isDirectory();
+            isFile = stats.isFile();
+          } catch (error) {
+            continue; // Dangling link
+          }
+        }
+
+        if (isDirectory) {
+          walk(fullPath, relativePath);
+        } else if (isFile && AUDIO_FILE_PATTERN.test(dirent.name)) {
+          files.push(relativePath);
+        }
+      }
+    };
+
+    walk(path.join(this.musicDir, relativeRoot), relativeRoot);
+    return files.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }
+
+  // Scan the music directory and return the enriched track list
+  scan() {
+    if (!fs.existsSync(this.musicDir)) {
+      fs.mkdirSync(this.musicDir, { recursive: true });
+      console.log(`📁 Created music directory: ${this.musicDir}`);
+    }
+
+    const files = this.listAudioFiles();
+    const fileSet = new Set(files);
+    let indexChanged = false;
+    let parsedCount = 0;
+
+    this.tracks = [];
+    for (const file of files) {
+      const filePath = path.join(this.musicDir, file);
+      const result = this.getIndexEntry(file, filePath);
+      if (!result) {
+        // Deleted since the walk
+        fileSet.delete(file);
+        indexChanged = true;
+        continue;
+      }
+      if (result.changed) {
+        indexChanged = true;
+        parsedCount++;
+      }
+      this.tracks.push(this.toTrack(file, filePath, result.entry));
+    }
+
+    // Drop index entries for files that are gone
+    for (const file of Object.keys(this.index.files)) {
+      if (!fileSet.has(file)) {
+        delete this.index.files[file];
+        indexChanged = true;
+      }
+    }
+
+    if (indexChanged) {
+      this.saveIndex();
+    }
+
+    console.log(`📚 Indexed ${this.tracks.length} tracks (${parsedCount} parsed, ${this.tracks.length - parsedCount} from cache)`);
+    return this.tracks;
+  }
+
+  // Re-check only the given paths (files or folders, relative to musicDir)
+  // and return what changed: { added, removed, updated } track lists
+  update(relativePaths) {
+    const existing = new Map(this.tracks.map(track => [track.file, track]));
+    const candidates = new Set();
+
+    for (const relativePath of relativePaths) {
+      const normalized = normalizeFolderPath(relativePath);
+      if (normalized === null) continue;
+      if (normalized.split('/').some(part => part.startsWith('.'))) continue;
+
+      const fullPath = path.join(this.musicDir, normalized);
+      let stats = null;
+      try {
+        stats = fs.statSync(fullPath);
+      } catch (error) {
+        // Gone - handled below
+      }
+
+      if (stats && stats.isDirectory()) {
+        this.listAudioFiles(normalized).forEach(file => candidates.add(file));
+      }
+
+      // Anything we know about at or under this path may have been removed
+      for (const file of existing.keys()) {
+        if (file === normalized || normalized === '' || file.startsWith(`${normalized}/`)) {
+          candidates.add(file);
+        }
+      }
+
+      if (stats && stats.isFile() && AUDIO_FILE_PATTERN.test(normalized)) {
+        candidates.add(normalized);
+      }
+    }
+
+    const added = [];
+    const removed = [];
+    const updated = [];
+
+    for (const file of candidates) {
+      const filePath = path.join(this.musicDir, file);
+
+      const result = this.getIndexEntry(file, filePath);
+      if (!result) {
+        if (existing.has(file)) {
+          removed.push(existing.get(file));
+          existing.delete(file);
+        }
+        continue;
+      }
+
+      const { entry, changed } = result;
+      const track = this.toTrack(file, filePath, entry);
+
+      if (!existing.has(file)) {
+        added.push(track);
+      } else if (changed) {
+        updated.push(track);
+      }
+      existing.set(file, track);
+    }
+
+    if (added.length || removed.length || updated.length) {
+      this.tracks = Array.from(existing.values())
+        .sort((a, b) => a.file.localeCompare(b.file, undefined, { numeric: true }));
+      this.saveIndex();
+    }
+
+    return { added, removed, updated };
+  }
+
+  // List the sub-folders and tracks directly inside a library folder.
+  // Returns null if the folder doesn't exist (or tries to escape the library).
+  browse(folderPath = '') {
+    const folder = normalizeFolderPath(folderPath);
+    if (folder === null) return null;
+
+    const prefix = folder ? `${folder}/` : '';
+    const folders = new Map();
+    const tracks = [];
+
+    for (const track of this.tracks) {
+      if (!track.file.startsWith(prefix)) continue;
+
+      const rest = track.file.slice(prefix.length);
+      const separator = rest.indexOf('/');
+
+      if (separator === -1) {
+        tracks.push(track);
+      } else {
+        const name = rest.slice(0, separator);
+        const entry = folders.get(name) || { name, path: prefix + name, trackCount: 0, coverArt: null };
+        entry.trackCount++;
+        entry.coverArt = entry.coverArt || track.coverArt;
+        folders.set(name, entry);
+      }
+    }
+
+    if (folder && folders.size === 0 && tracks.length === 0) {
+      return null;
+    }
+
+    return {
+      path: folder,
+      parent: folder ? folder.split('/').slice(0, -1).join('/') : null,
+      folders: Array.from(folders.values()),
+      tracks: tracks
+    };
+  }
+
+  toTrack(file, filePath, entry) {
+    const { metadata, coverFile, loudness } = entry;
+
+    return {
+      id: trackIdFor(file),
+      file: file,
+      folder: path.posix.dirname(file) === '.' ? '' : path.posix.dirname(file),
+      path: filePath,
+      title: metadata.title || path.posix.basename(file).replace(AUDIO_FILE_PATTERN, ''),
+      artist: metadata.artist,
+      albumArtist: metadata.albumArtist,
+      album: metadata.album,
+      trackNumber: metadata.trackNumber,
+      discNumber: metadata.discNumber,
+      genre: metadata.genre,
+      year: metadata.year,
+      duration: metadata.duration,
+      sampleRate: metadata.sampleRate,
+      bitrate: metadata.bitrate,
+      replayGain: readReplayGain(metadata.tags),
+      loudness: loudness || null,
+      coverArt: coverFile ? `/api/cover/${coverFile}` : null
+    };
+  }
+}
+
+// Stable id derived from the path relative to the music directory, so it
+// survives restarts and re-scans as long as the file isn't moved
+function trackIdFor(relativePath) {
+  return crypto.createHash('sha1').update(relativePath).digest('hex').slice(0, 16);
+}
+
+// "Artist/Album/" -> "Artist/Album"; returns null for paths outside the library
+function normalizeFolderPath(folderPath) {
+  const normalized = path.posix.normalize(`/${String(folderPath).replace(/\\/g, '/')}`).slice(1).replace(/\/$/, '');
+  if (normalized.split('/').includes('..')) return null;
+  return normalized;
+}
+
+function emptyMetadata() {
+  return {
+    title: null,
+    artist: null,
+    albumArtist: null,
+    album: null,
+    trackNumber: null,
+    trackTotal: null,
+    discNumber: null,
+    genre: null,
+    year: null,
+    duration: 0,
+    sampleRate: null,
+    channels: null,
+    bitrate: null,
+    tags: {}
+  };
+}
+
+module.exports = { MusicLibrary, AUDIO_FILE_PATTERN };
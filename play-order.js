@@ -0,0 +1,145 @@
+// Decides which queue entry plays next for the shuffle and repeat modes.
+//
+// Queue entries are identified by their `queueId` rather than their index so
+// the play history and the shuffled order survive queue edits. In shuffle mode
+// `upcoming` is the shuffled list of entries not played yet in this round and
+// `history` is what actually played, so "previous" walks back through it.
+
+const REPEAT_MODES = ['off', 'one', 'all'];
+const MAX_HISTORY = 200;
+
+function normalizeRepeatMode(mode) {
+  if (mode === 'none' || mode === false) return 'off';
+  if (mode === true) return 'all';
+  return REPEAT_MODES.includes(mode) ? mode : 'off';
+}
+
+function shuffleInPlace(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+class PlayOrder {
+  constructor() {
+    this.history = [];  // queueIds, most recent last
+    this.upcoming = []; // queueIds still to play this round (shuffle only)
+  }
+
+  reset() {
+    this.history = [];
+    this.upcoming = [];
+  }
+
+  // Build a fresh shuffled round from everything in the queue except the current entry
+  reshuffle(queue, currentQueueId) {
+    this.upcoming = shuffleInPlace(
+      queue.map(entry => entry.queueId).filter(queueId => queueId !== currentQueueId)
+    );
+  }
+
+  remember(queueId) {
+    if (queueId === null || queueId === undefined) return;
+    this.history.push(queueId);
+    if (this.history.length > MAX_HISTORY) {
+      this.history.shift();
+    }
+  }
+
+  // Returns the queueId to play next, or null to stop.
+  // `auto` is true when the current track finished on its own (repeat-one only
+  // applies then; pressing next still moves on).
+  next(queue, currentQueueId, { shuffle, repeat, auto = false }) {
+    const nextId = this.peek(queue, currentQueueId, { shuffle, repeat, auto });
+    const repeatsCurrent = auto && repeat === 'one' && currentQueueId !== null && currentQueueId !== undefined;
+    if (nextId === null || repeatsCurrent) return nextId;
+
+    if (shuffle) {
+      this.upcoming.shift();
+    }
+    this.remember(currentQueueId);
+    return nextId;
+  }
+
+  // What next() would return, without moving on, so the next track can be
+  // preloaded. A used-up shuffle round (repeat all) is reshuffled here, so
+  // the next() that follows agrees.
+  peek(queue, currentQueueId, { shuffle, repeat, auto = false }) {
+    if (queue.length === 0) return null;
+
+    if (auto && repeat === 'one' && currentQueueId !== null && currentQueueId !== undefined) {
+      return currentQueueId;
+    }
+
+    if (shuffle) {
+      if (this.upcoming.length === 0 && repeat === 'all') {
+        this.reshuffle(queue, currentQueueId);
+      }
+      return this.upcoming.length > 0 ? this.upcoming[0] : null;
+    }
+
+    const currentIndex = queue.findIndex(entry => entry.queueId === currentQueueId);
+    if (currentIndex + 1 < queue.length) {
+      return queue[currentIndex + 1].queueId;
+    }
+    return repeat === 'all' ? queue[0].queueId : null;
+  }
+
+  // Returns the queueId to go back to, or null if there's nothing before this
+  previous(queue, currentQueueId, { shuffle, repeat }) {
+    if (queue.length === 0) return null;
+
+    if (shuffle) {
+      const previousId = this.history.pop();
+      if (previousId === undefined) return null;
+
+      // What we're leaving goes back to the front of this round
+      if (currentQueueId !== null && currentQueueId !== undefined) {
+        this.upcoming.unshift(currentQueueId);
+      }
+      return previousId;
+    }
+
+    const currentIndex = queue.findIndex(entry => entry.queueId === currentQueueId);
+    if (currentIndex > 0) {
+      return queue[currentIndex - 1].queueId;
+    }
+    if (currentIndex === -1) {
+      return queue[0].queueId;
+    }
+    return repeat === 'all' ? queue[queue.length - 1].queueId : null;
+  }
+
+  // A specific entry was chosen (skip_to_track, play_track...)
+  jumpTo(queueId, currentQueueId) {
+    if (queueId === currentQueueId) return;
+    this.remember(currentQueueId);
+    this.upcoming = this.upcoming.filter(id => id !== queueId);
+  }
+
+  // Keep history/upcoming in line with the queue after an edit.
+  // New entries join the current shuffled round at random positions;
+  // `playNextIds` are put at the front so "play next" still works in shuffle.
+  // The entry playing now (`currentQueueId`) is in neither list and stays out.
+  sync(queue, { shuffle, playNextIds = [], currentQueueId = null } = {}) {
+    const present = new Set(queue.map(entry => entry.queueId));
+    this.history = this.history.filter(queueId => present.has(queueId));
+    this.upcoming = this.upcoming.filter(queueId => present.has(queueId));
+
+    if (!shuffle) return;
+
+    const known = new Set([...this.history, ...this.upcoming, currentQueueId]);
+    for (const entry of queue) {
+      if (known.has(entry.queueId) || playNextIds.includes(entry.queueId)) continue;
+      const position = Math.floor(Math.random() * (this.upcoming.length + 1));
+      this.upcoming.splice(position, 0, entry.queueId);
+    }
+
+    const front = playNextIds.filter(queueId => present.has(queueId));
+    this.upcoming = [...front, ...this.upcoming.filter(queueId => !front.includes(queueId))];
+  }
+}
+
+module.exports = { PlayOrder, normalizeRepeatMode };
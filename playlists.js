@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Named playlists stored in a single JSON file. Playlists hold track paths
+// relative to the music directory (the same value the server exposes as a
+// track's `name`), so they survive re-indexing and export cleanly to M3U/PLS.
+class PlaylistStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.playlists = new Map(); // id -> playlist
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (data.playlists || []).forEach(playlist => this.playlists.set(playlist.id, playlist));
+        console.log(`✅ Loaded ${this.playlists.size} playlists`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load playlists:', error.message);
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ playlists: this.list() }, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('❌ Failed to save playlists:', error.message);
+    }
+  }
+
+  list() {
+    return Array.from(this.playlists.values());
+  }
+
+  get(id) {
+    return this.playlists.get(id) || null;
+  }
+
+  create(name, tracks = []) {
+    const now = Date.now();
+    const playlist = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: name,
+      tracks: tracks.slice(),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.playlists.set(playlist.id, playlist);
+    this.save();
+    return playlist;
+  }
+
+  // Apply `change` to a playlist and save it; returns null if it doesn't exist
+  update(id, change) {
+    const playlist = this.playlists.get(id);
+    if (!playlist) return null;
+
+    change(playlist);
+    playlist.updatedAt = Date.now();
+    this.save();
+    return playlist;
+  }
+
+  rename(id, name) {
+    return this.update(id, playlist => {
+      playlist.name = name;
+    });
+  }
+
+  delete(id) {
+    const existed = this.playlists.delete(id);
+    if (existed) this.save();
+    return existed;
+  }
+
+  // Insert tracks at `position` (default: the end)
+  addTracks(id, tracks, position) {
+    return this.update(id, playlist => {
+      const index = position === undefined || position === null
+        ? playlist.tracks.length
+        : clamp(position, 0, playlist.tracks.length);
+      playlist.tracks.splice(index, 0, ...tracks);
+    });
+  }
+
+  removeTrack(id, index) {
+    return this.update(id, playlist => {
+      if (index >= 0 && index < playlist.tracks.length) {
+        playlist.tracks.splice(index, 1);
+      }
+    });
+  }
+
+  moveTrack(id, fromIndex, toIndex) {
+    return this.update(id, playlist => {
+      if (fromIndex < 0 || fromIndex >= playlist.tracks.length) return;
+      const [track] = playlist.tracks.splice(fromIndex, 1);
+      playlist.tracks.splice(clamp(toIndex, 0, playlist.tracks.length), 0, track);
+    });
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// =============================================================================
+// M3U8 / PLS
+// =============================================================================
+
+// `entries` are { location, title, artist, duration (seconds) }
+function exportM3u(entries) {
+  const lines = ['#EXTM3U'];
+  entries.forEach(entry => {
+    const label = entry.artist ? `${entry.artist} - ${entry.title}` : entry.title;
+    lines.push(`#EXTINF:${Math.round(entry.duration || 0) || -1},${label}`);
+    lines.push(entry.location);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function exportPls(entries) {
+  const lines = ['[playlist]'];
+  entries.forEach((entry, i) => {
+    const n = i + 1;
+    lines.push(`File${n}=${entry.location}`);
+    lines.push(`Title${n}=${entry.artist ? `${entry.artist} - ${entry.title}` : entry.title}`);
+    lines.push(`Length${n}=${Math.round(entry.duration || 0) || -1}`);
+  });
+  lines.push(`NumberOfEntries=${entries.length}`);
+  lines.push('Version=2');
+  return `${lines.join('\n')}\n`;
+}
+
+// Returns the list of file locations in an M3U/M3U8 or PLS playlist
+function parsePlaylist(content, format) {
+  const text = String(content).replace(/^\uFEFF/, '');
+  const isPls = format === 'pls' || (!format && /^\s*\[playlist\]/i.test(text));
+
+  const locations = isPls
+    ? text.split(/\r?\n/)
+      .map(line => line.match(/^\s*File(\d+)\s*=\s*(.+?)\s*$/i))
+      .filter(Boolean)
+      .sort((a, b) => parseInt(a[1], 10) - parseInt(b[1], 10))
+      .map(match => match[2])
+    : text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+
+  return locations.map(location => {
+    if (/^file:\/\//i.test(location)) {
+      try {
+        return decodeURIComponent(new URL(location).pathname);
+      } catch (error) {
+        return location;
+      }
+    }
+    return location.replace(/\\/g, '/');
+  });
+}
+
+// Match playlist locations (relative, absolute, or from another machine) to
+// library tracks. `tracks` are { name (relative path), path (absolute) }.
+function resolvePlaylistEntries(locations, tracks, musicDir) {
+  const byName = new Map(tracks.map(track => [track.name.toLowerCase(), track]));
+  const byBasename = new Map();
+  tracks.forEach(track => {
+    const base = path.posix.basename(track.name).toLowerCase();
+    byBasename.set(base, byBasename.has(base) ? null : track); // null = ambiguous
+  });
+
+  const resolved = [];
+  const unresolved = [];
+
+  for (const location of locations) {
+    let relative = location;
+    const absoluteMusicDir = musicDir.split(path.sep).join('/');
+    if (relative.startsWith(`${absoluteMusicDir}/`)) {
+      relative = relative.slice(absoluteMusicDir.length + 1);
+    }
+    relative = relative.replace(/^\.\//, '').toLowerCase();
+
+    let track = byName.get(relative);
+
+    // Paths from another player: try longest matching path suffix, then basename
+    if (!track) {
+      const parts = relative.split('/');
+      for (let i = 1; i < parts.length && !track; i++) {
+        track = byName.get(parts.slice(i).join('/'));
+      }
+    }
+    if (!track) {
+      track = byBasename.get(path.posix.basename(relative)) || null;
+    }
+
+    if (track) {
+      resolved.push(track);
+    } else {
+      unresolved.push(location);
+    }
+  }
+
+  return { resolved, unresolved };
+}
+
+module.exports = {
+  PlaylistStore,
+  exportM3u,
+  exportPls,
+  parsePlaylist,
+  resolvePlaylistEntries
+};
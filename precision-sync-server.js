@@ -13,6 +13,23 @@ const { spawn } = require('child_process');
 const Client = require('castv2-client').Client;
 const DefaultMediaReceiver = require('castv2-client').DefaultMediaReceiver;
 const StreamingIntegration = require('./streaming-integration');
+const { MusicLibrary } = require('./music-library');
+const { CastDiscovery } = require('./cast-discovery');
+const LibraryWatcher = require('./library-watcher');
+const { DeviceProfileStore, createProfileRouter, fetchCastDeviceId } = require('./device-profiles');
+const { TranscodeCache, parseRange } = require('./transcode-cache');
+const {
+  parseFormat,
+  formatFromQuery,
+  formatQuery,
+  negotiateFormat,
+  normalizeSupported,
+  encoderArgs,
+  contentTypeFor,
+  describeFormat
+} = require('./audio-formats');
+const { ServiceAdvertiser } = require('./service-advertiser');
+const { loadServerConfig, createConfigRouter } = require('./config');
 
 const app = express();
 const server = http.createServer(app);
@@ -43,11 +60,16 @@ app.use((req, res, next) => {
   }
 });
 
-// Configuration
-const PORT = 3000;
-const MUSIC_DIR = path.join(__dirname, 'music');
-const FFMPEG_PATH = '/opt/homebrew/bin/ffmpeg';
-const SERVER_IP = '192.168.12.125';
+// Configuration: defaults, then config file, then environment (see config.js)
+const config = loadServerConfig({ defaults: { 'sync.intervalMs': 2000, 'sync.toleranceMs': 40 } });
+const PORT = config.get('port');
+const MUSIC_DIR = config.get('musicDir');
+const FFMPEG_PATH = config.get('ffmpegPath');
+const DATA_DIR = config.get('dataDir');
+const OUTPUT_TYPES = ['web', 'mobile', 'snapcast'];
+const TRANSCODE_CACHE_DIR = path.join(DATA_DIR, 'transcode-cache');
+const TRANSCODE_CACHE_MAX_BYTES = 2 * 1024 * 1024 * 1024;
+const TRANSCODE_WAIT_MS = 10000; // How long a ranged request waits for a transcode in progress
 
 // Initialize Streaming Services
 const streamingIntegration = new StreamingIntegration();
@@ -66,13 +88,28 @@ const SYNC_ENGINE = {
   },
   
   // Connected devices with precise timing
-  devices: new Map(), // deviceId -> { client, player, name, ip, latencyOffset, lastSyncTime }
+  devices: new Map(), // deviceId -> { client, player | socket, name, ip, latencyOffset, lastSyncTime }
   
   // Real-time sync monitoring
   syncMonitor: null,
-  SYNC_INTERVAL_MS: 2000,   // Check sync every 2 seconds (less aggressive)
-  SYNC_TOLERANCE_MS: 300,   // Resync if >300ms drift (tolerance zone)
-  MIN_RESYNC_INTERVAL_MS: 5000, // Don't resync same device within 5 seconds
+  SYNC_INTERVAL_MS: config.get('sync.intervalMs'),   // How often each device's drift is checked
+  SYNC_SETTLE_MS: 1000,     // Don't judge a device's drift right after it starts
+  MIN_RESYNC_INTERVAL_MS: config.get('sync.minResyncIntervalMs'), // Don't seek the same device more often
+  
+  // Graduated drift correction
+  DRIFT_DEADBAND_MS: config.get('sync.toleranceMs'),          // Below this, leave the device alone
+  HARD_SEEK_THRESHOLD_MS: config.get('sync.hardSeekThresholdMs'),   // Seek only above this; smaller drift is absorbed by rate
+  MAX_RATE_ADJUST: 0.02,          // At most 2% faster or slower
+  MIN_RATE_CORRECTION_MS: 4000,   // Spread rate corrections over at least this long
+  MAX_CORRECTION_LOG: 50,         // Corrections kept per device
+  
+  // Two-phase start: outputs preload and report ready, then start together
+  session: null,            // { id, track, position, media, startAt } of what's loaded
+  nextSessionId: 1,
+  READY_TIMEOUT_MS: 4000,   // Outputs not ready by then join late
+  START_LEAD_MS: 250,       // Start time is this far after the start command
+  LATE_JOIN_LEAD_MS: 500,   // Room for a seek before a late output starts
+  LATE_JOIN_TIMEOUT_MS: 30000, // Give up on an output that never reports ready
   
   // Device latency compensation (measured in ms)
   deviceLatency: new Map(), // deviceId -> measured latency
@@ -93,36 +130,77 @@ const logger = {
   sync: (msg) => console.log(`[${new Date().toISOString()}] 🔄 ${msg}`)
 };
 
+// Device profiles keep each output's stream format across restarts (latency
+// here is measured live by the engine, so profile offsets aren't used)
+const deviceProfiles = new DeviceProfileStore(path.join(DATA_DIR, 'device-profiles.json'));
+
+function getDeviceFormat(device) {
+  return negotiateFormat({
+    saved: device.profileId ? deviceProfiles.getFormat(device.profileId) : null,
+    supported: device.supportedCodecs,
+    type: device.type
+  });
+}
+
+// Transcoded tracks by track and format, so Range requests (Cast seeks,
+// resyncs) are served from a file instead of restarting ffmpeg
+const transcodeCache = new TranscodeCache({
+  dir: TRANSCODE_CACHE_DIR,
+  maxBytes: TRANSCODE_CACHE_MAX_BYTES,
+  ffmpegPath: FFMPEG_PATH
+});
+
 // Initialize music library
 let musicLibrary = [];
 
+const library = new MusicLibrary({
+  musicDir: MUSIC_DIR,
+  indexFile: path.join(DATA_DIR, 'library-index.json'),
+  coverDir: path.join(DATA_DIR, 'covers')
+});
+
+// `filename` is the path relative to MUSIC_DIR (e.g. "Artist/Album/01 Track.mp3")
+function toLibraryTrack({ id, file, title, ...track }) {
+  return {
+    id: file, // Use filename as ID for React key compatibility
+    trackId: id,
+    filename: file,
+    name: title,
+    ...track
+  };
+}
+
 function initializeMusicLibrary() {
-  if (!fs.existsSync(MUSIC_DIR)) {
-    fs.mkdirSync(MUSIC_DIR, { recursive: true });
-  }
-  
-  const files = fs.readdirSync(MUSIC_DIR)
-    .filter(file => /\.(mp3|wav|flac|m4a)$/i.test(file))
-    .map(file => ({
-      id: file, // Use filename as ID for React key compatibility
-      filename: file,
-      name: file.replace(/\.(mp3|wav|flac|m4a)$/i, ''),
-      path: path.join(MUSIC_DIR, file)
-    }));
+  const files = library.scan().map(toLibraryTrack);
   
   musicLibrary = files;
   logger.info(`Found ${musicLibrary.length} music files`);
   return files;
 }
 
+// Incremental updates when files are copied into or removed from MUSIC_DIR
+const libraryWatcher = new LibraryWatcher(library);
+
+libraryWatcher.on('changes', ({ added, removed, updated }) => {
+  musicLibrary = library.tracks.map(toLibraryTrack);
+  
+  added.forEach(track => io.emit('library_track_added', toLibraryTrack(track)));
+  updated.forEach(track => io.emit('library_track_updated', toLibraryTrack(track)));
+  removed.forEach(track => io.emit('library_track_removed', { id: track.file, trackId: track.id }));
+});
+
 // Precision timing functions
 function getCurrentPosition() {
+  return getPositionAt(SYNC_ENGINE.getHighPrecisionTime());
+}
+
+// Master position at high precision time `time`; holds still until a scheduled start
+function getPositionAt(time) {
   if (!SYNC_ENGINE.master.isPlaying || !SYNC_ENGINE.master.trackStartTime) {
     return SYNC_ENGINE.master.pausedAt || 0;
   }
   
-  const now = SYNC_ENGINE.getHighPrecisionTime();
-  const elapsed = (now - SYNC_ENGINE.master.trackStartTime) / 1000; // Convert to seconds
+  const elapsed = Math.max(0, time - SYNC_ENGINE.master.trackStartTime) / 1000; // Convert to seconds
   return (SYNC_ENGINE.master.pausedAt || 0) + elapsed;
 }
 
@@ -192,38 +270,26 @@ function startSyncMonitoring() {
     
     // Check each device for sync drift
     for (const [deviceId, device] of SYNC_ENGINE.devices) {
-      if (!device.isConnected || !device.player) continue;
+      if (!device.isConnected) continue;
+      // Not playing yet (still loading or waiting for its start time)
+      if (!device.playingSince || masterTime < device.playingSince + SYNC_ENGINE.SYNC_SETTLE_MS) continue;
+      
+      if (device.socket) {
+        checkSocketOutputDrift(deviceId, device);
+        continue;
+      }
+      if (!device.player) continue;
       
       try {
         const latency = SYNC_ENGINE.deviceLatency.get(deviceId) || 50;
         
         // Get device status
         device.player.getStatus((err, status) => {
-          if (err || !status) return;
+          if (err || !status || status.playerState !== 'PLAYING') return;
           
           const devicePosition = status.currentTime || 0;
           const expectedPosition = masterPosition - (latency / 1000); // Compensate for latency
-          const drift = Math.abs(devicePosition - expectedPosition);
-          
-          // Log sync status
-          if (drift > 0.05) { // Log if >50ms drift
-            logger.sync(`📊 ${device.name}: ${devicePosition.toFixed(2)}s (drift: ${(drift * 1000).toFixed(0)}ms)`);
-          }
-          
-          // Resync if drift is too large AND we haven't resynced recently
-          if (drift > (SYNC_ENGINE.SYNC_TOLERANCE_MS / 1000)) {
-            const now = Date.now();
-            const lastSync = device.lastSyncTime || 0;
-            const timeSinceLastSync = now - lastSync;
-            
-            if (timeSinceLastSync >= SYNC_ENGINE.MIN_RESYNC_INTERVAL_MS) {
-              logger.warn(`🔄 Resyncing ${device.name}: ${(drift * 1000).toFixed(0)}ms drift (last sync: ${(timeSinceLastSync/1000).toFixed(1)}s ago)`);
-              device.lastSyncTime = now;
-              resyncDevice(deviceId, expectedPosition);
-            } else {
-              logger.warn(`⏳ Skipping resync for ${device.name}: ${(drift * 1000).toFixed(0)}ms drift (throttled - ${((SYNC_ENGINE.MIN_RESYNC_INTERVAL_MS - timeSinceLastSync)/1000).toFixed(1)}s remaining)`);
-            }
-          }
+          correctDrift(deviceId, devicePosition - expectedPosition, expectedPosition);
         });
       } catch (error) {
         // Skip sync check for this device
@@ -238,17 +304,139 @@ function startSyncMonitoring() {
         id: id,
         name: device.name,
         isConnected: device.isConnected,
-        latency: SYNC_ENGINE.deviceLatency.get(id) || 0
+        latency: SYNC_ENGINE.deviceLatency.get(id) || 0,
+        lastCorrection: device.corrections ? device.corrections[device.corrections.length - 1] || null : null
       }))
     });
     
   }, SYNC_ENGINE.SYNC_INTERVAL_MS);
 }
 
+// Socket outputs report their own position; half the round trip is added
+// so it lines up with the master position at the moment it was sampled
+function checkSocketOutputDrift(deviceId, device) {
+  const session = SYNC_ENGINE.session;
+  const sentAt = SYNC_ENGINE.getHighPrecisionTime();
+  
+  device.socket.timeout(SYNC_ENGINE.SYNC_INTERVAL_MS).emit('position_request', {}, (err, reply) => {
+    if (err || !reply || !Number.isFinite(reply.position)) return;
+    if (SYNC_ENGINE.session !== session || reply.sessionId !== session.id || !SYNC_ENGINE.master.isPlaying) return;
+    
+    const receivedAt = SYNC_ENGINE.getHighPrecisionTime();
+    const sampledAt = (sentAt + receivedAt) / 2;
+    const expectedPosition = getPositionAt(sampledAt);
+    correctDrift(deviceId, reply.position - expectedPosition, expectedPosition + (receivedAt - sampledAt) / 1000);
+  });
+}
+
+// Graduated drift correction. `drift` is in seconds, positive when the device
+// is ahead. Small drift is left alone, medium drift is absorbed by playing
+// slightly slower or faster for a while, and only large drift is seeked away.
+function correctDrift(deviceId, drift, expectedPosition) {
+  const device = SYNC_ENGINE.devices.get(deviceId);
+  if (!device) return;
+  
+  const driftMs = drift * 1000;
+  const absDriftMs = Math.abs(driftMs);
+  const now = Date.now();
+  
+  // A rate correction is already under way
+  if (device.rateCorrectionUntil && now < device.rateCorrectionUntil) return;
+  if (absDriftMs < SYNC_ENGINE.DRIFT_DEADBAND_MS) return;
+  
+  if (absDriftMs < SYNC_ENGINE.HARD_SEEK_THRESHOLD_MS && !device.rateUnsupported) {
+    // Spread the correction so the speed change stays inaudible
+    const durationMs = Math.max(SYNC_ENGINE.MIN_RATE_CORRECTION_MS, absDriftMs / SYNC_ENGINE.MAX_RATE_ADJUST);
+    const rate = 1 - driftMs / durationMs;
+    
+    device.rateCorrectionUntil = now + durationMs;
+    recordCorrection(device, { type: 'rate', driftMs: Math.round(driftMs), rate: Number(rate.toFixed(4)), durationMs: Math.round(durationMs) });
+    applyPlaybackRate(deviceId, rate, durationMs);
+    return;
+  }
+  
+  if (absDriftMs < SYNC_ENGINE.HARD_SEEK_THRESHOLD_MS) {
+    // No rate control on this receiver: tolerate drift until it needs a seek
+    return;
+  }
+  
+  const timeSinceLastSeek = now - (device.lastSeekTime || 0);
+  if (timeSinceLastSeek < SYNC_ENGINE.MIN_RESYNC_INTERVAL_MS) {
+    logger.warn(`⏳ Skipping resync for ${device.name}: ${absDriftMs.toFixed(0)}ms drift (throttled - ${((SYNC_ENGINE.MIN_RESYNC_INTERVAL_MS - timeSinceLastSeek)/1000).toFixed(1)}s remaining)`);
+    return;
+  }
+  
+  device.lastSeekTime = now;
+  recordCorrection(device, { type: 'seek', driftMs: Math.round(driftMs), position: Number(expectedPosition.toFixed(3)) });
+  resyncDevice(deviceId, expectedPosition);
+}
+
+// Per-device correction log, also sent with sync_status
+function recordCorrection(device, correction) {
+  const entry = { at: Date.now(), ...correction };
+  device.corrections = device.corrections || [];
+  device.corrections.push(entry);
+  if (device.corrections.length > SYNC_ENGINE.MAX_CORRECTION_LOG) {
+    device.corrections.shift();
+  }
+  
+  if (entry.type === 'rate') {
+    logger.sync(`🎚️  ${device.name}: ${entry.driftMs}ms drift, playing at ${entry.rate}x for ${(entry.durationMs / 1000).toFixed(1)}s`);
+  } else {
+    logger.warn(`🔄 ${device.name}: ${entry.driftMs}ms drift, seeking to ${entry.position.toFixed(2)}s`);
+  }
+}
+
+// Play at `rate` for `durationMs`, then back at normal speed. The rate has to
+// change at the player: unlike the internal sync server's device streams, no
+// output here is fed by an encode of its own that could be trimmed. Cast
+// receivers fetch and buffer the whole track from /stream/track (shared
+// through the transcode cache), and socket outputs decode the file themselves.
+function applyPlaybackRate(deviceId, rate, durationMs) {
+  const device = SYNC_ENGINE.devices.get(deviceId);
+  if (!device) return;
+  
+  if (device.socket) {
+    // Clients go back to 1.0 themselves when the duration is up
+    device.socket.emit('rate_adjust', { rate: rate, durationMs: Math.round(durationMs) });
+    return;
+  }
+  
+  setCastPlaybackRate(device, rate, (err) => {
+    if (err) {
+      // Receiver doesn't support SET_PLAYBACK_RATE; it gets seeks only from now on
+      logger.warn(`🎚️  ${device.name} can't change playback rate (${err.message}), using seeks only`);
+      device.rateUnsupported = true;
+      device.rateCorrectionUntil = null;
+      return;
+    }
+    
+    clearTimeout(device.rateTimer);
+    device.rateTimer = setTimeout(() => {
+      device.rateTimer = null;
+      setCastPlaybackRate(device, 1, () => {});
+    }, durationMs);
+  });
+}
+
+function setCastPlaybackRate(device, rate, callback) {
+  if (!device.player || !device.player.media || !device.player.media.currentSession) {
+    return callback(new Error('no media session'));
+  }
+  device.player.media.sessionRequest({ type: 'SET_PLAYBACK_RATE', playbackRate: rate }, callback);
+}
+
 // Precision device resync
 async function resyncDevice(deviceId, targetPosition) {
   const device = SYNC_ENGINE.devices.get(deviceId);
-  if (!device || !device.player) return;
+  if (!device) return;
+  
+  // Socket outputs seek themselves as part of a (late) start
+  if (device.socket) {
+    await joinLate(deviceId, SYNC_ENGINE.session);
+    return;
+  }
+  if (!device.player) return;
   
   try {
     await new Promise((resolve, reject) => {
@@ -266,6 +454,10 @@ async function resyncDevice(deviceId, targetPosition) {
 
 // Google Cast functions with precision timing
 async function connectToCastDevice(deviceIP, deviceName) {
+  // Profile follows the receiver's UUID, so its format survives an IP change
+  const profileId = await fetchCastDeviceId(deviceIP);
+  deviceProfiles.touch(profileId, { name: deviceName, type: 'chromecast' });
+
   try {
     logger.info(`🎯 Connecting to cast device: ${deviceName} (${deviceIP})`);
     
@@ -287,15 +479,19 @@ async function connectToCastDevice(deviceIP, deviceName) {
           const deviceId = `cast-${deviceIP}`;
           
           // Store device with timing info
-          SYNC_ENGINE.devices.set(deviceId, {
+          const device = {
             client: client,
             player: player,
             name: deviceName,
             ip: deviceIP,
             type: 'chromecast',
+            profileId: profileId,
+            supportedCodecs: null,
             isConnected: true,
             lastSyncTime: SYNC_ENGINE.getHighPrecisionTime()
-          });
+          };
+          device.streamFormat = getDeviceFormat(device);
+          SYNC_ENGINE.devices.set(deviceId, device);
           
           // Measure device latency
           await measureDeviceLatency(deviceId);
@@ -326,19 +522,41 @@ async function connectToCastDevice(deviceIP, deviceName) {
   }
 }
 
-// Precision media casting with late-join sync
-async function castMediaToDevice(deviceId, mediaUrl, metadata, startPosition = 0) {
+// Media for a track as every output fetches it
+function getTrackMedia(track) {
+  return {
+    url: `http://${config.get('serverIP')}:${PORT}/stream/track/${encodeURIComponent(track.filename)}`,
+    metadata: {
+      title: track.name,
+      artist: track.artist || 'Unknown Artist',
+      artwork: track.coverArt ? `http://${config.get('serverIP')}:${PORT}${track.coverArt}` : null
+    }
+  };
+}
+
+// The session's media as one output fetches it: in that output's format
+function mediaForDevice(media, device) {
+  const format = device.streamFormat || negotiateFormat();
+  return {
+    url: `${media.url}?${formatQuery(format)}`,
+    contentType: contentTypeFor(format),
+    metadata: media.metadata
+  };
+}
+
+// Load media paused at `startPosition`; resolves with where the receiver actually buffered
+async function castMediaToDevice(deviceId, { url: mediaUrl, contentType, metadata }, startPosition = 0) {
   try {
     const device = SYNC_ENGINE.devices.get(deviceId);
     if (!device || !device.player) {
       throw new Error(`Device ${deviceId} not connected`);
     }
     
-    logger.info(`🎵 Casting to ${device.name}: ${metadata.title} (start at ${startPosition.toFixed(2)}s)`);
+    logger.info(`🎵 Loading on ${device.name}: ${metadata.title} (at ${startPosition.toFixed(2)}s)`);
     
     const media = {
       contentId: mediaUrl,
-      contentType: 'audio/mpeg',
+      contentType: contentType,
       streamType: 'BUFFERED',
       metadata: {
         type: 0,
@@ -350,7 +568,7 @@ async function castMediaToDevice(deviceId, mediaUrl, metadata, startPosition = 0
     };
     
     return new Promise((resolve, reject) => {
-      // Load media with autoplay false for precise timing control
+      // Autoplay off: playback is started by the commit phase at a shared time
       device.player.load(media, { autoplay: false, currentTime: startPosition }, (err, status) => {
         if (err) {
           logger.error(`Failed to load media on ${device.name}: ${err}`);
@@ -358,18 +576,9 @@ async function castMediaToDevice(deviceId, mediaUrl, metadata, startPosition = 0
           return;
         }
         
-        // Start playback with precise timing
-        device.player.play((playErr, playStatus) => {
-          if (playErr) {
-            logger.error(`Failed to start playback on ${device.name}: ${playErr}`);
-            reject(playErr);
-            return;
-          }
-          
-          logger.success(`🎶 Now playing on ${device.name}: ${metadata.title}`);
-          device.lastSyncTime = SYNC_ENGINE.getHighPrecisionTime();
-          resolve(playStatus);
-        });
+        const bufferedPosition = status && Number.isFinite(status.currentTime) ? status.currentTime : startPosition;
+        logger.success(`📦 ${device.name} ready at ${bufferedPosition.toFixed(2)}s`);
+        resolve({ bufferedPosition });
       });
     });
   } catch (error) {
@@ -378,14 +587,155 @@ async function castMediaToDevice(deviceId, mediaUrl, metadata, startPosition = 0
   }
 }
 
-// Multi-room track playback with precision sync
+// Ask a socket output (web player, mobile app, Snapcast bridge) to preload.
+// The client acks with { bufferedPosition } once it can start without stalling.
+function prepareSocketOutput(device, session, position) {
+  const media = mediaForDevice(session.media, device);
+  return new Promise((resolve, reject) => {
+    device.socket.timeout(SYNC_ENGINE.LATE_JOIN_TIMEOUT_MS).emit('prepare_playback', {
+      sessionId: session.id,
+      track: session.track,
+      url: media.url,
+      contentType: media.contentType,
+      metadata: media.metadata,
+      position: position
+    }, (err, reply) => {
+      if (err) {
+        reject(new Error('no ready reply'));
+      } else if (!reply || reply.error) {
+        reject(new Error(reply && reply.error ? reply.error : 'prepare failed'));
+      } else {
+        const bufferedPosition = Number(reply.bufferedPosition);
+        logger.success(`📦 ${device.name} ready at ${(Number.isFinite(bufferedPosition) ? bufferedPosition : position).toFixed(2)}s`);
+        resolve({ bufferedPosition: Number.isFinite(bufferedPosition) ? bufferedPosition : position });
+      }
+    });
+  });
+}
+
+// Phase one: preload the session's track on one output
+function prepareOutput(deviceId, session, position) {
+  const device = SYNC_ENGINE.devices.get(deviceId);
+  if (!device || !device.isConnected) {
+    return Promise.reject(new Error(`Device ${deviceId} not connected`));
+  }
+  
+  if (device.socket) {
+    return prepareSocketOutput(device, session, position);
+  }
+  return castMediaToDevice(deviceId, mediaForDevice(session.media, device), position);
+}
+
+// Forget scheduled starts and running drift corrections (new track, pause, disconnect)
+function clearStartTimer(device) {
+  if (device.startTimer) {
+    clearTimeout(device.startTimer);
+    device.startTimer = null;
+  }
+  if (device.rateTimer) {
+    clearTimeout(device.rateTimer);
+    device.rateTimer = null;
+    setCastPlaybackRate(device, 1, () => {});
+  }
+  device.playingSince = null;
+  device.rateCorrectionUntil = null;
+}
+
+// Phase two: have the output be playing `position` at high precision time `startAt`
+function startOutput(deviceId, session, position, startAt) {
+  const device = SYNC_ENGINE.devices.get(deviceId);
+  if (!device || !device.isConnected) return;
+  
+  const startIn = Math.max(0, startAt - SYNC_ENGINE.getHighPrecisionTime());
+  clearStartTimer(device);
+  device.playingSince = startAt;
+  
+  if (device.socket) {
+    // Clients schedule locally: `startAt` (our wall clock) through the offset
+    // they measured with clock_sync_request, or `startIn` from when this
+    // arrives if they have none. Any rate adjustment in progress is cancelled
+    // by a (re)start.
+    device.socket.emit('start_playback', {
+      sessionId: session.id,
+      position: position,
+      startIn: startIn,
+      startAt: Date.now() + startIn
+    });
+    logger.info(`⏱️  ${device.name} starts at ${position.toFixed(2)}s in ${startIn.toFixed(0)}ms`);
+    return;
+  }
+  
+  // Cast has no timed play, so send the command early by the measured latency
+  const latency = SYNC_ENGINE.deviceLatency.get(deviceId) || 50;
+  device.startTimer = setTimeout(() => {
+    device.startTimer = null;
+    if (SYNC_ENGINE.session !== session || !SYNC_ENGINE.master.isPlaying) return;
+    
+    device.player.play((err) => {
+      if (err) {
+        logger.error(`Failed to start playback on ${device.name}: ${err}`);
+        return;
+      }
+      logger.success(`🎶 Now playing on ${device.name}: ${session.track.name}`);
+      device.lastSyncTime = Date.now();
+    });
+  }, Math.max(0, startIn - latency));
+}
+
+// Start an output that buffered after the start time was chosen (or has
+// just connected) at the offset the rest of the room has reached by then
+async function joinLate(deviceId, session) {
+  const device = SYNC_ENGINE.devices.get(deviceId);
+  if (!device || SYNC_ENGINE.session !== session || !SYNC_ENGINE.master.isPlaying) return;
+  
+  const joinAt = SYNC_ENGINE.getHighPrecisionTime() + SYNC_ENGINE.LATE_JOIN_LEAD_MS;
+  const position = getPositionAt(joinAt);
+  
+  logger.sync(`🚪 ${device.name} joining late at ${position.toFixed(2)}s`);
+  
+  if (device.player) {
+    try {
+      await new Promise((resolve, reject) => {
+        device.player.seek(position, (err, status) => {
+          if (err) reject(err);
+          else resolve(status);
+        });
+      });
+    } catch (error) {
+      logger.error(`Failed to seek ${device.name} for late join: ${error}`);
+      return;
+    }
+  }
+  
+  startOutput(deviceId, session, position, joinAt);
+}
+
+// Multi-room track playback with a two-phase start: every output preloads
+// and reports ready, then all of them get the same future start time.
+// Outputs that miss the ready deadline join late at the right offset.
 async function playTrackWithPrecisionSync(track, startFromPosition = 0) {
   logger.info(`🎵 Starting precision sync playback: ${track.name}`);
   
-  // Update master state
+  // Nothing to monitor until the new start time is known
+  if (SYNC_ENGINE.syncMonitor) {
+    clearInterval(SYNC_ENGINE.syncMonitor);
+    SYNC_ENGINE.syncMonitor = null;
+  }
+  SYNC_ENGINE.devices.forEach(clearStartTimer);
+  
+  const session = {
+    id: SYNC_ENGINE.nextSessionId++,
+    track: track,
+    position: startFromPosition,
+    media: getTrackMedia(track),
+    startAt: null
+  };
+  SYNC_ENGINE.session = session;
+  
+  // Update master state; the timeline starts once the start time is chosen
   SYNC_ENGINE.master.currentTrack = track;
   SYNC_ENGINE.master.isPlaying = true;
-  SYNC_ENGINE.master.trackStartTime = SYNC_ENGINE.getHighPrecisionTime();
+  SYNC_ENGINE.master.trackStartTime = null;
   SYNC_ENGINE.master.pausedAt = startFromPosition;
   
   // Emit cast status update
@@ -404,49 +754,72 @@ async function playTrackWithPrecisionSync(track, startFromPosition = 0) {
     currentTrack: track,
   });
   
-  const mediaUrl = `http://${SERVER_IP}:${PORT}/stream/track/${encodeURIComponent(track.filename)}`;
-  const metadata = {
-    title: track.name,
-    artist: track.artist || 'Unknown Artist'
-  };
+  // Phase one: preload everywhere, wait for ready reports up to the deadline
+  const ready = new Map(); // deviceId -> { bufferedPosition }
+  const deviceIds = Array.from(SYNC_ENGINE.devices.keys())
+    .filter(deviceId => SYNC_ENGINE.devices.get(deviceId).isConnected);
   
-  // Start casting to all devices with calculated positions
-  const castPromises = [];
-  SYNC_ENGINE.devices.forEach(async (device, deviceId) => {
-    if (device.isConnected) {
-      const latency = SYNC_ENGINE.deviceLatency.get(deviceId) || 50;
-      
-      // Devices with higher latency start slightly earlier to compensate
-      const deviceStartPosition = Math.max(0, startFromPosition - (latency / 1000));
-      
-      castPromises.push(castMediaToDevice(deviceId, mediaUrl, metadata, deviceStartPosition));
+  const preparing = deviceIds.map(deviceId => prepareOutput(deviceId, session, startFromPosition)
+    .then((result) => {
+      if (session.startAt === null) {
+        ready.set(deviceId, result);
+      } else {
+        joinLate(deviceId, session);
+      }
+    })
+    .catch((error) => {
+      const device = SYNC_ENGINE.devices.get(deviceId);
+      logger.error(`Failed to prepare ${device ? device.name : deviceId}: ${error.message || error}`);
+    }));
+  
+  let deadlineTimer;
+  await Promise.race([
+    Promise.all(preparing),
+    new Promise(resolve => { deadlineTimer = setTimeout(resolve, SYNC_ENGINE.READY_TIMEOUT_MS); })
+  ]);
+  clearTimeout(deadlineTimer);
+  
+  // Superseded by another track, or paused while preparing
+  if (SYNC_ENGINE.session !== session || !SYNC_ENGINE.master.isPlaying) return;
+  
+  // Phase two: one start time for everyone who's ready
+  session.startAt = SYNC_ENGINE.getHighPrecisionTime() + SYNC_ENGINE.START_LEAD_MS;
+  SYNC_ENGINE.master.trackStartTime = session.startAt;
+  
+  ready.forEach(({ bufferedPosition }, deviceId) => {
+    // A receiver that buffered from a slightly different spot starts when the
+    // room reaches that spot
+    const deviceStartAt = session.startAt + (bufferedPosition - startFromPosition) * 1000;
+    if (deviceStartAt < SYNC_ENGINE.getHighPrecisionTime()) {
+      joinLate(deviceId, session);
+    } else {
+      startOutput(deviceId, session, bufferedPosition, deviceStartAt);
     }
   });
   
-  try {
-    await Promise.all(castPromises);
-    logger.success(`▶️  Precision sync started: ${track.name} across ${SYNC_ENGINE.devices.size} devices`);
-    
-    // Start sync monitoring
-    startSyncMonitoring();
-    
-    // Broadcast to iOS app with device status
-    io.emit('playback_update', {
-      isPlaying: true,
-      currentTrack: track,
-      position: startFromPosition,
-      devices: Array.from(SYNC_ENGINE.devices.entries()).map(([id, device]) => ({
-        id: id,
-        name: device.name,
-        isConnected: device.isConnected,
-        latency: SYNC_ENGINE.deviceLatency.get(id) || 0
-      }))
-    });
-    
-  } catch (error) {
-    logger.error(`Failed to start precision sync: ${error}`);
-    throw error;
-  }
+  const lateIds = deviceIds.filter(deviceId => !ready.has(deviceId));
+  lateIds.forEach((deviceId) => {
+    const device = SYNC_ENGINE.devices.get(deviceId);
+    logger.warn(`⏰ ${device ? device.name : deviceId} missed the ready deadline, it will join late`);
+  });
+  
+  logger.success(`▶️  Precision sync started: ${track.name} on ${ready.size} devices (${lateIds.length} late) in ${SYNC_ENGINE.START_LEAD_MS}ms`);
+  
+  // Start sync monitoring
+  startSyncMonitoring();
+  
+  // Broadcast to iOS app with device status
+  io.emit('playback_update', {
+    isPlaying: true,
+    currentTrack: track,
+    position: startFromPosition,
+    devices: Array.from(SYNC_ENGINE.devices.entries()).map(([id, device]) => ({
+      id: id,
+      name: device.name,
+      isConnected: device.isConnected,
+      latency: SYNC_ENGINE.deviceLatency.get(id) || 0
+    }))
+  });
 }
 
 // Precision pause across all devices
@@ -472,18 +845,28 @@ async function pauseAllDevicesWithSync() {
   
   const pausePromises = [];
   SYNC_ENGINE.devices.forEach((device, deviceId) => {
-    if (device.isConnected) {
-      pausePromises.push(new Promise((resolve) => {
-        device.player.pause((err, status) => {
-          if (err) {
-            logger.error(`Failed to pause ${device.name}: ${err}`);
-          } else {
-            logger.info(`⏸️  Paused ${device.name} at ${pausePosition.toFixed(2)}s`);
-          }
-          resolve();
-        });
-      }));
+    clearStartTimer(device);
+    if (!device.isConnected) return;
+    
+    if (device.socket) {
+      device.socket.emit('pause_playback', {
+        sessionId: SYNC_ENGINE.session ? SYNC_ENGINE.session.id : null,
+        position: pausePosition
+      });
+      logger.info(`⏸️  Paused ${device.name} at ${pausePosition.toFixed(2)}s`);
+      return;
     }
+    
+    pausePromises.push(new Promise((resolve) => {
+      device.player.pause((err, status) => {
+        if (err) {
+          logger.error(`Failed to pause ${device.name}: ${err}`);
+        } else {
+          logger.info(`⏸️  Paused ${device.name} at ${pausePosition.toFixed(2)}s`);
+        }
+        resolve();
+      });
+    }));
   });
   
   await Promise.all(pausePromises);
@@ -508,13 +891,17 @@ async function pauseAllDevicesWithSync() {
   logger.success('⏸️  Precision pause complete');
 }
 
-// Precision resume
+// Precision resume: everything is already loaded, so only the shared start time is needed
 async function resumeAllDevicesWithSync() {
   const resumePosition = SYNC_ENGINE.master.pausedAt || 0;
+  const session = SYNC_ENGINE.session;
   
   // Reset timing
   SYNC_ENGINE.master.isPlaying = true;
-  SYNC_ENGINE.master.trackStartTime = SYNC_ENGINE.getHighPrecisionTime();
+  SYNC_ENGINE.master.trackStartTime = SYNC_ENGINE.getHighPrecisionTime() + SYNC_ENGINE.START_LEAD_MS;
+  if (session) {
+    session.startAt = SYNC_ENGINE.master.trackStartTime;
+  }
   
   // Emit cast status update
   io.emit('cast_status_update', {
@@ -522,24 +909,12 @@ async function resumeAllDevicesWithSync() {
     currentTime: resumePosition,
   });
   
-  const resumePromises = [];
   SYNC_ENGINE.devices.forEach((device, deviceId) => {
-    if (device.isConnected) {
-      resumePromises.push(new Promise((resolve) => {
-        device.player.play((err, status) => {
-          if (err) {
-            logger.error(`Failed to resume ${device.name}: ${err}`);
-          } else {
-            logger.info(`▶️  Resumed ${device.name} from ${resumePosition.toFixed(2)}s`);
-          }
-          resolve();
-        });
-      }));
+    if (device.isConnected && session) {
+      startOutput(deviceId, session, resumePosition, SYNC_ENGINE.master.trackStartTime);
     }
   });
   
-  await Promise.all(resumePromises);
-  
   // Restart sync monitoring
   startSyncMonitoring();
   
@@ -560,28 +935,30 @@ async function resumeAllDevicesWithSync() {
 // Device late-join functionality
 async function addDeviceToActivePlayback(deviceId) {
   const device = SYNC_ENGINE.devices.get(deviceId);
-  if (!device || !SYNC_ENGINE.master.currentTrack || !SYNC_ENGINE.master.isPlaying) {
+  const session = SYNC_ENGINE.session;
+  if (!device || !session || !SYNC_ENGINE.master.currentTrack || !SYNC_ENGINE.master.isPlaying) {
     return;
   }
   
   const currentPosition = getCurrentPosition();
-  const track = SYNC_ENGINE.master.currentTrack;
   
   logger.info(`🔄 Adding ${device.name} to active playback at ${currentPosition.toFixed(2)}s`);
   
-  const mediaUrl = `http://${SERVER_IP}:${PORT}/stream/track/${encodeURIComponent(track.filename)}`;
-  const metadata = {
-    title: track.name,
-    artist: track.artist || 'Unknown Artist'
-  };
+  try {
+    await prepareOutput(deviceId, session, currentPosition);
+  } catch (error) {
+    logger.error(`Failed to prepare ${device.name}: ${error.message || error}`);
+    return;
+  }
   
-  await castMediaToDevice(deviceId, mediaUrl, metadata, currentPosition);
+  // Loading took a while; start from wherever the room is now
+  await joinLate(deviceId, session);
   
   // Broadcast updated device list
   io.emit('playback_update', {
     isPlaying: true,
-    currentTrack: track,
-    position: currentPosition,
+    currentTrack: session.track,
+    position: getCurrentPosition(),
     devices: Array.from(SYNC_ENGINE.devices.entries()).map(([id, dev]) => ({
       id: id,
       name: dev.name,
@@ -590,76 +967,25 @@ async function addDeviceToActivePlayback(deviceId) {
   });
 }
 
-// Fast Cast Device Discovery
-async function discoverCastDevices() {
-  logger.info('🔍 Fast device discovery...');
-  
-  const devices = [];
-  const knownIPs = ['192.168.12.107', '192.168.12.139'];
-  const checkPromises = [];
-  
-  for (const ip of knownIPs) {
-    checkPromises.push(checkSingleDevice(ip));
-  }
-  
-  const subnet = '192.168.12';
-  for (let i = 100; i <= 150; i++) {
-    if (!knownIPs.includes(`${subnet}.${i}`)) {
-      checkPromises.push(checkSingleDevice(`${subnet}.${i}`));
-    }
-  }
-  
-  const results = await Promise.allSettled(checkPromises);
-  
-  results.forEach(result => {
-    if (result.status === 'fulfilled' && result.value) {
-      devices.push(result.value);
-    }
-  });
-  
+// Cast receivers on the LAN, tracked over mDNS in the background; every
+// change goes out to clients as `cast_devices`
+const castDiscovery = new CastDiscovery();
+castDiscovery.on('devices', (devices) => {
+  io.emit('cast_devices', devices);
+});
+
+async function discoverCastDevices({ refresh = false } = {}) {
+  logger.info('🔍 Cast device discovery...');
+  const devices = await castDiscovery.discover({ refresh: refresh });
   logger.info(`🎯 Discovery complete. Found ${devices.length} devices`);
   return devices;
 }
 
-async function checkSingleDevice(ip) {
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 3000);
-    
-    const response = await fetch(`http://${ip}:8008/setup/eureka_info`, { 
-      method: 'GET',
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (response.ok) {
-      const data = await response.json();
-      const deviceName = data.name || data.device_name || `Chromecast (${ip})`;
-      
-      logger.success(`✅ Found cast device: ${deviceName} at ${ip}`);
-      
-      return {
-        id: `chromecast-${ip}-8008`,
-        name: deviceName,
-        ip: ip,
-        port: 8008,
-        type: 'chromecast',
-        isAvailable: true,
-        isConnected: false
-      };
-    }
-  } catch (error) {
-    // Device not reachable
-  }
-  
-  return null;
-}
-
 // Socket.IO Connection Handling
 io.on('connection', (socket) => {
   const clientIP = socket.handshake.address;
   logger.info(`🔌 iOS app connected: ${socket.id} from ${clientIP}`);
+  socket.emit('cast_devices', castDiscovery.getDevices());
   
   // Send initial data including music library
   socket.emit('initial_data', {
@@ -824,8 +1150,103 @@ io.on('connection', (socket) => {
     });
   });
 
+  // Outputs measure their clock against ours (NTP-style, see clock-estimator.js)
+  // to turn start_playback's `startAt` into their own clock
+  socket.on('clock_sync_request', (data, callback) => {
+    const serverReceiveTime = Date.now();
+    if (typeof callback !== 'function') return;
+
+    callback({
+      clientSendTime: data && data.clientSendTime,
+      serverReceiveTime: serverReceiveTime,
+      serverSendTime: Date.now()
+    });
+  });
+
+  // Web players, the mobile app and Snapcast bridges register as outputs and
+  // then take part in the two-phase start (prepare_playback / start_playback)
+  socket.on('register_output', (data = {}, callback) => {
+    if (data === null || typeof data !== 'object') {
+      if (typeof callback === 'function') callback({ error: 'Invalid request' });
+      return;
+    }
+    
+    const type = OUTPUT_TYPES.includes(data.type) ? data.type : 'web';
+    const deviceId = `${type}-${data.id || socket.id}`;
+    const name = data.name || deviceId;
+    
+    // Outputs with a stable id get a profile, which remembers the format they ask for
+    const profileId = data.id ? deviceId : null;
+    if (profileId) {
+      deviceProfiles.touch(profileId, { name: name, type: type });
+    }
+    if (data.format) {
+      const { format, error } = parseFormat(data.format);
+      if (error) {
+        logger.warn(`Ignoring format from ${name}: ${error}`);
+      } else if (profileId) {
+        deviceProfiles.setFormat(profileId, format);
+      }
+    }
+    
+    const output = {
+      socket: socket,
+      name: name,
+      ip: clientIP,
+      type: type,
+      profileId: profileId,
+      supportedCodecs: normalizeSupported(data.codecs), // What the client can decode
+      isConnected: true,
+      lastSyncTime: Date.now()
+    };
+    output.streamFormat = getDeviceFormat(output);
+    SYNC_ENGINE.devices.set(deviceId, output);
+    socket.data.outputId = deviceId;
+    
+    logger.success(`🔈 Output registered: ${name} (${type}, ${describeFormat(output.streamFormat)})`);
+    
+    io.emit('device_connected', {
+      deviceId: deviceId,
+      deviceName: name,
+      deviceIP: clientIP,
+      devices: Array.from(SYNC_ENGINE.devices.entries()).map(([id, device]) => ({
+        id: id,
+        name: device.name,
+        isConnected: device.isConnected,
+        latency: SYNC_ENGINE.deviceLatency.get(id) || 0
+      }))
+    });
+    
+    if (typeof callback === 'function') {
+      callback({ deviceId: deviceId, format: output.streamFormat });
+    }
+    
+    if (SYNC_ENGINE.master.isPlaying && SYNC_ENGINE.master.currentTrack) {
+      addDeviceToActivePlayback(deviceId);
+    }
+  });
+
   socket.on('disconnect', () => {
     logger.info(`🔌 iOS app disconnected: ${socket.id}`);
+    
+    const deviceId = socket.data.outputId;
+    const device = deviceId && SYNC_ENGINE.devices.get(deviceId);
+    if (device && device.socket === socket) {
+      clearStartTimer(device);
+      SYNC_ENGINE.devices.delete(deviceId);
+      
+      io.emit('device_disconnected', {
+        deviceId: deviceId,
+        deviceName: device.name,
+        deviceIP: device.ip,
+        devices: Array.from(SYNC_ENGINE.devices.entries()).map(([id, dev]) => ({
+          id: id,
+          name: dev.name,
+          isConnected: dev.isConnected,
+          latency: SYNC_ENGINE.deviceLatency.get(id) || 0
+        }))
+      });
+    }
   });
 });
 
@@ -837,10 +1258,32 @@ app.get('/api/library', (req, res) => {
   res.json(musicLibrary);
 });
 
+app.get('/api/library/browse', (req, res) => {
+  const listing = library.browse(req.query.path || '');
+  if (!listing) {
+    return res.status(404).json({ error: 'Folder not found' });
+  }
+  
+  res.json({
+    ...listing,
+    tracks: listing.tracks.map(toLibraryTrack)
+  });
+});
+
+app.get('/api/cover/:coverFile', (req, res) => {
+  const coverPath = library.getCoverPath(req.params.coverFile);
+  if (!coverPath) {
+    return res.status(404).json({ error: 'Cover not found' });
+  }
+  
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.sendFile(coverPath);
+});
+
 // Device discovery
 app.get('/api/cast/discover', async (req, res) => {
   try {
-    const devices = await discoverCastDevices();
+    const devices = await discoverCastDevices({ refresh: req.query.refresh === '1' });
     res.json({
       devices: devices,
       devicesFound: devices.length
@@ -854,11 +1297,23 @@ app.get('/api/cast/discover', async (req, res) => {
 // Cast device connection with late-join support
 app.post('/api/cast/connect', async (req, res) => {
   try {
-    const { deviceIP, deviceName, deviceType } = req.body;
+    const { deviceIP, deviceName, deviceType, format: requestedFormat } = req.body;
+    
+    const formatError = requestedFormat ? parseFormat(requestedFormat).error : null;
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
     
     const result = await connectToCastDevice(deviceIP, deviceName);
     
-    logger.success(`📺 Cast device connected: ${deviceName} (${deviceIP})`);
+    // An explicit format becomes this receiver's saved choice
+    const castDevice = SYNC_ENGINE.devices.get(result.deviceId);
+    if (requestedFormat) {
+      deviceProfiles.setFormat(castDevice.profileId, parseFormat(requestedFormat).format);
+      castDevice.streamFormat = getDeviceFormat(castDevice);
+    }
+    
+    logger.success(`📺 Cast device connected: ${deviceName} (${deviceIP}, ${describeFormat(castDevice.streamFormat)})`);
     
     // If there's active playback, add this device to it
     if (SYNC_ENGINE.master.isPlaying && SYNC_ENGINE.master.currentTrack) {
@@ -982,46 +1437,161 @@ app.post('/api/pause', async (req, res) => {
   }
 });
 
-// Audio streaming endpoint
-app.get('/stream/track/:filename', (req, res) => {
-  const filename = decodeURIComponent(req.params.filename);
-  const filePath = path.join(MUSIC_DIR, filename);
+// Drift corrections applied to each device, oldest first
+app.get('/api/sync/corrections', (req, res) => {
+  res.json({
+    devices: Array.from(SYNC_ENGINE.devices.entries()).map(([id, device]) => ({
+      id: id,
+      name: device.name,
+      rateControl: !device.rateUnsupported,
+      corrections: device.corrections || []
+    }))
+  });
+});
+
+// Device profiles; a format change applies from the next track or late join
+app.use('/api/devices/profiles', createProfileRouter(deviceProfiles, {
+  onChange: (profile) => {
+    SYNC_ENGINE.devices.forEach((device) => {
+      if (device.profileId === profile.id) {
+        device.streamFormat = getDeviceFormat(device);
+      }
+    });
+  }
+}));
+
+// Whole file or a byte range of a finished transcode. If the file has gone
+// (evicted, deleted) before anything was sent, `onUnavailable()` answers instead.
+function sendCachedTrack(req, res, entry, format, onUnavailable) {
+  const range = parseRange(req.headers.range, entry.size);
+  if (range === 'unsatisfiable') {
+    return res.status(416).set('Content-Range', `bytes */${entry.size}`).end();
+  }
   
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: 'Track not found' });
+  res.set({
+    'Content-Type': contentTypeFor(format),
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'no-cache'
+  });
+  
+  if (range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${entry.size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    res.set('Content-Length', entry.size);
   }
   
-  logger.info(`🎵 Streaming ${filename} to cast device`);
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
   
+  const stream = fs.createReadStream(entry.file, range || {});
+  stream.on('error', (error) => {
+    logger.warn(`Cached transcode unreadable: ${error.message}`);
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    res.removeHeader('Content-Range');
+    res.removeHeader('Content-Length');
+    res.status(200);
+    onUnavailable();
+  });
+  stream.pipe(res);
+}
+
+// Live transcode while the cached copy isn't ready; `seconds` seeks with -ss
+function sendLiveTranscode(req, res, filePath, format, seconds) {
   res.set({
-    'Content-Type': 'audio/mpeg',
-    'Accept-Ranges': 'bytes',
+    'Content-Type': contentTypeFor(format),
+    'Accept-Ranges': 'none', // Byte offsets aren't known until the transcode is cached
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive'
   });
   
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+  
   const ffmpeg = spawn(FFMPEG_PATH, [
+    ...(seconds > 0 ? ['-ss', seconds.toFixed(3)] : []),
     '-i', filePath,
-    '-f', 'mp3',
-    '-acodec', 'mp3',
-    '-ab', '320k',
-    '-ar', '44100',
-    '-ac', '2',
+    '-map', '0:a',
+    ...encoderArgs(format),
     '-'
   ], {
-    stdio: ['ignore', 'pipe', 'pipe']
+    stdio: ['ignore', 'pipe', 'ignore']
   });
   
   ffmpeg.stdout.pipe(res);
   
   ffmpeg.on('error', (error) => {
-    logger.error(`FFmpeg error for ${filename}: ${error}`);
+    logger.error(`FFmpeg error for ${path.basename(filePath)}: ${error}`);
     res.end();
   });
   
   req.on('close', () => {
     ffmpeg.kill('SIGTERM');
   });
+}
+
+// Audio streaming endpoint; ?codec=&bitrate=&sampleRate= pick the format and
+// ?t=<seconds> starts part-way in. Served from the transcode cache (with Range
+// support) once the track has been transcoded in that format; the first
+// request starts that transcode and gets a live one meanwhile.
+app.get('/stream/track/:filename', async (req, res) => {
+  const filename = decodeURIComponent(req.params.filename);
+  const filePath = path.join(MUSIC_DIR, filename);
+  
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Track not found' });
+  }
+  
+  const requested = formatFromQuery(req.query);
+  if (requested && requested.error) {
+    return res.status(400).json({ error: requested.error });
+  }
+  const format = requested ? requested.format : negotiateFormat();
+  const seconds = Number(req.query.t) || 0;
+  
+  const track = musicLibrary.find(candidate => candidate.filename === filename);
+  let cacheKey;
+  try {
+    cacheKey = transcodeCache.keyFor(filePath, track ? track.trackId : filename, format);
+  } catch (error) {
+    return res.status(404).json({ error: 'Track not found' }); // Deleted since the check above
+  }
+  let entry = transcodeCache.lookup(cacheKey);
+  
+  if (!entry) {
+    if (!transcodeCache.isPending(cacheKey)) {
+      logger.info(`🗜️  Transcoding ${filename} (${describeFormat(format)}) into the cache`);
+    }
+    const job = transcodeCache.transcode(cacheKey, filePath, format).catch((error) => {
+      logger.error(`Transcode failed for ${filename}: ${error.message}`);
+      return null;
+    });
+    
+    // A seek by byte offset only makes sense against the finished file, so
+    // give a transcode in progress a moment to complete
+    if (req.headers.range && !/^bytes=0-$/.test(req.headers.range.trim())) {
+      entry = await Promise.race([job, new Promise(resolve => setTimeout(resolve, TRANSCODE_WAIT_MS, null))]);
+    }
+  }
+  
+  if (entry && seconds === 0) {
+    logger.info(`🎵 Streaming ${filename} from cache${req.headers.range ? ` (${req.headers.range})` : ''}`);
+    return sendCachedTrack(req, res, entry, format, () => sendLiveTranscode(req, res, filePath, format, 0));
+  }
+  
+  logger.info(`🎵 Streaming ${filename} (${describeFormat(format)}${seconds > 0 ? ` from ${seconds.toFixed(1)}s` : ''})`);
+  sendLiveTranscode(req, res, filePath, format, seconds);
+});
+
+app.get('/api/transcode-cache', (req, res) => {
+  res.json(transcodeCache.getStatus());
 });
 
 // File upload with proper error handling
@@ -1215,6 +1785,29 @@ app.get('/api/streaming/:service/:trackId/stream', async (req, res) => {
   }
 });
 
+// DNS-SD advertisement: apps browsing `_multiroom._tcp` find this server,
+// then confirm it's the right one with /api/discovery
+const advertiser = new ServiceAdvertiser({
+  port: PORT,
+  server: 'precision-sync',
+  capabilities: ['library', 'cast', 'precision-sync', 'transcode-cache', 'streaming', 'device-profiles']
+});
+
+app.get('/api/discovery', (req, res) => {
+  res.json(advertiser.getDescriptor());
+});
+
+// Effective configuration; runtime-safe settings can be changed here
+app.use('/api/config', createConfigRouter(config, {
+  runtimeKeys: ['serverIP', 'sync.toleranceMs', 'sync.hardSeekThresholdMs', 'sync.minResyncIntervalMs']
+}));
+
+config.on('change', () => {
+  SYNC_ENGINE.DRIFT_DEADBAND_MS = config.get('sync.toleranceMs');
+  SYNC_ENGINE.HARD_SEEK_THRESHOLD_MS = config.get('sync.hardSeekThresholdMs');
+  SYNC_ENGINE.MIN_RESYNC_INTERVAL_MS = config.get('sync.minResyncIntervalMs');
+});
+
 app.use(express.static(path.join(__dirname, 'client/build')));
 app.get('*', (req, res) => {
   if (!req.path.startsWith('/api') && !req.path.startsWith('/stream')) {
@@ -1225,13 +1818,17 @@ app.get('*', (req, res) => {
 // Initialize and start server
 function startServer() {
   initializeMusicLibrary();
+  castDiscovery.start();
+  libraryWatcher.start();
   
-  server.listen(PORT, () => {
+  server.listen(PORT, config.get('host'), () => {
+    if (config.get('mdns.advertise')) advertiser.start();
     logger.success(`🎵 Precision Sync Music Server running on port ${PORT}`);
     logger.info(`Configuration: {
   musicDir: '${MUSIC_DIR}',
   fileCount: ${musicLibrary.length},
-  serverIP: '${SERVER_IP}',
+  serverIP: '${config.get('serverIP')}',
+  ffmpeg: '${FFMPEG_PATH}',
   syncMode: 'Precision Multi-Room Sync'
 }`);
   });
@@ -1240,6 +1837,9 @@ function startServer() {
 // Graceful shutdown
 process.on('SIGINT', () => {
   logger.info('🛑 Shutting down server...');
+  advertiser.stop();
+  castDiscovery.stop();
+  libraryWatcher.stop();
   
   // Stop sync monitoring
   if (SYNC_ENGINE.syncMonitor) {
@@ -3,8 +3,39 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const multer = require('multer');
 const { spawn } = require('child_process');
+const StateStore = require('./state-store');
+const { MusicLibrary, AUDIO_FILE_PATTERN } = require('./music-library');
+const LibraryWatcher = require('./library-watcher');
+const LibrarySearch = require('./library-search');
+const {
+  PlaylistStore,
+  exportM3u,
+  exportPls,
+  parsePlaylist,
+  resolvePlaylistEntries
+} = require('./playlists');
+const { PlayOrder, normalizeRepeatMode } = require('./play-order');
+const ClockEstimator = require('./clock-estimator');
+const { DeviceProfileStore, createProfileRouter, isOffset } = require('./device-profiles');
+const { SIGNAL_TYPES, renderSignal, signalSeconds, encodeWav, isWav, findSignal } = require('./acoustic-calibration');
+const { StreamBroadcaster, mp3FrameOffset, streamFraming } = require('./stream-broadcaster');
+const HlsStream = require('./hls-stream');
+const {
+  defaultFormat,
+  parseFormat,
+  formatFromQuery,
+  formatQuery,
+  negotiateFormat,
+  normalizeSupported,
+  encoderArgs,
+  contentTypeFor,
+  describeFormat
+} = require('./audio-formats');
+const { ServiceAdvertiser } = require('./service-advertiser');
+const { loadServerConfig, createConfigRouter } = require('./config');
 
 const app = express();
 const server = http.createServer(app);
@@ -29,10 +60,18 @@ app.use((req, res, next) => {
   }
 });
 
-// Configuration
-const PORT = 3000;
-const MUSIC_DIR = path.join(__dirname, 'music');
-const FFMPEG_PATH = '/opt/homebrew/bin/ffmpeg';
+app.use(express.json());
+
+// Configuration: defaults, then config file, then environment (see config.js)
+const config = loadServerConfig();
+const PORT = config.get('port');
+const MUSIC_DIR = config.get('musicDir');
+const FFMPEG_PATH = config.get('ffmpegPath');
+const DATA_DIR = config.get('dataDir');
+const STATE_FILE = path.join(DATA_DIR, 'playback-state.json');
+const STATE_SAVE_INTERVAL = 5000; // Checkpoint position while playing
+const CLOCK_SYNC_INTERVAL = 10000; // Clock ping per device once synced
+const CLOCK_SYNC_BURST = 8;        // Quick pings right after a device registers
 
 // =============================================================================
 // PURE SOCKET.IO SYNCHRONIZATION SYSTEM
@@ -44,11 +83,14 @@ const playbackState = {
   currentTrack: null,
   position: 0,           // Current position in milliseconds
   startTime: 0,          // When playback started (server timestamp)
-  lastUpdate: Date.now() // Last state update timestamp
+  lastUpdate: Date.now(), // Last state update timestamp
+  shuffle: false,
+  repeat: 'off'          // 'off' | 'one' | 'all'
 };
 
 // Device registry and sync management
 const devices = new Map(); // socketId -> deviceInfo
+const deviceSettings = {}; // deviceKey -> { volume, muted } (persisted)
 const deviceTypes = {
   CHROMECAST: 'chromecast',
   BLUETOOTH: 'bluetooth', 
@@ -56,7 +98,8 @@ const deviceTypes = {
   MOBILE: 'mobile'
 };
 
-// Device-specific latency compensation (in milliseconds)
+// Latency compensation by device type (in milliseconds), used until a
+// device's own profile has a measurement
 const DEVICE_LATENCIES = {
   [deviceTypes.CHROMECAST]: 85,
   [deviceTypes.BLUETOOTH]: 250,
@@ -64,12 +107,48 @@ const DEVICE_LATENCIES = {
   [deviceTypes.MOBILE]: 50
 };
 
+// Per-device offsets keyed by the device's stable key, kept across restarts
+const deviceProfiles = new DeviceProfileStore(path.join(DATA_DIR, 'device-profiles.json'), {
+  typeDefaults: DEVICE_LATENCIES
+});
+
+function applyDeviceProfile(device) {
+  device.latencyCompensation = deviceProfiles.getOffset(device.key, device.type);
+  device.streamFormat = negotiateFormat({
+    saved: deviceProfiles.getFormat(device.key) || device.requestedFormat,
+    supported: device.supportedCodecs,
+    type: device.type
+  });
+}
+
+// Where this device should fetch the house stream, in its negotiated format
+function sendStreamFormat(socket, device) {
+  socket.emit('stream_format', {
+    format: device.streamFormat,
+    contentType: contentTypeFor(device.streamFormat),
+    url: `/stream/current?device=${encodeURIComponent(device.key)}`
+  });
+}
+
+// After a profile changes, re-apply it to whichever connected device uses it
+function refreshDeviceProfile(profileId) {
+  devices.forEach((device, socketId) => {
+    if (device.key === profileId) {
+      applyDeviceProfile(device);
+      const socket = io.sockets.sockets.get(socketId);
+      if (socket) sendStreamFormat(socket, device);
+    }
+  });
+  io.emit('devices_update', Array.from(devices.values()));
+}
+
 // Sync coordinator for orchestrating multi-device playback
 class SyncCoordinator {
   constructor() {
-    this.syncTolerance = 50; // Acceptable sync drift in ms
-    this.syncInterval = 1000; // Sync check interval
+    this.syncTolerance = config.get('sync.toleranceMs'); // Acceptable sync drift in ms
+    this.syncInterval = config.get('sync.intervalMs'); // Sync check interval
     this.isActive = false;
+    this.trackEndTimer = null;
   }
 
   start() {
@@ -114,14 +193,15 @@ class SyncCoordinator {
     devices.forEach((device, socketId) => {
       const socket = io.sockets.sockets.get(socketId);
       if (socket) {
-        const compensatedPosition = currentPosition + (DEVICE_LATENCIES[device.type] || 0);
+        const compensatedPosition = currentPosition + device.latencyCompensation;
         
         socket.emit('sync_update', {
           position: compensatedPosition,
           isPlaying: playbackState.isPlaying,
           timestamp: timestamp,
+          clientTimestamp: device.clock.toClientTime(timestamp),
           track: playbackState.currentTrack,
-          latencyCompensation: DEVICE_LATENCIES[device.type] || 0
+          latencyCompensation: device.latencyCompensation
         });
       }
     });
@@ -130,7 +210,7 @@ class SyncCoordinator {
   handlePlay(position = null) {
     const now = Date.now();
     
-    if (position !== null) {
+    if (position != null) {
       playbackState.position = position;
     }
     
@@ -138,8 +218,17 @@ class SyncCoordinator {
     playbackState.startTime = now;
     playbackState.lastUpdate = now;
     
+    // Resuming a track restored at startup (or after a stop): its HTTP
+    // stream isn't running yet
+    if (!httpAudioProcess && playbackState.currentTrack) {
+      startHttpAudioStream(playbackState.currentTrack.path, playbackState.position);
+    }
+    
     // Broadcast coordinated play command
     this.broadcastPlayCommand();
+    this.scheduleTrackEnd();
+    updateHlsStream();
+    persistState();
   }
 
   handlePause() {
@@ -154,6 +243,9 @@ class SyncCoordinator {
     
     // Broadcast coordinated pause command
     this.broadcastPauseCommand();
+    this.scheduleTrackEnd();
+    updateHlsStream();
+    persistState();
   }
 
   handleSeek(position) {
@@ -165,20 +257,54 @@ class SyncCoordinator {
     
     // Broadcast coordinated seek command
     this.broadcastSeekCommand(position);
+    this.scheduleTrackEnd();
+    updateHlsStream();
+    persistState();
+  }
+
+  // Advance the queue when the master timeline reaches the end of the track
+  scheduleTrackEnd() {
+    clearTimeout(this.trackEndTimer);
+    this.trackEndTimer = null;
+    
+    const duration = playbackState.currentTrack && playbackState.currentTrack.duration;
+    if (!playbackState.isPlaying || !duration) return;
+    
+    const remaining = duration * 1000 - this.getCurrentPosition();
+    this.trackEndTimer = setTimeout(() => {
+      this.trackEndTimer = null;
+      handleTrackEnded();
+    }, Math.max(0, remaining));
+  }
+
+  // Far enough ahead that the play command reaches every device before it's due
+  getScheduleDelay() {
+    let slowestRtt = 0;
+    devices.forEach(device => {
+      if (device.clock.rtt !== null) {
+        slowestRtt = Math.max(slowestRtt, device.clock.rtt);
+      }
+    });
+    
+    return Math.min(Math.max(100, Math.round(slowestRtt * 1.5)), 1000);
   }
 
   broadcastPlayCommand() {
     const timestamp = Date.now();
-    const delayMs = 100; // Small delay to ensure all devices start together
+    const delayMs = this.getScheduleDelay(); // Small delay to ensure all devices start together
+    const startTime = timestamp + delayMs;
     
     devices.forEach((device, socketId) => {
       const socket = io.sockets.sockets.get(socketId);
       if (socket) {
-        const compensatedDelay = delayMs + (DEVICE_LATENCIES[device.type] || 0);
+        const compensatedDelay = delayMs + device.latencyCompensation;
         
         socket.emit('sync_play', {
           position: playbackState.position,
-          startTime: timestamp + delayMs,
+          startTime: startTime,
+          // Same instant on this device's own clock
+          clientStartTime: device.clock.toClientTime(startTime),
+          clockOffset: device.clock.getOffset(),
           delay: compensatedDelay,
           track: playbackState.currentTrack
         });
@@ -194,7 +320,8 @@ class SyncCoordinator {
       if (socket) {
         socket.emit('sync_pause', {
           position: this.getCurrentPosition(),
-          timestamp: timestamp
+          timestamp: timestamp,
+          clientTimestamp: device.clock.toClientTime(timestamp)
         });
       }
     });
@@ -209,6 +336,7 @@ class SyncCoordinator {
         socket.emit('sync_seek', {
           position: position,
           timestamp: timestamp,
+          clientTimestamp: device.clock.toClientTime(timestamp),
           track: playbackState.currentTrack
         });
       }
@@ -218,6 +346,51 @@ class SyncCoordinator {
 
 const syncCoordinator = new SyncCoordinator();
 
+// =============================================================================
+// CLOCK SYNCHRONIZATION
+// =============================================================================
+
+// The server pings every device NTP-style (see clock-estimator.js) so it knows
+// each device's clock offset and can hand out start times in the device's own
+// clock. Devices answer `clock_ping` with their receive and send times.
+const clockSyncTimers = new Map(); // socketId -> timer
+
+function pingDeviceClock(socket, device) {
+  const serverSend = Date.now();
+  
+  socket.timeout(2000).emit('clock_ping', { serverSendTime: serverSend }, (error, reply) => {
+    if (error || !reply) return; // No answer (old client) or timed out
+    
+    const sample = device.clock.addSample({
+      serverSend: serverSend,
+      clientReceive: reply.clientReceiveTime,
+      clientSend: reply.clientSendTime,
+      serverReceive: Date.now()
+    });
+    
+    if (sample) {
+      socket.emit('clock_sync', device.clock.toJSON());
+    }
+  });
+}
+
+function startClockSync(socket, device) {
+  stopClockSync(socket.id);
+  
+  let burstRemaining = CLOCK_SYNC_BURST;
+  const next = () => {
+    pingDeviceClock(socket, device);
+    const delay = --burstRemaining > 0 ? 150 : CLOCK_SYNC_INTERVAL;
+    clockSyncTimers.set(socket.id, setTimeout(next, delay));
+  };
+  next();
+}
+
+function stopClockSync(socketId) {
+  clearTimeout(clockSyncTimers.get(socketId));
+  clockSyncTimers.delete(socketId);
+}
+
 // =============================================================================
 // MUSIC MANAGEMENT
 // =============================================================================
@@ -227,23 +400,76 @@ let queue = [];
 let currentTrackIndex = -1;
 let httpAudioProcess = null;
 
+// /stream/current listeners in the default format share one encode. Clients
+// whose connection can't keep up with 192k are moved to a 64k encode of the
+// same audio, and dropped if they can't keep up with that either.
+const HTTP_STREAM_FORMAT = defaultFormat('mp3');
+const HTTP_STREAM_FALLBACK_FORMAT = { ...HTTP_STREAM_FORMAT, bitrate: 64 };
+// Listeners in any other format share one encode per format, started from the
+// current position when the first of them connects and stopped when the last
+// one leaves. Each encode is a whole ffmpeg, so only a few may run at once.
+const MAX_FORMAT_STREAMS = 4;
+const formatStreams = new Map(); // formatQuery(format) -> { key, format, process, broadcaster }
+const httpStreamFallback = new StreamBroadcaster({
+  name: 'current-low',
+  burstBytes: 16 * 1024,
+  maxPendingBytes: 32 * 1024,
+  align: mp3FrameOffset
+});
+const httpStream = new StreamBroadcaster({
+  name: 'current',
+  align: mp3FrameOffset,
+  fallback: httpStreamFallback
+});
+
+httpStream.on('client_downgraded', (client) => {
+  console.log(`🐢 HTTP stream client ${client.info.ip} is too slow, switching to ${describeFormat(HTTP_STREAM_FALLBACK_FORMAT)}`);
+});
+[httpStream, httpStreamFallback].forEach(broadcaster => broadcaster.on('client_dropped', (client, reason) => {
+  console.log(`🔌 Dropped HTTP stream client ${client.info.ip} (${reason})`);
+}));
+
+// Queue entries are library tracks plus a `queueId`, so the same track can be
+// queued twice and shuffle history survives queue edits
+let nextQueueId = 1;
+let queueVersion = 0; // Bumped on every queue change so clients can spot stale edits
+const playOrder = new PlayOrder();
+
+function createQueueEntry(track) {
+  return { ...track, queueId: nextQueueId++ };
+}
+
+function getCurrentQueueId() {
+  const entry = queue[currentTrackIndex];
+  return entry ? entry.queueId : null;
+}
+
+const library = new MusicLibrary({
+  musicDir: MUSIC_DIR,
+  indexFile: path.join(DATA_DIR, 'library-index.json'),
+  coverDir: path.join(DATA_DIR, 'covers')
+});
+
+const librarySearch = new LibrarySearch();
+
+// Library tracks use `file` for the path relative to MUSIC_DIR; clients of this
+// server know it as `name`. As on every server variant, `id` is that path and
+// `trackId` the library's hash of it.
+function toServerTrack({ id, file, ...track }) {
+  return { id: file, trackId: id, name: file, ...track };
+}
+
+// Look a track up by its relative path or the library's hash
+function findTrack(ref) {
+  if (!ref) return null;
+  return musicFiles.find(f => f.id === ref || f.trackId === ref) || null;
+}
+
 // Initialize music library
 function initializeMusicLibrary() {
   try {
-    if (!fs.existsSync(MUSIC_DIR)) {
-      fs.mkdirSync(MUSIC_DIR, { recursive: true });
-      console.log(`📁 Created music directory: ${MUSIC_DIR}`);
-    }
-    
-    const files = fs.readdirSync(MUSIC_DIR);
-    musicFiles = files
-      .filter(file => /\.(mp3|wav|flac|m4a)$/i.test(file))
-      .map(file => ({
-        name: file,
-        path: path.join(MUSIC_DIR, file),
-        title: file.replace(/\.(mp3|wav|flac|m4a)$/i, ''),
-        duration: 0 // Could be populated with metadata later
-      }));
+    musicFiles = library.scan().map(toServerTrack);
+    librarySearch.build(library.tracks);
     
     console.log(`✅ Found ${musicFiles.length} music files`);
   } catch (error) {
@@ -251,27 +477,95 @@ function initializeMusicLibrary() {
   }
 }
 
-// Start HTTP audio stream
-function startHttpAudioStream(trackPath) {
+// Pick up files copied into MUSIC_DIR behind our back (SMB, rsync, Finder...)
+const libraryWatcher = new LibraryWatcher(library);
+
+// Send clients what changed instead of the whole library
+function applyLibraryChanges({ added, removed, updated }) {
+  musicFiles = library.tracks.map(toServerTrack);
+  
+  added.concat(updated).forEach(track => librarySearch.add(track));
+  removed.forEach(track => librarySearch.remove(track.id));
+  
+  added.forEach(track => io.emit('library_track_added', toServerTrack(track)));
+  updated.forEach(track => io.emit('library_track_updated', toServerTrack(track)));
+  removed.forEach(track => io.emit('library_track_removed', { id: track.file, trackId: track.id, name: track.file }));
+  
+  if (removed.length > 0) {
+    dropRemovedTracks(new Set(removed.map(track => track.file)));
+  }
+}
+
+// Deleted files can't be played: take them out of the queue, and move on
+// (or stop) if the current track was one of them
+function dropRemovedTracks(names) {
+  const isRemoved = entry => names.has(entry.name);
+  const currentRemoved = Boolean(playbackState.currentTrack) && isRemoved(playbackState.currentTrack);
+  const remaining = queue.filter(entry => !isRemoved(entry));
+  if (remaining.length === queue.length && !currentRemoved) return;
+  
+  const keptBefore = queue.slice(0, Math.max(currentTrackIndex, 0)).filter(entry => !isRemoved(entry)).length;
+  if (currentTrackIndex !== -1) {
+    // As in removeFromQueue: a removed current entry leaves the index just
+    // before the gap, so the sequential "next" is whatever follows it
+    currentTrackIndex = !currentRemoved
+      ? keptBefore
+      : playbackState.shuffle ? -1 : keptBefore - 1;
+  }
+  queue = remaining;
+  playOrder.sync(queue, { shuffle: playbackState.shuffle, currentQueueId: getCurrentQueueId() });
+  console.log(`➖ Dropped deleted tracks from the queue (${queue.length} left)`);
+  
+  if (currentRemoved) {
+    console.log(`🗑️  Current track was deleted: ${playbackState.currentTrack.title}`);
+    if (!playbackState.isPlaying || !playNextTrack()) {
+      currentTrackIndex = -1;
+      stopPlayback();
+      playbackState.currentTrack = null;
+      io.emit('track_changed', null);
+      io.emit('playback_state', getPlaybackSnapshot({ includeLibrary: false }));
+    }
+  }
+  
+  broadcastQueue();
+}
+
+libraryWatcher.on('changes', applyLibraryChanges);
+
+// Start HTTP audio stream, optionally part-way into the track (ms)
+function startHttpAudioStream(trackPath, position = 0) {
   stopHttpAudioStream();
   
+  // -re paces the encode at playback speed: listeners are fed live rather
+  // than however fast ffmpeg can read the file
   const ffmpegArgs = [
+    '-re',
+    '-ss', (position / 1000).toFixed(3),
     '-i', trackPath,
-    '-acodec', 'mp3',
-    '-ab', '192k',
-    '-ac', '2',
-    '-ar', '44100',
-    '-f', 'mp3',
-    'pipe:1'
+    '-map', '0:a',
+    ...encoderArgs(HTTP_STREAM_FORMAT),
+    'pipe:1',
+    '-map', '0:a',
+    ...encoderArgs(HTTP_STREAM_FALLBACK_FORMAT),
+    'pipe:3'
   ];
   
-  httpAudioProcess = spawn(FFMPEG_PATH, ffmpegArgs);
+  const audioProcess = spawn(FFMPEG_PATH, ffmpegArgs, { stdio: ['ignore', 'pipe', 'pipe', 'pipe'] });
+  httpAudioProcess = audioProcess;
+  
+  // Listeners stay connected across tracks; only the burst is reset
+  httpStream.reset();
+  httpStreamFallback.reset();
+  audioProcess.stdout.on('data', (chunk) => httpStream.push(chunk));
+  audioProcess.stdio[3].on('data', (chunk) => httpStreamFallback.push(chunk));
+  audioProcess.stderr.resume();
   
-  httpAudioProcess.on('error', (error) => {
+  audioProcess.on('error', (error) => {
     console.error('❌ HTTP audio stream error:', error);
   });
   
-  httpAudioProcess.on('exit', (code) => {
+  audioProcess.on('exit', (code) => {
+    if (httpAudioProcess === audioProcess) httpAudioProcess = null;
     console.log(`🎵 HTTP audio stream exited with code ${code}`);
   });
   
@@ -284,6 +578,157 @@ function stopHttpAudioStream() {
     httpAudioProcess = null;
     console.log('⏹️  Stopped HTTP audio stream');
   }
+  
+  // Format encodes end with the track; those players reconnect on track_changed
+  Array.from(formatStreams.values()).forEach(stopFormatStream);
+}
+
+// The shared encode for `format`, started if need be; null when too many
+// formats are already being encoded
+function getFormatStream(format) {
+  const key = formatQuery(format);
+  if (formatStreams.has(key)) return formatStreams.get(key);
+  if (formatStreams.size >= MAX_FORMAT_STREAMS) return null;
+  
+  const position = syncCoordinator.getCurrentPosition() / 1000;
+  const audioProcess = spawn(FFMPEG_PATH, [
+    '-re',
+    '-ss', position.toFixed(3),
+    '-i', playbackState.currentTrack.path,
+    '-map', '0:a',
+    ...encoderArgs(format),
+    'pipe:1'
+  ], { stdio: ['ignore', 'pipe', 'ignore'] });
+  
+  const broadcaster = new StreamBroadcaster({
+    name: `current-${format.codec}`,
+    ...streamFraming(format.codec)
+  });
+  const stream = { key: key, format: format, process: audioProcess, broadcaster: broadcaster };
+  formatStreams.set(key, stream);
+  
+  audioProcess.stdout.on('data', (chunk) => broadcaster.push(chunk));
+  audioProcess.on('error', (error) => {
+    console.error('❌ HTTP format stream error:', error.message);
+  });
+  audioProcess.on('exit', () => stopFormatStream(stream));
+  // Nobody left to hear it: free the slot for another format
+  broadcaster.on('idle', () => stopFormatStream(stream));
+  broadcaster.on('client_dropped', (client, reason) => {
+    console.log(`🔌 Dropped ${describeFormat(format)} stream client ${client.info.ip} (${reason})`);
+  });
+  
+  console.log(`🎵 Started ${describeFormat(format)} HTTP stream from ${position.toFixed(1)}s`);
+  return stream;
+}
+
+// Ends the encode and its listeners' responses
+function stopFormatStream(stream) {
+  if (formatStreams.get(stream.key) !== stream) return;
+  
+  formatStreams.delete(stream.key);
+  stream.process.kill('SIGTERM');
+  stream.broadcaster.closeAll();
+}
+
+// Playback stopped for good: let listeners' players see the end of the stream
+function closeHttpStreamClients() {
+  httpStream.closeAll();
+  httpStreamFallback.closeAll();
+}
+
+// HLS segments are stamped with the master timeline, so each play/pause/seek
+// restarts the segmenter from the coordinator's current anchor
+const hlsStream = new HlsStream({
+  ffmpegPath: FFMPEG_PATH,
+  dir: path.join(os.tmpdir(), `multiroom-hls-${process.pid}`)
+});
+
+function updateHlsStream() {
+  if (playbackState.isPlaying && playbackState.currentTrack) {
+    hlsStream.start({
+      trackPath: playbackState.currentTrack.path,
+      position: playbackState.position,
+      startTime: playbackState.startTime
+    });
+  } else {
+    hlsStream.stop();
+  }
+}
+
+// =============================================================================
+// STATE PERSISTENCE
+// =============================================================================
+
+const stateStore = new StateStore(STATE_FILE);
+
+// Mode changes broadcast the snapshot without the (potentially large) library
+function getPlaybackSnapshot({ includeLibrary = true } = {}) {
+  const snapshot = {
+    isPlaying: playbackState.isPlaying,
+    currentTrack: playbackState.currentTrack,
+    position: syncCoordinator.getCurrentPosition(),
+    currentTrackIndex: currentTrackIndex,
+    shuffle: playbackState.shuffle,
+    repeat: playbackState.repeat,
+    queue: queue,
+    queueVersion: queueVersion
+  };
+  
+  if (includeLibrary) {
+    snapshot.musicLibrary = musicFiles;
+  }
+  
+  return snapshot;
+}
+
+function persistState() {
+  stateStore.save({
+    savedAt: Date.now(),
+    queue: queue.map(track => track.name),
+    currentTrackIndex: currentTrackIndex,
+    currentTrack: playbackState.currentTrack ? playbackState.currentTrack.name : null,
+    position: syncCoordinator.getCurrentPosition(),
+    shuffle: playbackState.shuffle,
+    repeat: playbackState.repeat,
+    deviceSettings: deviceSettings
+  });
+}
+
+// Restore saved state; playback always comes back paused at the saved position
+function restoreState() {
+  const saved = stateStore.load();
+  if (!saved) return;
+
+  queue = (saved.queue || []).map(findTrack).filter(Boolean).map(createQueueEntry);
+  playbackState.currentTrack = findTrack(saved.currentTrack);
+  playbackState.position = playbackState.currentTrack ? saved.position || 0 : 0;
+  playbackState.isPlaying = false;
+  playbackState.shuffle = !!saved.shuffle;
+  playbackState.repeat = normalizeRepeatMode(saved.repeat);
+
+  // Re-derive the index in case tracks were removed from disk while we were down.
+  // Prefer the saved index when it still points at the same track (duplicates).
+  const savedEntry = queue[saved.currentTrackIndex];
+  currentTrackIndex = !playbackState.currentTrack
+    ? -1
+    : savedEntry && savedEntry.name === playbackState.currentTrack.name
+      ? saved.currentTrackIndex
+      : queue.findIndex(q => q.name === playbackState.currentTrack.name);
+  
+  if (currentTrackIndex !== -1) {
+    playbackState.currentTrack = queue[currentTrackIndex];
+  }
+  
+  // The shuffled order itself isn't saved; start a fresh round
+  if (playbackState.shuffle) {
+    playOrder.reshuffle(queue, getCurrentQueueId());
+  }
+
+  Object.assign(deviceSettings, saved.deviceSettings || {});
+
+  console.log(`✅ Restored ${queue.length} queued tracks` +
+    (playbackState.currentTrack ? `, paused at ${Math.round(playbackState.position / 1000)}s of ${playbackState.currentTrack.title}` : ''));
 }
 
 // =============================================================================
@@ -293,27 +738,77 @@ function stopHttpAudioStream() {
 io.on('connection', (socket) => {
   console.log(`🔌 Client connected: ${socket.id}`);
   
+  // Handlers that modify state accept an optional ack callback
+  const reply = (callback, result) => {
+    if (typeof callback === 'function') callback(result);
+  };
+  
+  // Handlers that take an object answer anything else (null included) with
+  // an error instead of throwing on it
+  const rejectInvalidPayload = (data, callback) => {
+    if (data !== null && typeof data === 'object') return false;
+    
+    reply(callback, { error: 'Invalid request' });
+    return true;
+  };
+  
+  // Index-based queue edits may carry the queue version the client saw; if the
+  // queue has changed since, refuse the edit and resend the current queue
+  const rejectStaleQueueEdit = (data, callback) => {
+    if (data === null || typeof data !== 'object' || data.version == null) return false;
+    if (data.version === queueVersion) return false;
+    
+    socket.emit('queue_updated', getQueueState());
+    reply(callback, { error: 'Queue has changed', version: queueVersion });
+    return true;
+  };
+  
   // Device registration
   socket.on('register_device', (deviceInfo) => {
+    if (rejectInvalidPayload(deviceInfo)) return;
+    
+    // Settings and profiles are keyed by a client-provided stable id so they
+    // survive reconnects. Clients without one get nothing saved: names aren't
+    // unique, and socket ids change with every connection.
+    const hasStableId = typeof deviceInfo.deviceId === 'string' && deviceInfo.deviceId !== '';
+    const deviceKey = hasStableId ? deviceInfo.deviceId : socket.id;
     const device = {
       id: socket.id,
+      key: deviceKey,
+      hasProfile: hasStableId,
       type: deviceInfo.type || deviceTypes.WEB,
       name: deviceInfo.name || 'Unknown Device',
       capabilities: deviceInfo.capabilities || [],
+      supportedCodecs: normalizeSupported(deviceInfo.codecs), // What the client can decode
+      settings: deviceSettings[deviceKey] || { volume: 1.0, muted: false },
+      clock: new ClockEstimator(),
       joinTime: Date.now()
     };
     
+    // Picks up this device's saved offsets and format if it has been here before;
+    // a format the client asks for replaces the saved one
+    if (device.hasProfile) {
+      deviceProfiles.touch(deviceKey, { name: device.name, type: device.type });
+    }
+    if (deviceInfo.format) {
+      const { format, error } = parseFormat(deviceInfo.format);
+      if (error) {
+        console.warn(`⚠️  Ignoring format from ${device.name}: ${error}`);
+      } else if (device.hasProfile) {
+        deviceProfiles.setFormat(deviceKey, format);
+      } else {
+        device.requestedFormat = format;
+      }
+    }
+    applyDeviceProfile(device);
+    
     devices.set(socket.id, device);
-    console.log(`📱 Device registered: ${device.name} (${device.type})`);
-    
-    // Send current state to new device
-    socket.emit('playback_state', {
-      isPlaying: playbackState.isPlaying,
-      currentTrack: playbackState.currentTrack,
-      position: syncCoordinator.getCurrentPosition(),
-      queue: queue,
-      musicLibrary: musicFiles
-    });
+    startClockSync(socket, device);
+    sendStreamFormat(socket, device);
+    console.log(`📱 Device registered: ${device.name} (${device.type}, ${device.latencyCompensation}ms compensation, ${describeFormat(device.streamFormat)})`);
+    
+    // Send current state to new (or reconnecting) device
+    socket.emit('playback_state', getPlaybackSnapshot());
     
     // Start sync coordinator if this is the first device
     if (devices.size === 1) {
@@ -324,6 +819,48 @@ io.on('connection', (socket) => {
     io.emit('devices_update', Array.from(devices.values()));
   });
   
+  socket.on('update_device_settings', (settings) => {
+    const device = devices.get(socket.id);
+    if (!device) return;
+    
+    device.settings = { ...device.settings, ...settings };
+    if (device.hasProfile) {
+      deviceSettings[device.key] = device.settings;
+    }
+    console.log(`⚙️  Updated settings for ${device.name}`);
+    
+    persistState();
+    io.emit('devices_update', Array.from(devices.values()));
+  });
+  
+  // Output latency the client measured itself (e.g. AudioContext.outputLatency)
+  socket.on('latency_measurement', (data) => {
+    if (rejectInvalidPayload(data)) return;
+    
+    // Same bounds as a measurement posted to the profile API
+    const device = devices.get(socket.id);
+    if (!device || !device.hasProfile || !isOffset(data.offsetMs)) return;
+    
+    deviceProfiles.addMeasurement(device.key, data.offsetMs, data.source || 'client');
+    applyDeviceProfile(device);
+    console.log(`📏 ${device.name} measured ${data.offsetMs}ms, now compensating ${device.latencyCompensation}ms`);
+    
+    io.emit('devices_update', Array.from(devices.values()));
+  });
+  
+  // Client-initiated clock sync: answers with server receive/send times so
+  // clients can estimate their own offset too
+  socket.on('clock_sync_request', (data, callback) => {
+    const serverReceiveTime = Date.now();
+    if (rejectInvalidPayload(data, callback)) return;
+    
+    reply(callback, {
+      clientSendTime: data.clientSendTime,
+      serverReceiveTime: serverReceiveTime,
+      serverSendTime: Date.now()
+    });
+  });
+  
   // Playback controls
   socket.on('play', (data) => {
     console.log('▶️  Play command received');
@@ -345,38 +882,184 @@ io.on('connection', (socket) => {
     playNextTrack();
   });
   
+  socket.on('play_pause', () => {
+    console.log('⏯️  Play/pause command received');
+    togglePlayPause();
+  });
+  
   socket.on('previous_track', () => {
     console.log('⏮️  Previous track command received');
     playPreviousTrack();
   });
   
-  // Queue management
-  socket.on('add_to_queue', (data) => {
-    const track = musicFiles.find(f => f.name === data.filename);
-    if (track) {
-      queue.push(track);
-      console.log(`➕ Added to queue: ${track.title}`);
-      io.emit('queue_updated', queue);
+  socket.on('set_shuffle', (data) => {
+    setShuffle(typeof data === 'object' && data !== null ? data.enabled : data);
+  });
+  
+  socket.on('set_repeat', (data) => {
+    setRepeat(typeof data === 'object' && data !== null ? data.mode : data);
+  });
+  
+  // Queue management. Tracks are referenced by id or filename, queue entries
+  // by `queueId` (stable) or `index` (checked against `version` if given).
+  //   add_to_queue / play_next: id | { id | filename | tracks: [...], next, position }
+  const handleAddToQueue = (data, options, callback) => {
+    const request = typeof data === 'object' && data !== null ? data : { id: data };
+    if (rejectStaleQueueEdit(request, callback)) return;
+    
+    const tracks = resolveTrackRefs(request.tracks || [request.id || request.filename]);
+    if (tracks.length === 0) return reply(callback, { error: 'Track not found' });
+    
+    const entries = addToQueue(tracks, { next: !!request.next, position: request.position, ...options });
+    reply(callback, { success: true, added: entries.length, version: queueVersion });
+  };
+  
+  socket.on('add_to_queue', (data, callback) => handleAddToQueue(data, {}, callback));
+  socket.on('play_next', (data, callback) => handleAddToQueue(data, { next: true }, callback));
+  
+  socket.on('remove_from_queue', (data, callback) => {
+    if (rejectStaleQueueEdit(data, callback)) return;
+    
+    const index = resolveQueueIndex(data);
+    if (index === -1) return reply(callback, { error: 'Queue item not found' });
+    
+    removeFromQueue(index);
+    reply(callback, { success: true, version: queueVersion });
+  });
+  
+  socket.on('move_queue_item', (data, callback) => {
+    if (rejectInvalidPayload(data, callback)) return;
+    if (rejectStaleQueueEdit(data, callback)) return;
+    
+    const fromIndex = data.queueId != null
+      ? queue.findIndex(q => q.queueId === data.queueId)
+      : data.fromIndex;
+    if (!Number.isInteger(fromIndex) || fromIndex < 0 || fromIndex >= queue.length || !Number.isInteger(data.toIndex)) {
+      return reply(callback, { error: 'Invalid move' });
     }
+    
+    moveQueueItem(fromIndex, data.toIndex);
+    reply(callback, { success: true, version: queueVersion });
+  });
+  
+  socket.on('skip_to_track', (data, callback) => {
+    if (rejectStaleQueueEdit(data, callback)) return;
+    
+    const index = resolveQueueIndex(data);
+    if (index === -1) return reply(callback, { error: 'Queue item not found' });
+    
+    skipToTrack(index);
+    reply(callback, { success: true });
   });
   
   socket.on('clear_queue', () => {
     queue = [];
+    currentTrackIndex = -1;
+    playOrder.reset();
     console.log('🗑️  Queue cleared');
-    io.emit('queue_updated', queue);
+    broadcastQueue();
   });
   
   socket.on('play_track', (data) => {
-    const track = musicFiles.find(f => f.name === data.filename);
-    if (track) {
+    const track = findTrack(data.id || data.filename);
+    if (!track) return;
+    
+    // Playing something that's queued jumps there, so shuffle history stays right
+    const index = queue.findIndex(q => q.name === track.name);
+    if (index !== -1) {
+      skipToTrack(index);
+    } else {
       playTrack(track);
     }
   });
   
+  // Playlist management
+  socket.on('get_playlists', (callback) => {
+    reply(callback, getPlaylistSummaries());
+  });
+  
+  socket.on('get_playlist', (data, callback) => {
+    if (rejectInvalidPayload(data, callback)) return;
+    
+    const playlist = playlistStore.get(data.id);
+    reply(callback, playlist ? resolvePlaylist(playlist) : { error: 'Playlist not found' });
+  });
+  
+  socket.on('create_playlist', (data, callback) => {
+    if (rejectInvalidPayload(data, callback)) return;
+    if (!data.name) return reply(callback, { error: 'Playlist name required' });
+    
+    const playlist = playlistStore.create(data.name, toTrackNames(data.tracks || []));
+    console.log(`📜 Created playlist: ${playlist.name}`);
+    broadcastPlaylists();
+    reply(callback, resolvePlaylist(playlist));
+  });
+  
+  socket.on('rename_playlist', (data, callback) => {
+    if (rejectInvalidPayload(data, callback)) return;
+    if (!data.name) return reply(callback, { error: 'Playlist name required' });
+    
+    const playlist = playlistStore.rename(data.id, data.name);
+    if (playlist) broadcastPlaylists();
+    reply(callback, playlist ? resolvePlaylist(playlist) : { error: 'Playlist not found' });
+  });
+  
+  socket.on('delete_playlist', (data, callback) => {
+    if (rejectInvalidPayload(data, callback)) return;
+    
+    const deleted = playlistStore.delete(data.id);
+    if (deleted) broadcastPlaylists();
+    reply(callback, deleted ? { success: true } : { error: 'Playlist not found' });
+  });
+  
+  socket.on('add_to_playlist', (data, callback) => {
+    if (rejectInvalidPayload(data, callback)) return;
+    
+    const problem = checkPlaylistEdit(data.id, { insertAt: data.position });
+    if (problem) return reply(callback, { error: problem.error });
+    
+    const playlist = playlistStore.addTracks(data.id, toTrackNames(data.tracks), data.position);
+    broadcastPlaylists();
+    reply(callback, resolvePlaylist(playlist));
+  });
+  
+  socket.on('remove_from_playlist', (data, callback) => {
+    if (rejectInvalidPayload(data, callback)) return;
+    
+    const problem = checkPlaylistEdit(data.id, { indexes: [data.index] });
+    if (problem) return reply(callback, { error: problem.error });
+    
+    const playlist = playlistStore.removeTrack(data.id, data.index);
+    broadcastPlaylists();
+    reply(callback, resolvePlaylist(playlist));
+  });
+  
+  socket.on('move_playlist_item', (data, callback) => {
+    if (rejectInvalidPayload(data, callback)) return;
+    
+    const problem = checkPlaylistEdit(data.id, { indexes: [data.fromIndex, data.toIndex] });
+    if (problem) return reply(callback, { error: problem.error });
+    
+    const playlist = playlistStore.moveTrack(data.id, data.fromIndex, data.toIndex);
+    broadcastPlaylists();
+    reply(callback, resolvePlaylist(playlist));
+  });
+  
+  socket.on('load_playlist', (data, callback) => {
+    if (rejectInvalidPayload(data, callback)) return;
+    
+    const playlist = playlistStore.get(data.id);
+    if (!playlist) return reply(callback, { error: 'Playlist not found' });
+    
+    const loaded = loadPlaylistIntoQueue(playlist, data.mode, data.play);
+    reply(callback, { success: true, loaded: loaded });
+  });
+  
   // Disconnect handling
   socket.on('disconnect', () => {
     console.log(`🔌 Client disconnected: ${socket.id}`);
     devices.delete(socket.id);
+    stopClockSync(socket.id);
     
     // Stop sync coordinator if no devices left
     if (devices.size === 0) {
@@ -403,7 +1086,9 @@ function playTrack(track) {
   startHttpAudioStream(track.path);
   
   // Update queue index if track is in queue
-  const queueIndex = queue.findIndex(q => q.name === track.name);
+  const queueIndex = track.queueId
+    ? queue.findIndex(q => q.queueId === track.queueId)
+    : queue.findIndex(q => q.name === track.name);
   if (queueIndex !== -1) {
     currentTrackIndex = queueIndex;
   }
@@ -415,38 +1100,441 @@ function playTrack(track) {
   io.emit('track_changed', track);
 }
 
-function playNextTrack() {
-  if (queue.length === 0) return;
+// Returns false when there's nothing left to play (end of queue, repeat off)
+function playNextTrack({ auto = false } = {}) {
+  const nextId = playOrder.next(queue, getCurrentQueueId(), {
+    shuffle: playbackState.shuffle,
+    repeat: playbackState.repeat,
+    auto: auto
+  });
+  
+  if (nextId === null) {
+    console.log('⏹️  End of queue');
+    return false;
+  }
   
-  currentTrackIndex = (currentTrackIndex + 1) % queue.length;
-  playTrack(queue[currentTrackIndex]);
+  playTrack(queue.find(q => q.queueId === nextId));
+  return true;
 }
 
 function playPreviousTrack() {
-  if (queue.length === 0) return;
+  const previousId = playOrder.previous(queue, getCurrentQueueId(), {
+    shuffle: playbackState.shuffle,
+    repeat: playbackState.repeat
+  });
+  
+  if (previousId !== null) {
+    playTrack(queue.find(q => q.queueId === previousId));
+  } else if (playbackState.currentTrack) {
+    // Nothing before this one - restart it
+    syncCoordinator.handleSeek(0);
+  }
+}
+
+function handleTrackEnded() {
+  console.log(`🏁 Track finished: ${playbackState.currentTrack.title}`);
+  
+  if (!playNextTrack({ auto: true })) {
+    // Stop at the top of the last track so pressing play starts it again
+    stopPlayback();
+  }
+}
+
+function stopPlayback() {
+  stopHttpAudioStream();
+  closeHttpStreamClients();
+  syncCoordinator.handlePause();
+  syncCoordinator.handleSeek(0);
+}
+
+function togglePlayPause() {
+  if (playbackState.isPlaying) {
+    syncCoordinator.handlePause();
+  } else if (playbackState.currentTrack) {
+    syncCoordinator.handlePlay();
+  } else {
+    playNextTrack();
+  }
+}
+
+function broadcastPlaybackModes() {
+  io.emit('playback_state', getPlaybackSnapshot({ includeLibrary: false }));
+  persistState();
+}
+
+function setShuffle(enabled) {
+  playbackState.shuffle = !!enabled;
   
-  currentTrackIndex = currentTrackIndex > 0 ? currentTrackIndex - 1 : queue.length - 1;
-  playTrack(queue[currentTrackIndex]);
+  // Every shuffle starts a new round from whatever is playing now
+  playOrder.reset();
+  if (playbackState.shuffle) {
+    playOrder.reshuffle(queue, getCurrentQueueId());
+  }
+  
+  console.log(`🔀 Shuffle ${playbackState.shuffle ? 'on' : 'off'}`);
+  broadcastPlaybackModes();
+}
+
+function setRepeat(mode) {
+  playbackState.repeat = normalizeRepeatMode(mode);
+  console.log(`🔁 Repeat: ${playbackState.repeat}`);
+  broadcastPlaybackModes();
+}
+
+// =============================================================================
+// QUEUE MANAGEMENT
+// =============================================================================
+
+function getQueueState() {
+  return {
+    queue: queue,
+    version: queueVersion,
+    currentTrackIndex: currentTrackIndex
+  };
+}
+
+function broadcastQueue() {
+  queueVersion++;
+  io.emit('queue_updated', getQueueState());
+  persistState();
+}
+
+// Track references from a request (ids, filenames or track objects) -> library tracks
+function resolveTrackRefs(refs) {
+  return (Array.isArray(refs) ? refs : [refs])
+    .map(ref => findTrack(typeof ref === 'object' && ref !== null ? ref.id || ref.name : ref))
+    .filter(Boolean);
+}
+
+// A queue entry reference: an index, or { index } / { queueId }. Returns -1 if invalid.
+function resolveQueueIndex(ref) {
+  if (ref !== null && typeof ref === 'object') {
+    if (ref.queueId != null) return queue.findIndex(q => q.queueId === ref.queueId);
+    ref = ref.index;
+  }
+  return Number.isInteger(ref) && ref >= 0 && ref < queue.length ? ref : -1;
+}
+
+// Insert tracks after the current one (`next`), at `position`, or at the end
+function addToQueue(tracks, { next = false, position } = {}) {
+  const entries = tracks.map(createQueueEntry);
+  const index = next
+    ? currentTrackIndex + 1
+    : Number.isInteger(position)
+      ? Math.min(Math.max(position, 0), queue.length)
+      : queue.length;
+  
+  queue.splice(index, 0, ...entries);
+  if (currentTrackIndex !== -1 && index <= currentTrackIndex) {
+    currentTrackIndex += entries.length;
+  }
+  
+  playOrder.sync(queue, {
+    shuffle: playbackState.shuffle,
+    playNextIds: next ? entries.map(entry => entry.queueId) : [],
+    currentQueueId: getCurrentQueueId()
+  });
+  
+  console.log(`➕ Added ${entries.length} track(s) to queue${next ? ' (next)' : ''}`);
+  broadcastQueue();
+  return entries;
+}
+
+function removeFromQueue(index) {
+  const [removed] = queue.splice(index, 1);
+  const removedCurrent = index === currentTrackIndex;
+  
+  if (index < currentTrackIndex) {
+    currentTrackIndex--;
+  } else if (removedCurrent) {
+    // Point just before the gap so the sequential "next" is the entry that
+    // took its place; shuffle picks from the rest of its round
+    currentTrackIndex = playbackState.shuffle ? -1 : index - 1;
+  }
+  
+  playOrder.sync(queue, { shuffle: playbackState.shuffle, currentQueueId: getCurrentQueueId() });
+  console.log(`➖ Removed from queue: ${removed.title}`);
+  
+  if (removedCurrent) {
+    if (!playbackState.isPlaying) {
+      currentTrackIndex = -1;
+    } else if (!playNextTrack()) {
+      currentTrackIndex = -1;
+      stopPlayback();
+    }
+  }
+  
+  broadcastQueue();
+}
+
+function moveQueueItem(fromIndex, toIndex) {
+  const target = Math.min(Math.max(toIndex, 0), queue.length - 1);
+  const [entry] = queue.splice(fromIndex, 1);
+  queue.splice(target, 0, entry);
+  
+  if (currentTrackIndex === fromIndex) {
+    currentTrackIndex = target;
+  } else if (fromIndex < currentTrackIndex && target >= currentTrackIndex) {
+    currentTrackIndex--;
+  } else if (fromIndex > currentTrackIndex && target <= currentTrackIndex) {
+    currentTrackIndex++;
+  }
+  
+  console.log(`↕️  Moved queue item ${fromIndex} -> ${target}`);
+  broadcastQueue();
+}
+
+function skipToTrack(index) {
+  const entry = queue[index];
+  playOrder.jumpTo(entry.queueId, getCurrentQueueId());
+  playTrack(entry);
+}
+
+// =============================================================================
+// PLAYLISTS
+// =============================================================================
+
+const playlistStore = new PlaylistStore(path.join(DATA_DIR, 'playlists.json'));
+
+// Playlist with its track paths resolved against the current library; entries
+// whose file is gone come back as { name, missing: true }
+function resolvePlaylist(playlist) {
+  return {
+    ...playlist,
+    tracks: playlist.tracks.map(name => findTrack(name) || { name, missing: true })
+  };
+}
+
+function getPlaylistSummaries() {
+  return playlistStore.list().map(playlist => ({
+    id: playlist.id,
+    name: playlist.name,
+    trackCount: playlist.tracks.length,
+    updatedAt: playlist.updatedAt
+  }));
+}
+
+function broadcastPlaylists() {
+  io.emit('playlists_updated', getPlaylistSummaries());
+}
+
+// Index-based edits must name positions in the playlist as it is now:
+// `indexes` existing entries, `insertAt` (optional) a slot from 0 to the end.
+// Returns { status, error } for the problem, or null if the edit can go ahead.
+function checkPlaylistEdit(id, { indexes = [], insertAt = null } = {}) {
+  const playlist = playlistStore.get(id);
+  if (!playlist) return { status: 404, error: 'Playlist not found' };
+  
+  const length = playlist.tracks.length;
+  const isEntry = index => Number.isInteger(index) && index >= 0 && index < length;
+  const isSlot = index => index == null || (Number.isInteger(index) && index >= 0 && index <= length);
+  if (!indexes.every(isEntry) || !isSlot(insertAt)) return { status: 400, error: 'Invalid playlist index' };
+  return null;
+}
+
+// Map track ids/paths from a request onto library paths, dropping unknown ones
+function toTrackNames(refs) {
+  return resolveTrackRefs(refs).map(track => track.name);
+}
+
+// mode: 'replace' swaps out the queue (and starts it if `play`), 'append' adds to the end
+function loadPlaylistIntoQueue(playlist, mode = 'replace', play = false) {
+  const tracks = playlist.tracks.map(findTrack).filter(Boolean).map(createQueueEntry);
+  
+  if (mode === 'append') {
+    queue.push(...tracks);
+    playOrder.sync(queue, { shuffle: playbackState.shuffle, currentQueueId: getCurrentQueueId() });
+  } else {
+    queue = tracks;
+    currentTrackIndex = -1;
+    playOrder.reset();
+    if (playbackState.shuffle) {
+      playOrder.reshuffle(queue, null);
+    }
+  }
+  
+  console.log(`📜 Loaded playlist "${playlist.name}" into queue (${mode}, ${tracks.length} tracks)`);
+  broadcastQueue();
+  
+  if (play && mode !== 'append' && queue.length > 0) {
+    // In shuffle mode start from the first track of the shuffled round
+    if (!playNextTrack()) {
+      playTrack(queue[0]);
+    }
+  }
+  
+  return tracks.length;
+}
+
+// =============================================================================
+// ACOUSTIC CALIBRATION
+// =============================================================================
+
+// One device at a time plays a test signal (see acoustic-calibration.js) at a
+// scheduled server time while a microphone records the room. When the signal
+// shows up in the recording, minus when it was scheduled, is the device's true
+// output latency; it goes into the device's profile as a measurement.
+const CALIBRATION_LEAD_MS = 3000;      // Time to start recording before the signal plays
+const CALIBRATION_EXPIRY_MS = 120000;  // Recording must be uploaded within this
+const CALIBRATION_MAX_OFFSET_MS = 3000; // Anything beyond is a clock or recording mix-up
+const CALIBRATION_SPARE_MS = 2000;      // Recording allowance on top of lead + signal + max offset
+
+let calibration = null; // { id, deviceKey, deviceName, signal, playAt, expiresAt }
+const signalWavs = {};  // signal type -> WAV buffer
+
+function getSignalWav(type) {
+  if (!signalWavs[type]) {
+    signalWavs[type] = encodeWav(renderSignal(type));
+  }
+  return signalWavs[type];
+}
+
+function getActiveCalibration() {
+  if (calibration && Date.now() > calibration.expiresAt) {
+    calibration = null;
+  }
+  return calibration;
+}
+
+function startCalibration(socket, device, signal, leadMs) {
+  // Music would drown the test signal
+  if (playbackState.isPlaying) {
+    syncCoordinator.handlePause();
+  }
+  
+  const playAt = Date.now() + leadMs;
+  calibration = {
+    id: Math.random().toString(36).slice(2, 10),
+    deviceKey: device.key,
+    deviceName: device.name,
+    signal: signal,
+    playAt: playAt,
+    leadMs: leadMs,
+    signalUrl: `/api/calibration/signal/${signal}.wav`,
+    expiresAt: playAt + CALIBRATION_EXPIRY_MS
+  };
+  
+  // No latency compensation here: the raw offset is what's being measured
+  socket.emit('calibration_play', {
+    id: calibration.id,
+    signalUrl: calibration.signalUrl,
+    playAt: playAt,
+    clientPlayAt: device.clock.toClientTime(playAt)
+  });
+  io.emit('calibration_started', calibration);
+  
+  console.log(`🎤 Calibrating ${device.name} with a ${signal} at ${new Date(playAt).toISOString()}`);
+  return calibration;
+}
+
+// Longest recording worth analyzing: started when the run did and stopped
+// once even the latest plausible signal is over. The correlation's memory and
+// time grow with the length, so anything longer is refused.
+function maxRecordingSeconds(active) {
+  const totalMs = active.leadMs + signalSeconds(active.signal) * 1000 + CALIBRATION_MAX_OFFSET_MS + CALIBRATION_SPARE_MS;
+  return totalMs / 1000;
+}
+
+function completeCalibration(active, wav, recordingStartedAt) {
+  const detection = findSignal(wav, active.signal, { maxSeconds: maxRecordingSeconds(active) });
+  if (!detection.found) {
+    return { error: 'Test signal not found in the recording', confidence: detection.confidence };
+  }
+  
+  const heardAt = recordingStartedAt + detection.offsetSeconds * 1000;
+  const offsetMs = Math.round((heardAt - active.playAt) * 10) / 10;
+  if (Math.abs(offsetMs) > CALIBRATION_MAX_OFFSET_MS) {
+    return { error: `Measured offset ${offsetMs}ms is implausible; check recordingStartedAt`, offsetMs, confidence: detection.confidence };
+  }
+  
+  const profile = deviceProfiles.addMeasurement(active.deviceKey, offsetMs, `acoustic-${active.signal}`);
+  refreshDeviceProfile(active.deviceKey);
+  calibration = null;
+  
+  const result = {
+    deviceKey: active.deviceKey,
+    offsetMs: offsetMs,
+    confidence: detection.confidence,
+    compensationMs: deviceProfiles.getOffset(active.deviceKey),
+    profile: profile
+  };
+  
+  console.log(`🎤 ${active.deviceName}: sound ${offsetMs}ms after its scheduled time (confidence ${detection.confidence})`);
+  io.emit('calibration_complete', result);
+  return result;
+}
+
+// Phone recordings are usually AAC/Opus; decode to WAV for analysis. Decoding
+// stops just past `maxSeconds`, so a long upload can't turn into a huge WAV;
+// the analysis then refuses it for being too long.
+function convertToWav(buffer, maxSeconds) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const ffmpeg = spawn(FFMPEG_PATH, [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', 'pipe:0',
+      '-t', (maxSeconds + 1).toFixed(3),
+      '-ac', '1',
+      '-f', 'wav',
+      'pipe:1'
+    ], { stdio: ['pipe', 'pipe', 'ignore'] });
+    
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', (code) => {
+      if (code === 0) resolve(Buffer.concat(chunks));
+      else reject(new Error(`ffmpeg exited with code ${code}`));
+    });
+    ffmpeg.stdin.on('error', () => {}); // ffmpeg may stop reading early on bad input
+    ffmpeg.stdin.end(buffer);
+  });
 }
 
 // =============================================================================
 // HTTP ENDPOINTS
 // =============================================================================
 
-// Serve audio stream
+// Serve audio stream. The format is, in order: ?codec=&bitrate=&sampleRate=,
+// the one negotiated for ?device=<deviceKey>, or the shared MP3 stream.
 app.get('/stream/current', (req, res) => {
   if (!httpAudioProcess || !playbackState.currentTrack) {
     return res.status(404).send('No audio stream available');
   }
   
+  const requested = formatFromQuery(req.query);
+  if (requested && requested.error) {
+    return res.status(400).send(requested.error);
+  }
+  
+  let format = requested ? requested.format : HTTP_STREAM_FORMAT;
+  if (!requested && req.query.device) {
+    const device = Array.from(devices.values()).find(candidate => candidate.key === req.query.device);
+    format = device
+      ? device.streamFormat
+      : negotiateFormat({ saved: deviceProfiles.getFormat(req.query.device), type: (deviceProfiles.get(req.query.device) || {}).type });
+  }
+  
+  const isDefaultFormat = formatQuery(format) === formatQuery(HTTP_STREAM_FORMAT);
+  const formatStream = isDefaultFormat ? null : getFormatStream(format);
+  if (!isDefaultFormat && !formatStream) {
+    return res.status(503).send(`Too many stream formats in use; try ${describeFormat(HTTP_STREAM_FORMAT)}`);
+  }
+  
   res.writeHead(200, {
-    'Content-Type': 'audio/mpeg',
+    'Content-Type': contentTypeFor(format),
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
     'Access-Control-Allow-Origin': '*'
   });
   
-  httpAudioProcess.stdout.pipe(res);
+  const ip = req.ip || req.socket.remoteAddress;
+  if (isDefaultFormat) {
+    httpStream.addClient(res, { ip: ip });
+    console.log(`🎧 HTTP stream client connected: ${ip} (${httpStream.clientCount + httpStreamFallback.clientCount} listening)`);
+  } else {
+    formatStream.broadcaster.addClient(res, { ip: ip });
+    console.log(`🎧 HTTP stream client connected: ${ip} (${describeFormat(format)}, ${formatStream.broadcaster.clientCount} listening)`);
+  }
   
   // Handle client disconnect
   req.on('close', () => {
@@ -454,13 +1542,316 @@ app.get('/stream/current', (req, res) => {
   });
 });
 
+// Live HLS playlist; segment times follow the master timeline
+app.get('/stream/current.m3u8', (req, res) => {
+  const playlist = hlsStream.getPlaylist('hls/');
+  if (!playlist) {
+    return res.status(404).send('No audio stream available');
+  }
+  
+  res.set({
+    'Content-Type': 'application/vnd.apple.mpegurl',
+    'Cache-Control': 'no-cache',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.send(playlist);
+});
+
+app.get('/stream/hls/:segment', (req, res) => {
+  const segmentPath = hlsStream.getSegmentPath(req.params.segment);
+  if (!segmentPath) {
+    return res.status(404).send('Segment not found');
+  }
+  
+  res.set({
+    'Content-Type': 'video/mp2t',
+    'Cache-Control': 'max-age=60',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.sendFile(segmentPath);
+});
+
+app.get('/api/stream/status', (req, res) => {
+  res.json({
+    active: Boolean(httpAudioProcess),
+    formats: [HTTP_STREAM_FORMAT, HTTP_STREAM_FALLBACK_FORMAT],
+    formatStreams: formatStreams.size,
+    streams: [
+      httpStream.getStatus(),
+      httpStreamFallback.getStatus(),
+      ...Array.from(formatStreams.values()).map(stream => stream.broadcaster.getStatus())
+    ]
+  });
+});
+
 // API endpoints
 app.get('/api/music', (req, res) => {
   res.json({ files: musicFiles });
 });
 
+// Folder-by-folder view of the library (Artist/Album/track layouts)
+app.get('/api/library/browse', (req, res) => {
+  const listing = library.browse(req.query.path || '');
+  if (!listing) {
+    return res.status(404).json({ error: 'Folder not found' });
+  }
+  
+  res.json({
+    ...listing,
+    tracks: listing.tracks.map(toServerTrack)
+  });
+});
+
+// Full-text search over the local library, e.g. ?q=artist:"daft punk" year:1997&limit=20&offset=0
+app.get('/api/library/search', (req, res) => {
+  const { results, ...page } = librarySearch.search(req.query.q, {
+    limit: req.query.limit,
+    offset: req.query.offset
+  });
+  
+  res.json({
+    ...page,
+    results: results.map(({ track, score }) => ({ ...toServerTrack(track), score }))
+  });
+});
+
+// Embedded cover art extracted by the library indexer
+app.get('/api/cover/:coverFile', (req, res) => {
+  const coverPath = library.getCoverPath(req.params.coverFile);
+  if (!coverPath) {
+    return res.status(404).json({ error: 'Cover not found' });
+  }
+  
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.sendFile(coverPath);
+});
+
 app.get('/api/queue', (req, res) => {
-  res.json({ queue: queue });
+  res.json(getQueueState());
+});
+
+// Playlists
+app.get('/api/playlists', (req, res) => {
+  res.json({ playlists: getPlaylistSummaries() });
+});
+
+app.post('/api/playlists', (req, res) => {
+  const { name, tracks = [] } = req.body || {};
+  if (!name) {
+    return res.status(400).json({ error: 'Playlist name required' });
+  }
+  
+  const playlist = playlistStore.create(name, toTrackNames(tracks));
+  console.log(`📜 Created playlist: ${playlist.name}`);
+  broadcastPlaylists();
+  res.status(201).json(resolvePlaylist(playlist));
+});
+
+app.get('/api/playlists/:id', (req, res) => {
+  const playlist = playlistStore.get(req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  res.json(resolvePlaylist(playlist));
+});
+
+app.put('/api/playlists/:id', (req, res) => {
+  const { name } = req.body || {};
+  if (!name) {
+    return res.status(400).json({ error: 'Playlist name required' });
+  }
+  
+  const playlist = playlistStore.rename(req.params.id, name);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  broadcastPlaylists();
+  res.json(resolvePlaylist(playlist));
+});
+
+app.delete('/api/playlists/:id', (req, res) => {
+  if (!playlistStore.delete(req.params.id)) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  broadcastPlaylists();
+  res.json({ success: true });
+});
+
+app.post('/api/playlists/:id/tracks', (req, res) => {
+  const { tracks = [], position } = req.body || {};
+  const problem = checkPlaylistEdit(req.params.id, { insertAt: position });
+  if (problem) {
+    return res.status(problem.status).json({ error: problem.error });
+  }
+  
+  const playlist = playlistStore.addTracks(req.params.id, toTrackNames(tracks), position);
+  broadcastPlaylists();
+  res.json(resolvePlaylist(playlist));
+});
+
+app.delete('/api/playlists/:id/tracks/:index', (req, res) => {
+  const index = /^\d+$/.test(req.params.index) ? Number(req.params.index) : NaN;
+  const problem = checkPlaylistEdit(req.params.id, { indexes: [index] });
+  if (problem) {
+    return res.status(problem.status).json({ error: problem.error });
+  }
+  
+  const playlist = playlistStore.removeTrack(req.params.id, index);
+  broadcastPlaylists();
+  res.json(resolvePlaylist(playlist));
+});
+
+app.post('/api/playlists/:id/move', (req, res) => {
+  const { fromIndex, toIndex } = req.body || {};
+  const problem = checkPlaylistEdit(req.params.id, { indexes: [fromIndex, toIndex] });
+  if (problem) {
+    return res.status(problem.status).json({ error: problem.error });
+  }
+  
+  const playlist = playlistStore.moveTrack(req.params.id, fromIndex, toIndex);
+  broadcastPlaylists();
+  res.json(resolvePlaylist(playlist));
+});
+
+app.post('/api/playlists/:id/load', (req, res) => {
+  const playlist = playlistStore.get(req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  
+  const { mode = 'replace', play = false } = req.body || {};
+  const loaded = loadPlaylistIntoQueue(playlist, mode, play);
+  res.json({ success: true, loaded: loaded, queue: queue });
+});
+
+// Export as M3U8 (default) or PLS; ?absolute=1 writes full file paths
+// instead of paths relative to the music folder
+app.get('/api/playlists/:id/export', (req, res) => {
+  const playlist = playlistStore.get(req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  
+  const format = req.query.format === 'pls' ? 'pls' : 'm3u8';
+  const absolute = req.query.absolute === '1' || req.query.absolute === 'true';
+  const entries = playlist.tracks.map(findTrack).filter(Boolean).map(track => ({
+    location: absolute ? track.path : track.name,
+    title: track.title,
+    artist: track.artist,
+    duration: track.duration
+  }));
+  
+  const fileName = `${playlist.name.replace(/[^\w\s.-]/g, '_')}.${format}`;
+  res.set({
+    'Content-Type': format === 'pls' ? 'audio/x-scpls; charset=utf-8' : 'audio/x-mpegurl; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${fileName}"`
+  });
+  res.send(format === 'pls' ? exportPls(entries) : exportM3u(entries));
+});
+
+// Import an .m3u/.m3u8/.pls upload (field "playlist") as a new playlist
+const playlistUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }
+});
+
+app.post('/api/playlists/import', playlistUpload.single('playlist'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No playlist file uploaded' });
+  }
+  
+  const extension = path.extname(req.file.originalname).toLowerCase();
+  const format = extension === '.pls' ? 'pls' : (extension === '.m3u' || extension === '.m3u8' ? 'm3u' : null);
+  const locations = parsePlaylist(req.file.buffer.toString('utf8'), format);
+  const { resolved, unresolved } = resolvePlaylistEntries(locations, musicFiles, MUSIC_DIR);
+  
+  const name = req.body.name || path.basename(req.file.originalname, extension) || 'Imported Playlist';
+  const playlist = playlistStore.create(name, resolved.map(track => track.name));
+  
+  console.log(`📜 Imported playlist "${name}": ${resolved.length} tracks, ${unresolved.length} not found`);
+  broadcastPlaylists();
+  res.status(201).json({ playlist: resolvePlaylist(playlist), unresolved: unresolved });
+});
+
+// Per-device latency profiles; edits apply to connected devices right away
+app.use('/api/devices/profiles', createProfileRouter(deviceProfiles, {
+  onChange: (profile) => refreshDeviceProfile(profile.id)
+}));
+
+// Acoustic calibration: start one device's calibration run
+app.post('/api/calibration', (req, res) => {
+  const { deviceKey, signal = 'chirp', leadMs = CALIBRATION_LEAD_MS } = req.body || {};
+  
+  if (!SIGNAL_TYPES.includes(signal)) {
+    return res.status(400).json({ error: `signal must be one of ${SIGNAL_TYPES.join(', ')}` });
+  }
+  if (!Number.isFinite(leadMs) || leadMs < 500 || leadMs > 30000) {
+    return res.status(400).json({ error: 'leadMs must be between 500 and 30000' });
+  }
+  if (getActiveCalibration()) {
+    return res.status(409).json({ error: 'Another device is being calibrated', calibration: calibration });
+  }
+  
+  const entry = Array.from(devices.entries()).find(([, device]) => device.key === deviceKey);
+  const socket = entry && io.sockets.sockets.get(entry[0]);
+  if (!socket) {
+    return res.status(404).json({ error: 'Device not connected' });
+  }
+  if (!entry[1].hasProfile) {
+    return res.status(409).json({ error: 'Device has no stable deviceId, so a measurement could not be saved' });
+  }
+  
+  res.status(201).json(startCalibration(socket, entry[1], signal, leadMs));
+});
+
+// Signal files the device plays (and clients can use to check their mic)
+app.get('/api/calibration/signal/:type.wav', (req, res) => {
+  if (!SIGNAL_TYPES.includes(req.params.type)) {
+    return res.status(404).json({ error: 'Unknown signal' });
+  }
+  
+  res.set({ 'Content-Type': 'audio/wav', 'Cache-Control': 'public, max-age=86400' });
+  res.send(getSignalWav(req.params.type));
+});
+
+// Upload the room recording (field "recording", WAV or anything ffmpeg reads) with
+// `recordingStartedAt`: when the first sample was captured, in server time
+const recordingUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024 }
+});
+
+app.post('/api/calibration/:id/recording', recordingUpload.single('recording'), async (req, res) => {
+  const active = getActiveCalibration();
+  if (!active || active.id !== req.params.id) {
+    return res.status(404).json({ error: 'Calibration not found or expired' });
+  }
+  if (!req.file) {
+    return res.status(400).json({ error: 'No recording uploaded' });
+  }
+  
+  const recordingStartedAt = Number(req.body.recordingStartedAt);
+  if (!Number.isFinite(recordingStartedAt)) {
+    return res.status(400).json({ error: 'recordingStartedAt (server time, ms) is required' });
+  }
+  
+  try {
+    const wav = isWav(req.file.buffer) ? req.file.buffer : await convertToWav(req.file.buffer, maxRecordingSeconds(active));
+    const result = completeCalibration(active, wav, recordingStartedAt);
+    res.status(result.error ? 422 : 200).json(result);
+  } catch (error) {
+    console.error('❌ Calibration failed:', error.message);
+    res.status(422).json({ error: `Could not analyze recording: ${error.message}` });
+  }
+});
+
+app.delete('/api/calibration/:id', (req, res) => {
+  if (!calibration || calibration.id !== req.params.id) {
+    return res.status(404).json({ error: 'Calibration not found' });
+  }
+  
+  calibration = null;
+  res.json({ success: true });
 });
 
 app.get('/api/status', (req, res) => {
@@ -468,7 +1859,8 @@ app.get('/api/status', (req, res) => {
     isPlaying: playbackState.isPlaying,
     currentTrack: playbackState.currentTrack,
     position: syncCoordinator.getCurrentPosition(),
-    devices: Array.from(devices.values()),
+    serverTime: Date.now(),
+    devices: Array.from(devices.values()), // Includes each device's clock estimate
     queue: queue
   });
 });
@@ -504,21 +1896,40 @@ const storage = multer.diskStorage({
 const upload = multer({ 
   storage: storage,
   fileFilter: (req, file, cb) => {
-    const allowed = /\.(mp3|wav|flac|m4a)$/i;
-    cb(null, allowed.test(file.originalname));
+    cb(null, AUDIO_FILE_PATTERN.test(file.originalname));
   }
 });
 
 app.post('/api/upload', upload.single('music'), (req, res) => {
   if (req.file) {
-    initializeMusicLibrary(); // Refresh library
-    io.emit('library_updated', musicFiles);
+    applyLibraryChanges(library.update([req.file.filename]));
     res.json({ success: true, filename: req.file.filename });
   } else {
     res.status(400).json({ error: 'No valid audio file uploaded' });
   }
 });
 
+// DNS-SD advertisement: apps browsing `_multiroom._tcp` find this server,
+// then confirm it's the right one with /api/discovery
+const advertiser = new ServiceAdvertiser({
+  port: PORT,
+  server: 'house-stream',
+  capabilities: ['library', 'search', 'queue', 'playlists', 'http-stream', 'hls', 'device-profiles', 'calibration']
+});
+
+app.get('/api/discovery', (req, res) => {
+  res.json(advertiser.getDescriptor());
+});
+
+// Effective configuration; runtime-safe settings can be changed here
+app.use('/api/config', createConfigRouter(config, { runtimeKeys: ['sync.toleranceMs'] }));
+
+config.on('change', (keys) => {
+  if (keys.includes('sync.toleranceMs')) {
+    syncCoordinator.syncTolerance = config.get('sync.toleranceMs');
+  }
+});
+
 // Serve React client
 app.use(express.static(path.join(__dirname, 'client/build')));
 app.get('*', (req, res) => {
@@ -531,13 +1942,25 @@ app.get('*', (req, res) => {
 
 // Initialize and start server
 initializeMusicLibrary();
+restoreState();
+libraryWatcher.start();
 
-server.listen(PORT, '0.0.0.0', () => {
+setInterval(() => {
+  if (playbackState.isPlaying) {
+    persistState();
+  }
+}, STATE_SAVE_INTERVAL);
+
+server.listen(PORT, config.get('host'), () => {
+  if (config.get('mdns.advertise')) advertiser.start();
   console.log(`✅ 🎵 Pure Socket.IO Music Server running on port ${PORT}`);
-  console.log(`ℹ️  Server accessible at: http://192.168.12.125:${PORT}`);
+  advertiser.addresses.forEach((address) => {
+    console.log(`ℹ️  Server accessible at: http://${address}:${PORT}`);
+  });
   console.log(`ℹ️  Configuration: {
   musicDir: '${MUSIC_DIR}',
   fileCount: ${musicFiles.length},
+  ffmpeg: '${FFMPEG_PATH}',
   syncTolerance: ${syncCoordinator.syncTolerance}ms
 }`);
 });
@@ -545,8 +1968,14 @@ server.listen(PORT, '0.0.0.0', () => {
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n⏹️  Shutting down gracefully...');
+  advertiser.stop();
   syncCoordinator.stop();
+  libraryWatcher.stop();
   stopHttpAudioStream();
+  closeHttpStreamClients();
+  hlsStream.close();
+  persistState();
+  stateStore.flush();
   server.close(() => {
     console.log('✅ Server shut down');
     process.exit(0);
@@ -555,8 +1984,14 @@ process.on('SIGINT', () => {
 
 process.on('SIGTERM', () => {
   console.log('\n⏹️  Received SIGTERM, shutting down gracefully...');
+  advertiser.stop();
   syncCoordinator.stop();
+  libraryWatcher.stop();
   stopHttpAudioStream();
+  closeHttpStreamClients();
+  hlsStream.close();
+  persistState();
+  stateStore.flush();
   server.close(() => {
     console.log('✅ Server shut down');
     process.exit(0);
@@ -6,6 +6,16 @@ const fs = require('fs');
 const multer = require('multer');
 const { spawn } = require('child_process');
 const WebSocket = require('ws');
+const { AudioPipeline } = require('./audio-pipeline');
+const { MusicLibrary } = require('./music-library');
+const { NORMALIZATION_MODES, computeGain, LoudnessAnalyzer } = require('./loudness');
+const { DeviceProfileStore, createProfileRouter, fetchCastDeviceId } = require('./device-profiles');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { StreamBroadcaster, mp3FrameOffset } = require('./stream-broadcaster');
+const { ICY_METAINT, formatStreamTitle, IcyMetadataInjector } = require('./icy-metadata');
+const { ServiceAdvertiser } = require('./service-advertiser');
+const { loadServerConfig, createConfigRouter } = require('./config');
+const { PlayOrder, normalizeRepeatMode } = require('./play-order');
 
 const app = express();
 const server = http.createServer(app);
@@ -30,11 +40,14 @@ app.use((req, res, next) => {
   }
 });
 
-// Configuration
-const PORT = 3000;
-const MUSIC_DIR = path.join(__dirname, 'music');
+// Configuration: defaults, then config file, then environment (see config.js)
+const config = loadServerConfig({ defaults: { 'sync.toleranceMs': 10 } });
+const PORT = config.get('port');
+const MUSIC_DIR = config.get('musicDir');
+const DATA_DIR = config.get('dataDir');
 const SNAPCAST_FIFO = '/tmp/snapfifo';
-const FFMPEG_PATH = '/opt/homebrew/bin/ffmpeg';
+const FFMPEG_PATH = config.get('ffmpegPath');
+const CROSSFADE_SECONDS = 0; // Default crossfade between tracks (0 = gapless)
 
 // Snapcast server configuration
 const SNAPCAST_HOST = 'localhost';
@@ -83,32 +96,24 @@ const syncSystem = {
   
   // Configuration
   maxSamples: 50,
-  syncToleranceMs: 10,  // Acceptable sync variance
-  calibrationInterval: 30000, // Auto-calibration every 30 seconds
-  
-  // Learning system for device-specific optimizations
-  deviceProfiles: {
-    'STUDIO TV': { 
-      avgLatency: 65, 
-      reliability: 0.9, 
-      preferredBufferSize: '256k',
-      syncHistory: []
-    },
-    'LOFT TV': { 
-      avgLatency: 58, 
-      reliability: 0.85, 
-      preferredBufferSize: '192k',
-      syncHistory: []
-    },
-    'default': { 
-      avgLatency: 60, 
-      reliability: 0.8, 
-      preferredBufferSize: '128k',
-      syncHistory: []
-    }
-  }
+  syncToleranceMs: config.get('sync.toleranceMs'),  // Acceptable sync variance
+  calibrationInterval: 30000 // Auto-calibration every 30 seconds
 };
 
+// Per-device offsets keyed by a stable identity (the Cast receiver's UUID);
+// the zone delays above are what a device starts from until it's measured
+const deviceProfiles = new DeviceProfileStore(path.join(DATA_DIR, 'device-profiles.json'), {
+  typeDefaults: { ...AUDIO_DELAYS }
+});
+
+// Prometheus metrics served on /metrics; the gauges are defined next to the endpoint
+const metrics = new MetricsRegistry('multiroom_');
+const syncResyncs = metrics.counter('sync_resyncs_total', 'Automatic delay re-adjustments after sync drifted, by zone');
+const syncEventsTotal = metrics.counter('sync_events_total', 'Sync events recorded, by type');
+const ffmpegRestarts = metrics.counter('ffmpeg_restarts_total', 'ffmpeg processes restarted after exiting unexpectedly, by role');
+const streamBytesSent = metrics.counter('stream_bytes_sent_total', 'Audio bytes written to HTTP stream clients, by stream');
+const streamClientsDropped = metrics.counter('stream_clients_dropped_total', 'HTTP stream clients disconnected for falling behind or write errors, by reason');
+
 // Real-time sync monitoring
 let syncMonitoringActive = false;
 let syncCalibrationTimer = null;
@@ -121,11 +126,28 @@ let musicFiles = [];
 let queue = [];
 let currentTrackIndex = -1;
 let isPlaying = false;
-let audioStreamProcess = null;
-let httpAudioProcess = null;
-let silenceStreamProcess = null;
 let isTransitioning = false;
-let httpStreamClients = []; // Track HTTP streaming clients
+
+// Shuffle and repeat; queue entries carry a queueId so the play order can
+// follow them through queue edits
+let shuffle = false;
+let repeatMode = 'off'; // 'off' | 'one' | 'all'
+const playOrder = new PlayOrder();
+let nextQueueId = 1;
+
+const createQueueEntry = (track) => ({ ...track, queueId: nextQueueId++ });
+
+const getCurrentQueueId = () => {
+  const entry = queue[currentTrackIndex];
+  return entry ? entry.queueId : null;
+};
+
+const getPlayModes = () => ({ shuffle, repeat: repeatMode });
+
+// After any queue edit, so the shuffled round and history match the queue
+const syncPlayOrder = () => {
+  playOrder.sync(queue, { shuffle, currentQueueId: getCurrentQueueId() });
+};
 
 // Snapcast state management
 let snapcastWs = null;
@@ -175,12 +197,17 @@ const measureDeviceLatency = async (deviceType, deviceName = 'default') => {
   
   try {
     let latency = 0;
+    let measuredDevice = 'default'; // Only real measurements go into a device's profile
     
     if (deviceType === 'chromecast') {
       // Ping test to Chromecast device IP if available
-      const device = Object.values(connectedCastDevices).find(d => d.name === deviceName);
-      if (device && device.ip) {
-        latency = await pingDevice(device.ip);
+      const device = (connectedCastDevice && connectedCastDevice.name === deviceName)
+        ? connectedCastDevice
+        : Object.values(connectedCastDevices).find(d => d.name === deviceName);
+      const pinged = device && device.ip ? await pingDevice(device.ip) : null;
+      if (pinged !== null) {
+        latency = pinged;
+        measuredDevice = deviceName;
       } else {
         latency = 65; // Fallback average
       }
@@ -193,7 +220,7 @@ const measureDeviceLatency = async (deviceType, deviceName = 'default') => {
     }
     
     // Record measurement
-    recordLatencyMeasurement(deviceType, latency, deviceName);
+    recordLatencyMeasurement(deviceType, latency, measuredDevice);
     
     return Math.round(latency);
   } catch (error) {
@@ -218,7 +245,7 @@ const pingDevice = async (ip) => {
     })
     .catch(() => {
       clearTimeout(timeout);
-      resolve(75); // Default if ping fails
+      resolve(null); // Unreachable
     });
   });
 };
@@ -238,25 +265,15 @@ const recordLatencyMeasurement = (deviceType, latency, deviceName = 'default') =
   detected.max = Math.max(detected.max, latency);
   detected.average = detected.samples.reduce((a, b) => a + b, 0) / detected.samples.length;
   
-  // Update device profile
-  const profile = syncSystem.deviceProfiles[deviceName] || syncSystem.deviceProfiles['default'];
-  profile.avgLatency = detected.average;
-  profile.syncHistory.push({
-    timestamp: Date.now(),
-    latency: latency,
-    measurement: 'ping'
-  });
-  
-  // Keep only recent history
-  if (profile.syncHistory.length > 100) {
-    profile.syncHistory = profile.syncHistory.slice(-50);
+  // Update the profile of the device that was measured
+  if (connectedCastDevice && connectedCastDevice.name === deviceName && connectedCastDevice.profileId) {
+    deviceProfiles.addMeasurement(connectedCastDevice.profileId, latency, 'ping');
   }
   
   logger.info(`📊 Latency updated for ${deviceType} (${deviceName}): ${Math.round(latency)}ms (avg: ${Math.round(detected.average)}ms)`);
 };
 
 const calculateOptimalDelay = (deviceType, deviceName = 'default') => {
-  const profile = syncSystem.deviceProfiles[deviceName] || syncSystem.deviceProfiles['default'];
   const detected = syncSystem.detectedLatencies[deviceType];
   const quality = syncSystem.syncQuality[deviceType];
   
@@ -306,7 +323,8 @@ const updateSyncQuality = (zone, latency) => {
   
   // Calculate accuracy based on consistency
   const targetLatency = AUDIO_DELAYS[zone] || 50;
-  const deviation = Math.abs(latency - targetLatency);
+  quality.drift = latency - targetLatency;
+  const deviation = Math.abs(quality.drift);
   const newAccuracy = Math.max(0, Math.min(100, 100 - (deviation * 2)));
   
   quality.accuracy = Math.round((quality.accuracy * 0.9) + (newAccuracy * 0.1));
@@ -325,6 +343,7 @@ const updateSyncQuality = (zone, latency) => {
     const newDelay = calculateOptimalDelay(zone);
     if (Math.abs(newDelay - AUDIO_DELAYS[zone]) > 5) {
       AUDIO_DELAYS[zone] = newDelay;
+      syncResyncs.inc({ zone });
       logger.info(`🔧 Auto-adjusted ${zone} delay: ${newDelay}ms (accuracy: ${quality.accuracy}%, jitter: ${quality.jitter}ms)`);
       
       // Notify clients of automatic adjustment
@@ -361,6 +380,7 @@ const autoCalibrateSyncSystem = async () => {
       
       if (Math.abs(optimalDelay - currentDelay) > syncSystem.syncToleranceMs) {
         AUDIO_DELAYS[zone] = optimalDelay;
+        syncResyncs.inc({ zone });
         updated = true;
         logger.info(`🎯 Auto-adjusted ${zone} delay: ${currentDelay}ms → ${optimalDelay}ms`);
       }
@@ -484,9 +504,28 @@ const getIntelligentBufferSize = () => {
   }
 };
 
-const getAudioFilterChain = () => {
+// Loudness normalization: 'off', 'track' or 'album' gain, plus a preamp
+const normalizationSettings = {
+  mode: 'off',
+  preampDb: 0
+};
+
+// Normalization gain for a queued track, from ReplayGain tags or measured loudness
+const getTrackGain = (track) => {
+  if (!track || !track.filename) return null; // Streams have no loudness info
+  
+  const libraryTrack = library.tracks.find(t => t.file === track.filename);
+  return computeGain(libraryTrack, library.tracks, normalizationSettings);
+};
+
+const getAudioFilterChain = (track = null) => {
   const filters = ['aresample=async=1'];
   
+  const gain = getTrackGain(track);
+  if (gain !== null && gain !== 0) {
+    filters.push(`volume=${gain}dB`);
+  }
+  
   // Add intelligent delay compensation for multi-zone sync
   const activeZoneDelays = Object.entries(activeZones)
     .filter(([zone, active]) => active && zone !== 'snapcast')
@@ -518,21 +557,12 @@ const recordSyncEvent = (eventType, zone, data = {}) => {
   };
   
   syncSystem.syncEvents.push(event);
+  syncEventsTotal.inc({ type: eventType });
   
   // Keep only recent events
   if (syncSystem.syncEvents.length > 1000) {
     syncSystem.syncEvents = syncSystem.syncEvents.slice(-500);
   }
-  
-  // Update device-specific metrics
-  if (zone && syncSystem.deviceProfiles[zone]) {
-    const profile = syncSystem.deviceProfiles[zone];
-    profile.syncHistory.push({
-      timestamp: Date.now(),
-      event: eventType,
-      data: data
-    });
-  }
 };
 
 // Safe JSON.stringify wrapper that sanitizes Unicode
@@ -593,24 +623,46 @@ const safeEmit = (socket, event, data) => {
   }
 };
 
+const library = new MusicLibrary({
+  musicDir: MUSIC_DIR,
+  indexFile: path.join(DATA_DIR, 'library-index.json'),
+  coverDir: path.join(DATA_DIR, 'covers')
+});
+
+// Measure loudness in the background for files without ReplayGain tags;
+// results are cached in the library index
+const loudnessAnalyzer = new LoudnessAnalyzer(FFMPEG_PATH);
+let loudnessIndexDirty = false;
+
+loudnessAnalyzer.on('measured', (file, loudness) => {
+  library.setLoudness(file, loudness);
+  loudnessIndexDirty = true;
+  logger.info(`🔊 Measured ${file}: ${loudness.integrated} LUFS`);
+});
+
+loudnessAnalyzer.on('drain', () => {
+  if (loudnessIndexDirty) {
+    library.saveIndex();
+    loudnessIndexDirty = false;
+  }
+});
+
 // Load music files
 const loadMusicFiles = () => {
   try {
-    if (!fs.existsSync(MUSIC_DIR)) {
-      fs.mkdirSync(MUSIC_DIR, { recursive: true });
-    }
-    
-    const files = fs.readdirSync(MUSIC_DIR)
-      .filter(file => ['.mp3', '.wav', '.flac', '.m4a'].includes(path.extname(file).toLowerCase()))
-      .map(file => ({
-        id: sanitizeUnicode(file),
-        name: sanitizeUnicode(path.parse(file).name),
-        path: path.join(MUSIC_DIR, file),
-        filename: file // Keep original filename for file operations
-      }));
+    // Scans sub-folders too; `id` and `filename` are the path relative to MUSIC_DIR
+    const files = library.scan().map(({ file, title, ...track }) => ({
+      ...track,
+      id: sanitizeUnicode(file),
+      trackId: track.id,
+      name: sanitizeUnicode(title),
+      filename: file // Keep original filename for file operations
+    }));
     
     musicFiles = files;
     logger.info(`Found ${files.length} music files`);
+    
+    library.getUnmeasuredTracks().forEach(track => loudnessAnalyzer.enqueue(track.file, track.path));
     return files;
   } catch (error) {
     logger.error('Error loading music files:', error);
@@ -618,383 +670,121 @@ const loadMusicFiles = () => {
   }
 };
 
-// Enhanced silence stream management
-const startSilenceStream = () => {
-  if (silenceStreamProcess && !silenceStreamProcess.killed) {
-    return; // Already running
-  }
-
-  logger.info('🔇 Starting continuous silence stream to keep FIFO active');
-
-  try {
-    // Use sub-audible 20Hz tone at 0.1% volume
-    silenceStreamProcess = spawn(FFMPEG_PATH, [
-      '-f', 'lavfi',
-      '-i', 'sine=frequency=20:sample_rate=48000:duration=0',
-      '-af', 'volume=0.001',  // Make it extremely quiet (0.1% volume)
-      '-f', 's16le',
-      '-ar', '48000',
-      '-ac', '2',
-      '-y',  // Auto-overwrite without prompting
-      SNAPCAST_FIFO
-    ], {
-      stdio: ['ignore', 'pipe', 'pipe']  // Pipe both stdout and stderr for debugging
-    });
+// Continuous output pipeline: one clock feeds both the Snapcast FIFO and the
+// HTTP MP3 stream, outputs silence when nothing is playing, and pre-opens the
+// next track so track changes are gapless (or crossfaded)
+const audioPipeline = new AudioPipeline({
+  ffmpegPath: FFMPEG_PATH,
+  fifoPath: SNAPCAST_FIFO,
+  mp3Bitrate: '192k',
+  crossfadeSeconds: CROSSFADE_SECONDS,
+  getFilterChain: (track) => getAudioFilterChain(track)
+});
 
-    // Handle process events
-    silenceStreamProcess.on('spawn', () => {
-      logger.success('✅ Silence stream process spawned successfully');
-      
-      // Check if process is actually running after a short delay
-      setTimeout(() => {
-        if (silenceStreamProcess && !silenceStreamProcess.killed) {
-          logger.info('🔍 Silence stream still running after 2 seconds');
-        } else {
-          logger.error('❌ Silence stream died within 2 seconds');
-        }
-      }, 2000);
-    });
+// Every HTTP listener (/stream/current and /stream/device/:id) reads the
+// pipeline's one MP3 encode. Late joiners get a ~2 s burst; a client whose
+// connection falls ~4 s behind is dropped instead of holding up the others.
+const httpStream = new StreamBroadcaster({ name: 'mp3', align: mp3FrameOffset });
 
-    silenceStreamProcess.on('error', (error) => {
-      logger.error('❌ Silence stream spawn error:', error.message);
-      silenceStreamProcess = null;
-      // Restart after 3 seconds
-      setTimeout(startSilenceStream, 3000);
-    });
+httpStream.on('sent', (client, bytes) => {
+  streamBytesSent.inc({ stream: client.info.deviceId !== 'default' ? 'device' : 'current' }, bytes);
+});
 
-    silenceStreamProcess.on('exit', (code, signal) => {
-      if (code !== null) {
-        logger.warn(`⚠️  Silence stream exited with code ${code}`);
-      }
-      if (signal) {
-        logger.warn(`⚠️  Silence stream killed with signal ${signal}`);
-      }
-      silenceStreamProcess = null;
-      
-      // Only restart if it wasn't intentionally killed AND no music is playing
-      if (signal !== 'SIGTERM' && signal !== 'SIGKILL' && !audioStreamProcess) {
-        logger.info('🔄 Restarting silence stream in 3 seconds...');
-        setTimeout(startSilenceStream, 3000);
-      } else if (audioStreamProcess) {
-        logger.info('🎵 Music is playing - silence stream will not restart');
-      }
-    });
+httpStream.on('client_dropped', (client, reason) => {
+  streamClientsDropped.inc({ reason });
+  logger.warn(`📡 Dropped stream client ${client.info.deviceId} from ${client.info.clientIP} (${reason === 'slow' ? 'too slow' : 'write error'})`);
+});
 
-    // Monitor stdout for FFmpeg output
-    if (silenceStreamProcess.stdout) {
-      silenceStreamProcess.stdout.on('data', (data) => {
-        // Only log if there are actual errors, not normal output
-        const output = data.toString();
-        if (output.includes('Error') || output.includes('Failed')) {
-          logger.info('FFmpeg stdout:', output.trim());
-        }
-      });
-    }
+audioPipeline.on('mp3', (chunk) => httpStream.push(chunk));
 
-    // Monitor stderr for FFmpeg errors and normal output
-    if (silenceStreamProcess.stderr) {
-      silenceStreamProcess.stderr.on('data', (data) => {
-        const output = data.toString().trim();
-        
-        // Log specific errors
-        if (output.includes('Error') || output.includes('Failed') || output.includes('Broken pipe')) {
-          logger.error('❌ FFmpeg silence error:', output);
-        }
-      });
-    }
+// Now-playing title for ICY-capable listeners (VLC, car stereos, ...); it
+// follows the pipeline, so it changes when the audio does
+const ICY_STATION_NAME = 'Multi-Room Music';
+const ICY_GENRE = 'Various';
+let icyStreamTitle = '';
 
-    logger.success('🎵 Silence stream started - Snapcast should stay active');
+audioPipeline.on('track_changed', (track) => {
+  icyStreamTitle = formatStreamTitle(track);
+});
 
-  } catch (error) {
-    logger.error('❌ Failed to start silence stream:', error.message);
-    silenceStreamProcess = null;
-    setTimeout(startSilenceStream, 5000);
+// A track played out to the end; the pipeline has already moved on to the
+// pre-opened next track (if there was one) without a gap
+audioPipeline.on('track_ended', (finishedTrack, nextTrack) => {
+  logger.info(`🎵 Track finished: ${finishedTrack?.name || 'unknown'}`);
+  
+  if (nextTrack) {
+    // Queue and mode changes re-preload the next track, so this is normally
+    // the entry the play order picks
+    const nextId = playOrder.next(queue, getCurrentQueueId(), { ...getPlayModes(), auto: true });
+    const nextIndex = queue.findIndex(entry => entry.queueId === nextId);
+    currentTrackIndex = queue[nextIndex] === nextTrack ? nextIndex : queue.indexOf(nextTrack);
+    logger.success(`▶️  Now playing: ${nextTrack.name} (gapless)`);
+    preloadNextTrack();
+  } else {
+    logger.info('🏁 End of queue reached');
+    isPlaying = false;
+    currentTrackIndex = -1;
   }
-};
+  
+  safeEmit(io, 'update_state', {
+    files: musicFiles,
+    queue,
+    currentTrackIndex,
+    isPlaying,
+    currentTrack: currentTrackIndex >= 0 && currentTrackIndex < queue.length ? queue[currentTrackIndex] : null
+  });
+});
 
-// Enhanced stopSilenceStream function
-const stopSilenceStream = () => {
-  if (silenceStreamProcess && !silenceStreamProcess.killed) {
-    logger.info('🛑 Stopping silence stream');
-    
-    try {
-      // Try graceful termination first
-      silenceStreamProcess.kill('SIGTERM');
-      
-      // Force kill after 2 seconds if still running
-      setTimeout(() => {
-        if (silenceStreamProcess && !silenceStreamProcess.killed) {
-          logger.warn('🔨 Force killing silence stream');
-          silenceStreamProcess.kill('SIGKILL');
-        }
-      }, 2000);
-      
-    } catch (error) {
-      logger.error('Error stopping silence stream:', error.message);
-    }
-    
-    silenceStreamProcess = null;
+const getTrackSource = (track) => track.streamUrl || track.previewUrl || track.path;
+
+// Keep the pipeline's "next" in line with the queue and play modes; call
+// after any queue edit
+const preloadNextTrack = () => {
+  const nextId = isPlaying ? playOrder.peek(queue, getCurrentQueueId(), { ...getPlayModes(), auto: true }) : null;
+  const nextTrack = nextId === null ? null : queue.find(entry => entry.queueId === nextId);
+  
+  if (nextTrack) {
+    audioPipeline.setNext(getTrackSource(nextTrack), nextTrack);
+  } else {
+    audioPipeline.clearNext();
   }
 };
 
-// Enhanced audio stream management with HTTP streaming
-const startAudioStream = (audioSource, track = null) => {
-  return new Promise((resolve, reject) => {
-    // Stop silence stream when starting music
-    stopSilenceStream();
+const startAudioStream = async (audioSource, track = null) => {
+  const isUrl = audioSource.startsWith('http://') || audioSource.startsWith('https://');
+  const displayName = track?.name || (isUrl ? 'Stream' : path.basename(audioSource));
+  
+  logger.info(`🎵 Starting audio stream: ${displayName} (${isUrl ? 'URL' : 'file'})`);
+  audioPipeline.play(audioSource, track);
+  
+  // Start sync quality monitoring for active playback
+  if (syncMonitoringActive) {
+    recordSyncEvent('playback_started', 'all', { 
+      track: displayName,
+      activeZones: Object.keys(activeZones).filter(z => activeZones[z])
+    });
     
-    // Small delay to ensure silence stream stops cleanly
+    // Measure current sync quality for all active zones
     setTimeout(() => {
-      // Stop any existing audio streams
-      if (audioStreamProcess && !audioStreamProcess.killed) {
-        audioStreamProcess.kill('SIGTERM');
-      }
-      if (httpAudioProcess && !httpAudioProcess.killed) {
-        httpAudioProcess.kill('SIGTERM');
-      }
-
-      const isUrl = audioSource.startsWith('http://') || audioSource.startsWith('https://');
-      const displayName = track?.name || (isUrl ? 'Stream' : path.basename(audioSource));
-      
-      logger.info(`🎵 Starting audio stream: ${displayName} (${isUrl ? 'URL' : 'file'})`);
-
-      // FFmpeg arguments with intelligent sync adjustments
-      const ffmpegArgs = [];
-      
-      // Get intelligent buffer size based on network conditions
-      const bufferSize = getIntelligentBufferSize();
-      
-      if (isUrl) {
-        // For URL streams, add additional options for network streaming
-        ffmpegArgs.push(
-          '-reconnect', '1',
-          '-reconnect_streamed', '1', 
-          '-reconnect_delay_max', '2',
-          '-i', audioSource,
-          '-f', 's16le',
-          '-ar', '48000',
-          '-ac', '2',
-          '-bufsize', bufferSize,
-          '-af', getAudioFilterChain(),
-          '-y',
-          SNAPCAST_FIFO
-        );
-      } else {
-        // For local files
-        ffmpegArgs.push(
-          '-i', audioSource,
-          '-f', 's16le',
-          '-ar', '48000',
-          '-ac', '2',
-          '-bufsize', bufferSize,
-          '-af', getAudioFilterChain(),
-          '-y',
-          SNAPCAST_FIFO
-        );
-      }
-
-      // Create FFmpeg process for Snapcast (FIFO)
-      audioStreamProcess = spawn(FFMPEG_PATH, ffmpegArgs, {
-        stdio: ['ignore', 'pipe', 'pipe']
-      });
-
-      // Create separate FFmpeg process for HTTP streaming (Chromecast)  
-      const httpArgs = [];
-      if (isUrl) {
-        httpArgs.push(
-          '-reconnect', '1',
-          '-reconnect_streamed', '1',
-          '-reconnect_delay_max', '2',
-          '-i', audioSource,
-          '-f', 'mp3',
-          '-acodec', 'mp3',
-          '-ab', '192k',
-          '-ar', '44100',
-          '-ac', '2',
-          '-'
-        );
-      } else {
-        httpArgs.push(
-          '-i', audioSource,
-          '-f', 'mp3',
-          '-acodec', 'mp3',
-          '-ab', '192k',
-          '-ar', '44100',
-          '-ac', '2',
-          '-'
-        );
-      }
-      
-      httpAudioProcess = spawn(FFMPEG_PATH, httpArgs, {
-        stdio: ['ignore', 'pipe', 'pipe']
-      });
-
-      // Handle Snapcast audio stream events
-      audioStreamProcess.on('spawn', () => {
-        logger.success(`✅ Audio stream started: ${displayName}`);
-        
-        // Start sync quality monitoring for active playback
-        if (syncMonitoringActive) {
-          recordSyncEvent('playback_started', 'all', { 
-            track: track.name,
-            activeZones: Object.keys(activeZones).filter(z => activeZones[z])
-          });
-          
-          // Measure current sync quality for all active zones
-          setTimeout(() => {
-            Object.keys(activeZones).forEach(async (zone) => {
-              if (activeZones[zone]) {
-                try {
-                  const latency = await measureDeviceLatency(zone);
-                  updateSyncQuality(zone, latency);
-                } catch (error) {
-                  logger.warn(`Sync quality check failed for ${zone}:`, error.message);
-                }
-              }
-            });
-          }, 1000); // Give audio stream time to establish
-        }
-        
-        resolve();
-      });
-
-      audioStreamProcess.on('error', (error) => {
-        logger.error('❌ Audio stream error:', error.message);
-        startSilenceStream();
-        reject(error);
-      });
-
-      audioStreamProcess.on('exit', (code, signal) => {
-        logger.info(`🎵 Audio stream ended: ${displayName} (code: ${code})`);
-        audioStreamProcess = null;
-        
-        // Stop HTTP streaming when main audio ends
-        if (httpAudioProcess && !httpAudioProcess.killed) {
-          httpAudioProcess.kill('SIGTERM');
-        }
-        
-        // Check if we should auto-play next track
-        if (currentTrackIndex < queue.length - 1) {
-          logger.info('⏭️  Auto-playing next track...');
-          setTimeout(async () => {
-            currentTrackIndex++;
-            await playCurrentTrack();
-          }, 300); // 300ms delay for smooth transitions
-        } else {
-          logger.info('🏁 End of queue reached');
-          isPlaying = false;
-          currentTrackIndex = -1;
-          
-          // Broadcast final state
-          safeEmit(io, 'update_state', {
-            files: musicFiles,
-            queue,
-            currentTrackIndex,
-            isPlaying,
-            currentTrack: currentTrackIndex >= 0 && currentTrackIndex < queue.length ? queue[currentTrackIndex] : null
-          });
-          
-          // Restart silence stream when all music ends
-          setTimeout(startSilenceStream, 500);
-        }
-        resolve();
-      });
-
-      // Handle HTTP streaming for Chromecast
-      httpAudioProcess.on('spawn', () => {
-        logger.success(`📡 HTTP audio stream started: ${displayName}`);
-      });
-
-      httpAudioProcess.stdout.on('data', (chunk) => {
-        // Send audio data to all connected HTTP clients
-        httpStreamClients.forEach((client, index) => {
-          const res = client.response || client; // Handle both old and new format
-          
-          if (res.destroyed || res.finished) {
-            httpStreamClients.splice(index, 1);
-          } else {
-            try {
-              res.write(chunk);
-              if (client.lastActivity !== undefined) {
-                client.lastActivity = Date.now();
-              }
-            } catch (error) {
-              logger.warn(`HTTP client write error for ${client.deviceId || 'unknown'}:`, error.message);
-              try {
-                res.destroy();
-              } catch (destroyError) {
-                // Ignore destroy errors
-              }
-              httpStreamClients.splice(index, 1);
-            }
-          }
-        });
-      });
-
-      httpAudioProcess.on('error', (error) => {
-        logger.error('HTTP audio stream error:', error.message);
-      });
-
-      httpAudioProcess.on('exit', (code, signal) => {
-        logger.info(`📡 HTTP audio stream ended: ${displayName}`);
-        httpAudioProcess = null;
-        
-        // Close all HTTP streaming clients
-        httpStreamClients.forEach(client => {
-          const res = client.response || client; // Handle both old and new format
-          if (!res.destroyed && !res.finished) {
-            try {
-              res.end();
-            } catch (error) {
-              // Ignore end errors
-            }
+      Object.keys(activeZones).forEach(async (zone) => {
+        if (activeZones[zone]) {
+          try {
+            const latency = await measureDeviceLatency(zone);
+            updateSyncQuality(zone, latency);
+          } catch (error) {
+            logger.warn(`Sync quality check failed for ${zone}:`, error.message);
           }
-        });
-        httpStreamClients = [];
+        }
       });
-
-      // Monitor stderr for actual errors
-      if (audioStreamProcess.stderr) {
-        audioStreamProcess.stderr.on('data', (data) => {
-          const errorText = data.toString();
-          if (errorText.includes('Error') || errorText.includes('Failed')) {
-            logger.error('FFmpeg audio error:', errorText.trim());
-          }
-        });
-      }
-
-    }, 200); // 200ms delay for clean transition
-  });
+    }, 1000); // Give audio stream time to establish
+  }
 };
 
+// Stop the current track; the pipeline keeps running and outputs silence so
+// snapserver and HTTP listeners stay connected
 const stopAudioStream = () => {
-  if (audioStreamProcess && !audioStreamProcess.killed) {
-    logger.info('🛑 Stopping audio stream');
-    audioStreamProcess.kill('SIGTERM');
-    audioStreamProcess = null;
-  }
-  
-  if (httpAudioProcess && !httpAudioProcess.killed) {
-    logger.info('🛑 Stopping HTTP audio stream');
-    httpAudioProcess.kill('SIGTERM');
-    httpAudioProcess = null;
-  }
-  
-  // Close HTTP clients
-  httpStreamClients.forEach(client => {
-    const res = client.response || client; // Handle both old and new format
-    if (!res.destroyed && !res.finished) {
-      try {
-        res.end();
-      } catch (error) {
-        // Ignore end errors
-      }
-    }
-  });
-  httpStreamClients = [];
-  
-  // Restart silence stream when stopping music
-  setTimeout(startSilenceStream, 500);
+  logger.info('🛑 Stopping audio stream');
+  audioPipeline.stopTrack();
 };
 
 // Enhanced playback control
@@ -1007,10 +797,9 @@ const playCurrentTrack = async () => {
   const track = queue[currentTrackIndex];
   
   try {
-    // Determine if this is a local file or streaming URL
-    const audioSource = track.streamUrl || track.previewUrl || track.path;
-    await startAudioStream(audioSource, track);
+    await startAudioStream(getTrackSource(track), track);
     isPlaying = true;
+    preloadNextTrack();
     logger.success(`▶️  Now playing: ${track.name}`);
     
     // Broadcast state update
@@ -1057,9 +846,29 @@ const stopPlayback = () => {
   }, 500);
 };
 
+const broadcastPlayModes = () => {
+  safeEmit(io, 'update_state', {
+    files: musicFiles,
+    queue,
+    currentTrackIndex,
+    isPlaying,
+    currentTrack: currentTrackIndex >= 0 && currentTrackIndex < queue.length ? queue[currentTrackIndex] : null,
+    ...getPlayModes()
+  });
+};
+
+const playPrevious = async () => {
+  const previousId = playOrder.previous(queue, getCurrentQueueId(), getPlayModes());
+  if (previousId !== null) {
+    currentTrackIndex = queue.findIndex(entry => entry.queueId === previousId);
+    await playCurrentTrack();
+  }
+};
+
 const playNext = async () => {
-  if (currentTrackIndex < queue.length - 1) {
-    currentTrackIndex++;
+  const nextId = playOrder.next(queue, getCurrentQueueId(), getPlayModes());
+  if (nextId !== null) {
+    currentTrackIndex = queue.findIndex(entry => entry.queueId === nextId);
     await playCurrentTrack();
   } else {
     stopPlayback();
@@ -1287,6 +1096,50 @@ const moveClientToGroup = async (clientId, groupId) => {
   }
 };
 
+audioPipeline.on('encoder_restart', () => ffmpegRestarts.inc({ role: 'encoder' }));
+
+// Per zone, with the Cast receiver's name once one is connected
+const zoneDevice = (zone) => (zone === 'chromecast' && connectedCastDevice ? connectedCastDevice.name : zone);
+
+metrics.gauge('sync_drift_ms', 'Last measured latency minus the applied delay', () =>
+  Object.entries(syncSystem.syncQuality)
+    .filter(([, quality]) => quality.drift !== undefined)
+    .map(([zone, quality]) => ({ labels: { zone, device: zoneDevice(zone) }, value: quality.drift })));
+metrics.gauge('sync_accuracy_percent', 'Sync accuracy estimate', () =>
+  Object.entries(syncSystem.syncQuality).map(([zone, quality]) => ({ labels: { zone, device: zoneDevice(zone) }, value: quality.accuracy })));
+metrics.gauge('sync_jitter_ms', 'Smoothed latency jitter', () =>
+  Object.entries(syncSystem.syncQuality).map(([zone, quality]) => ({ labels: { zone, device: zoneDevice(zone) }, value: quality.jitter })));
+metrics.gauge('latency_estimate_ms', 'Average detected latency', () =>
+  Object.entries(syncSystem.detectedLatencies).map(([zone, detected]) => ({ labels: { zone }, value: detected.average })));
+metrics.gauge('latency_compensation_ms', 'Delay currently applied', () =>
+  Object.entries(AUDIO_DELAYS).map(([zone, delay]) => ({ labels: { zone }, value: delay })));
+metrics.gauge('device_offset_ms', 'Offset from each device latency profile', () =>
+  deviceProfiles.list().map(profile => ({ labels: { device: profile.name, id: profile.id }, value: deviceProfiles.getOffset(profile.id) })));
+metrics.gauge('snapcast_client_latency_ms', 'Latency configured on each Snapcast client', () =>
+  snapcastClients.map(client => ({
+    labels: { client: (client.config && client.config.name) || (client.host && client.host.name) || client.id },
+    value: (client.config && client.config.latency) || 0
+  })));
+metrics.gauge('connected_clients', 'Connected clients, by kind', () => [
+  { labels: { kind: 'socketio' }, value: io.engine.clientsCount },
+  { labels: { kind: 'http_stream' }, value: httpStream.clientCount },
+  { labels: { kind: 'snapcast' }, value: snapcastClients.filter(client => client.connected).length },
+  { labels: { kind: 'cast' }, value: connectedCastDevice ? 1 : 0 }
+]);
+metrics.gauge('ffmpeg_processes', 'Running ffmpeg processes, by role', () => [
+  { labels: { role: 'pipeline' }, value: audioPipeline.getStatus().ffmpegProcesses },
+  { labels: { role: 'loudness' }, value: loudnessAnalyzer.active ? 1 : 0 },
+  { labels: { role: 'direct_cast' }, value: Array.from(directCastStreams.values()).filter(process => process.exitCode === null && !process.killed).length }
+]);
+metrics.gauge('queue_length', 'Tracks in the queue', () => queue.length);
+metrics.gauge('library_tracks', 'Tracks in the music library', () => musicFiles.length);
+metrics.gauge('playing', '1 while playing', () => (isPlaying ? 1 : 0));
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
 // REST API endpoints
 app.get('/health', (req, res) => {
   const health = {
@@ -1297,10 +1150,9 @@ app.get('/health', (req, res) => {
     snapcastFifo: fs.existsSync(SNAPCAST_FIFO),
     musicDir: fs.existsSync(MUSIC_DIR),
     fileCount: musicFiles.length,
-    silenceStreamActive: silenceStreamProcess && !silenceStreamProcess.killed,
-    audioStreamActive: audioStreamProcess && !audioStreamProcess.killed,
-    httpStreamActive: httpAudioProcess && !httpAudioProcess.killed,
-    httpClients: httpStreamClients.length,
+    audioPipeline: audioPipeline.getStatus(),
+    httpClients: httpStream.clientCount,
+    httpStream: httpStream.getStatus(),
     currentState: {
       isPlaying,
       currentTrackIndex,
@@ -1315,6 +1167,17 @@ app.get('/files', (req, res) => {
   safeJsonResponse(res, musicFiles);
 });
 
+// Embedded cover art extracted by the library indexer
+app.get('/api/cover/:coverFile', (req, res) => {
+  const coverPath = library.getCoverPath(req.params.coverFile);
+  if (!coverPath) {
+    return res.status(404).json({ error: 'Cover not found' });
+  }
+  
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.sendFile(coverPath);
+});
+
 app.get('/queue', (req, res) => {
   safeJsonResponse(res, {
     queue,
@@ -1413,6 +1276,7 @@ app.get('/cast/:deviceIP/stream', (req, res) => {
 
   // Pipe the audio stream directly to this device
   directProcess.stdout.pipe(res);
+  directProcess.stdout.on('data', chunk => streamBytesSent.inc({ stream: 'cast' }, chunk.length));
 
   // Handle client disconnection
   req.on('close', () => {
@@ -1453,9 +1317,17 @@ const handleHttpStream = (req, res, deviceId = 'default') => {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'Range, Content-Range, Content-Length',
     'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
-    'Accept-Ranges': 'bytes'
+    'Accept-Ranges': 'bytes',
+    'icy-name': ICY_STATION_NAME,
+    'icy-genre': ICY_GENRE
   };
 
+  // Players that can show a title ask for it; everyone else gets plain MP3
+  const icy = req.get('Icy-MetaData') === '1' ? new IcyMetadataInjector(() => icyStreamTitle) : null;
+  if (icy) {
+    headers['icy-metaint'] = String(ICY_METAINT);
+  }
+
   // Additional headers for Chromecast
   if (isChromeCast) {
     headers['X-Content-Type-Options'] = 'nosniff';
@@ -1464,49 +1336,36 @@ const handleHttpStream = (req, res, deviceId = 'default') => {
 
   res.set(headers);
 
-  // Create client info object
+  // Send a small initial chunk to establish connection for Chromecast
+  if (isChromeCast) {
+    try {
+      const silence = Buffer.alloc(512, 0); // Send 512 bytes of silence
+      res.write(icy ? icy.transform(silence) : silence);
+    } catch (error) {
+      logger.warn(`Failed to send initial chunk to ${deviceId}:`, error.message);
+    }
+  }
+
   const clientInfo = {
-    response: res,
     deviceId: deviceId,
     isChromeCast: isChromeCast,
     clientIP: clientIP,
     userAgent: userAgent.substring(0, 100), // Truncate for logging
-    connectedAt: new Date().toISOString(),
-    lastActivity: Date.now()
+    icyMetadata: Boolean(icy),
+    connectedAt: new Date().toISOString()
   };
 
-  // Add this client to the list
-  httpStreamClients.push(clientInfo);
-  logger.info(`📡 Active stream clients: ${httpStreamClients.length}`);
+  httpStream.addClient(res, clientInfo, { transform: icy ? (chunk) => icy.transform(chunk) : null });
+  logger.info(`📡 Active stream clients: ${httpStream.clientCount}`);
 
-  // Remove client when connection closes
-  req.on('close', () => {
-    const index = httpStreamClients.findIndex(client => client.response === res);
-    if (index > -1) {
-      const client = httpStreamClients[index];
-      httpStreamClients.splice(index, 1);
-      logger.info(`📡 Stream disconnected: ${client.deviceId} from ${client.clientIP} (${client.isChromeCast ? 'Chromecast' : 'Browser'})`);
-      logger.info(`📡 Remaining clients: ${httpStreamClients.length}`);
-    }
+  res.on('close', () => {
+    logger.info(`📡 Stream disconnected: ${deviceId} from ${clientIP} (${isChromeCast ? 'Chromecast' : 'Browser'})`);
+    logger.info(`📡 Remaining clients: ${httpStream.clientCount}`);
   });
 
   req.on('error', (error) => {
     logger.warn(`HTTP stream error for ${deviceId}:`, error.message);
-    const index = httpStreamClients.findIndex(client => client.response === res);
-    if (index > -1) {
-      httpStreamClients.splice(index, 1);
-    }
   });
-
-  // Send a small initial chunk to establish connection for Chromecast
-  if (isChromeCast) {
-    try {
-      res.write(Buffer.alloc(512, 0)); // Send 512 bytes of silence
-      clientInfo.lastActivity = Date.now();
-    } catch (error) {
-      logger.warn(`Failed to send initial chunk to ${deviceId}:`, error.message);
-    }
-  }
 };
 
 app.post('/upload', upload.single('music'), (req, res) => {
@@ -1545,7 +1404,8 @@ io.on('connection', (socket) => {
     queue,
     currentTrackIndex,
     isPlaying,
-    currentTrack: currentTrackIndex >= 0 && currentTrackIndex < queue.length ? queue[currentTrackIndex] : null
+    currentTrack: currentTrackIndex >= 0 && currentTrackIndex < queue.length ? queue[currentTrackIndex] : null,
+    ...getPlayModes()
   });
 
   // Add to queue
@@ -1554,7 +1414,8 @@ io.on('connection', (socket) => {
       const file = musicFiles.find(f => f.id === fileId);
       if (file) {
         const wasEmpty = queue.length === 0;
-        queue.push(file);
+        queue.push(createQueueEntry(file));
+        syncPlayOrder();
         logger.info(`➕ Added to queue: ${file.name}`);
         
         // Auto-start playback if this was the first track added
@@ -1563,6 +1424,7 @@ io.on('connection', (socket) => {
           await playCurrentTrack();
           logger.info(`🎵 Auto-starting playback: ${file.name}`);
         } else {
+          preloadNextTrack();
           safeEmit(io, 'update_state', {
             files: musicFiles,
             queue,
@@ -1583,13 +1445,16 @@ io.on('connection', (socket) => {
     try {
       if (streamingTrack && streamingTrack.uri) {
         const wasEmpty = queue.length === 0;
-        queue.push(streamingTrack);
+        queue.push(createQueueEntry(streamingTrack));
+        syncPlayOrder();
         logger.info(`➕ Added streaming track to queue: ${streamingTrack.name} (${streamingTrack.service})`);
         
         // Auto-start playback if queue was empty
         if (wasEmpty && !isPlaying) {
           currentTrackIndex = 0;
           setTimeout(() => playCurrentTrack(), 500);
+        } else {
+          preloadNextTrack();
         }
         
         safeEmit(io, 'update_state', {
@@ -1617,12 +1482,20 @@ io.on('connection', (socket) => {
         if (index < currentTrackIndex) {
           currentTrackIndex--;
         } else if (index === currentTrackIndex && isPlaying) {
-          // If we removed the currently playing track, stop and play next
+          // If we removed the currently playing track, stop and play next:
+          // the entry that took its place, or in shuffle the next of the round
           stopPlayback();
-          if (currentTrackIndex < queue.length) {
+          syncPlayOrder();
+          if (shuffle) {
+            const nextId = playOrder.next(queue, null, getPlayModes());
+            currentTrackIndex = queue.findIndex(entry => entry.queueId === nextId);
+          }
+          if (currentTrackIndex >= 0 && currentTrackIndex < queue.length) {
             setTimeout(() => playCurrentTrack(), 1000);
           }
         }
+        syncPlayOrder();
+        preloadNextTrack();
         
         safeEmit(io, 'update_state', {
           files: musicFiles,
@@ -1644,6 +1517,7 @@ io.on('connection', (socket) => {
       stopPlayback();
       queue = [];
       currentTrackIndex = -1;
+      playOrder.reset();
       logger.info('🗑️  Queue cleared');
       
       safeEmit(io, 'update_state', {
@@ -1678,6 +1552,8 @@ io.on('connection', (socket) => {
         }
         
         logger.info(`🔀 Moved track from ${fromIndex} to ${toIndex}`);
+        syncPlayOrder();
+        preloadNextTrack();
         
         safeEmit(io, 'update_state', {
           files: musicFiles,
@@ -1751,20 +1627,46 @@ io.on('connection', (socket) => {
   // Previous track
   socket.on('previous_track', async () => {
     try {
-      if (currentTrackIndex > 0) {
-        currentTrackIndex--;
-        await playCurrentTrack();
-      }
+      await playPrevious();
     } catch (error) {
       logger.error('Error playing previous track:', error);
       socket.emit('stream_error', { message: 'Failed to play previous track' });
     }
   });
 
+  // Crossfade between tracks (0 = gapless)
+  socket.on('set_crossfade', (seconds) => {
+    const value = audioPipeline.setCrossfade(seconds);
+    logger.info(`🎚️  Crossfade set to ${value}s`);
+    io.emit('crossfade_updated', { seconds: value });
+  });
+
+  // Shuffle and repeat: set_shuffle true | { enabled }, set_repeat 'off' | 'one' | 'all' | { mode }
+  socket.on('set_shuffle', (data) => {
+    shuffle = Boolean(typeof data === 'object' && data !== null ? data.enabled : data);
+    
+    // Every shuffle starts a new round from whatever is playing now
+    playOrder.reset();
+    if (shuffle) {
+      playOrder.reshuffle(queue, getCurrentQueueId());
+    }
+    preloadNextTrack();
+    logger.info(`🔀 Shuffle ${shuffle ? 'on' : 'off'}`);
+    broadcastPlayModes();
+  });
+  
+  socket.on('set_repeat', (data) => {
+    repeatMode = normalizeRepeatMode(typeof data === 'object' && data !== null ? data.mode : data);
+    preloadNextTrack();
+    logger.info(`🔁 Repeat: ${repeatMode}`);
+    broadcastPlayModes();
+  });
+
   // Skip to track
   socket.on('skip_to_track', async (index) => {
     try {
       if (index >= 0 && index < queue.length) {
+        playOrder.jumpTo(queue[index].queueId, getCurrentQueueId());
         currentTrackIndex = index;
         await playCurrentTrack();
       }
@@ -1786,22 +1688,24 @@ io.on('connection', (socket) => {
 // Process cleanup handlers
 process.on('SIGINT', () => {
   logger.info('🛑 Shutting down server...');
-  stopSilenceStream();
-  stopAudioStream();
+  advertiser.stop();
+  audioPipeline.stop();
+  loudnessAnalyzer.stop();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   logger.info('🛑 Server terminated');
-  stopSilenceStream();
-  stopAudioStream();
+  advertiser.stop();
+  audioPipeline.stop();
+  loudnessAnalyzer.stop();
   process.exit(0);
 });
 
 process.on('uncaughtException', (error) => {
   logger.error('Uncaught Exception:', error);
-  stopSilenceStream();
-  stopAudioStream();
+  audioPipeline.stop();
+  loudnessAnalyzer.stop();
   process.exit(1);
 });
 
@@ -1814,19 +1718,25 @@ process.on('unhandledRejection', (reason, promise) => {
 // Cast device management
 let connectedCastDevice = null;
 
-app.post('/api/cast/connect', (req, res) => {
+app.post('/api/cast/connect', async (req, res) => {
   try {
     const { deviceIP, devicePort, deviceName, deviceType } = req.body;
     
+    // Profile follows the receiver's UUID, so it still applies after an IP change
+    const profileId = await fetchCastDeviceId(deviceIP);
+    deviceProfiles.touch(profileId, { name: deviceName, type: 'chromecast' });
+    
     connectedCastDevice = {
       ip: deviceIP,
       port: devicePort,
       name: deviceName,
       type: deviceType,
+      profileId: profileId,
       connectedAt: new Date().toISOString()
     };
     
     logger.info(`📺 Cast device connected: ${deviceName} (${deviceIP}:${devicePort})`);
+    applyCastDeviceProfile();
     
     // Enable chromecast zone automatically
     activeZones.chromecast = true;
@@ -1852,6 +1762,24 @@ app.post('/api/cast/connect', (req, res) => {
   }
 });
 
+// The Chromecast zone delay is the connected receiver's own offset
+const applyCastDeviceProfile = () => {
+  if (!connectedCastDevice) return;
+  
+  AUDIO_DELAYS.chromecast = Math.max(0, Math.round(deviceProfiles.getOffset(connectedCastDevice.profileId, 'chromecast')));
+  logger.info(`🎛️ Applied ${connectedCastDevice.name} profile: ${AUDIO_DELAYS.chromecast}ms`);
+  io.emit('latencyUpdate', sanitizeObject({ delays: AUDIO_DELAYS, activeZones }));
+};
+
+// Per-device latency profiles; edits to the connected receiver apply right away
+app.use('/api/devices/profiles', createProfileRouter(deviceProfiles, {
+  onChange: (profile) => {
+    if (connectedCastDevice && connectedCastDevice.profileId === profile.id) {
+      applyCastDeviceProfile();
+    }
+  }
+}));
+
 app.post('/api/cast/disconnect', (req, res) => {
   try {
     if (connectedCastDevice) {
@@ -1881,7 +1809,7 @@ app.post('/api/cast/media', async (req, res) => {
     logger.info(`🎵 Starting DIRECT cast: ${metadata.title} to ${connectedCastDevice.name}`);
     
     // Create a dedicated direct stream for this cast device
-    const directStreamUrl = `http://192.168.12.125:3000/cast/${deviceIP}/stream`;
+    const directStreamUrl = `http://${config.get('serverIP')}:${PORT}/cast/${deviceIP}/stream`;
     logger.info(`📡 Creating direct stream at: ${directStreamUrl}`);
     
     // Start direct audio streaming for this cast device
@@ -1974,6 +1902,16 @@ app.get('/api/cast/status', (req, res) => {
 let lastDiscovery = 0;
 let lastDevices = [];
 
+// "a.b.c" of the server's own address, the subnet scans start with
+function serverSubnet() {
+  return config.get('serverIP').split('.').slice(0, 3).join('.');
+}
+
+// Subnets to scan: ours first, then the common home router ones
+function discoverySubnets() {
+  return Array.from(new Set([serverSubnet(), '192.168.1', '192.168.0', '10.0.0', '172.16.0']));
+}
+
 // Cast device discovery endpoint
 app.get('/api/cast/discover', async (req, res) => {
   try {
@@ -1983,7 +1921,7 @@ app.get('/api/cast/discover', async (req, res) => {
       logger.info('🔍 Using cached discovery results');
       res.json({
         devices: lastDevices,
-        subnets: ['192.168.1', '192.168.0', '192.168.12', '10.0.0', '172.16.0'],
+        subnets: discoverySubnets(),
         totalChecks: 0,
         devicesFound: lastDevices.length,
         cached: true
@@ -1995,14 +1933,8 @@ app.get('/api/cast/discover', async (req, res) => {
     
     const devices = [];
     
-    // Check multiple common subnets
-    const subnets = [
-      '192.168.1',   // Most common home router subnet
-      '192.168.0',   // Second most common
-      '192.168.12',  // Our current server subnet
-      '10.0.0',      // Apple/modern routers
-      '172.16.0',    // Some enterprise setups
-    ];
+    // Check our subnet and the common ones
+    const subnets = discoverySubnets();
     
     // Device check configurations
     const deviceChecks = [
@@ -2075,7 +2007,7 @@ app.get('/api/cast/network-info', async (req, res) => {
     const os = require('os');
     
     const networkInfo = {
-      serverIP: '192.168.12.125',
+      serverIP: config.get('serverIP'),
       networkInterfaces: {},
       arpTable: [],
       routingInfo: {}
@@ -2122,10 +2054,10 @@ app.get('/api/cast/network-info', async (req, res) => {
 app.get('/api/cast/ping-scan', async (req, res) => {
   try {
     const { execSync } = require('child_process');
-    logger.info('🔍 Starting ping scan on subnet 192.168.12.x...');
+    const subnet = serverSubnet();
+    logger.info(`🔍 Starting ping scan on subnet ${subnet}.x...`);
     
     const liveDevices = [];
-    const subnet = '192.168.12';
     
     // Ping scan common IP addresses quickly
     const checkIPs = [
@@ -2320,6 +2252,51 @@ app.post('/api/latency/delays', (req, res) => {
   }
 });
 
+// Track transition API endpoints (0 seconds = gapless)
+app.get('/api/playback/crossfade', (req, res) => {
+  safeJsonResponse(res, { seconds: audioPipeline.crossfadeSeconds });
+});
+
+app.post('/api/playback/crossfade', (req, res) => {
+  const value = Number(req.body?.seconds);
+  if (!Number.isFinite(value) || value < 0) {
+    return res.status(400).json({ error: 'Invalid crossfade value' });
+  }
+  
+  const seconds = audioPipeline.setCrossfade(value);
+  logger.info(`🎚️  Crossfade set to ${seconds}s`);
+  io.emit('crossfade_updated', { seconds });
+  
+  safeJsonResponse(res, { success: true, seconds });
+});
+
+// Loudness normalization settings; changes apply from the next track
+app.get('/api/playback/normalization', (req, res) => {
+  safeJsonResponse(res, {
+    ...normalizationSettings,
+    modes: NORMALIZATION_MODES,
+    unmeasuredTracks: library.getUnmeasuredTracks().length
+  });
+});
+
+app.post('/api/playback/normalization', (req, res) => {
+  const { mode, preampDb } = req.body || {};
+  
+  if (mode !== undefined && !NORMALIZATION_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode, expected one of: ${NORMALIZATION_MODES.join(', ')}` });
+  }
+  if (preampDb !== undefined && (!Number.isFinite(Number(preampDb)) || Math.abs(Number(preampDb)) > 15)) {
+    return res.status(400).json({ error: 'Invalid preamp value (-15 to 15 dB)' });
+  }
+  
+  if (mode !== undefined) normalizationSettings.mode = mode;
+  if (preampDb !== undefined) normalizationSettings.preampDb = Number(preampDb);
+  logger.info(`🔊 Normalization: ${normalizationSettings.mode} (preamp ${normalizationSettings.preampDb} dB)`);
+  io.emit('normalization_updated', normalizationSettings);
+  
+  safeJsonResponse(res, { success: true, ...normalizationSettings });
+});
+
 // Sync monitoring API endpoints
 app.get('/api/sync/status', (req, res) => {
   try {
@@ -2329,7 +2306,7 @@ app.get('/api/sync/status', (req, res) => {
       syncQuality: syncSystem.syncQuality,
       detectedLatencies: syncSystem.detectedLatencies,
       networkConditions: syncSystem.networkConditions,
-      deviceProfiles: syncSystem.deviceProfiles,
+      deviceProfiles: deviceProfiles.list(),
       activeZones: activeZones,
       connectedDevices: Object.keys(connectedCastDevices),
       lastCalibration: syncSystem.lastCalibration || null,
@@ -2372,7 +2349,7 @@ app.get('/api/sync/quality/:zone', (req, res) => {
       zone: zone,
       quality: syncSystem.syncQuality[zone],
       latency: syncSystem.detectedLatencies[zone] || null,
-      deviceProfile: syncSystem.deviceProfiles[zone] || syncSystem.deviceProfiles.default
+      deviceProfiles: deviceProfiles.list().filter(profile => profile.type === zone)
     };
     
     safeJsonResponse(res, zoneQuality);
@@ -2548,7 +2525,8 @@ app.post('/api/apple-music/add-to-queue', async (req, res) => {
 
     // Add to queue
     const wasEmpty = queue.length === 0;
-    queue.push(virtualTrack);
+    queue.push(createQueueEntry(virtualTrack));
+    syncPlayOrder();
     logger.info(`➕ Added Apple Music preview to queue: ${virtualTrack.name}`);
     
     // Auto-start playbook if this was the first track added
@@ -2557,6 +2535,7 @@ app.post('/api/apple-music/add-to-queue', async (req, res) => {
       await playCurrentTrack();
       logger.info(`🎵 Auto-starting Apple Music preview: ${virtualTrack.name}`);
     } else {
+      preloadNextTrack();
       safeEmit(io, 'update_state', {
         files: musicFiles,
         queue,
@@ -2574,12 +2553,34 @@ app.post('/api/apple-music/add-to-queue', async (req, res) => {
   }
 });
 
+// DNS-SD advertisement: apps browsing `_multiroom._tcp` find this server,
+// then confirm it's the right one with /api/discovery
+const advertiser = new ServiceAdvertiser({
+  port: PORT,
+  server: 'snapcast',
+  capabilities: ['library', 'queue', 'snapcast', 'cast', 'http-stream', 'icy', 'latency', 'metrics']
+});
+
+app.get('/api/discovery', (req, res) => {
+  res.json(advertiser.getDescriptor());
+});
+
+// Effective configuration; runtime-safe settings can be changed here
+app.use('/api/config', createConfigRouter(config, { runtimeKeys: ['serverIP', 'sync.toleranceMs'] }));
+
+config.on('change', (keys) => {
+  if (keys.includes('sync.toleranceMs')) {
+    syncSystem.syncToleranceMs = config.get('sync.toleranceMs');
+  }
+});
+
 // Serve React app for all non-API routes
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'client/build', 'index.html'));
 });
 
-server.listen(PORT, () => {
+server.listen(PORT, config.get('host'), () => {
+  if (config.get('mdns.advertise')) advertiser.start();
   logger.success(`🎵 Snapcast Music Server running on port ${PORT}`);
   
   // Load music files
@@ -2592,9 +2593,9 @@ server.listen(PORT, () => {
     fileCount: musicFiles.length
   });
   
-  // Start silence stream after short delay
+  // Start the output pipeline (silence until something plays) after short delay
   setTimeout(() => {
-    startSilenceStream();
+    audioPipeline.start();
     
     // Initialize sync monitoring
     logger.info('🔄 Starting intelligent sync monitoring...');
@@ -0,0 +1,163 @@
+const os = require('os');
+const { MdnsSocket, MDNS_PORT, localIPv4Addresses } = require('./mdns');
+const { version } = require('./package.json');
+
+// Publishes this server as a DNS-SD service (`_multiroom._tcp`) so apps can
+// find it without knowing its address, and builds the /api/discovery
+// descriptor they fetch afterwards to confirm what they found.
+//
+// TXT records: txtvers, version, server (which variant is running), api
+// (REST base path) and caps (comma-separated capabilities).
+
+const SERVICE_TYPE = '_multiroom._tcp.local';
+const SERVICE_ENUMERATION = '_services._dns-sd._udp.local';
+const RECORD_TTL = 120;     // PTR/SRV/TXT
+const HOST_TTL = 120;       // A
+const ANNOUNCE_DELAYS_MS = [0, 1000];
+const API_BASE = '/api';
+
+function hostLabel() {
+  return os.hostname().split('.')[0].replace(/[^A-Za-z0-9-]/g, '-') || 'multiroom';
+}
+
+class ServiceAdvertiser {
+  constructor({ port, server, capabilities = [], name = null }) {
+    this.port = port;
+    this.server = server;
+    this.capabilities = capabilities;
+    this.name = (name || `Multi-Room Music on ${hostLabel()}`).slice(0, 63);
+    this.instanceName = `${this.name}.${SERVICE_TYPE}`;
+    this.hostName = `${hostLabel()}-multiroom.local`;
+    this.mdns = new MdnsSocket();
+    this.timers = [];
+  }
+
+  get addresses() {
+    return localIPv4Addresses();
+  }
+
+  async start() {
+    this.mdns.on('query', (packet, rinfo) => this.handleQuery(packet, rinfo));
+    this.mdns.on('error', (error) => {
+      console.warn(`⚠️  mDNS advertiser error: ${error.message}`);
+    });
+
+    try {
+      await this.mdns.start();
+    } catch (error) {
+      console.warn(`⚠️  Not advertising over mDNS: ${error.message}`);
+      return;
+    }
+    if (this.mdns.port !== MDNS_PORT) {
+      // Can't hear queries off the mDNS port; announcing is still worth it
+      console.warn('⚠️  mDNS port taken, announcing without answering queries');
+    }
+
+    ANNOUNCE_DELAYS_MS.forEach((delay) => {
+      this.timers.push(setTimeout(() => this.mdns.respond(this.serviceRecords()), delay));
+    });
+    console.log(`📣 Advertising "${this.name}" (${SERVICE_TYPE}) on port ${this.port}`);
+  }
+
+  // Goodbye packets (TTL 0) so browsers drop us now rather than at expiry
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    if (this.mdns.socket) {
+      this.mdns.respond(this.serviceRecords(0));
+    }
+    this.mdns.stop();
+  }
+
+  getTxt() {
+    return {
+      txtvers: 1,
+      version: version,
+      server: this.server,
+      api: API_BASE,
+      caps: this.capabilities.join(',')
+    };
+  }
+
+  serviceRecords(ttl = null) {
+    const recordTtl = ttl === null ? RECORD_TTL : ttl;
+    const hostTtl = ttl === null ? HOST_TTL : ttl;
+    return {
+      answers: [
+        { name: SERVICE_TYPE, type: 'PTR', ttl: recordTtl, data: this.instanceName },
+        { name: this.instanceName, type: 'SRV', flush: true, ttl: recordTtl, data: { port: this.port, target: this.hostName } },
+        { name: this.instanceName, type: 'TXT', flush: true, ttl: recordTtl, data: this.getTxt() }
+      ],
+      additionals: this.addressRecords(hostTtl)
+    };
+  }
+
+  addressRecords(ttl = HOST_TTL) {
+    return this.addresses.map(address => ({ name: this.hostName, type: 'A', flush: true, ttl: ttl, data: address }));
+  }
+
+  handleQuery(packet, rinfo) {
+    const answers = [];
+    const additionals = [];
+    const records = this.serviceRecords();
+    const [ptr, srv, txt] = records.answers;
+
+    packet.questions.forEach((question) => {
+      const name = question.name.toLowerCase();
+      const wants = type => question.type === type || question.type === 'ANY';
+
+      if (name === SERVICE_ENUMERATION && wants('PTR')) {
+        answers.push({ name: SERVICE_ENUMERATION, type: 'PTR', ttl: RECORD_TTL, data: SERVICE_TYPE });
+      } else if (name === SERVICE_TYPE && wants('PTR')) {
+        answers.push(ptr);
+        additionals.push(srv, txt, ...records.additionals);
+      } else if (name === this.instanceName.toLowerCase()) {
+        if (wants('SRV')) answers.push(srv);
+        if (wants('TXT')) answers.push(txt);
+        additionals.push(...records.additionals);
+      } else if (name === this.hostName.toLowerCase() && wants('A')) {
+        answers.push(...records.additionals);
+      }
+    });
+
+    if (answers.length === 0) return;
+
+    const reply = {
+      answers: answers,
+      additionals: additionals.filter(record => !answers.includes(record))
+    };
+    if (rinfo.port !== MDNS_PORT) {
+      // Legacy one-shot resolver: unicast, echoing its id and questions
+      this.mdns.respond({ ...reply, id: packet.id, questions: packet.questions }, rinfo);
+    } else if (packet.questions.some(question => question.unicast)) {
+      this.mdns.respond(reply, rinfo);
+    } else {
+      this.mdns.respond(reply);
+    }
+  }
+
+  // What GET /api/discovery returns
+  getDescriptor() {
+    return {
+      service: 'multiroom',
+      name: this.name,
+      server: this.server,
+      version: version,
+      api: API_BASE,
+      capabilities: this.capabilities,
+      port: this.port,
+      host: this.hostName,
+      addresses: this.addresses,
+      dnsSd: {
+        type: SERVICE_TYPE.replace(/\.local$/, ''),
+        instance: this.name,
+        txt: this.getTxt()
+      }
+    };
+  }
+}
+
+module.exports = {
+  SERVICE_TYPE,
+  ServiceAdvertiser
+};
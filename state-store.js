@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// Persists server state as a JSON file so it survives restarts and crashes.
+// Writes are debounced and go through a temp file + rename so a crash mid-write
+// never leaves a truncated state file behind.
+class StateStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.saveDelay = options.saveDelay || 1000;
+    this.pendingState = null;
+    this.saveTimer = null;
+  }
+
+  // Read the saved state, returns null if there is none or it can't be parsed
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return null;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      console.log(`✅ Loaded saved state from ${this.filePath}`);
+      return data;
+    } catch (error) {
+      console.error(`❌ Failed to load state from ${this.filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  // Schedule a write; repeated calls within saveDelay collapse into one write
+  save(state) {
+    this.pendingState = state;
+
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.saveDelay);
+  }
+
+  // Write any pending state immediately (used on shutdown)
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    if (!this.pendingState) return;
+
+    const state = this.pendingState;
+    this.pendingState = null;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`❌ Failed to save state to ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = StateStore;
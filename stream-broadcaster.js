@@ -0,0 +1,321 @@
+const EventEmitter = require('events');
+
+// Fans one live audio stream out to any number of HTTP responses. Recent audio
+// is kept in a ring buffer so a client that joins late gets a short burst and
+// starts playing at once instead of waiting for its player's buffer to fill.
+//
+// Nothing waits on a slow client: every chunk is written to everyone, and a
+// client whose socket can't keep up (unsent bytes piling up in its response)
+// is moved to the `fallback` broadcaster (a lower bitrate of the same audio)
+// if there is one, or disconnected otherwise.
+//
+// Formats whose stream starts with a header (FLAC, Ogg) can be shared too:
+// `header` finds where it ends, and every client gets it before its audio.
+// streamFraming(codec) gives the `align`/`header` pair for each codec.
+//
+// Events:
+//   'sent' (client, bytes)            - audio written to a client
+//   'client_dropped' (client, reason) - 'slow' or 'error'
+//   'client_downgraded' (client)      - moved to the fallback broadcaster
+//   'idle' ()                          - the last client has gone
+
+const DEFAULT_RING_BYTES = 256 * 1024;
+const DEFAULT_BURST_BYTES = 48 * 1024;       // ~2 s at 192 kbps
+const DEFAULT_MAX_PENDING_BYTES = 96 * 1024; // ~4 s at 192 kbps
+
+// Offset of the first MPEG audio frame header in `buffer` (-1 if none), so
+// a client joining mid-stream starts on a frame boundary
+function mp3FrameOffset(buffer) {
+  for (let i = 0; i + 1 < buffer.length; i++) {
+    if (buffer[i] === 0xFF && (buffer[i + 1] & 0xE0) === 0xE0 && (buffer[i + 1] & 0x06) !== 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// ADTS (AAC) frame sync: 12 set bits, then MPEG-4/2 and layer 00
+function adtsFrameOffset(buffer) {
+  for (let i = 0; i + 1 < buffer.length; i++) {
+    if (buffer[i] === 0xFF && (buffer[i + 1] & 0xF6) === 0xF0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// FLAC frame sync (0xFFF8, or 0xFFF9 for variable block sizes)
+function flacFrameOffset(buffer) {
+  for (let i = 0; i + 1 < buffer.length; i++) {
+    if (buffer[i] === 0xFF && (buffer[i + 1] & 0xFE) === 0xF8) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function oggPageOffset(buffer) {
+  return buffer.indexOf('OggS');
+}
+
+// "fLaC" and its metadata blocks; -1 until the last block has arrived
+function flacHeaderLength(buffer) {
+  if (buffer.length < 4) return -1;
+  if (buffer.toString('latin1', 0, 4) !== 'fLaC') return 0;
+
+  let offset = 4;
+  while (offset + 4 <= buffer.length) {
+    const isLast = (buffer[offset] & 0x80) !== 0;
+    offset += 4 + buffer.readUIntBE(offset + 1, 3);
+    if (isLast) return offset <= buffer.length ? offset : -1;
+  }
+  return -1;
+}
+
+// Ogg header pages (granule position 0: OpusHead, OpusTags) up to the first
+// audio page; -1 until that page has started arriving
+function oggHeaderLength(buffer) {
+  let offset = 0;
+  while (offset + 27 <= buffer.length) {
+    if (buffer.toString('latin1', offset, offset + 4) !== 'OggS') return offset;
+    if (buffer.readBigUInt64LE(offset + 6) !== 0n) return offset;
+
+    const segments = buffer[offset + 26];
+    if (offset + 27 + segments > buffer.length) return -1;
+    let bodyLength = 0;
+    for (let i = 0; i < segments; i++) bodyLength += buffer[offset + 27 + i];
+    offset += 27 + segments + bodyLength;
+  }
+  return -1;
+}
+
+const FRAMING = {
+  mp3: { align: mp3FrameOffset, header: null },
+  aac: { align: adtsFrameOffset, header: null },
+  flac: { align: flacFrameOffset, header: flacHeaderLength },
+  opus: { align: oggPageOffset, header: oggHeaderLength }
+};
+
+// StreamBroadcaster options for sharing a stream in `codec` (see audio-formats.js)
+function streamFraming(codec) {
+  return FRAMING[codec] || { align: null, header: null };
+}
+
+class StreamBroadcaster extends EventEmitter {
+  constructor({
+    name = 'stream',
+    ringBytes = DEFAULT_RING_BYTES,
+    burstBytes = DEFAULT_BURST_BYTES,
+    maxPendingBytes = DEFAULT_MAX_PENDING_BYTES,
+    align = null,
+    header = null,
+    fallback = null
+  } = {}) {
+    super();
+    this.name = name;
+    this.ringBytes = ringBytes;
+    this.burstBytes = Math.min(burstBytes, ringBytes);
+    this.maxPendingBytes = maxPendingBytes;
+    this.align = align;       // buffer -> offset where playback can start, or -1
+    this.header = header;     // buffer -> length of the stream header, or -1 if incomplete
+    this.fallback = fallback; // Broadcaster that slow clients are moved to
+
+    this.headerData = null;   // Complete header, once it has been seen
+    this.headerPending = Buffer.alloc(0);
+
+    this.ring = [];
+    this.ringSize = 0;
+    this.clients = new Set();
+    this.stats = { bytesIn: 0, joined: 0, dropped: 0, downgraded: 0 };
+  }
+
+  get clientCount() {
+    return this.clients.size;
+  }
+
+  // Feed audio from the source; never blocks on clients
+  push(chunk) {
+    this.stats.bytesIn += chunk.length;
+
+    if (this.header && !this.headerData) {
+      // Clients get nothing until the header is complete
+      const pending = Buffer.concat([this.headerPending, chunk]);
+      const length = this.header(pending);
+      if (length < 0) {
+        this.headerPending = pending;
+        return;
+      }
+      this.headerData = pending.subarray(0, length);
+      this.headerPending = Buffer.alloc(0);
+      chunk = pending.subarray(length);
+      if (chunk.length === 0) return;
+    }
+
+    this.ring.push(chunk);
+    this.ringSize += chunk.length;
+    while (this.ring.length > 1 && this.ringSize - this.ring[0].length >= this.ringBytes) {
+      this.ringSize -= this.ring.shift().length;
+    }
+
+    for (const client of this.clients) {
+      this.writeToClient(client, chunk);
+    }
+  }
+
+  // The source changed (new track, restart): late joiners shouldn't get a
+  // burst of the old audio
+  reset() {
+    this.ring = [];
+    this.ringSize = 0;
+    this.headerData = null;
+    this.headerPending = Buffer.alloc(0);
+  }
+
+  // Start sending to `res` (headers already set). `info` is kept on the
+  // client for the caller's bookkeeping and logging; `transform(chunk)`, if
+  // given, rewrites this client's audio just before it's written (e.g. to
+  // interleave ICY metadata).
+  addClient(res, info = {}, { transform = null } = {}) {
+    const client = {
+      res: res,
+      info: info,
+      transform: transform,
+      broadcaster: this,
+      bytesSent: 0,
+      joinedAt: Date.now(),
+      needsAlign: false,
+      needsHeader: false,
+      pendingBase: 0
+    };
+
+    res.on('close', () => this.removeClient(client));
+    this.attach(client, { burst: true });
+    this.stats.joined++;
+    return client;
+  }
+
+  attach(client, { burst }) {
+    client.broadcaster = this;
+    client.pendingBase = client.res.writableLength;
+    client.needsHeader = Boolean(this.header);
+    this.clients.add(client);
+
+    if (burst && this.ringSize > 0) {
+      let data = Buffer.concat(this.ring);
+      if (data.length > this.burstBytes) {
+        data = data.subarray(data.length - this.burstBytes);
+        const offset = this.align ? this.align(data) : 0;
+        if (offset > 0) data = data.subarray(offset);
+      }
+      this.writeToClient(client, data);
+    } else {
+      // Joining mid-chunk: skip to the next frame of this stream
+      client.needsAlign = Boolean(this.align);
+    }
+  }
+
+  removeClient(client) {
+    if (client.broadcaster && client.broadcaster !== this) {
+      return client.broadcaster.removeClient(client);
+    }
+    return this.forget(client);
+  }
+
+  forget(client) {
+    const removed = this.clients.delete(client);
+    if (removed && this.clients.size === 0) this.emit('idle');
+    return removed;
+  }
+
+  writeToClient(client, chunk) {
+    const res = client.res;
+    if (res.destroyed || res.writableEnded) {
+      this.forget(client);
+      return;
+    }
+
+    // A client moved here from a faster stream arrives with that stream's
+    // backlog still unsent; only what piles up on top of it counts against
+    // this one. The allowance shrinks as that backlog drains.
+    client.pendingBase = Math.min(client.pendingBase, res.writableLength);
+    if (res.writableLength - client.pendingBase > this.maxPendingBytes) {
+      this.handleSlowClient(client);
+      return;
+    }
+
+    let data = chunk;
+    if (client.needsAlign) {
+      const offset = this.align(chunk);
+      if (offset < 0) {
+        return; // No frame starts in this chunk; wait for one that does
+      }
+      data = chunk.subarray(offset);
+      client.needsAlign = false;
+    }
+    if (client.needsHeader) {
+      data = Buffer.concat([this.headerData, data]);
+      client.needsHeader = false;
+    }
+
+    try {
+      res.write(client.transform ? client.transform(data) : data);
+      client.bytesSent += data.length;
+      this.emit('sent', client, data.length);
+    } catch (error) {
+      this.drop(client, 'error');
+    }
+  }
+
+  handleSlowClient(client) {
+    this.forget(client);
+
+    if (this.fallback) {
+      this.stats.downgraded++;
+      this.fallback.attach(client, { burst: false });
+      this.emit('client_downgraded', client);
+      return;
+    }
+
+    this.drop(client, 'slow');
+  }
+
+  drop(client, reason) {
+    this.forget(client);
+    this.stats.dropped++;
+    this.emit('client_dropped', client, reason);
+    try {
+      client.res.destroy();
+    } catch (error) {
+      // Already gone
+    }
+  }
+
+  // End every response, e.g. when playback stops or the server shuts down
+  closeAll() {
+    for (const client of this.clients) {
+      try {
+        client.res.end();
+      } catch (error) {
+        // Ignore
+      }
+    }
+    this.clients.clear();
+    this.reset();
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      clients: Array.from(this.clients).map(client => ({
+        ...client.info,
+        bytesSent: client.bytesSent,
+        pendingBytes: client.res.writableLength,
+        connectedSeconds: Math.round((Date.now() - client.joinedAt) / 1000)
+      })),
+      bufferedBytes: this.ringSize,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = { StreamBroadcaster, mp3FrameOffset, streamFraming };
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+// Test script for acoustic calibration: synthetic room recordings with the
+// test signal at a known offset must be found to within a tenth of a
+// millisecond, and recordings without it must be rejected
+const { SIGNAL_TYPES, renderSignal, encodeWav, findSignal } = require('./acoustic-calibration');
+
+const OFFSET_SECONDS = 0.3712;
+const RECORDING_SECONDS = 3;
+const TOLERANCE_MS = 0.1;
+
+console.log('🧪 Testing acoustic calibration with synthetic recordings...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+const pass = (message) => {
+  console.log(`✅ PASS: ${message}`);
+  testsPassed++;
+};
+
+const fail = (message) => {
+  console.log(`❌ FAIL: ${message}`);
+  testsFailed++;
+};
+
+// Same noise on every run
+const createNoise = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 1073741824 - 1;
+  };
+};
+
+// Room noise, with the signal (quieter than it was played) at `offsetSeconds`
+const createRecording = (sampleRate, { signal = null, offsetSeconds = 0, seconds = RECORDING_SECONDS } = {}) => {
+  const noise = createNoise(sampleRate);
+  const samples = new Float32Array(Math.round(seconds * sampleRate));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = 0.05 * noise();
+  }
+
+  if (signal) {
+    const reference = renderSignal(signal, sampleRate);
+    const start = Math.round(offsetSeconds * sampleRate);
+    for (let i = 0; i < reference.length && start + i < samples.length; i++) {
+      samples[start + i] += 0.6 * reference[i];
+    }
+  }
+  return encodeWav(samples, sampleRate);
+};
+
+[48000, 44100].forEach((sampleRate) => {
+  SIGNAL_TYPES.forEach((signal) => {
+    const label = `${signal} at ${sampleRate / 1000}kHz`;
+    console.log(`Test: ${label}`);
+
+    const offsetSeconds = Math.round(OFFSET_SECONDS * sampleRate) / sampleRate;
+    const detection = findSignal(createRecording(sampleRate, { signal, offsetSeconds }), signal);
+    const errorMs = Math.abs(detection.offsetSeconds - offsetSeconds) * 1000;
+
+    if (detection.found && errorMs <= TOLERANCE_MS) {
+      pass(`found at ${(detection.offsetSeconds * 1000).toFixed(2)}ms (confidence ${detection.confidence})`);
+    } else {
+      fail(`expected ${(offsetSeconds * 1000).toFixed(2)}ms, got ${(detection.offsetSeconds * 1000).toFixed(2)}ms (found: ${detection.found}, confidence ${detection.confidence})`);
+    }
+
+    const silence = findSignal(createRecording(sampleRate), signal);
+    if (!silence.found) {
+      pass(`noise-only recording rejected (confidence ${silence.confidence})`);
+    } else {
+      fail(`signal "found" in a noise-only recording (confidence ${silence.confidence})`);
+    }
+  });
+});
+
+console.log('Test: recordings longer than the analysis limit');
+try {
+  findSignal(createRecording(48000, { signal: 'chirp', seconds: 12 }), 'chirp', { maxSeconds: 10 });
+  fail('12s recording was analyzed despite a 10s limit');
+} catch (error) {
+  pass(`refused: ${error.message}`);
+}
+
+console.log('\n' + '='.repeat(50));
+console.log('🧪 Test Results Summary:');
+console.log(`   Passed: ${testsPassed}`);
+console.log(`   Failed: ${testsFailed}`);
+console.log(`   Total:  ${testsPassed + testsFailed}`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Calibration finds the test signals.');
+} else {
+  console.log('\n⚠️  Some tests failed. Calibration is not measuring correctly.');
+}
+
+process.exit(testsFailed === 0 ? 0 : 1);
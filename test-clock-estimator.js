@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+// Test script for the clock estimator: simulated clients with a known clock
+// offset and drift, over links with asymmetric delay spikes, must be
+// estimated to within a couple of milliseconds
+const ClockEstimator = require('./clock-estimator');
+
+const OFFSET_MS = 1234.5;
+const TOLERANCE_MS = 2;
+
+console.log('🧪 Testing clock offset estimation...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+const pass = (message) => {
+  console.log(`✅ PASS: ${message}`);
+  testsPassed++;
+};
+
+const fail = (message) => {
+  console.log(`❌ FAIL: ${message}`);
+  testsFailed++;
+};
+
+// Same noise on every run
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+};
+
+// A client whose clock reads `offsetMs` ahead of the server and gains
+// `driftPpm`. Every exchange takes ~5 ms each way; one in `spikeEvery` has
+// an extra one-way delay (a busy Wi-Fi link) of up to `spikeMs`.
+const createClient = ({ offsetMs = OFFSET_MS, driftPpm = 0, spikeEvery = 4, spikeMs = 80, seed = 1 }) => {
+  const random = createRandom(seed);
+  let count = 0;
+  return (serverSend) => {
+    count++;
+    const clientClock = time => time + offsetMs + (driftPpm / 1e6) * time;
+    const spike = count % spikeEvery === 0 ? random() * spikeMs : 0;
+    const outbound = 5 + random() + (random() < 0.5 ? spike : 0);
+    const inbound = 5 + random() + (spike && outbound < 6 ? spike : 0);
+    const clientReceive = clientClock(serverSend + outbound);
+    const clientSend = clientReceive + 1; // Time to answer
+    return { serverSend, clientReceive, clientSend, serverReceive: serverSend + outbound + 1 + inbound };
+  };
+};
+
+const expectOffset = (label, estimator, serverTime, expected) => {
+  const errorMs = Math.abs(estimator.getOffset(serverTime) - expected);
+  if (errorMs <= TOLERANCE_MS) {
+    pass(`${label}: ${estimator.getOffset(serverTime).toFixed(2)}ms (expected ${expected.toFixed(2)}ms)`);
+  } else {
+    fail(`${label}: ${estimator.getOffset(serverTime).toFixed(2)}ms, expected ${expected.toFixed(2)}ms`);
+  }
+};
+
+console.log('Test: fixed offset over a jittery link');
+const steady = new ClockEstimator();
+const steadyClient = createClient({ seed: 7 });
+for (let i = 0; i < 30; i++) {
+  steady.addSample(steadyClient(1000 + i * 1000));
+}
+expectOffset('offset', steady, 31000, OFFSET_MS);
+if (steady.drift === 0) {
+  pass('no drift claimed from 30s of samples');
+} else {
+  fail(`drift of ${(steady.drift * 1e6).toFixed(1)}ppm claimed from 30s of samples`);
+}
+
+console.log('Test: drifting clock');
+const DRIFT_PPM = 100;
+const drifting = new ClockEstimator();
+const driftingClient = createClient({ driftPpm: DRIFT_PPM, seed: 11 });
+for (let i = 0; i < 32; i++) {
+  drifting.addSample(driftingClient(i * 10000));
+}
+const driftErrorPpm = Math.abs(drifting.drift * 1e6 - DRIFT_PPM);
+if (driftErrorPpm <= 10) {
+  pass(`drift ${(drifting.drift * 1e6).toFixed(1)}ppm (expected ${DRIFT_PPM}ppm)`);
+} else {
+  fail(`drift ${(drifting.drift * 1e6).toFixed(1)}ppm, expected ${DRIFT_PPM}ppm`);
+}
+const later = 31 * 10000 + 60000;
+expectOffset('offset extrapolated a minute past the last sample', drifting, later, OFFSET_MS + (DRIFT_PPM / 1e6) * later);
+
+console.log('Test: conversions between clocks');
+const serverTime = 50000;
+const clientTime = steady.toClientTime(serverTime);
+if (Math.abs(clientTime - (serverTime + OFFSET_MS)) <= TOLERANCE_MS && Math.abs(steady.toServerTime(clientTime) - serverTime) <= 1) {
+  pass(`server ${serverTime} -> client ${clientTime} -> server ${steady.toServerTime(clientTime)}`);
+} else {
+  fail(`server ${serverTime} -> client ${clientTime} -> server ${steady.toServerTime(clientTime)}`);
+}
+
+console.log('Test: impossible samples');
+const strict = new ClockEstimator();
+const rejected = [
+  { serverSend: 100, clientReceive: 50, clientSend: 200, serverReceive: 110 }, // Negative RTT
+  { serverSend: 100, clientReceive: NaN, clientSend: 60, serverReceive: 110 },
+  { serverSend: 100, clientReceive: '50', clientSend: 60, serverReceive: 110 }
+].map(sample => strict.addSample(sample));
+if (rejected.every(result => result === null) && strict.rejected === 3 && !strict.synced) {
+  pass('negative RTT and non-numeric timestamps are rejected');
+} else {
+  fail(`accepted ${rejected.filter(Boolean).length} of 3 impossible samples`);
+}
+
+console.log('Test: sample window');
+const windowed = new ClockEstimator({ maxSamples: 8 });
+const windowClient = createClient({ seed: 3 });
+for (let i = 0; i < 20; i++) {
+  windowed.addSample(windowClient(i * 1000));
+}
+if (windowed.samples.length === 8 && windowed.toJSON().samples === 8) {
+  pass('keeps only the most recent 8 samples');
+} else {
+  fail(`kept ${windowed.samples.length} samples`);
+}
+
+console.log('\n' + '='.repeat(50));
+console.log('🧪 Test Results Summary:');
+console.log(`   Passed: ${testsPassed}`);
+console.log(`   Failed: ${testsFailed}`);
+console.log(`   Total:  ${testsPassed + testsFailed}`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Client clocks are estimated correctly.');
+} else {
+  console.log('\n⚠️  Some tests failed. Clock estimation is off.');
+}
+
+process.exit(testsFailed === 0 ? 0 : 1);
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+// Test script for configuration: the YAML subset, layering of defaults, file
+// and environment, validation messages, and runtime changes
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseYaml, loadConfig, ConfigError } = require('./config');
+
+console.log('🧪 Testing configuration loading...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+const pass = (message) => {
+  console.log(`✅ PASS: ${message}`);
+  testsPassed++;
+};
+
+const fail = (message) => {
+  console.log(`❌ FAIL: ${message}`);
+  testsFailed++;
+};
+
+const check = (condition, message, details) => {
+  if (condition) pass(message);
+  else fail(`${message} (${details})`);
+};
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multiroom-config-'));
+const writeConfig = (name, text) => {
+  const file = path.join(tempDir, name);
+  fs.writeFileSync(file, text);
+  return file;
+};
+
+// Environment for loadConfig: an executable for ffmpegPath so nothing is
+// looked up, plus `extra`
+const testEnv = (extra = {}) => ({ FFMPEG_PATH: process.execPath, ...extra });
+
+const loadProblems = (options) => {
+  try {
+    loadConfig(options);
+    return [];
+  } catch (error) {
+    return error instanceof ConfigError ? error.problems : [`unexpected: ${error.message}`];
+  }
+};
+
+console.log('Test: YAML subset');
+const yaml = parseYaml([
+  '# Comment',
+  '---',
+  'port: 3001',
+  'host: "0.0.0.0"   # trailing comment',
+  "name: 'it''s'",
+  'room: "Room #2"   # a comment after a quoted #',
+  "label: 'a # b'",
+  'channel: 5#6',
+  "title: It's fine   # comment",
+  'empty:',
+  'tilde: ~',
+  'sync:',
+  '  toleranceMs: 40',
+  '  nested:',
+  '    deep: yes',
+  'mdns:',
+  '  advertise: off'
+].join('\n'));
+const expectedYaml = {
+  port: 3001,
+  host: '0.0.0.0',
+  name: "it's",
+  room: 'Room #2',
+  label: 'a # b',
+  channel: '5#6',
+  title: "It's fine",
+  empty: {},
+  tilde: null,
+  sync: { toleranceMs: 40, nested: { deep: true } },
+  mdns: { advertise: false }
+};
+check(JSON.stringify(yaml) === JSON.stringify(expectedYaml), 'scalars, quotes, comments (not a quoted #) and nesting', JSON.stringify(yaml));
+
+const yamlErrors = ['list:\n  - a', 'sync:\n\ttoleranceMs: 1', 'just text', 'anchor: &a 1'].map((text) => {
+  try {
+    parseYaml(text);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+});
+check(yamlErrors.every(Boolean) && yamlErrors.every(message => /^line \d+: /.test(message)),
+  'unsupported YAML is refused with its line number', JSON.stringify(yamlErrors));
+
+console.log('Test: layering');
+const file = writeConfig('config.yaml', 'port: 4000\nsync:\n  toleranceMs: 40\n  intervalMs: 500\n');
+const layered = loadConfig({
+  defaults: { 'sync.intervalMs': 2000, 'sync.hardSeekThresholdMs': 800 },
+  env: testEnv({ MULTIROOM_CONFIG: file, SYNC_TOLERANCE_MS: '30', SERVER_IP: '10.1.2.3' })
+});
+const sources = layered.describe().settings;
+check(layered.get('port') === 4000 && sources.port.source === 'file', 'file overrides the default', `${layered.get('port')} from ${sources.port.source}`);
+check(layered.get('sync.toleranceMs') === 30 && sources['sync.toleranceMs'].source === 'env', 'environment overrides the file', `${layered.get('sync.toleranceMs')} from ${sources['sync.toleranceMs'].source}`);
+check(layered.get('sync.intervalMs') === 500 && layered.get('sync.hardSeekThresholdMs') === 800, 'file overrides a server default, which overrides the built-in one',
+  `${layered.get('sync.intervalMs')}, ${layered.get('sync.hardSeekThresholdMs')}`);
+check(layered.get('dataDir') === path.join(__dirname, 'data'), 'relative paths resolve from the repository', layered.get('dataDir'));
+
+console.log('Test: validation');
+const badFile = writeConfig('bad.json', JSON.stringify({ port: 70000, sync: { toleranceMs: 'fast' }, colour: 'blue' }));
+const problems = loadProblems({ env: testEnv({ MULTIROOM_CONFIG: badFile, SERVER_IP: '300.1.1.1', MDNS_ADVERTISE: 'maybe' }) });
+const mentions = ['port (in bad.json)', 'sync.toleranceMs (in bad.json)', 'colour (in bad.json): unknown setting', 'serverIP (env SERVER_IP)', 'mdns.advertise (env MDNS_ADVERTISE)'];
+check(problems.length === 5 && mentions.every(text => problems.some(problem => problem.startsWith(text))),
+  'every problem is reported with its setting and source', JSON.stringify(problems));
+const unreadable = loadProblems({ env: testEnv({ MULTIROOM_CONFIG: writeConfig('broken.yml', 'sync:\n  - 1\n') }) });
+check(unreadable.length === 1 && unreadable[0].startsWith('broken.yml: line 2'), 'unreadable file names the file and line', JSON.stringify(unreadable));
+
+console.log('Test: runtime changes');
+const config = loadConfig({ env: testEnv({ SERVER_IP: '10.1.2.3', ADMIN_TOKEN: 'secret' }) });
+const changes = [];
+config.on('change', keys => changes.push(keys));
+
+const allOrNothing = config.update({ sync: { toleranceMs: 60 }, port: 4001 });
+check(allOrNothing.error && config.get('sync.toleranceMs') === 50 && changes.length === 0,
+  'a change to a startup-only setting rejects the whole update', JSON.stringify(allOrNothing));
+
+const notApplied = config.update({ sync: { hardSeekThresholdMs: 600 } }, ['sync.toleranceMs']);
+check(notApplied.error && config.get('sync.hardSeekThresholdMs') === 1000, "settings the server doesn't apply are rejected", JSON.stringify(notApplied));
+
+const applied = config.update({ 'sync.toleranceMs': '60' });
+check(applied.changed.join() === 'sync.toleranceMs' && config.get('sync.toleranceMs') === 60 && changes.length === 1,
+  'valid change is applied and announced', JSON.stringify(applied));
+check(config.update({ sync: { toleranceMs: 60 } }).changed.length === 0 && changes.length === 1, 'unchanged value is not announced', `${changes.length} change events`);
+
+const redetected = config.update({ serverIP: null });
+check(config.get('serverIP') !== null && config.describe().settings.serverIP.source === 'detected',
+  'unsetting serverIP detects the LAN address again', `${config.get('serverIP')} (${JSON.stringify(redetected)})`);
+check(config.describe().settings.adminToken.value === '********', 'adminToken is never shown', config.describe().settings.adminToken.value);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + '='.repeat(50));
+console.log('🧪 Test Results Summary:');
+console.log(`   Passed: ${testsPassed}`);
+console.log(`   Failed: ${testsFailed}`);
+console.log(`   Total:  ${testsPassed + testsFailed}`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Configuration loads and validates correctly.');
+} else {
+  console.log('\n⚠️  Some tests failed. Configuration is not loading correctly.');
+}
+
+process.exit(testsFailed === 0 ? 0 : 1);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+// Test script for ICY metadata: a stream with blocks spliced in must parse
+// back, as a player would, into the original audio and the titles in effect
+const { formatStreamTitle, encodeMetadataBlock, IcyMetadataInjector } = require('./icy-metadata');
+
+const METAINT = 100;
+
+console.log('🧪 Testing ICY metadata injection...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+const pass = (message) => {
+  console.log(`✅ PASS: ${message}`);
+  testsPassed++;
+};
+
+const fail = (message) => {
+  console.log(`❌ FAIL: ${message}`);
+  testsFailed++;
+};
+
+const check = (condition, message, details) => {
+  if (condition) pass(message);
+  else fail(`${message} (${details})`);
+};
+
+// What a player does: take `metaint` audio bytes, then a length byte and
+// that many 16-byte units of metadata, and repeat
+const parseIcyStream = (stream, metaint) => {
+  const audio = [];
+  const titles = [];
+  let offset = 0;
+  while (offset < stream.length) {
+    audio.push(stream.subarray(offset, offset + metaint));
+    offset += metaint;
+    if (offset >= stream.length) break;
+
+    const length = stream[offset] * 16;
+    const text = stream.toString('utf8', offset + 1, offset + 1 + length).replace(/\0+$/, '');
+    const match = /^StreamTitle='(.*)';$/s.exec(text);
+    titles.push(length === 0 ? null : match ? match[1] : `<unparsable: ${text}>`);
+    offset += 1 + length;
+  }
+  return { audio: Buffer.concat(audio), titles };
+};
+
+// Deterministic audio, fed to the injector in uneven chunks
+const audio = Buffer.from(Array.from({ length: 1000 }, (_, i) => (i * 7) % 256));
+const chunkSizes = [1, 99, 100, 250, 37, 13, 500];
+
+console.log('Test: blocks every metaint bytes, split across chunks');
+let title = 'Daft Punk - One More Time';
+const injector = new IcyMetadataInjector(() => title, METAINT);
+const output = [];
+let position = 0;
+chunkSizes.forEach((size, i) => {
+  if (i === 4) title = 'Daft Punk - Around the World'; // Track change mid-stream
+  output.push(injector.transform(audio.subarray(position, position + size)));
+  position += size;
+});
+const parsed = parseIcyStream(Buffer.concat(output), METAINT);
+
+check(parsed.audio.equals(audio), 'audio comes through unchanged', `${parsed.audio.length} of ${audio.length} bytes`);
+check(parsed.titles.length === 10, 'one block per metaint audio bytes', `${parsed.titles.length} blocks`);
+check(parsed.titles[0] === 'Daft Punk - One More Time', 'first block carries the title', parsed.titles[0]);
+check(parsed.titles.slice(1, 4).every(entry => entry === null), 'unchanged title sends empty blocks', JSON.stringify(parsed.titles.slice(1, 4)));
+const changedAt = parsed.titles.indexOf('Daft Punk - Around the World');
+check(changedAt === 4 && parsed.titles.slice(changedAt + 1).every(entry => entry === null),
+  'new title goes out at the next block, once', JSON.stringify(parsed.titles));
+
+console.log('Test: block encoding');
+const quoted = parseIcyStream(Buffer.concat([Buffer.alloc(METAINT), encodeMetadataBlock("Guns N' Roses - Ünïcödé")]), METAINT);
+check(quoted.titles[0] === "Guns N' Roses - Ünïcödé", 'quotes and UTF-8 survive', quoted.titles[0]);
+const long = encodeMetadataBlock('x'.repeat(5000));
+check(long.length === 1 + 255 * 16 && long.toString('utf8', 1).replace(/\0+$/, '').endsWith("';"),
+  'overlong titles are cut to the largest block, keeping the closing quote', `${long.length} bytes`);
+const empty = encodeMetadataBlock('');
+check(empty[0] === 1 && empty.toString('utf8', 1).replace(/\0+$/, '') === "StreamTitle='';", 'empty title is still a valid block', empty.toString('utf8', 1));
+
+console.log('Test: stream titles');
+const titles = [
+  formatStreamTitle({ name: 'Halo', artist: 'Beyoncé' }),
+  formatStreamTitle({ title: 'Untitled', artist: 'Unknown Artist' }),
+  formatStreamTitle(null)
+];
+check(titles.join('|') === 'Beyoncé - Halo|Untitled|', '"artist - title", without an unknown artist', titles.join('|'));
+
+console.log('\n' + '='.repeat(50));
+console.log('🧪 Test Results Summary:');
+console.log(`   Passed: ${testsPassed}`);
+console.log(`   Failed: ${testsFailed}`);
+console.log(`   Total:  ${testsPassed + testsFailed}`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Players will see the track titles.');
+} else {
+  console.log('\n⚠️  Some tests failed. ICY metadata is malformed.');
+}
+
+process.exit(testsFailed === 0 ? 0 : 1);
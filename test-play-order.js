@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+// Test script for the play order: next/previous in order and in shuffle, with
+// each repeat mode, and shuffle rounds that survive queue edits
+const { PlayOrder, normalizeRepeatMode } = require('./play-order');
+
+console.log('🧪 Testing play order (shuffle and repeat)...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+const pass = (message) => {
+  console.log(`✅ PASS: ${message}`);
+  testsPassed++;
+};
+
+const fail = (message) => {
+  console.log(`❌ FAIL: ${message}`);
+  testsFailed++;
+};
+
+const check = (condition, message, details) => {
+  if (condition) pass(message);
+  else fail(`${message} (${details})`);
+};
+
+const createQueue = (length) => Array.from({ length }, (_, i) => ({ queueId: `q${i}` }));
+
+// Follow `next` from `startId` until it returns null (or `limit` steps)
+const playThrough = (order, queue, startId, options, limit = 50) => {
+  const played = [startId];
+  let current = startId;
+  while (played.length < limit) {
+    current = order.next(queue, current, options);
+    if (current === null) break;
+    played.push(current);
+  }
+  return played;
+};
+
+console.log('Test: repeat mode names');
+const modes = ['none', false, true, 'one', 'all', 'bogus'].map(normalizeRepeatMode);
+check(modes.join(',') === 'off,off,all,one,all,off', 'legacy and unknown values map to off/one/all', modes.join(','));
+
+console.log('Test: in order, repeat off');
+const queue = createQueue(4);
+const inOrder = playThrough(new PlayOrder(), queue, 'q0', { shuffle: false, repeat: 'off' });
+check(inOrder.join(',') === 'q0,q1,q2,q3', 'plays the queue once and stops', inOrder.join(','));
+
+console.log('Test: in order, repeat all');
+const wrapped = new PlayOrder().next(queue, 'q3', { shuffle: false, repeat: 'all' });
+const wrappedBack = new PlayOrder().previous(queue, 'q0', { shuffle: false, repeat: 'all' });
+check(wrapped === 'q0' && wrappedBack === 'q3', 'wraps around in both directions', `next ${wrapped}, previous ${wrappedBack}`);
+
+console.log('Test: repeat one');
+const repeatOne = new PlayOrder();
+const replayed = repeatOne.next(queue, 'q1', { shuffle: false, repeat: 'one', auto: true });
+const skipped = repeatOne.next(queue, 'q1', { shuffle: false, repeat: 'one' });
+check(replayed === 'q1' && skipped === 'q2', 'repeats when the track ends, moves on when skipped', `auto ${replayed}, skip ${skipped}`);
+
+console.log('Test: shuffle, repeat off');
+const shuffled = new PlayOrder();
+shuffled.reshuffle(queue, 'q0');
+const round = playThrough(shuffled, queue, 'q0', { shuffle: true, repeat: 'off' });
+check(round.length === 4 && new Set(round).size === 4, 'plays every entry once and stops', round.join(','));
+
+console.log('Test: shuffle, previous walks back through what played');
+const back = [];
+let current = round[round.length - 1];
+for (let i = 0; i < 3; i++) {
+  current = shuffled.previous(queue, current, { shuffle: true, repeat: 'off' });
+  back.push(current);
+}
+const expectedBack = round.slice(0, 3).reverse();
+check(back.join(',') === expectedBack.join(','), 'previous returns the played entries in reverse', `${back.join(',')} vs ${expectedBack.join(',')}`);
+const forwardAgain = shuffled.next(queue, current, { shuffle: true, repeat: 'off' });
+check(forwardAgain === round[1], 'next after previous replays the same order', `${forwardAgain} vs ${round[1]}`);
+
+console.log('Test: shuffle, repeat all');
+const endless = new PlayOrder();
+endless.reshuffle(queue, 'q0');
+const rounds = playThrough(endless, queue, 'q0', { shuffle: true, repeat: 'all' }, 13);
+// Each round is the three entries other than the one playing when it starts
+const everyEntryTwice = queue.every(entry => rounds.filter(id => id === entry.queueId).length >= 2);
+const noRepeats = rounds.every((id, i) => i === 0 || id !== rounds[i - 1]);
+check(rounds.length === 13 && everyEntryTwice && noRepeats, 'keeps reshuffling without playing a track twice in a row', rounds.join(','));
+
+console.log('Test: queue edits during a shuffled round');
+const edited = new PlayOrder();
+edited.reshuffle(queue, 'q0');
+const first = edited.next(queue, 'q0', { shuffle: true, repeat: 'off' });
+const removedId = edited.upcoming[0]; // Not played yet
+const editedQueue = [...queue.filter(entry => entry.queueId !== removedId), { queueId: 'q4' }, { queueId: 'q5' }];
+edited.sync(editedQueue, { shuffle: true, playNextIds: ['q5'], currentQueueId: first });
+const afterEdit = playThrough(edited, editedQueue, first, { shuffle: true, repeat: 'off' });
+check(afterEdit[1] === 'q5', '"play next" entry comes straight after the current one', afterEdit.join(','));
+check(!afterEdit.includes(removedId), 'removed entry is never played', afterEdit.join(','));
+check(afterEdit.includes('q4') && !afterEdit.slice(1).includes('q0') && !afterEdit.slice(1).includes(first),
+  'added entry joins the round, played entries are not repeated', afterEdit.join(','));
+check(edited.history.every(id => id !== removedId), 'history forgets the removed entry', edited.history.join(','));
+
+console.log('Test: peeking at the next track');
+const peeked = new PlayOrder();
+peeked.sync(queue, { shuffle: true, currentQueueId: 'q0' });
+const peeks = [1, 2, 3].map(() => peeked.peek(queue, 'q0', { shuffle: true, repeat: 'all' }));
+const taken = peeked.next(queue, 'q0', { shuffle: true, repeat: 'all' });
+check(new Set(peeks).size === 1 && peeks[0] === taken, 'peek does not move on and agrees with next', `${peeks.join(',')} then ${taken}`);
+const lastPeek = new PlayOrder().peek(queue, 'q3', { shuffle: false, repeat: 'all' });
+check(lastPeek === 'q0', 'peek wraps at the end with repeat all', lastPeek);
+
+console.log('\n' + '='.repeat(50));
+console.log('🧪 Test Results Summary:');
+console.log(`   Passed: ${testsPassed}`);
+console.log(`   Failed: ${testsFailed}`);
+console.log(`   Total:  ${testsPassed + testsFailed}`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Shuffle and repeat play the right tracks.');
+} else {
+  console.log('\n⚠️  Some tests failed. Play order is not working correctly.');
+}
+
+process.exit(testsFailed === 0 ? 0 : 1);
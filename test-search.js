@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+// Test script for library search: prefix matching, field filters, ranking,
+// diacritics and index updates, against a small in-memory library
+const LibrarySearch = require('./library-search');
+
+const TRACKS = [
+  { id: 't1', file: 'daft-punk-one-more-time.mp3', title: 'One More Time', artist: 'Daft Punk', album: 'Discovery', genre: 'House', year: 2000 },
+  { id: 't2', file: 'daft-punk-around-the-world.mp3', title: 'Around the World', artist: 'Daft Punk', album: 'Homework', genre: 'House', year: 1997 },
+  { id: 't3', file: 'beyonce-halo.mp3', title: 'Halo', artist: 'Beyoncé', album: 'I Am... Sasha Fierce', genre: 'Pop', year: 2008 },
+  { id: 't4', file: 'world-music.flac', title: 'Untitled', artist: 'Various', album: 'Sampler', genre: 'World', year: 1995 },
+  { id: 't5', file: 'time-after-time.mp3', title: 'Time After Time', artist: 'Cyndi Lauper', album: "She's So Unusual", genre: 'Pop', year: 1983 },
+  { id: 't6', file: 'timeless.mp3', title: 'Timeless', artist: 'Goldie' }
+];
+
+console.log('🧪 Testing library search...\n');
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+const pass = (message) => {
+  console.log(`✅ PASS: ${message}`);
+  testsPassed++;
+};
+
+const fail = (message) => {
+  console.log(`❌ FAIL: ${message}`);
+  testsFailed++;
+};
+
+const search = new LibrarySearch();
+search.build(TRACKS);
+
+const ids = (query, options) => search.search(query, options).results.map(result => result.track.id);
+
+// `expected` in order when `ordered`, else as a set
+const expectResults = (label, query, expected, { ordered = false } = {}) => {
+  console.log(`Test: ${label}`);
+  const actual = ids(query);
+  const matches = ordered
+    ? actual.join(',') === expected.join(',')
+    : actual.length === expected.length && expected.every(id => actual.includes(id));
+  if (matches) {
+    pass(`"${query}" -> [${actual.join(', ')}]`);
+  } else {
+    fail(`"${query}" expected [${expected.join(', ')}], got [${actual.join(', ')}]`);
+  }
+};
+
+expectResults('every word has to match', 'daft time', ['t1']);
+expectResults('words match as prefixes', 'arou wor', ['t2']);
+expectResults('diacritics and case are ignored', 'BEYONCE', ['t3']);
+expectResults('title matches rank above filename matches', 'world', ['t2', 't4'], { ordered: true });
+expectResults('exact tokens rank above prefixes, ties by filename', 'time', ['t1', 't5', 't6'], { ordered: true });
+expectResults('quoted filter values', 'artist:"daft punk"', ['t1', 't2']);
+expectResults('filter narrows free text', 'time genre:pop', ['t5']);
+expectResults('single year', 'year:1997', ['t2']);
+expectResults('year range', 'year:1990-2000', ['t1', 't2', 't4']);
+expectResults('malformed year matches nothing', 'year:199x', []);
+expectResults('unknown field is searched as text', 'sasha:fierce', ['t3']);
+expectResults('empty query returns nothing', '', []);
+
+console.log('Test: paging');
+const page = search.search('artist:"daft punk"', { limit: 1, offset: 1 });
+if (page.total === 2 && page.results.length === 1 && page.results[0].track.id === 't1') {
+  pass('limit and offset return the second result of two');
+} else {
+  fail(`expected t1 of 2, got ${JSON.stringify(page.results.map(result => result.track.id))} of ${page.total}`);
+}
+
+console.log('Test: index updates');
+search.remove('t1');
+search.add({ ...TRACKS[2], title: 'Halo (Live)' });
+const afterRemove = ids('daft');
+const afterUpdate = ids('live');
+if (afterRemove.join(',') === 't2' && afterUpdate.join(',') === 't3' && !search.postings.has('discovery')) {
+  pass('removed track is gone, re-added track is found by its new title');
+} else {
+  fail(`after remove: [${afterRemove.join(', ')}], after update: [${afterUpdate.join(', ')}]`);
+}
+
+console.log('\n' + '='.repeat(50));
+console.log('🧪 Test Results Summary:');
+console.log(`   Passed: ${testsPassed}`);
+console.log(`   Failed: ${testsFailed}`);
+console.log(`   Total:  ${testsPassed + testsFailed}`);
+
+if (testsFailed === 0) {
+  console.log('\n🎉 All tests passed! Search finds and ranks tracks correctly.');
+} else {
+  console.log('\n⚠️  Some tests failed. Search is not matching correctly.');
+}
+
+process.exit(testsFailed === 0 ? 0 : 1);
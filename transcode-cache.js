@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { encoderArgs, formatQuery } = require('./audio-formats');
+
+// Transcoded tracks kept on disk, one file per track and output format, so
+// byte ranges can be served from a file of known length instead of starting
+// a new ffmpeg for every seek. Least recently used files are deleted once the
+// cache grows past `maxBytes`.
+
+class TranscodeCache {
+  constructor({ dir, maxBytes, ffmpegPath }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.ffmpegPath = ffmpegPath;
+    this.entries = new Map(); // key -> { file, size, lastUsed }
+    this.pending = new Map(); // key -> Promise<file>
+    this.totalBytes = 0;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.loadExisting();
+  }
+
+  // Files left from earlier runs; their mtime records when they were last used
+  loadExisting() {
+    fs.readdirSync(this.dir).forEach((name) => {
+      const file = path.join(this.dir, name);
+      if (name.endsWith('.part')) {
+        fs.rmSync(file, { force: true }); // Interrupted transcode
+        return;
+      }
+      const stats = fs.statSync(file);
+      this.entries.set(path.parse(name).name, { file, size: stats.size, lastUsed: stats.mtimeMs });
+      this.totalBytes += stats.size;
+    });
+    this.evict();
+  }
+
+  // Changes when the source file or the format does, so stale entries are never
+  // hit. Throws if the source can't be read.
+  keyFor(sourcePath, trackId, format) {
+    const stats = fs.statSync(sourcePath);
+    return crypto.createHash('sha1')
+      .update(`${trackId}|${stats.size}|${stats.mtimeMs}|${formatQuery(format)}`)
+      .digest('hex');
+  }
+
+  // Path of a finished transcode, or null
+  lookup(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (!fs.existsSync(entry.file)) {
+      // Deleted behind our back
+      this.entries.delete(key);
+      this.totalBytes -= entry.size;
+      return null;
+    }
+
+    entry.lastUsed = Date.now();
+    fs.utimes(entry.file, new Date(), new Date(), () => {});
+    return entry;
+  }
+
+  isPending(key) {
+    return this.pending.has(key);
+  }
+
+  // Transcode into the cache in the background; concurrent calls share one job
+  transcode(key, sourcePath, format) {
+    if (this.entries.has(key)) return Promise.resolve(this.entries.get(key));
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const file = path.join(this.dir, `${key}.${format.codec}`);
+    const partFile = `${file}.part`;
+
+    const job = new Promise((resolve, reject) => {
+      const ffmpeg = spawn(this.ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', sourcePath,
+        '-map', '0:a',
+        ...encoderArgs(format),
+        '-y', partFile
+      ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+      let errorOutput = '';
+      ffmpeg.stderr.on('data', (chunk) => {
+        errorOutput = (errorOutput + chunk).slice(-500);
+      });
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', (code) => {
+        if (code !== 0) {
+          fs.rmSync(partFile, { force: true });
+          reject(new Error(`ffmpeg exited with code ${code}: ${errorOutput.trim()}`));
+          return;
+        }
+
+        let entry;
+        try {
+          fs.renameSync(partFile, file);
+          entry = { file, size: fs.statSync(file).size, lastUsed: Date.now() };
+        } catch (error) {
+          fs.rmSync(partFile, { force: true });
+          reject(error);
+          return;
+        }
+        this.entries.set(key, entry);
+        this.totalBytes += entry.size;
+        this.evict(key);
+        resolve(entry);
+      });
+    }).finally(() => this.pending.delete(key));
+
+    this.pending.set(key, job);
+    return job;
+  }
+
+  // Delete least recently used files until under the limit (never `keep`)
+  evict(keep = null) {
+    const byAge = Array.from(this.entries.entries()).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [key, entry] of byAge) {
+      if (this.totalBytes <= this.maxBytes) break;
+      if (key === keep) continue;
+
+      this.entries.delete(key);
+      this.totalBytes -= entry.size;
+      fs.rm(entry.file, { force: true }, () => {});
+    }
+  }
+
+  getStatus() {
+    return {
+      entries: this.entries.size,
+      totalBytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      pending: this.pending.size
+    };
+  }
+}
+
+// Single `bytes=` range against a body of `size` bytes: { start, end }
+// (inclusive), null to ignore the header, or 'unsatisfiable'
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+module.exports = { TranscodeCache, parseRange };